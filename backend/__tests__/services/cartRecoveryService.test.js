@@ -0,0 +1,239 @@
+/**
+ * Cart recovery service testing
+ * Tests abandoned cart detection, reminder channels and conversion stats
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/emailService', () => ({
+  emailService: {
+    sendAbandonedCartEmail: jest.fn()
+  }
+}));
+
+jest.mock('../../services/smsService', () => ({
+  smsService: {
+    sendSMS: jest.fn(),
+    createAbandonedCartTemplate: jest.fn((itemCount, cartUrl) => ({ text: `${itemCount} ${cartUrl}` }))
+  }
+}));
+
+const { CartRecoveryService } = require('../../services/cartRecoveryService');
+const { emailService } = require('../../services/emailService');
+const { smsService } = require('../../services/smsService');
+
+describe('CartRecoveryService', () => {
+  let cartRecoveryService;
+  const now = new Date('2026-03-10T12:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  const user = (notifications, contactMethod = 'email') => ({
+    id: 'user-1',
+    firstName: 'Nusrat',
+    lastName: 'Jahan',
+    email: 'nusrat@example.com',
+    phone: '01811000000',
+    notificationPreferences: notifications && {
+      marketingCommunications: true,
+      emailNotifications: true,
+      smsNotifications: true,
+      ...notifications
+    },
+    communicationPreferences: { preferredContactMethod: contactMethod }
+  });
+
+  const cart = (overrides = {}) => ({
+    id: 'cart-1',
+    userId: 'user-1',
+    updatedAt: hoursAgo(30),
+    reminders: [],
+    items: [{
+      quantity: 2,
+      product: { name: 'Walton Primo NH5', regularPrice: '1000.00' },
+      variant: null
+    }],
+    user: user({}),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cartRecoveryService = new CartRecoveryService();
+    cartRecoveryService.frontendUrl = 'https://shop.example.com';
+    cartRecoveryService.prisma = {
+      cart: { findMany: jest.fn() },
+      cartReminder: {
+        create: jest.fn(({ data }) => Promise.resolve({ id: `reminder-${data.channel}`, ...data })),
+        findUnique: jest.fn(),
+        update: jest.fn(),
+        findMany: jest.fn()
+      }
+    };
+    emailService.sendAbandonedCartEmail.mockResolvedValue({ success: true });
+    smsService.sendSMS.mockResolvedValue({ success: true });
+  });
+
+  describe('Channels', () => {
+    /**
+     * Test reminders need marketing consent
+     */
+    it('should not remind users without marketing consent', () => {
+      expect(cartRecoveryService.getChannels(user({ marketingCommunications: false }))).toEqual([]);
+      expect(cartRecoveryService.getChannels(user(null))).toEqual([]);
+    });
+
+    /**
+     * Test the preferred contact method picks the channels
+     */
+    it('should follow the preferred contact method', () => {
+      expect(cartRecoveryService.getChannels(user({}, 'email'))).toEqual(['EMAIL']);
+      expect(cartRecoveryService.getChannels(user({}, 'phone'))).toEqual(['SMS']);
+      expect(cartRecoveryService.getChannels(user({}, 'both'))).toEqual(['EMAIL', 'SMS']);
+      expect(cartRecoveryService.getChannels(user({ smsNotifications: false }, 'both'))).toEqual(['EMAIL']);
+    });
+  });
+
+  describe('Reminders', () => {
+    /**
+     * Test carts already reminded since their last change are skipped
+     */
+    it('should only pick carts not reminded since they went idle', async () => {
+      cartRecoveryService.prisma.cart.findMany.mockResolvedValue([
+        cart(),
+        cart({ id: 'cart-2', reminders: [{ sentAt: hoursAgo(2) }] }),
+        cart({ id: 'cart-3', reminders: [{ sentAt: hoursAgo(40) }] })
+      ]);
+
+      const carts = await cartRecoveryService.findAbandonedCarts(now);
+
+      expect(carts.map(c => c.id)).toEqual(['cart-1', 'cart-3']);
+      expect(cartRecoveryService.prisma.cart.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          userId: { not: null },
+          updatedAt: { lte: hoursAgo(24), gte: hoursAgo(7 * 24) },
+          user: { notificationPreferences: { marketingCommunications: true } }
+        })
+      }));
+    });
+
+    /**
+     * Test carts reminded earlier do not crowd newer abandoned carts out of the batch
+     */
+    it('should page past reminded carts until the batch is full', async () => {
+      cartRecoveryService.batchSize = 2;
+      cartRecoveryService.prisma.cart.findMany
+        .mockResolvedValueOnce([
+          cart({ id: 'cart-1', reminders: [{ sentAt: hoursAgo(2) }] }),
+          cart({ id: 'cart-2', reminders: [{ sentAt: hoursAgo(3) }] })
+        ])
+        .mockResolvedValueOnce([
+          cart({ id: 'cart-3', reminders: [{ sentAt: hoursAgo(4) }] }),
+          cart({ id: 'cart-4' })
+        ])
+        .mockResolvedValueOnce([cart({ id: 'cart-5' })]);
+
+      const carts = await cartRecoveryService.findAbandonedCarts(now);
+
+      expect(carts.map(c => c.id)).toEqual(['cart-4', 'cart-5']);
+      expect(cartRecoveryService.prisma.cart.findMany).toHaveBeenCalledTimes(3);
+      expect(cartRecoveryService.prisma.cart.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        skip: 1,
+        cursor: { id: 'cart-4' }
+      }));
+    });
+
+    /**
+     * Test reminders are sent with a tracked deep link and recorded
+     */
+    it('should send and record reminders on each chosen channel', async () => {
+      cartRecoveryService.prisma.cart.findMany.mockResolvedValue([
+        cart({ user: user({}, 'both') }),
+        cart({ id: 'cart-2', userId: 'user-2', user: user({ marketingCommunications: false }) })
+      ]);
+
+      const result = await cartRecoveryService.sendReminders(now);
+
+      expect(result).toEqual({ scanned: 2, sent: 2, failed: 0, skipped: 1 });
+      expect(emailService.sendAbandonedCartEmail).toHaveBeenCalledWith('nusrat@example.com', 'Nusrat Jahan', {
+        items: [{ name: 'Walton Primo NH5', quantity: 2, totalPrice: 2000 }],
+        subtotal: 2000,
+        cartUrl: expect.stringMatching(/^https:\/\/shop\.example\.com\/cart\?reminder=[0-9a-f]{48}$/)
+      });
+      expect(smsService.sendSMS).toHaveBeenCalledWith('01811000000', expect.stringContaining('/cart?reminder='));
+      expect(cartRecoveryService.prisma.cartReminder.create).toHaveBeenCalledTimes(2);
+    });
+
+    /**
+     * Test one failing reminder does not stop the batch
+     */
+    it('should log a reminder that throws and carry on with the next cart', async () => {
+      cartRecoveryService.prisma.cart.findMany.mockResolvedValue([
+        cart({ user: user({}, 'both') }),
+        cart({ id: 'cart-2', userId: 'user-2' })
+      ]);
+      smsService.sendSMS.mockRejectedValueOnce(new Error('SMS gateway unavailable'));
+
+      const result = await cartRecoveryService.sendReminders(now);
+
+      expect(result).toEqual({ scanned: 2, sent: 2, failed: 1, skipped: 0 });
+      expect(cartRecoveryService.logger.error).toHaveBeenCalledWith('Abandoned cart reminder failed', {
+        cartId: 'cart-1',
+        channel: 'SMS',
+        error: 'SMS gateway unavailable'
+      });
+      expect(emailService.sendAbandonedCartEmail).toHaveBeenCalledTimes(2);
+    });
+
+    /**
+     * Test failed sends are not recorded
+     */
+    it('should not record a reminder that failed to send', async () => {
+      emailService.sendAbandonedCartEmail.mockResolvedValue({ success: false, error: 'Invalid email format' });
+
+      await expect(cartRecoveryService.sendReminder(cart(), 'EMAIL')).resolves.toBeNull();
+      expect(cartRecoveryService.prisma.cartReminder.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Tracking', () => {
+    /**
+     * Test unknown reminder links are rejected
+     */
+    it('should reject clicks for unknown reminders', async () => {
+      cartRecoveryService.prisma.cartReminder.findUnique.mockResolvedValue(null);
+
+      await expect(cartRecoveryService.recordClick('missing'))
+        .rejects.toMatchObject({ name: 'NotFoundError', statusCode: 404 });
+    });
+
+    /**
+     * Test stats are grouped per channel
+     */
+    it('should summarize clicks, conversions and revenue per channel', async () => {
+      cartRecoveryService.prisma.cartReminder.findMany.mockResolvedValue([
+        { channel: 'EMAIL', clickedAt: now, convertedAt: now, orderTotal: '2500.00' },
+        { channel: 'EMAIL', clickedAt: now, convertedAt: null, orderTotal: null },
+        { channel: 'EMAIL', clickedAt: null, convertedAt: null, orderTotal: null },
+        { channel: 'SMS', clickedAt: null, convertedAt: now, orderTotal: '800.00' }
+      ]);
+
+      const stats = await cartRecoveryService.getStats();
+
+      expect(stats.totalSent).toBe(4);
+      expect(stats.totalConverted).toBe(2);
+      expect(stats.channels.EMAIL).toMatchObject({ sent: 3, clicked: 2, converted: 1, revenue: 2500 });
+      expect(stats.channels.SMS).toMatchObject({ sent: 1, converted: 1, conversionRate: 1 });
+    });
+  });
+});
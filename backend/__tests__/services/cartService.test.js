@@ -0,0 +1,309 @@
+/**
+ * Cart service testing
+ * Tests guest cart tokens, cart ownership, revalidation and merging a guest cart into a user's cart
+ */
+
+// Token signatures are under test, so use the real jsonwebtoken instead of the setup mock
+jest.unmock('jsonwebtoken');
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { CartService } = require('../../services/cartService');
+const { PricingService } = require('../../services/pricingService');
+
+describe('CartService', () => {
+  let cartService;
+  let tx;
+  let products;
+  let userItems;
+
+  const guestCart = {
+    id: 'guest-cart-1',
+    userId: null,
+    sessionId: 'session-1',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    items: [
+      { productId: 'product-1', variantId: null, quantity: 2 },
+      { productId: 'product-2', variantId: null, quantity: 3 },
+      { productId: 'product-3', variantId: null, quantity: 1 }
+    ]
+  };
+
+  const publishedAt = new Date('2026-01-01T00:00:00Z');
+
+  beforeEach(() => {
+    products = {
+      'product-1': { id: 'product-1', name: 'Xiaomi Redmi 13C', status: 'ACTIVE', regularPrice: '15000.00', stockQuantity: 10, publishedAt },
+      'product-2': { id: 'product-2', name: 'Anker PowerCore', status: 'ACTIVE', regularPrice: '3000.00', stockQuantity: 4, publishedAt },
+      'product-3': { id: 'product-3', name: 'Nokia 105', status: 'DISCONTINUED', regularPrice: '1800.00', stockQuantity: 6, publishedAt }
+    };
+    userItems = [
+      { id: 'item-1', cartId: 'user-cart-1', productId: 'product-2', variantId: null, quantity: 2 }
+    ];
+
+    tx = {
+      cart: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(
+          where.id === guestCart.id ? guestCart
+            : where.id === 'user-cart-1' || where.userId === 'user-1' ? { id: 'user-cart-1', userId: 'user-1' } : null
+        )),
+        create: jest.fn(({ data }) => Promise.resolve({ id: 'new-cart', ...data })),
+        delete: jest.fn().mockResolvedValue({})
+      },
+      cartItem: {
+        findFirst: jest.fn(({ where }) => Promise.resolve(
+          userItems.find(item => item.cartId === where.cartId && item.productId === where.productId) || null
+        )),
+        create: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({}),
+        deleteMany: jest.fn().mockResolvedValue({ count: 3 })
+      },
+      product: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(products[where.id] || null))
+      }
+    };
+
+    cartService = new CartService();
+    cartService.tokenSecret = 'test-cart-token-secret';
+    cartService.pricingService = new PricingService();
+    cartService.prisma = {
+      $transaction: jest.fn(callback => callback(tx))
+    };
+  });
+
+  describe('Cart Tokens', () => {
+    /**
+     * Test the token is read from the header or the cookie
+     */
+    it('should read the cart token from the header or cookie', () => {
+      const token = cartService.signCartToken(guestCart);
+
+      expect(cartService.getCartToken({ headers: { 'x-cart-token': token } })).toBe(token);
+      expect(cartService.getCartToken({ headers: { cookie: `theme=dark; cartToken=${token}` } })).toBe(token);
+      expect(cartService.getCartToken({ headers: {} })).toBeNull();
+    });
+
+    /**
+     * Test tokens signed with another secret are rejected
+     */
+    it('should reject forged tokens', () => {
+      const forger = new CartService();
+      forger.tokenSecret = 'another-secret';
+
+      expect(cartService.verifyCartToken(forger.signCartToken(guestCart))).toBeNull();
+    });
+
+    /**
+     * Test a token is not enough once the cart belongs to a user
+     */
+    it('should not resolve a guest cart that has been claimed', async () => {
+      const token = cartService.signCartToken(guestCart);
+      tx.cart.findUnique.mockResolvedValueOnce({ ...guestCart, userId: 'user-1' });
+
+      await expect(cartService.findGuestCart(token, tx)).resolves.toBeNull();
+    });
+  });
+
+  describe('Cart Access', () => {
+    beforeEach(() => {
+      cartService.prisma.cart = tx.cart;
+    });
+
+    /**
+     * Test users reach their own cart and admins any cart
+     */
+    it('should allow the owner and admins', async () => {
+      await expect(cartService.authorizeCart('user-cart-1', { user: { id: 'user-1', role: 'CUSTOMER' } }))
+        .resolves.toMatchObject({ userId: 'user-1' });
+      await expect(cartService.authorizeCart('user-cart-1', { user: { id: 'admin-1', role: 'ADMIN' } }))
+        .resolves.toMatchObject({ userId: 'user-1' });
+    });
+
+    /**
+     * Test another user's cart is refused
+     */
+    it('should refuse carts of other users', async () => {
+      await expect(cartService.authorizeCart('user-cart-1', { user: { id: 'user-2', role: 'CUSTOMER' } }))
+        .rejects.toMatchObject({ name: 'ForbiddenError', statusCode: 403 });
+    });
+
+    /**
+     * Test guests reach only the cart their token was issued for
+     */
+    it('should allow guests with the token of the cart', async () => {
+      const token = cartService.signCartToken(guestCart);
+
+      await expect(cartService.authorizeCart('guest-cart-1', { token })).resolves.toMatchObject({ id: 'guest-cart-1' });
+      await expect(cartService.authorizeCart('user-cart-1', { token }))
+        .rejects.toMatchObject({ name: 'ForbiddenError' });
+      await expect(cartService.authorizeCart('missing-cart', { token }))
+        .rejects.toMatchObject({ name: 'NotFoundError', statusCode: 404 });
+    });
+
+    /**
+     * Test the user cart is created on first use
+     */
+    it('should upsert the user cart', async () => {
+      cartService.prisma.cart.upsert = jest.fn().mockResolvedValue({ id: 'user-cart-1', userId: 'user-1' });
+
+      await expect(cartService.getOrCreateUserCart('user-1')).resolves.toMatchObject({ id: 'user-cart-1' });
+      expect(cartService.prisma.cart.upsert).toHaveBeenCalledWith({
+        where: { userId: 'user-1' },
+        update: {},
+        create: { userId: 'user-1' }
+      });
+    });
+  });
+
+  describe('Revalidation', () => {
+    const line = (overrides = {}) => ({
+      id: 'item-1',
+      productId: 'product-1',
+      variantId: null,
+      quantity: 2,
+      unitPrice: '15000.00',
+      product: { ...products['product-1'] },
+      variant: null,
+      ...overrides
+    });
+
+    /**
+     * Test price changes are flagged in English and Bangla
+     */
+    it('should flag a price increase', () => {
+      const check = cartService.revalidateItem(line({ product: { ...products['product-1'], regularPrice: '16500.00' } }));
+
+      expect(check.unitPrice).toBe(16500);
+      expect(check.previousUnitPrice).toBe(15000);
+      expect(check.warnings).toEqual([{
+        code: 'PRICE_INCREASED',
+        message: 'Price increased from ৳15000.00 to ৳16500.00',
+        messageBn: 'দাম ৳15000.00 থেকে বেড়ে ৳16500.00 হয়েছে'
+      }]);
+    });
+
+    /**
+     * Test stock and availability problems are flagged
+     */
+    it('should flag short stock and unavailable lines', () => {
+      expect(cartService.revalidateItem(line({ quantity: 12 })).warnings.map(w => w.code)).toEqual(['LIMITED_STOCK']);
+      expect(cartService.revalidateItem(line({ product: { ...products['product-3'] }, unitPrice: '1800.00' })))
+        .toMatchObject({ availableQuantity: 0, warnings: [{ code: 'UNAVAILABLE' }] });
+      expect(cartService.revalidateItem(line({ variantId: 'variant-1', variant: { price: '15000.00', stock: 5, isActive: false } })))
+        .toMatchObject({ availableQuantity: 0, warnings: [{ code: 'UNAVAILABLE' }] });
+      expect(cartService.revalidateItem(line({ product: { ...products['product-1'], publishedAt: null } })))
+        .toMatchObject({ availableQuantity: 0, warnings: [{ code: 'UNAVAILABLE' }] });
+    });
+
+    /**
+     * Test an unchanged cart reports no changes
+     */
+    it('should report no changes for an up to date cart', () => {
+      const { items, hasChanges } = cartService.revalidateCart({ items: [line()] });
+
+      expect(hasChanges).toBe(false);
+      expect(items[0]).toMatchObject({ totalPrice: 30000, warnings: [] });
+    });
+
+    /**
+     * Test totals only count what can be bought now
+     */
+    it('should leave unavailable lines and missing stock out of the purchasable lines', () => {
+      const { items } = cartService.revalidateCart({
+        items: [
+          line(),
+          line({ id: 'item-2', productId: 'product-2', quantity: 6, unitPrice: '3000.00', product: { ...products['product-2'] } }),
+          line({ id: 'item-3', productId: 'product-3', quantity: 1, unitPrice: '1800.00', product: { ...products['product-3'] } })
+        ]
+      });
+
+      expect(cartService.purchasableItems(items).map(item => [item.id, item.quantity, item.totalPrice])).toEqual([
+        ['item-1', 2, 30000],
+        ['item-2', 4, 12000]
+      ]);
+      expect(items.map(item => item.quantity)).toEqual([2, 6, 1]);
+    });
+
+    /**
+     * Test accepting changes reprices, caps and removes lines
+     */
+    it('should apply accepted changes', async () => {
+      tx.cartItem.findMany = jest.fn().mockResolvedValue([
+        line({ product: { ...products['product-1'], regularPrice: '14000.00' } }),
+        line({ id: 'item-2', productId: 'product-2', quantity: 6, unitPrice: '3000.00', product: { ...products['product-2'] } }),
+        line({ id: 'item-3', productId: 'product-3', quantity: 1, unitPrice: '1800.00', product: { ...products['product-3'] } })
+      ]);
+      tx.cartItem.delete = jest.fn().mockResolvedValue({});
+
+      const result = await cartService.acceptChanges('user-cart-1');
+
+      expect(tx.cartItem.update).toHaveBeenCalledWith({
+        where: { id: 'item-1' },
+        data: { quantity: 2, unitPrice: 14000, totalPrice: 28000 }
+      });
+      expect(tx.cartItem.update).toHaveBeenCalledWith({
+        where: { id: 'item-2' },
+        data: { quantity: 4, unitPrice: 3000, totalPrice: 12000 }
+      });
+      expect(tx.cartItem.delete).toHaveBeenCalledWith({ where: { id: 'item-3' } });
+      expect(result.removedItems).toEqual([
+        { id: 'item-3', productId: 'product-3', variantId: null, reason: 'UNAVAILABLE' }
+      ]);
+    });
+  });
+
+  describe('Merging', () => {
+    /**
+     * Test quantities are summed and capped at stock, unavailable lines dropped
+     */
+    it('should merge the guest cart into the user cart', async () => {
+      const result = await cartService.mergeGuestCart('user-1', cartService.signCartToken(guestCart));
+
+      expect(tx.cartItem.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ cartId: 'user-cart-1', productId: 'product-1', quantity: 2, unitPrice: 15000 })
+      });
+      expect(tx.cartItem.update).toHaveBeenCalledWith({
+        where: { id: 'item-1' },
+        data: { quantity: 4, unitPrice: 3000, totalPrice: 12000 }
+      });
+      expect(result.mergedItems).toBe(2);
+      expect(result.adjustments).toEqual([
+        { productId: 'product-2', variantId: null, reason: 'LIMITED_STOCK', requested: 5, quantity: 4 },
+        { productId: 'product-3', variantId: null, reason: 'UNAVAILABLE', requested: 1, quantity: 0 }
+      ]);
+      expect(tx.cart.delete).toHaveBeenCalledWith({ where: { id: 'guest-cart-1' } });
+    });
+
+    /**
+     * Test a user without a cart gets one
+     */
+    it('should create the user cart when missing', async () => {
+      const result = await cartService.mergeGuestCart('user-2', cartService.signCartToken(guestCart));
+
+      expect(tx.cart.create).toHaveBeenCalledWith({ data: { userId: 'user-2' } });
+      expect(result.cartId).toBe('new-cart');
+    });
+
+    /**
+     * Test merging on login never breaks the login
+     */
+    it('should skip merging when the token is invalid', async () => {
+      const res = { clearCookie: jest.fn() };
+
+      await expect(cartService.mergeFromRequest({ headers: { 'x-cart-token': 'garbage' } }, res, 'user-1'))
+        .resolves.toBeNull();
+      expect(tx.cart.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,588 @@
+/**
+ * Catalog transfer service testing
+ * Tests file parsing (CSV, XLSX, NDJSON), row validation, dry-run and
+ * upsert imports, and export files that import back unchanged
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/searchService', () => ({
+  searchService: {
+    syncProduct: jest.fn().mockResolvedValue(true)
+  }
+}));
+
+jest.mock('../../services/emailService', () => ({
+  emailService: {}
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { CatalogTransferService, COLUMNS } = require('../../services/catalogTransferService');
+const { searchService } = require('../../services/searchService');
+
+describe('CatalogTransferService', () => {
+  let catalogTransferService;
+  let tx;
+  let job;
+
+  const csv = (lines) => Buffer.from(lines.join('\n'));
+
+  const header = 'sku,name,category,brand,regularPrice,costPrice,stockQuantity,specifications,variants';
+
+  const storedProduct = {
+    id: 'product-1',
+    sku: 'PHONE-1',
+    name: 'Phone One',
+    nameEn: 'Phone One',
+    nameBn: 'ফোন ওয়ান',
+    slug: 'phone-one',
+    shortDescription: null,
+    description: 'Line one, with comma\nLine "two"',
+    regularPrice: '25000.00',
+    salePrice: '23000.50',
+    saleStartsAt: new Date('2026-02-01T00:00:00.000Z'),
+    saleEndsAt: null,
+    costPrice: '20000.00',
+    taxRate: '5.00',
+    stockQuantity: 12,
+    lowStockThreshold: 3,
+    weight: '0.180',
+    status: 'ACTIVE',
+    isFeatured: true,
+    isNewArrival: false,
+    isBestSeller: false,
+    warrantyPeriod: 12,
+    warrantyType: 'Brand',
+    metaTitle: null,
+    metaDescription: null,
+    metaKeywords: null,
+    category: { slug: 'smartphones' },
+    brand: { slug: 'acme' },
+    specifications: [{ name: 'RAM', value: '8 GB' }, { name: 'Storage', value: '128 GB' }],
+    variants: [{ sku: 'PHONE-1-BLK', name: 'Black', price: '25000.00', comparePrice: null, stock: 5, isActive: true }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    job = null;
+
+    tx = {
+      product: {
+        create: jest.fn(({ data }) => Promise.resolve({ id: `new-${data.sku}` })),
+        update: jest.fn(({ where }) => Promise.resolve({ id: `existing-${where.sku}` }))
+      },
+      productSpecification: {
+        deleteMany: jest.fn().mockResolvedValue({ count: 0 }),
+        createMany: jest.fn().mockResolvedValue({ count: 0 })
+      },
+      productVariant: {
+        findMany: jest.fn().mockResolvedValue([]),
+        update: jest.fn().mockResolvedValue({}),
+        create: jest.fn().mockResolvedValue({}),
+        updateMany: jest.fn().mockResolvedValue({ count: 0 })
+      }
+    };
+
+    catalogTransferService = new CatalogTransferService();
+    catalogTransferService.prisma = {
+      category: {
+        findMany: jest.fn().mockResolvedValue([{ id: 'cat-1', slug: 'smartphones', name: 'Smart Phones' }])
+      },
+      brand: {
+        findMany: jest.fn().mockResolvedValue([{ id: 'brand-1', slug: 'acme', name: 'Acme' }])
+      },
+      product: {
+        findMany: jest.fn().mockResolvedValue([{ id: 'product-9', sku: 'EXISTING-1', slug: 'existing-one' }]),
+        count: jest.fn().mockResolvedValue(1)
+      },
+      productVariant: {
+        findMany: jest.fn().mockResolvedValue([{ sku: 'TAKEN-VARIANT', product: { sku: 'EXISTING-1' } }])
+      },
+      catalogJob: {
+        create: jest.fn(({ data }) => {
+          job = { id: 'job-1', status: 'pending', totalRows: 0, processedRows: 0, ...data };
+          return Promise.resolve(job);
+        }),
+        update: jest.fn(({ data }) => {
+          Object.assign(job, data);
+          return Promise.resolve(job);
+        }),
+        findFirst: jest.fn().mockResolvedValue(null),
+        updateMany: jest.fn().mockResolvedValue({ count: 0 })
+      },
+      $transaction: jest.fn(fn => fn(tx))
+    };
+    // startImport checks for running imports and creates the job in a transaction
+    tx.$executeRaw = jest.fn().mockResolvedValue(1);
+    tx.catalogJob = catalogTransferService.prisma.catalogJob;
+    catalogTransferService.publishingService = {
+      ensureBaseline: jest.fn().mockResolvedValue(null),
+      recordRevision: jest.fn().mockResolvedValue({ version: 1 })
+    };
+    catalogTransferService.stockService = {
+      setStock: jest.fn().mockResolvedValue(null),
+      recordOpeningStock: jest.fn().mockResolvedValue(null),
+      refreshStatus: jest.fn().mockResolvedValue('ACTIVE')
+    };
+    jest.spyOn(catalogTransferService, 'runImport');
+    jest.spyOn(catalogTransferService, 'runExport');
+  });
+
+  // Wait for the background job started by startImport/startExport, including a failure being recorded
+  const finishJob = async (runner) => {
+    await catalogTransferService[runner].mock.results[0].value.catch(() => {});
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  describe('parseFile', () => {
+    /**
+     * Test CSV with a BOM, quoted commas, quotes and line breaks, and blank lines
+     */
+    it('should read quoted CSV fields and number rows as in the spreadsheet', async () => {
+      const { records } = await catalogTransferService.parseFile(csv([
+        '\uFEFFsku,Regular Price,description',
+        'A-1,100,"Fast, small"',
+        '',
+        'A-2,200,"Says ""hi""',
+        'second line"'
+      ]), 'csv');
+
+      expect(records).toEqual([
+        { row: 2, record: { sku: 'A-1', 'Regular Price': '100', description: 'Fast, small' } },
+        { row: 4, record: { sku: 'A-2', 'Regular Price': '200', description: 'Says "hi"\nsecond line' } }
+      ]);
+      expect(catalogTransferService.mapRecord(records[0].record)).toEqual({
+        sku: 'A-1', regularPrice: '100', description: 'Fast, small'
+      });
+    });
+
+    /**
+     * Test NDJSON with Elasticsearch bulk action lines and a broken line
+     */
+    it('should skip bulk action lines and report lines that are not JSON objects', async () => {
+      const { records, errors } = await catalogTransferService.parseFile(Buffer.from([
+        '{"index":{"_index":"products","_id":"p1"}}',
+        '{"sku":"A-1","price":100,"stock_quantity":4,"attributes":{"RAM":"8GB"}}',
+        '{"sku":',
+        '[1,2]'
+      ].join('\n')), 'ndjson');
+
+      expect(records).toHaveLength(1);
+      expect(records[0].row).toBe(2);
+      expect(catalogTransferService.mapRecord(records[0].record)).toEqual({
+        sku: 'A-1', regularPrice: 100, stockQuantity: 4, specifications: { RAM: '8GB' }
+      });
+      expect(errors).toEqual([
+        { row: 3, message: 'Line is not valid JSON' },
+        { row: 4, message: 'Line is not a JSON object' }
+      ]);
+    });
+
+    /**
+     * Test the repository's ES bulk sample file
+     */
+    it('should read the products of temp-bulk-data.json', async () => {
+      const buffer = await fs.readFile(path.join(__dirname, '../../../temp-bulk-data.json'));
+      const { records, errors } = await catalogTransferService.parseFile(buffer, 'ndjson');
+
+      expect(errors).toEqual([]);
+      expect(records.length).toBeGreaterThan(0);
+      const data = catalogTransferService.mapRecord(records[0].record);
+      expect(data).toMatchObject({ sku: 'PHONE-PRO-MAX-128', regularPrice: 899.99, stockQuantity: 50, category: 'Electronics' });
+      expect(catalogTransferService.parseSpecifications(data.specifications)).toContainEqual(
+        { name: 'processor', value: 'A17 Pro', sortOrder: 1 }
+      );
+    });
+
+    /**
+     * Test format detection from the file name
+     */
+    it('should detect the format from the extension and reject unknown files', () => {
+      expect(catalogTransferService.detectFormat('catalog.XLSX')).toBe('xlsx');
+      expect(catalogTransferService.detectFormat('catalog.jsonl')).toBe('ndjson');
+      expect(catalogTransferService.detectFormat('catalog.txt', 'csv')).toBe('csv');
+      expect(() => catalogTransferService.detectFormat('catalog.txt')).toThrow('Cannot tell the file format');
+    });
+  });
+
+  describe('parseSpecifications / parseVariants', () => {
+    /**
+     * Test the text and JSON specification forms
+     */
+    it('should accept Name: Value text and JSON', () => {
+      expect(catalogTransferService.parseSpecifications('RAM: 8 GB; Display: 6.1": OLED')).toEqual([
+        { name: 'RAM', value: '8 GB', sortOrder: 0 },
+        { name: 'Display', value: '6.1": OLED', sortOrder: 1 }
+      ]);
+      expect(catalogTransferService.parseSpecifications('[{"name":"Colour","value":"Red; Blue"}]')).toEqual([
+        { name: 'Colour', value: 'Red; Blue', sortOrder: 0 }
+      ]);
+      expect(() => catalogTransferService.parseSpecifications('RAM 8 GB')).toThrow('Name: Value');
+    });
+
+    /**
+     * Test variant defaults, aliases and errors
+     */
+    it('should parse variants with defaults and reject incomplete ones', () => {
+      expect(catalogTransferService.parseVariants('[{"sku":"V-1","name":"Red","price":"1,200","stock_quantity":3}]')).toEqual([
+        { sku: 'V-1', name: 'Red', price: 1200, comparePrice: null, stock: 3, isActive: true }
+      ]);
+      expect(catalogTransferService.parseVariants([{ sku: 'V-2', price: 1, attributes: { Color: 'Red', Storage: '256GB' } }])).toEqual([
+        { sku: 'V-2', name: 'Red / 256GB', price: 1, comparePrice: null, stock: 0, isActive: true, options: { color: 'Red', storage: '256GB' } }
+      ]);
+      expect(() => catalogTransferService.parseVariants('[{"sku":"V-1","name":"Red"}]')).toThrow('needs a price');
+      expect(() => catalogTransferService.parseVariants('{"sku":"V-1"}')).toThrow('JSON array');
+    });
+  });
+
+  describe('validateRow', () => {
+    const validate = async (rows) => {
+      const mapped = rows.map((data, i) => ({ row: i + 2, data }));
+      const context = await catalogTransferService.loadContext(mapped);
+      return mapped.map(({ row, data }) => catalogTransferService.validateRow(row, data, context));
+    };
+
+    const newProduct = {
+      sku: 'NEW-1', name: 'New Phone', category: 'Smart Phones', brand: 'acme', regularPrice: '15,000', costPrice: '12000'
+    };
+
+    /**
+     * Test a new product: name defaults, derived slug, category by name
+     */
+    it('should prepare a new product with a derived slug', async () => {
+      const [result] = await validate([newProduct]);
+
+      expect(result.errors).toEqual([]);
+      expect(result.isNew).toBe(true);
+      expect(result.product).toEqual({
+        name: 'New Phone',
+        nameEn: 'New Phone',
+        slug: 'new-phone',
+        regularPrice: 15000,
+        costPrice: 12000,
+        categoryId: 'cat-1',
+        brandId: 'brand-1'
+      });
+    });
+
+    /**
+     * Test required fields and unknown category/brand
+     */
+    it('should report missing fields and unknown category and brand', async () => {
+      const [result] = await validate([{ sku: 'NEW-2', name: 'X', category: 'Tablets', brand: 'Nobody' }]);
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        { field: 'regularPrice', message: 'regularPrice is required for a new product' },
+        { field: 'costPrice', message: 'costPrice is required for a new product' },
+        { field: 'category', message: 'Unknown category: Tablets' },
+        { field: 'brand', message: 'Unknown brand: Nobody' }
+      ]));
+    });
+
+    /**
+     * Test that an existing SKU is an update needing no other fields
+     */
+    it('should allow partial rows for existing products', async () => {
+      const [result] = await validate([{ sku: 'EXISTING-1', stockQuantity: '7', status: 'out of stock' }]);
+
+      expect(result.errors).toEqual([]);
+      expect(result.isNew).toBe(false);
+      expect(result.product).toEqual({ stockQuantity: 7, status: 'OUT_OF_STOCK' });
+    });
+
+    /**
+     * Test duplicate SKU and slug detection within the file and against the database
+     */
+    it('should detect duplicate SKUs and slugs', async () => {
+      const results = await validate([
+        newProduct,
+        { ...newProduct, name: 'Other' },
+        { ...newProduct, sku: 'NEW-3' },
+        { ...newProduct, sku: 'NEW-4', slug: 'existing-one' }
+      ]);
+
+      expect(results[0].errors).toEqual([]);
+      expect(results[1].errors).toEqual([{ field: 'sku', message: 'Duplicate SKU in file (first on row 2)' }]);
+      expect(results[2].errors).toEqual([{ field: 'slug', message: 'Duplicate slug in file (first on row 2)' }]);
+      expect(results[3].errors).toEqual([{ field: 'slug', message: 'Slug is already used by product EXISTING-1' }]);
+    });
+
+    /**
+     * Test variant SKU conflicts
+     */
+    it('should reject variant SKUs used by other products or repeated in the file', async () => {
+      const results = await validate([
+        { ...newProduct, variants: '[{"sku":"TAKEN-VARIANT","name":"Red","price":1}]' },
+        { ...newProduct, sku: 'NEW-5', slug: 'new-5', variants: '[{"sku":"V-1","name":"A","price":1},{"sku":"V-1","name":"B","price":1}]' }
+      ]);
+
+      expect(results[0].errors).toEqual([{ field: 'variants', message: 'Variant SKU TAKEN-VARIANT belongs to product EXISTING-1' }]);
+      expect(results[1].errors).toEqual([{ field: 'variants', message: 'Duplicate variant SKU V-1 (first on row 3)' }]);
+    });
+
+    /**
+     * Test value checks
+     */
+    it('should report invalid values', async () => {
+      const [result] = await validate([{
+        ...newProduct,
+        regularPrice: 'abc',
+        stockQuantity: '2.5',
+        isFeatured: 'maybe',
+        taxRate: '150',
+        saleStartsAt: '2026-03-01',
+        saleEndsAt: '2026-02-01',
+        name: 'নতুন ফোন'
+      }]);
+
+      expect(result.errors.map(error => error.field)).toEqual(
+        expect.arrayContaining(['regularPrice', 'stockQuantity', 'isFeatured', 'taxRate', 'saleEndsAt', 'slug'])
+      );
+    });
+  });
+
+  describe('imports', () => {
+    const file = csv([
+      header,
+      'NEW-1,New Phone,smartphones,acme,15000,12000,4,"RAM: 8 GB; Storage: 128 GB","[{""sku"":""NEW-1-RED"",""name"":""Red"",""price"":15000}]"',
+      'EXISTING-1,,,,,,9,,',
+      'NEW-2,Broken,tablets,acme,1,1,1,,'
+    ]);
+
+    /**
+     * Test that a dry run reports without saving
+     */
+    it('should validate without saving on a dry run', async () => {
+      await catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv', dryRun: true, userId: 'admin-1' });
+      await finishJob('runImport');
+
+      expect(catalogTransferService.prisma.$transaction).not.toHaveBeenCalled();
+      expect(searchService.syncProduct).not.toHaveBeenCalled();
+      expect(job).toMatchObject({
+        status: 'completed',
+        dryRun: true,
+        totalRows: 3,
+        processedRows: 3,
+        createdCount: 1,
+        updatedCount: 1,
+        failedCount: 1,
+        errors: [{ row: 4, sku: 'NEW-2', field: 'category', message: 'Unknown category: tablets' }]
+      });
+      expect(catalogTransferService.toJobResponse(job).progress).toBe(100);
+    });
+
+    /**
+     * Test upserts with specifications and variants
+     */
+    it('should create and update products by SKU', async () => {
+      tx.productVariant.findMany.mockResolvedValue([{ id: 'variant-1', sku: 'NEW-1-RED' }]);
+
+      await catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv', userId: 'admin-1' });
+      await finishJob('runImport');
+
+      expect(tx.product.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ sku: 'NEW-1', slug: 'new-phone', stockQuantity: 4, categoryId: 'cat-1', publishedAt: expect.any(Date) })
+      }));
+      expect(tx.product.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { sku: 'EXISTING-1' },
+        data: {}
+      }));
+      expect(tx.productSpecification.createMany).toHaveBeenCalledWith({
+        data: [
+          { name: 'RAM', value: '8 GB', sortOrder: 0, productId: 'new-NEW-1' },
+          { name: 'Storage', value: '128 GB', sortOrder: 1, productId: 'new-NEW-1' }
+        ]
+      });
+      // Specifications and variants are left alone when the row has none
+      expect(tx.productSpecification.deleteMany).toHaveBeenCalledTimes(1);
+      expect(tx.productVariant.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'variant-1' } }));
+      expect(tx.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { productId: 'new-NEW-1', sku: { notIn: ['NEW-1-RED'] } },
+        data: { isActive: false }
+      });
+      expect(catalogTransferService.stockService.refreshStatus).toHaveBeenCalledWith(tx, 'new-NEW-1');
+      expect(catalogTransferService.publishingService.recordRevision).toHaveBeenCalledWith(tx, 'new-NEW-1', { actorId: 'admin-1', reason: 'Catalog import' });
+      // Existing products keep their pre-import content as a revision
+      expect(catalogTransferService.publishingService.ensureBaseline).toHaveBeenCalledTimes(1);
+      expect(catalogTransferService.publishingService.ensureBaseline).toHaveBeenCalledWith(tx, 'product-9');
+      expect(searchService.syncProduct).toHaveBeenCalledTimes(2);
+      expect(job).toMatchObject({ status: 'completed', createdCount: 1, updatedCount: 1, failedCount: 1 });
+    });
+
+    /**
+     * Test stock levels go through the stock ledger instead of onto the rows
+     */
+    it('should record imported stock levels as stock movements', async () => {
+      tx.productVariant.findMany.mockResolvedValue([{ id: 'variant-1', sku: 'NEW-1-RED' }]);
+
+      await catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv', userId: 'admin-1' });
+      await finishJob('runImport');
+
+      const { stockService } = catalogTransferService;
+      expect(stockService.recordOpeningStock).toHaveBeenCalledWith(tx, { productId: 'new-NEW-1', quantity: 4, reason: 'Catalog import', actorId: 'admin-1' });
+      expect(stockService.setStock).toHaveBeenCalledWith('existing-EXISTING-1', 9, { reason: 'Catalog import', actorId: 'admin-1' }, tx);
+      expect(stockService.setStock).toHaveBeenCalledWith('new-NEW-1', expect.any(Number), expect.objectContaining({ variantId: 'variant-1' }), tx);
+      tx.productVariant.update.mock.calls.forEach(([{ data }]) => expect(data).not.toHaveProperty('stock'));
+    });
+
+    /**
+     * Test a stock level below what branches hold fails its row
+     */
+    it('should reject rows setting stock below branch stock', async () => {
+      const error = new Error('Branches hold 12 of this stock; adjust or transfer it there first');
+      catalogTransferService.stockService.setStock.mockRejectedValueOnce(error);
+
+      await catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv' });
+      await finishJob('runImport');
+
+      expect(job.errors).toContainEqual({ row: 3, sku: 'EXISTING-1', field: null, message: `Failed to save: ${error.message}` });
+      expect(job).toMatchObject({ createdCount: 1, updatedCount: 0 });
+    });
+
+    /**
+     * Test that a save failure fails only its row
+     */
+    it('should report rows that fail to save and carry on', async () => {
+      tx.product.create.mockRejectedValueOnce(new Error('connection lost'));
+
+      await catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv' });
+      await finishJob('runImport');
+
+      expect(job.errors).toContainEqual({ row: 2, sku: 'NEW-1', field: null, message: 'Failed to save: connection lost' });
+      expect(job).toMatchObject({ status: 'completed', createdCount: 0, updatedCount: 1, failedCount: 2 });
+    });
+
+    /**
+     * Test that only one real import runs at a time
+     */
+    it('should refuse a second import while one is running', async () => {
+      catalogTransferService.prisma.catalogJob.findFirst.mockResolvedValue({ id: 'job-0' });
+
+      await expect(catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+      expect(catalogTransferService.prisma.catalogJob.create).not.toHaveBeenCalled();
+
+      // Dry runs may run alongside
+      await expect(catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv', dryRun: true }))
+        .resolves.toMatchObject({ dryRun: true });
+      expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+    });
+
+    /**
+     * Test that imports a restart left unfinished do not block new ones forever
+     */
+    it('should fail stale jobs before checking for a running import', async () => {
+      await catalogTransferService.startImport({ buffer: file, fileName: 'catalog.csv' });
+      await finishJob('runImport');
+
+      const { updateMany, findFirst } = catalogTransferService.prisma.catalogJob;
+      expect(updateMany).toHaveBeenCalledWith({
+        where: { status: { in: ['pending', 'processing'] }, updatedAt: { lt: expect.any(Date) } },
+        data: expect.objectContaining({ status: 'failed', failureReason: expect.stringContaining('No progress for 30 minutes') })
+      });
+      expect(updateMany.mock.calls[0][0].where.updatedAt.lt.getTime()).toBeLessThanOrEqual(Date.now() - 30 * 60 * 1000);
+      expect(updateMany.mock.invocationCallOrder[0]).toBeLessThan(findFirst.mock.invocationCallOrder[0]);
+    });
+
+    /**
+     * Test that an unreadable file fails the job
+     */
+    it('should fail the job when the file cannot be read', async () => {
+      await catalogTransferService.startImport({ buffer: Buffer.from('not a workbook'), fileName: 'catalog.xlsx' });
+      await finishJob('runImport');
+
+      expect(job).toMatchObject({ status: 'failed', failureReason: 'File is not a readable XLSX workbook' });
+    });
+  });
+
+  describe('exports', () => {
+    let exportDir;
+
+    beforeEach(async () => {
+      exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-export-'));
+      catalogTransferService.exportDir = exportDir;
+      catalogTransferService.prisma.product.findMany = jest.fn()
+        .mockResolvedValueOnce([storedProduct])
+        .mockResolvedValue([]);
+    });
+
+    afterEach(async () => {
+      await fs.rm(exportDir, { recursive: true, force: true });
+    });
+
+    const exportAndReadBack = async (format) => {
+      await catalogTransferService.startExport({ format, userId: 'admin-1' });
+      await finishJob('runExport');
+
+      const buffer = await fs.readFile(path.join(exportDir, job.fileName));
+      const { records } = await catalogTransferService.parseFile(buffer, format);
+      return records.map(({ record }) => catalogTransferService.mapRecord(record));
+    };
+
+    /**
+     * Test that each format imports back to the same product
+     */
+    it.each(['csv', 'xlsx', 'ndjson'])('should write a %s file that imports back unchanged', async (format) => {
+      const [data] = await exportAndReadBack(format);
+      const context = await catalogTransferService.loadContext([{ data }]);
+      const result = catalogTransferService.validateRow(2, data, context);
+
+      expect(job).toMatchObject({ status: 'completed', totalRows: 1, processedRows: 1, fileName: `catalog_job-1.${format}` });
+      expect(result.errors).toEqual([]);
+      expect(result.product).toMatchObject({
+        name: 'Phone One',
+        nameBn: 'ফোন ওয়ান',
+        description: 'Line one, with comma\nLine "two"',
+        regularPrice: 25000,
+        salePrice: 23000.5,
+        saleStartsAt: new Date('2026-02-01T00:00:00.000Z'),
+        taxRate: 5,
+        weight: 0.18,
+        isFeatured: true,
+        isNewArrival: false,
+        categoryId: 'cat-1',
+        brandId: 'brand-1'
+      });
+      expect(result.specifications).toEqual([
+        { name: 'RAM', value: '8 GB', sortOrder: 0 },
+        { name: 'Storage', value: '128 GB', sortOrder: 1 }
+      ]);
+      expect(result.variants).toEqual([
+        { sku: 'PHONE-1-BLK', name: 'Black', price: 25000, comparePrice: null, stock: 5, isActive: true }
+      ]);
+    });
+
+    /**
+     * Test the CSV header
+     */
+    it('should write every column to the CSV header', async () => {
+      await exportAndReadBack('csv');
+      const text = await fs.readFile(path.join(exportDir, job.fileName), 'utf8');
+
+      expect(text.split('\r\n')[0]).toBe(`\uFEFF${COLUMNS.join(',')}`);
+    });
+
+    /**
+     * Test downloads of unfinished exports
+     */
+    it('should not hand out an export before it completes', async () => {
+      catalogTransferService.prisma.catalogJob.findFirst.mockResolvedValue({ id: 'job-1', type: 'export', status: 'processing' });
+
+      await expect(catalogTransferService.getExportFile('job-1')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Coupon service testing
+ * Tests discount maths, coupon rules and atomic redemption
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { CouponService } = require('../../services/couponService');
+
+describe('CouponService', () => {
+  let couponService;
+
+  const createCoupon = (overrides = {}) => ({
+    id: 'coupon-1',
+    code: 'EID2026',
+    type: 'PERCENTAGE',
+    value: '10.00',
+    minAmount: '1000.00',
+    maxDiscount: '500.00',
+    usageLimit: 100,
+    usedCount: 0,
+    isActive: true,
+    expiresAt: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    couponService = new CouponService();
+  });
+
+  describe('Discount Calculation', () => {
+    /**
+     * Test percentage discounts
+     */
+    it('should apply a percentage of the subtotal', () => {
+      expect(couponService.calculateDiscount(createCoupon(), 2000)).toBe(200);
+    });
+
+    /**
+     * Test maxDiscount cap on percentage coupons
+     */
+    it('should cap percentage discounts at maxDiscount', () => {
+      expect(couponService.calculateDiscount(createCoupon(), 10000)).toBe(500);
+    });
+
+    /**
+     * Test a zero maxDiscount means no cap
+     */
+    it('should not cap when maxDiscount is zero', () => {
+      expect(couponService.calculateDiscount(createCoupon({ maxDiscount: '0' }), 10000)).toBe(1000);
+    });
+
+    /**
+     * Test fixed amount discounts never exceed the subtotal
+     */
+    it('should apply fixed amounts up to the subtotal', () => {
+      const coupon = createCoupon({ type: 'FIXED_AMOUNT', value: '300.00' });
+
+      expect(couponService.calculateDiscount(coupon, 2000)).toBe(300);
+      expect(couponService.calculateDiscount(coupon, 250)).toBe(250);
+    });
+  });
+
+  describe('Coupon Rules', () => {
+    /**
+     * Test minimum order amount
+     */
+    it('should reject subtotals below minAmount', () => {
+      expect(() => couponService.assertApplicable(createCoupon(), 999))
+        .toThrow('Minimum order amount for this coupon is 1000');
+    });
+
+    /**
+     * Test expiry
+     */
+    it('should reject expired coupons', () => {
+      const coupon = createCoupon({ expiresAt: new Date(Date.now() - 1000) });
+
+      expect(() => couponService.assertApplicable(coupon, 2000)).toThrow('Coupon has expired');
+    });
+
+    /**
+     * Test usage limit
+     */
+    it('should reject coupons that reached their usage limit', () => {
+      const coupon = createCoupon({ usageLimit: 5, usedCount: 5 });
+
+      expect(() => couponService.assertApplicable(coupon, 2000)).toThrow('Coupon usage limit reached');
+    });
+
+    /**
+     * Test code lookup is case-insensitive
+     */
+    it('should look up normalized codes', async () => {
+      const client = {
+        coupon: { findUnique: jest.fn().mockResolvedValue(createCoupon()) }
+      };
+
+      const result = await couponService.applyCoupon(' eid2026 ', 2000, client);
+
+      expect(client.coupon.findUnique).toHaveBeenCalledWith({ where: { code: 'EID2026' } });
+      expect(result.discount).toBe(200);
+    });
+  });
+
+  describe('Redemption', () => {
+    /**
+     * Test redemption is guarded by usageLimit in the update itself
+     * Verifies concurrent redemptions cannot exceed the limit
+     */
+    it('should increment usedCount only while below usageLimit', async () => {
+      const tx = {
+        coupon: {
+          fields: { usageLimit: 'usageLimit-ref' },
+          updateMany: jest.fn().mockResolvedValue({ count: 1 })
+        }
+      };
+
+      await couponService.redeemCoupon(tx, createCoupon());
+
+      expect(tx.coupon.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          id: 'coupon-1',
+          usedCount: { lt: 'usageLimit-ref' }
+        }),
+        data: { usedCount: { increment: 1 } }
+      }));
+    });
+
+    /**
+     * Test losing a redemption race
+     */
+    it('should throw a conflict when the guarded update matches nothing', async () => {
+      const tx = {
+        coupon: {
+          fields: { usageLimit: 'usageLimit-ref' },
+          updateMany: jest.fn().mockResolvedValue({ count: 0 })
+        }
+      };
+
+      await expect(couponService.redeemCoupon(tx, createCoupon()))
+        .rejects.toMatchObject({ name: 'ConflictError' });
+    });
+  });
+});
@@ -0,0 +1,720 @@
+/**
+ * Order service testing
+ * Tests transactional checkout (including guest checkout), catalog re-pricing,
+ * promotion quantity claims and atomic stock reservation
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logOrder: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/emailService', () => ({
+  emailService: {}
+}));
+
+jest.mock('../../services/smsService', () => ({
+  smsService: {}
+}));
+
+const { OrderService } = require('../../services/orderService');
+
+describe('OrderService', () => {
+  let orderService;
+  let tx;
+
+  const product = {
+    id: 'product-1',
+    name: 'Walton Primo NH5',
+    status: 'ACTIVE',
+    regularPrice: '1000.00',
+    taxRate: '15.00',
+    publishedAt: new Date('2026-01-01T00:00:00Z')
+  };
+
+  const variant = {
+    id: 'variant-1',
+    productId: 'product-1',
+    name: '8GB / 128GB',
+    price: '1500.00',
+    stock: 5,
+    isActive: true
+  };
+
+  beforeEach(() => {
+    tx = {
+      address: {
+        findFirst: jest.fn().mockResolvedValue({ id: 'address-1', userId: 'user-1' })
+      },
+      cart: {
+        findUnique: jest.fn().mockResolvedValue({
+          id: 'cart-1',
+          userId: 'user-1',
+          items: [
+            { productId: 'product-1', variantId: null, quantity: 2, totalPrice: '1.00' },
+            { productId: 'product-1', variantId: 'variant-1', quantity: 1, totalPrice: '1.00' }
+          ]
+        })
+      },
+      cartItem: {
+        deleteMany: jest.fn().mockResolvedValue({ count: 2 })
+      },
+      cartReminder: {
+        findFirst: jest.fn().mockResolvedValue(null),
+        update: jest.fn().mockResolvedValue({})
+      },
+      product: {
+        findUnique: jest.fn().mockResolvedValue(product),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      productVariant: {
+        findUnique: jest.fn().mockResolvedValue(variant),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      order: {
+        create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'order-1', ...data })),
+        findUnique: jest.fn(),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      orderStatusHistory: {
+        create: jest.fn().mockResolvedValue({})
+      },
+      shippingZone: {
+        findMany: jest.fn().mockResolvedValue([])
+      }
+    };
+
+    orderService = new OrderService();
+    orderService.prisma = {
+      $transaction: jest.fn(callback => callback(tx))
+    };
+    orderService.stockService = {
+      recordMovement: jest.fn().mockResolvedValue({})
+    };
+    orderService.warehouseService = {
+      allocate: jest.fn((client, lines) => Promise.resolve({
+        allocations: lines.map(line => ({ warehouseId: 'central', productId: line.productId, variantId: line.variantId, quantity: line.quantity })),
+        branchHeld: lines.map(() => 0)
+      })),
+      release: jest.fn().mockResolvedValue()
+    };
+    orderService.promotionService = {
+      claimQuantity: jest.fn().mockResolvedValue(),
+      releaseQuantity: jest.fn().mockResolvedValue()
+    };
+    orderService.pricingService.prisma = {
+      promotionCampaign: { findMany: jest.fn().mockResolvedValue([]) }
+    };
+    orderService.pricingService.invalidatePromotions();
+  });
+
+  describe('Cart Checkout', () => {
+    /**
+     * Test checkout re-prices lines from the catalog
+     * Verifies stored cart prices are ignored
+     */
+    it('should create an order priced from the current catalog', async () => {
+      const order = await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'CASH_ON_DELIVERY'
+      });
+
+      expect(order.subtotal).toBe(3500);
+      expect(order.items.create).toEqual([
+        expect.objectContaining({ productId: 'product-1', variantId: null, unitPrice: 1000, totalPrice: 2000 }),
+        expect.objectContaining({ productId: 'product-1', variantId: 'variant-1', unitPrice: 1500, totalPrice: 1500 })
+      ]);
+      expect(tx.cartItem.deleteMany).toHaveBeenCalledWith({ where: { cartId: 'cart-1' } });
+    });
+
+    /**
+     * Test checkout credits the latest abandoned cart reminder
+     */
+    it('should record a reminder conversion for the cart', async () => {
+      tx.cartReminder.findFirst.mockResolvedValue({ id: 'reminder-1', cartId: 'cart-1' });
+
+      const order = await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'CASH_ON_DELIVERY'
+      });
+
+      expect(tx.cartReminder.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ cartId: 'cart-1', convertedAt: null })
+      }));
+      expect(tx.cartReminder.update).toHaveBeenCalledWith({
+        where: { id: 'reminder-1' },
+        data: { convertedAt: expect.any(Date), orderId: 'order-1', orderTotal: order.total }
+      });
+    });
+
+    /**
+     * Test VAT is calculated from product rates and stored per line and per rate
+     */
+    it('should store per-line VAT and the breakdown per rate', async () => {
+      const order = await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'CASH_ON_DELIVERY'
+      });
+
+      expect(order.tax).toBe(525);
+      expect(order.taxBreakdown).toEqual([{ rate: 15, taxableAmount: 3500, tax: 525 }]);
+      expect(order.items.create[0]).toMatchObject({ taxRate: 15, taxAmount: 300 });
+    });
+
+    /**
+     * Test variant lines reserve variant stock
+     * Verifies conditional decrement guards against overselling
+     */
+    it('should reserve variant stock for variant lines and product stock otherwise', async () => {
+      await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'BKASH'
+      });
+
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 'product-1', stockQuantity: { gte: 2 } },
+        data: { stockQuantity: { decrement: 2 } }
+      });
+      expect(tx.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: 'variant-1', stock: { gte: 1 } },
+        data: { stock: { decrement: 1 } }
+      });
+    });
+
+    /**
+     * Test sales are allocated to locations and recorded in the stock ledger
+     */
+    it('should allocate lines to the nearest locations and record a SALE movement per allocation', async () => {
+      orderService.warehouseService.allocate.mockResolvedValueOnce({
+        allocations: [
+          { warehouseId: 'branch-sylhet', productId: 'product-1', variantId: null, quantity: 2 },
+          { warehouseId: 'branch-sylhet', productId: 'product-1', variantId: 'variant-1', quantity: 1 }
+        ],
+        branchHeld: [3, 0]
+      });
+
+      const order = await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'BKASH'
+      });
+
+      expect(orderService.warehouseService.allocate).toHaveBeenCalledWith(tx, expect.any(Array), { id: 'address-1', userId: 'user-1' });
+      // Stock still held at other branches must stay in the total
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 'product-1', stockQuantity: { gte: 5 } },
+        data: { stockQuantity: { decrement: 2 } }
+      });
+      expect(order.allocations.create).toHaveLength(2);
+      expect(orderService.stockService.recordMovement).toHaveBeenCalledTimes(2);
+      expect(orderService.stockService.recordMovement).toHaveBeenCalledWith(tx, {
+        productId: 'product-1',
+        variantId: 'variant-1',
+        warehouseId: 'branch-sylhet',
+        type: 'SALE',
+        quantity: -1,
+        reason: `Order ${order.orderNumber}`,
+        actorId: 'user-1',
+        orderId: 'order-1',
+        outstanding: 0
+      });
+    });
+
+    /**
+     * Test a line split across locations is recorded as one running balance
+     */
+    it('should count the later parts of a split line in the balance of the earlier ones', async () => {
+      tx.cart.findUnique.mockResolvedValueOnce({
+        id: 'cart-1',
+        userId: 'user-1',
+        items: [{ productId: 'product-1', variantId: null, quantity: 5, totalPrice: '1.00' }]
+      });
+      orderService.warehouseService.allocate.mockResolvedValueOnce({
+        allocations: [
+          { warehouseId: 'branch-sylhet', productId: 'product-1', variantId: null, quantity: 2 },
+          { warehouseId: 'central', productId: 'product-1', variantId: null, quantity: 3 }
+        ],
+        branchHeld: [0]
+      });
+
+      await orderService.checkoutCart('user-1', { addressId: 'address-1', paymentMethod: 'BKASH' });
+
+      const movements = orderService.stockService.recordMovement.mock.calls.map(([, movement]) => movement);
+      expect(movements.map(movement => [movement.warehouseId, movement.quantity, movement.outstanding])).toEqual([
+        ['branch-sylhet', -2, 3],
+        ['central', -3, 0]
+      ]);
+    });
+
+    /**
+     * Test insufficient stock aborts the transaction
+     * Verifies no order is created and the cart is kept
+     */
+    it('should throw a conflict and create nothing when stock runs out', async () => {
+      tx.productVariant.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'BKASH'
+      })).rejects.toMatchObject({ name: 'ConflictError', statusCode: 409 });
+
+      expect(tx.order.create).not.toHaveBeenCalled();
+      expect(tx.cartItem.deleteMany).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test empty cart rejection
+     */
+    it('should reject checkout of an empty cart', async () => {
+      tx.cart.findUnique.mockResolvedValue({ id: 'cart-1', items: [] });
+
+      await expect(orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'BKASH'
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    /**
+     * Test address ownership
+     */
+    it('should reject an address that does not belong to the user', async () => {
+      tx.address.findFirst.mockResolvedValue(null);
+
+      await expect(orderService.checkoutCart('user-1', {
+        addressId: 'address-2',
+        paymentMethod: 'BKASH'
+      })).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('Guest Checkout', () => {
+    const shippingAddress = {
+      firstName: 'Karim',
+      lastName: 'Hasan',
+      phone: '01811000000',
+      address: 'House 4, Road 2',
+      city: 'Sylhet',
+      district: 'Sylhet',
+      division: 'SYLHET'
+    };
+
+    beforeEach(() => {
+      orderService.guestOrderTokenSecret = 'test-guest-order-secret';
+      orderService.cartService = {
+        findGuestCart: jest.fn().mockResolvedValue({
+          id: 'guest-cart-1',
+          userId: null,
+          items: [{ productId: 'product-1', variantId: null, quantity: 1 }]
+        })
+      };
+    });
+
+    /**
+     * Test guest orders keep contact details and the address on the order
+     */
+    it('should place an order without a user account', async () => {
+      const { order, orderToken } = await orderService.checkoutGuestCart('cart-token', {
+        guest: { email: 'karim@example.com', phone: '01811000000' },
+        shippingAddress,
+        paymentMethod: 'CASH_ON_DELIVERY'
+      });
+
+      expect(order).toMatchObject({
+        userId: null,
+        addressId: null,
+        guestEmail: 'karim@example.com',
+        guestPhone: '01811000000',
+        shippingAddress
+      });
+      expect(tx.address.findFirst).not.toHaveBeenCalled();
+      expect(tx.cartItem.deleteMany).toHaveBeenCalledWith({ where: { cartId: 'guest-cart-1' } });
+      expect(orderService.verifyGuestOrderToken(orderToken, 'order-1')).toBe(true);
+      expect(orderService.verifyGuestOrderToken(orderToken, 'order-2')).toBe(false);
+    });
+
+    /**
+     * Test unknown or expired guest carts are rejected
+     */
+    it('should reject a token without a live guest cart', async () => {
+      orderService.cartService.findGuestCart.mockResolvedValue(null);
+
+      await expect(orderService.checkoutGuestCart('bad-token', {
+        guest: { email: 'karim@example.com', phone: '01811000000' },
+        shippingAddress,
+        paymentMethod: 'CASH_ON_DELIVERY'
+      })).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('Coupons', () => {
+    /**
+     * Test coupon discount is applied and stored on the order
+     */
+    it('should redeem the coupon and store it on the order', async () => {
+      tx.coupon = {
+        fields: { usageLimit: 'usageLimit-ref' },
+        findUnique: jest.fn().mockResolvedValue({
+          id: 'coupon-1',
+          code: 'EID2026',
+          type: 'FIXED_AMOUNT',
+          value: '500.00',
+          minAmount: '0',
+          maxDiscount: '0',
+          usageLimit: 10,
+          usedCount: 0,
+          isActive: true,
+          expiresAt: null
+        }),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      };
+
+      const order = await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'BKASH',
+        couponCode: 'eid2026'
+      });
+
+      expect(tx.coupon.updateMany).toHaveBeenCalled();
+      expect(order).toMatchObject({
+        couponId: 'coupon-1',
+        couponCode: 'EID2026',
+        discount: 500
+      });
+    });
+  });
+
+  describe('Line Validation', () => {
+    /**
+     * Test variants must belong to the ordered product
+     */
+    it('should reject a variant of a different product', async () => {
+      tx.productVariant.findUnique.mockResolvedValue({ ...variant, productId: 'product-2' });
+
+      await expect(orderService.buildOrderLines(tx, [
+        { productId: 'product-1', variantId: 'variant-1', quantity: 1 }
+      ])).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    /**
+     * Test drafts and scheduled products cannot be ordered
+     */
+    it('should reject products that are not published yet', async () => {
+      tx.product.findUnique.mockResolvedValue({ ...product, publishedAt: new Date(Date.now() + 3600000) });
+
+      await expect(orderService.buildOrderLines(tx, [
+        { productId: 'product-1', quantity: 1 }
+      ])).rejects.toMatchObject({ statusCode: 400, message: 'Product Walton Primo NH5 is not available' });
+    });
+
+    /**
+     * Test active sale prices are charged
+     */
+    it('should charge the sale price for products on sale', async () => {
+      tx.product.findUnique.mockResolvedValue({ ...product, salePrice: '900.00' });
+
+      const [line] = await orderService.buildOrderLines(tx, [
+        { productId: 'product-1', quantity: 2 }
+      ]);
+
+      expect(line).toMatchObject({ unitPrice: 900, totalPrice: 1800 });
+    });
+
+    /**
+     * Test live campaign prices are charged and linked to the line
+     */
+    it('should charge campaign prices and claim campaign quantity', async () => {
+      orderService.pricingService.prisma.promotionCampaign.findMany.mockResolvedValue([{
+        id: 'campaign-1',
+        name: '11.11 Mega Sale',
+        slug: '11-11-mega-sale',
+        startsAt: new Date(Date.now() - 60 * 60 * 1000),
+        endsAt: new Date(Date.now() + 60 * 60 * 1000),
+        isActive: true,
+        quantityCap: 100,
+        soldQuantity: 10,
+        items: [{ productId: 'product-1', categoryId: null, discountType: 'FIXED_AMOUNT', discountValue: '201.00' }]
+      }]);
+
+      const order = await orderService.checkoutCart('user-1', {
+        addressId: 'address-1',
+        paymentMethod: 'CASH_ON_DELIVERY'
+      });
+
+      expect(order.items.create[0]).toMatchObject({ unitPrice: 799, totalPrice: 1598, promotionId: 'campaign-1' });
+      // Product items cover the product's variants too
+      expect(order.items.create[1]).toMatchObject({ unitPrice: 1299, promotionId: 'campaign-1' });
+      expect(orderService.promotionService.claimQuantity).toHaveBeenCalledWith(tx, [
+        expect.objectContaining({ variantId: null, quantity: 2, promotionId: 'campaign-1' }),
+        expect.objectContaining({ variantId: 'variant-1', quantity: 1, promotionId: 'campaign-1' })
+      ]);
+    });
+
+    /**
+     * Test discontinued products cannot be ordered
+     */
+    it('should reject products that are not active', async () => {
+      tx.product.findUnique.mockResolvedValue({ ...product, status: 'DISCONTINUED' });
+
+      await expect(orderService.buildOrderLines(tx, [
+        { productId: 'product-1', quantity: 1 }
+      ])).rejects.toMatchObject({ name: 'ValidationError' });
+    });
+  });
+
+  describe('Status Transitions', () => {
+    const placedOrder = (overrides = {}) => ({
+      id: 'order-1',
+      orderNumber: 'ORD1',
+      userId: 'user-1',
+      status: 'PENDING',
+      paymentStatus: 'PENDING',
+      couponId: null,
+      items: [
+        { productId: 'product-1', variantId: null, quantity: 2 },
+        { productId: 'product-1', variantId: 'variant-1', quantity: 1 }
+      ],
+      ...overrides
+    });
+
+    beforeEach(() => {
+      tx.product.update = jest.fn().mockResolvedValue({});
+      tx.productVariant.update = jest.fn().mockResolvedValue({});
+      tx.orderAllocation = { findMany: jest.fn().mockResolvedValue([]) };
+      orderService.prisma.order = { findUnique: jest.fn() };
+    });
+
+    /**
+     * Test the transition table
+     */
+    it('should only allow forward transitions and cancel/refund branches', () => {
+      expect(orderService.canTransition('PENDING', 'CONFIRMED')).toBe(true);
+      expect(orderService.canTransition('SHIPPED', 'DELIVERED')).toBe(true);
+      expect(orderService.canTransition('DELIVERED', 'REFUNDED')).toBe(true);
+      expect(orderService.canTransition('DELIVERED', 'PENDING')).toBe(false);
+      expect(orderService.canTransition('SHIPPED', 'CANCELLED')).toBe(false);
+      expect(orderService.canTransition('REFUNDED', 'PENDING')).toBe(false);
+    });
+
+    /**
+     * Test invalid transitions are rejected before any write
+     */
+    it('should reject a transition that is not in the table', async () => {
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'DELIVERED' }));
+
+      await expect(orderService.updateStatus('order-1', 'PENDING', { changedById: 'admin-1' }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+
+      expect(tx.order.updateMany).not.toHaveBeenCalled();
+      expect(tx.orderStatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test cancellation restores stock and records history
+     */
+    it('should restore stock and record history on cancellation', async () => {
+      tx.order.findUnique.mockResolvedValue(placedOrder());
+
+      await orderService.updateStatus('order-1', 'CANCELLED', { changedById: 'admin-1', reason: 'Out of area' });
+
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: 'product-1' },
+        data: { stockQuantity: { increment: 2 } }
+      });
+      expect(tx.productVariant.update).toHaveBeenCalledWith({
+        where: { id: 'variant-1' },
+        data: { stock: { increment: 1 } }
+      });
+      expect(tx.orderStatusHistory.create).toHaveBeenCalledWith({
+        data: {
+          orderId: 'order-1',
+          fromStatus: 'PENDING',
+          toStatus: 'CANCELLED',
+          changedById: 'admin-1',
+          reason: 'Out of area'
+        }
+      });
+      expect(orderService.stockService.recordMovement).toHaveBeenCalledWith(tx, {
+        productId: 'product-1',
+        variantId: null,
+        type: 'CANCELLATION',
+        quantity: 2,
+        reason: 'Out of area',
+        actorId: 'admin-1',
+        orderId: 'order-1',
+        warehouseId: null
+      });
+      expect(orderService.promotionService.releaseQuantity).toHaveBeenCalledWith(tx, placedOrder().items);
+    });
+
+    /**
+     * Test allocated stock goes back where it was taken from
+     */
+    it('should release allocations to their locations on cancellation', async () => {
+      const allocations = [
+        { warehouseId: 'branch-sylhet', productId: 'product-1', variantId: null, quantity: 1 },
+        { warehouseId: 'central', productId: 'product-1', variantId: null, quantity: 1 }
+      ];
+      tx.order.findUnique.mockResolvedValue(placedOrder({ items: [{ productId: 'product-1', variantId: null, quantity: 2 }] }));
+      tx.orderAllocation.findMany.mockResolvedValue(allocations);
+
+      await orderService.updateStatus('order-1', 'CANCELLED', { changedById: 'admin-1' });
+
+      expect(orderService.warehouseService.release).toHaveBeenCalledWith(tx, allocations);
+      expect(tx.product.update).toHaveBeenCalledTimes(2);
+      expect(orderService.stockService.recordMovement).toHaveBeenCalledWith(tx, expect.objectContaining({
+        warehouseId: 'branch-sylhet',
+        type: 'CANCELLATION',
+        quantity: 1
+      }));
+    });
+
+    /**
+     * Test refunds of delivered orders return the goods to stock when asked to
+     */
+    it('should restock a refunded delivered order as a RETURN, but not a refunded cancellation', async () => {
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'DELIVERED' }));
+
+      await orderService.updateStatus('order-1', 'REFUNDED', { changedById: 'admin-1', restock: true });
+
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: 'product-1' },
+        data: { stockQuantity: { increment: 2 } }
+      });
+      expect(orderService.stockService.recordMovement).toHaveBeenCalledWith(tx, expect.objectContaining({
+        variantId: 'variant-1',
+        type: 'RETURN',
+        quantity: 1,
+        reason: 'Order ORD1'
+      }));
+
+      jest.clearAllMocks();
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'CANCELLED' }));
+
+      await orderService.updateStatus('order-1', 'REFUNDED', { changedById: 'admin-1' });
+
+      expect(tx.product.update).not.toHaveBeenCalled();
+      expect(orderService.stockService.recordMovement).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test a refund alone does not mean the goods came back
+     */
+    it('should leave stock alone on a refund without restock', async () => {
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'DELIVERED' }));
+
+      await orderService.updateStatus('order-1', 'REFUNDED', { changedById: 'admin-1', reason: 'Goodwill refund' });
+
+      expect(tx.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        data: { status: 'REFUNDED', paymentStatus: 'REFUNDED' }
+      }));
+      expect(tx.product.update).not.toHaveBeenCalled();
+      expect(orderService.stockService.recordMovement).not.toHaveBeenCalled();
+
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'CANCELLED' }));
+
+      await expect(orderService.updateStatus('order-1', 'REFUNDED', { changedById: 'admin-1', restock: true }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    /**
+     * Test concurrent status changes
+     */
+    it('should throw a conflict when the status changed concurrently', async () => {
+      tx.order.findUnique.mockResolvedValue(placedOrder());
+      tx.order.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(orderService.updateStatus('order-1', 'CONFIRMED'))
+        .rejects.toMatchObject({ name: 'ConflictError' });
+    });
+
+    /**
+     * Test customers cannot cancel orders that are already processing
+     */
+    it('should not let customers cancel orders past CONFIRMED', async () => {
+      orderService.prisma.order.findUnique.mockResolvedValue({ userId: 'user-1', status: 'PROCESSING' });
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'PROCESSING' }));
+
+      await expect(orderService.cancelOrder('order-1', { id: 'user-1', role: 'CUSTOMER' }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    /**
+     * Test the customer check uses the status read inside the transaction
+     */
+    it('should not let customers cancel an order that moved to PROCESSING meanwhile', async () => {
+      orderService.prisma.order.findUnique.mockResolvedValue({ userId: 'user-1', status: 'CONFIRMED' });
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'PROCESSING' }));
+
+      await expect(orderService.cancelOrder('order-1', { id: 'user-1', role: 'CUSTOMER' })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'Orders cannot be changed to CANCELLED once they are PROCESSING'
+      });
+      expect(tx.order.updateMany).not.toHaveBeenCalled();
+
+      // Staff follow the transition table
+      await orderService.cancelOrder('order-1', { id: 'admin-1', role: 'ADMIN' });
+      expect(tx.order.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'order-1', status: 'PROCESSING' }
+      }));
+    });
+
+    /**
+     * Test customers cannot cancel orders that are paid or being paid
+     */
+    it('should not let customers cancel an order with a payment taken or in flight', async () => {
+      orderService.prisma.order.findUnique.mockResolvedValue({ userId: 'user-1', status: 'CONFIRMED' });
+
+      for (const paymentStatus of ['PROCESSING', 'COMPLETED']) {
+        tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'CONFIRMED', paymentStatus }));
+
+        await expect(orderService.cancelOrder('order-1', { id: 'user-1', role: 'CUSTOMER' })).rejects.toMatchObject({
+          name: 'ValidationError',
+          message: `Orders cannot be changed to CANCELLED while their payment is ${paymentStatus}`
+        });
+      }
+      expect(tx.order.updateMany).not.toHaveBeenCalled();
+
+      // An unpaid order is cancelled along with its payment, guarded against a payment settling meanwhile
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'CONFIRMED', paymentStatus: 'FAILED' }));
+
+      await orderService.cancelOrder('order-1', { id: 'user-1', role: 'CUSTOMER' });
+
+      expect(tx.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 'order-1', status: 'CONFIRMED', paymentStatus: 'FAILED' },
+        data: { status: 'CANCELLED', paymentStatus: 'CANCELLED' }
+      });
+    });
+
+    /**
+     * Test staff cancellations of paid orders keep the payment for its refund
+     */
+    it('should keep the payment status when staff cancel a paid order', async () => {
+      tx.order.findUnique.mockResolvedValue(placedOrder({ status: 'CONFIRMED', paymentStatus: 'COMPLETED' }));
+
+      await orderService.updateStatus('order-1', 'CANCELLED', { changedById: 'admin-1' });
+
+      expect(tx.order.updateMany).toHaveBeenCalledWith({
+        where: { id: 'order-1', status: 'CONFIRMED' },
+        data: { status: 'CANCELLED' }
+      });
+    });
+
+    /**
+     * Test customers cannot cancel other customers' orders
+     */
+    it('should not let customers cancel orders they do not own', async () => {
+      orderService.prisma.order.findUnique.mockResolvedValue({ userId: 'user-2', status: 'PENDING' });
+
+      await expect(orderService.cancelOrder('order-1', { id: 'user-1', role: 'CUSTOMER' }))
+        .rejects.toMatchObject({ name: 'ForbiddenError' });
+    });
+  });
+});
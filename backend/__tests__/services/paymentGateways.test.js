@@ -0,0 +1,290 @@
+/**
+ * Payment gateway adapter testing
+ * Runs each gateway adapter through initiate, customer redirect, callback
+ * verification, capture, status and refund against its local mock server
+ */
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logPayment: jest.fn()
+  }
+}));
+
+const axios = require('axios');
+const { loggerService } = require('../../services/logger');
+const { startNagadMockServer, generateKeyPair } = require('../../mocks/nagadMockServer');
+const { startRocketMockServer } = require('../../mocks/rocketMockServer');
+const { startSslcommerzMockServer } = require('../../mocks/sslcommerzMockServer');
+const { NagadGateway } = require('../../services/paymentGateways/nagadGateway');
+const { RocketGateway } = require('../../services/paymentGateways/rocketGateway');
+const { SslcommerzGateway } = require('../../services/paymentGateways/sslcommerzGateway');
+const { PaymentGatewayRegistry, PaymentGateway } = require('../../services/paymentGateways');
+
+const CALLBACK_URL = 'http://localhost:3001/api/v1/payments/test/callback';
+
+const order = {
+  orderNumber: 'ORD-2001',
+  total: '1850.50',
+  user: { firstName: 'Rahim', lastName: 'Uddin', email: 'rahim@example.com', phone: '01711000000' },
+  address: { firstName: 'Rahim', lastName: 'Uddin', address: 'House 12, Road 5', district: 'Dhaka', postalCode: '1209' }
+};
+
+// Follow a redirect URL as the customer would and return the callback query
+const customerReturns = async (redirectUrl, status) => {
+  const separator = redirectUrl.includes('?') ? '&' : '?';
+  const response = await axios.get(`${redirectUrl}${separator}status=${status}`, {
+    maxRedirects: 0,
+    validateStatus: code => code === 302
+  });
+  return Object.fromEntries(new URL(response.headers.location).searchParams);
+};
+
+describe('Payment Gateways', () => {
+  describe('Nagad', () => {
+    let mock;
+    let gateway;
+
+    beforeAll(async () => {
+      const merchantKeys = generateKeyPair();
+      mock = await startNagadMockServer({ merchantPublicKey: merchantKeys.publicKey });
+      gateway = new NagadGateway({
+        baseUrl: mock.url,
+        merchantId: mock.credentials.merchantId,
+        merchantNumber: '01711428036',
+        merchantPrivateKey: merchantKeys.privateKey,
+        nagadPublicKey: mock.credentials.nagadPublicKey
+      });
+    });
+
+    afterAll(done => {
+      mock.server.close(done);
+    });
+
+    /**
+     * Test a full payment and partial refund
+     */
+    it('should complete and refund a payment', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const callback = gateway.verifyCallback(await customerReturns(payment.redirectUrl, 'Success'));
+
+      expect(callback).toMatchObject({ reference: payment.reference, status: 'success' });
+
+      const capture = await gateway.capture(callback.reference, callback);
+      expect(capture).toMatchObject({ status: 'COMPLETED', gatewayTransactionId: expect.any(String) });
+      expect(await gateway.queryStatus(payment.reference)).toMatchObject({ status: 'COMPLETED' });
+
+      const refund = await gateway.refund({
+        reference: payment.reference,
+        amount: 850.5,
+        originalAmount: 1850.5,
+        reason: 'Returned item: the customer changed their mind about the colour of the case'
+      });
+      expect(refund.refundId).toMatch(/^CNL/);
+    });
+
+    /**
+     * Test aborted payments map to a cancellation
+     */
+    it('should report an aborted payment as cancelled', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const callback = gateway.verifyCallback(await customerReturns(payment.redirectUrl, 'Aborted'));
+
+      expect(callback.status).toBe('cancel');
+      expect(await gateway.queryStatus(payment.reference)).toMatchObject({ status: 'FAILED' });
+    });
+
+    /**
+     * Test tampered callbacks are rejected
+     */
+    it('should reject a callback with a tampered status', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const params = await customerReturns(payment.redirectUrl, 'Failed');
+
+      expect(() => gateway.verifyCallback({ ...params, status: 'Success' }))
+        .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+  });
+
+  describe('Rocket', () => {
+    let mock;
+    let gateway;
+
+    beforeAll(async () => {
+      mock = await startRocketMockServer();
+      gateway = new RocketGateway({ baseUrl: mock.url, ...mock.credentials });
+    });
+
+    afterAll(done => {
+      mock.server.close(done);
+    });
+
+    /**
+     * Test a full payment and refund
+     */
+    it('should capture and refund an authorized payment', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      expect(await gateway.queryStatus(payment.reference)).toMatchObject({ status: 'PROCESSING' });
+
+      const callback = gateway.verifyCallback(await customerReturns(payment.redirectUrl, 'AUTHORIZED'));
+      const capture = await gateway.capture(callback.reference, callback);
+
+      expect(capture).toMatchObject({ status: 'COMPLETED', gatewayTransactionId: expect.any(String) });
+      expect(await gateway.queryStatus(payment.reference)).toMatchObject({ status: 'COMPLETED' });
+
+      const refund = await gateway.refund({ reference: payment.reference, amount: 1850.5 });
+      expect(refund.refundId).toMatch(/^RFD/);
+    });
+
+    /**
+     * Test captures of unauthorized payments fail
+     */
+    it('should not capture a failed payment', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const callback = gateway.verifyCallback(await customerReturns(payment.redirectUrl, 'FAILED'));
+
+      expect(callback.status).toBe('failure');
+      await expect(gateway.capture(payment.reference))
+        .rejects.toMatchObject({ name: 'PaymentGatewayError', statusCode: 502 });
+    });
+
+    /**
+     * Test requests signed with the wrong secret are rejected
+     */
+    it('should surface signature errors from Rocket', async () => {
+      const wrongSecret = new RocketGateway({ baseUrl: mock.url, merchantId: mock.credentials.merchantId, secretKey: 'wrong' });
+
+      await expect(wrongSecret.initiate({ order, callbackUrl: CALLBACK_URL }))
+        .rejects.toMatchObject({ name: 'PaymentGatewayError', details: { code: 'INVALID_SIGNATURE' } });
+    });
+
+    /**
+     * Test tampered callbacks are rejected
+     */
+    it('should reject a callback with a tampered status', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const params = await customerReturns(payment.redirectUrl, 'CANCELLED');
+
+      expect(() => gateway.verifyCallback({ ...params, status: 'AUTHORIZED' }))
+        .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+  });
+
+  describe('SSLCommerz', () => {
+    let mock;
+    let gateway;
+
+    // Read the fields the payment page would post back to the merchant
+    const customerPosts = async (redirectUrl, status) => {
+      const { data } = await axios.get(`${redirectUrl}&status=${status}&format=json`);
+      return data.fields;
+    };
+
+    beforeAll(async () => {
+      mock = await startSslcommerzMockServer();
+      gateway = new SslcommerzGateway({ baseUrl: mock.url, ...mock.credentials });
+    });
+
+    afterAll(done => {
+      mock.server.close(done);
+    });
+
+    /**
+     * Test a full payment and refund
+     */
+    it('should validate and refund a card payment', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      expect(payment.reference).toMatch(/^ORD-2001-/);
+
+      const callback = gateway.verifyCallback(await customerPosts(payment.redirectUrl, 'VALID'));
+      const capture = await gateway.capture(callback.reference, callback, { amount: order.total, currency: 'BDT' });
+
+      expect(capture).toMatchObject({ status: 'COMPLETED', gatewayTransactionId: expect.any(String) });
+      expect(await gateway.queryStatus(payment.reference)).toMatchObject({ status: 'COMPLETED' });
+
+      const refund = await gateway.refund({
+        reference: payment.reference,
+        gatewayTransactionId: capture.gatewayTransactionId,
+        amount: 500
+      });
+      expect(refund.refundId).toEqual(expect.any(String));
+    });
+
+    /**
+     * Test cancelled payments map to a cancellation
+     */
+    it('should report a cancelled payment', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const callback = gateway.verifyCallback(await customerPosts(payment.redirectUrl, 'CANCELLED'));
+
+      expect(callback.status).toBe('cancel');
+      expect(await gateway.queryStatus(payment.reference)).toMatchObject({ status: 'FAILED' });
+    });
+
+    /**
+     * Test tampered callbacks are rejected
+     */
+    it('should reject a callback with a tampered amount', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const fields = await customerPosts(payment.redirectUrl, 'VALID');
+
+      expect(() => gateway.verifyCallback({ ...fields, amount: '1.00' }))
+        .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    /**
+     * Test a payment made for an altered amount is not accepted
+     */
+    it('should fail a validated payment whose amount differs from the order', async () => {
+      const payment = await gateway.initiate({ order, callbackUrl: CALLBACK_URL });
+      const callback = gateway.verifyCallback(await customerPosts(`${payment.redirectUrl}&amount=1.00`, 'VALID'));
+
+      const capture = await gateway.capture(callback.reference, callback, { amount: order.total, currency: 'BDT' });
+
+      expect(capture).toMatchObject({ status: 'FAILED', response: { status: 'VALID', amount: '1.00' } });
+    });
+  });
+
+  describe('Registry and Logging', () => {
+    /**
+     * Test every built-in online payment method has a gateway
+     */
+    it('should resolve gateways by payment method and slug', () => {
+      const { paymentGatewayRegistry } = require('../../services/paymentGateways');
+
+      expect(paymentGatewayRegistry.list().map(gateway => gateway.method))
+        .toEqual(['BKASH', 'NAGAD', 'ROCKET', 'CREDIT_CARD']);
+      expect(paymentGatewayRegistry.getBySlug('sslcommerz').method).toBe('CREDIT_CARD');
+      expect(() => paymentGatewayRegistry.get('BANK_TRANSFER'))
+        .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+    });
+
+    /**
+     * Test the registry only accepts gateway adapters
+     */
+    it('should refuse objects that do not extend PaymentGateway', () => {
+      const registry = new PaymentGatewayRegistry();
+
+      expect(() => registry.register({ method: 'BKASH' })).toThrow(TypeError);
+      registry.register(new PaymentGateway({ method: 'MOCK', slug: 'mock', name: 'Mock' }));
+      expect(registry.has('MOCK')).toBe(true);
+    });
+
+    /**
+     * Test gateway calls are logged with their outcome
+     */
+    it('should log failed gateway calls', async () => {
+      const gateway = new RocketGateway({ baseUrl: 'http://127.0.0.1:9', merchantId: 'm', secretKey: 's', timeout: 1000 });
+      loggerService.logPayment.mockClear();
+
+      await expect(gateway.queryStatus('RKT1')).rejects.toMatchObject({ name: 'PaymentGatewayError' });
+      expect(loggerService.logPayment).toHaveBeenCalledWith('ROCKET_STATUS_FAILED', expect.objectContaining({
+        gateway: 'Rocket',
+        outcome: 'error',
+        reference: 'RKT1'
+      }));
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Payment service testing
+ * Runs the gateway-independent payment flow (initiate, customer redirect,
+ * callback, capture, refund) end to end with the bKash gateway against the
+ * local bKash mock server
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logPayment: jest.fn()
+  }
+}));
+
+const axios = require('axios');
+const { startBkashMockServer } = require('../../mocks/bkashMockServer');
+const { BkashGateway } = require('../../services/paymentGateways/bkashGateway');
+const { PaymentGatewayRegistry } = require('../../services/paymentGateways');
+const { PaymentService } = require('../../services/paymentService');
+
+// Minimal in-memory stand-in for the Prisma calls the payment service makes
+const createStore = (order) => {
+  const transactions = [];
+  let sequence = 0;
+
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && 'not' in value) return row[key] !== value.not;
+    return row[key] === value;
+  });
+
+  const client = {
+    order: {
+      findUnique: jest.fn(async () => ({ ...order })),
+      update: jest.fn(async ({ data }) => Object.assign(order, data))
+    },
+    transaction: {
+      create: jest.fn(async ({ data }) => {
+        const row = { id: `txn-${++sequence}`, currency: 'BDT', transactionId: null, gatewayResponse: null, createdAt: new Date(sequence), ...data };
+        transactions.push(row);
+        return { ...row };
+      }),
+      update: jest.fn(async ({ where, data }) => ({ ...Object.assign(transactions.find(row => row.id === where.id), data) })),
+      updateMany: jest.fn(async ({ where, data }) => {
+        const rows = transactions.filter(row => matches(row, where));
+        rows.forEach(row => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      findUnique: jest.fn(async ({ where }) => transactions.find(row => row.id === where.id)),
+      findFirst: jest.fn(async ({ where }) => {
+        const rows = transactions.filter(row => matches(row, where));
+        return rows.length ? { ...rows[rows.length - 1] } : null;
+      }),
+      findMany: jest.fn(async ({ where }) => transactions.filter(row => matches(row, where)))
+    }
+  };
+  client.$transaction = jest.fn(callback => callback(client));
+
+  return { client, transactions };
+};
+
+// Follow the bKash redirect URL as the customer would and return the callback query bKash sends back
+const customerReturns = async (redirectUrl, status) => {
+  const response = await axios.get(`${redirectUrl}?status=${status}`, {
+    maxRedirects: 0,
+    validateStatus: code => code === 302
+  });
+  const { searchParams } = new URL(response.headers.location);
+  return { paymentID: searchParams.get('paymentID'), status: searchParams.get('status') };
+};
+
+describe('PaymentService', () => {
+  let mock;
+  let paymentService;
+  let store;
+  let order;
+
+  const customer = { id: 'user-1', role: 'CUSTOMER' };
+
+  beforeAll(async () => {
+    mock = await startBkashMockServer();
+  });
+
+  afterAll(done => {
+    mock.server.close(done);
+  });
+
+  beforeEach(() => {
+    order = {
+      id: 'order-1',
+      orderNumber: 'ORD-1001',
+      userId: 'user-1',
+      total: '2530.00',
+      status: 'PENDING',
+      paymentMethod: 'BKASH',
+      paymentStatus: 'PENDING',
+      paidAt: null
+    };
+    store = createStore(order);
+
+    paymentService = new PaymentService();
+    paymentService.prisma = store.client;
+    paymentService.callbackBaseUrl = 'http://localhost:3001/api/v1/payments';
+    paymentService.gateways = new PaymentGatewayRegistry();
+    paymentService.gateways.register(new BkashGateway({
+      baseUrl: mock.url,
+      appKey: 'mock-app-key',
+      appSecret: 'mock-app-secret',
+      username: 'mock-user',
+      password: 'mock-password'
+    }));
+  });
+
+  describe('Checkout', () => {
+    /**
+     * Test the happy path marks the order paid
+     */
+    it('should execute an approved payment and mark the order paid', async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+      expect(order.paymentStatus).toBe('PROCESSING');
+
+      const callback = await customerReturns(redirectUrl, 'success');
+      const result = await paymentService.handleCallback('bkash', callback);
+
+      expect(result).toEqual({ orderId: 'order-1', status: 'COMPLETED' });
+      expect(order.paymentStatus).toBe('COMPLETED');
+      expect(order.paidAt).toBeInstanceOf(Date);
+      expect(store.transactions[0]).toMatchObject({
+        status: 'COMPLETED',
+        transactionId: callback.paymentID,
+        gatewayResponse: { capture: { transactionStatus: 'Completed' } }
+      });
+    });
+
+    /**
+     * Test cancelled payments are recorded and not executed
+     */
+    it('should record a cancelled payment', async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+
+      const result = await paymentService.handleCallback('bkash', await customerReturns(redirectUrl, 'cancel'));
+
+      expect(result.status).toBe('CANCELLED');
+      expect(order.paymentStatus).toBe('CANCELLED');
+      expect(order.paidAt).toBeNull();
+      expect(store.transactions[0].gatewayResponse.query).toMatchObject({ transactionStatus: 'Cancelled' });
+    });
+
+    /**
+     * Test unsigned cancel callbacks are checked with bKash before settling
+     */
+    it('should not cancel a payment bKash still has open on a forged callback', async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+      const callback = await customerReturns(redirectUrl, 'success');
+
+      const forged = await paymentService.handleCallback('bkash', { paymentID: callback.paymentID, status: 'cancel' });
+
+      expect(forged.status).toBe('PROCESSING');
+      expect(order.paymentStatus).toBe('PROCESSING');
+      expect(store.transactions[0].status).toBe('PROCESSING');
+
+      const result = await paymentService.handleCallback('bkash', callback);
+
+      expect(result.status).toBe('COMPLETED');
+    });
+
+    /**
+     * Test an order cancelled while its payment is processing is refunded, not marked paid
+     */
+    it('should refund a payment completed after the order was cancelled', async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+      order.status = 'CANCELLED';
+
+      const result = await paymentService.handleCallback('bkash', await customerReturns(redirectUrl, 'success'));
+
+      expect(result).toEqual({ orderId: 'order-1', status: 'REFUNDED' });
+      expect(order.paymentStatus).toBe('REFUNDED');
+      expect(order.paidAt).toBeNull();
+      expect(store.transactions.map(row => [row.status, row.amount])).toEqual([
+        ['COMPLETED', '2530.00'],
+        ['REFUNDED', 2530]
+      ]);
+    });
+
+    /**
+     * Test a failed refund leaves the cancelled order flagged as paid for a manual refund
+     */
+    it('should flag a cancelled order for refund when the gateway refund fails', async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+      order.status = 'CANCELLED';
+      jest.spyOn(paymentService.gateways.get('BKASH'), 'refund').mockRejectedValueOnce(new Error('Refund rejected'));
+
+      const result = await paymentService.handleCallback('bkash', await customerReturns(redirectUrl, 'success'));
+
+      expect(result.status).toBe('COMPLETED');
+      expect(order.paymentStatus).toBe('COMPLETED');
+      expect(paymentService.logger.logPayment).toHaveBeenCalledWith('PAYMENT_REFUND_REQUIRED', expect.objectContaining({
+        orderId: 'order-1',
+        error: 'Refund rejected'
+      }));
+    });
+
+    /**
+     * Test repeated callbacks do not execute twice
+     */
+    it('should treat a repeated callback as a no-op', async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+      const callback = await customerReturns(redirectUrl, 'success');
+
+      await paymentService.handleCallback('bkash', callback);
+      const captureSpy = jest.spyOn(paymentService.gateways.get('BKASH'), 'capture');
+      const result = await paymentService.handleCallback('bkash', callback);
+
+      expect(result.status).toBe('COMPLETED');
+      expect(captureSpy).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test only the owner can pay
+     */
+    it('should not let customers pay for other orders', async () => {
+      await expect(paymentService.initiatePayment('order-1', { id: 'user-2', role: 'CUSTOMER' }))
+        .rejects.toMatchObject({ name: 'ForbiddenError' });
+    });
+
+    /**
+     * Test offline payment methods are refused
+     */
+    it('should refuse orders paid cash on delivery', async () => {
+      order.paymentMethod = 'CASH_ON_DELIVERY';
+
+      await expect(paymentService.initiatePayment('order-1', customer))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+      expect(store.transactions).toHaveLength(0);
+    });
+
+    /**
+     * Test an abandoned attempt is failed before retrying
+     */
+    it('should fail an abandoned payment when the customer retries', async () => {
+      await paymentService.initiatePayment('order-1', customer);
+      const retry = await paymentService.initiatePayment('order-1', customer);
+
+      expect(store.transactions[0].status).toBe('FAILED');
+      expect(store.transactions[1]).toMatchObject({ status: 'PROCESSING', transactionId: retry.reference });
+    });
+  });
+
+  describe('Refunds', () => {
+    beforeEach(async () => {
+      const { redirectUrl } = await paymentService.initiatePayment('order-1', customer);
+      await paymentService.handleCallback('bkash', await customerReturns(redirectUrl, 'success'));
+    });
+
+    /**
+     * Test partial refunds keep the order paid until fully refunded
+     */
+    it('should record partial and full refunds', async () => {
+      await paymentService.refundPayment('order-1', { amount: 530, reason: 'Damaged charger' });
+      expect(order.paymentStatus).toBe('COMPLETED');
+
+      const refund = await paymentService.refundPayment('order-1');
+
+      expect(refund).toMatchObject({ status: 'REFUNDED', amount: 2000 });
+      expect(order.paymentStatus).toBe('REFUNDED');
+    });
+
+    /**
+     * Test refunds cannot exceed the amount paid
+     */
+    it('should reject refunds above the refundable amount', async () => {
+      await expect(paymentService.refundPayment('order-1', { amount: 5000 }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+  });
+
+  describe('Gateway Errors', () => {
+    /**
+     * Test bKash error codes surface as gateway errors
+     */
+    it('should raise a gateway error for rejected credentials', async () => {
+      paymentService.gateways.register(new BkashGateway({ baseUrl: mock.url, appKey: 'wrong', appSecret: 'wrong' }));
+
+      await expect(paymentService.initiatePayment('order-1', customer))
+        .rejects.toMatchObject({ name: 'PaymentGatewayError', statusCode: 502 });
+      expect(store.transactions[0].status).toBe('FAILED');
+    });
+  });
+});
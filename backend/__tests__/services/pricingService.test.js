@@ -0,0 +1,266 @@
+/**
+ * Pricing service testing
+ * Tests variant prices, scheduled sale prices, promotion campaigns and
+ * variant ownership checks
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { PricingService } = require('../../services/pricingService');
+
+describe('PricingService', () => {
+  let pricingService;
+  let client;
+
+  const now = new Date('2026-03-01T12:00:00Z');
+
+  const product = {
+    id: 'product-1',
+    categoryId: 'cat-android',
+    name: 'Walton Primo NH5',
+    regularPrice: '1000.00',
+    salePrice: '850.00',
+    saleStartsAt: null,
+    saleEndsAt: null,
+    publishedAt: new Date('2026-01-01T00:00:00Z')
+  };
+
+  const variant = {
+    id: 'variant-1',
+    productId: 'product-1',
+    name: '8GB / 128GB',
+    price: '1500.00',
+    comparePrice: '1700.00',
+    isActive: true
+  };
+
+  beforeEach(() => {
+    pricingService = new PricingService();
+    client = {
+      product: { findUnique: jest.fn().mockResolvedValue(product) },
+      productVariant: { findUnique: jest.fn().mockResolvedValue(variant) }
+    };
+  });
+
+  describe('Sale Prices', () => {
+    /**
+     * Test an unscheduled sale price always applies
+     */
+    it('should use the sale price when it has no window', () => {
+      expect(pricingService.resolvePrice(product, null, now)).toEqual({
+        unitPrice: 850,
+        listPrice: 1000,
+        onSale: true,
+        saleEndsAt: null,
+        promotion: null
+      });
+    });
+
+    /**
+     * Test the sale window bounds
+     */
+    it('should only use the sale price inside its window', () => {
+      const scheduled = {
+        ...product,
+        saleStartsAt: new Date('2026-03-05T00:00:00Z'),
+        saleEndsAt: new Date('2026-03-10T00:00:00Z')
+      };
+
+      expect(pricingService.resolvePrice(scheduled, null, now).unitPrice).toBe(1000);
+      expect(pricingService.resolvePrice(scheduled, null, new Date('2026-03-06T00:00:00Z')).unitPrice).toBe(850);
+      expect(pricingService.resolvePrice(scheduled, null, new Date('2026-03-10T00:00:00Z')).unitPrice).toBe(1000);
+    });
+
+    /**
+     * Test a sale price at or above the regular price is ignored
+     */
+    it('should ignore sale prices that are not lower', () => {
+      const result = pricingService.resolvePrice({ ...product, salePrice: '1200.00' }, null, now);
+
+      expect(result).toMatchObject({ unitPrice: 1000, onSale: false });
+    });
+  });
+
+  describe('Variant Prices', () => {
+    /**
+     * Test variants are sold at their own price
+     */
+    it('should use the variant price and compare price', () => {
+      expect(pricingService.resolvePrice(product, variant, now)).toMatchObject({
+        unitPrice: 1500,
+        listPrice: 1700,
+        onSale: true
+      });
+    });
+
+    /**
+     * Test the variant must belong to the product
+     */
+    it('should reject a variant of a different product', async () => {
+      client.productVariant.findUnique.mockResolvedValue({ ...variant, productId: 'product-2' });
+
+      await expect(pricingService.priceItem({ productId: 'product-1', variantId: 'variant-1' }, client))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    /**
+     * Test missing products
+     */
+    it('should throw not found for unknown products', async () => {
+      client.product.findUnique.mockResolvedValue(null);
+
+      await expect(pricingService.priceItem({ productId: 'missing' }, client))
+        .rejects.toMatchObject({ name: 'NotFoundError', statusCode: 404 });
+    });
+  });
+
+  describe('Promotion Campaigns', () => {
+    const campaign = (overrides) => ({
+      id: 'campaign-1',
+      name: '11.11 Mega Sale',
+      nameBn: null,
+      slug: '11-11-mega-sale',
+      startsAt: new Date('2026-03-01T00:00:00Z'),
+      endsAt: new Date('2026-03-02T00:00:00Z'),
+      isActive: true,
+      quantityCap: null,
+      soldQuantity: 0,
+      items: [],
+      ...overrides
+    });
+
+    beforeEach(() => {
+      pricingService.prisma = {
+        promotionCampaign: { findMany: jest.fn().mockResolvedValue([]) },
+        category: {
+          findMany: jest.fn().mockResolvedValue([
+            { id: 'cat-phones', parentId: null },
+            { id: 'cat-android', parentId: 'cat-phones' },
+            { id: 'cat-ios', parentId: 'cat-phones' }
+          ])
+        }
+      };
+    });
+
+    /**
+     * Test discount types
+     */
+    it('should apply percentage, fixed amount and fixed price discounts', () => {
+      expect(pricingService.discountedPrice({ discountType: 'PERCENTAGE', discountValue: '15', maxDiscount: null }, 999)).toBe(849.15);
+      expect(pricingService.discountedPrice({ discountType: 'PERCENTAGE', discountValue: '50', maxDiscount: '300.00' }, 1000)).toBe(700);
+      expect(pricingService.discountedPrice({ discountType: 'FIXED_AMOUNT', discountValue: '1200.00' }, 1000)).toBe(0);
+      expect(pricingService.discountedPrice({ discountType: 'FIXED_PRICE', discountValue: '799.00' }, 1000)).toBe(799);
+    });
+
+    /**
+     * Test campaigns price products only inside their window
+     */
+    it('should price products by a live campaign and revert when it ends', async () => {
+      pricingService.prisma.promotionCampaign.findMany.mockResolvedValue([
+        campaign({ quantityCap: 100, soldQuantity: 40, items: [{ productId: 'product-1', categoryId: null, discountType: 'FIXED_PRICE', discountValue: '750.00' }] })
+      ]);
+      await pricingService.loadPromotions(now);
+
+      expect(pricingService.resolvePrice(product, null, now)).toEqual({
+        unitPrice: 750,
+        listPrice: 1000,
+        onSale: true,
+        saleEndsAt: new Date('2026-03-02T00:00:00Z'),
+        promotion: {
+          id: 'campaign-1',
+          name: '11.11 Mega Sale',
+          nameBn: null,
+          slug: '11-11-mega-sale',
+          endsAt: new Date('2026-03-02T00:00:00Z'),
+          remainingQuantity: 60
+        }
+      });
+      expect(pricingService.resolvePrice(product, null, new Date('2026-03-02T00:00:00Z'))).toMatchObject({
+        unitPrice: 850,
+        promotion: null
+      });
+    });
+
+    /**
+     * Test category items cover subcategories and apply to variant prices
+     */
+    it('should discount variants through a parent category item', async () => {
+      pricingService.prisma.promotionCampaign.findMany.mockResolvedValue([
+        campaign({ items: [{ productId: null, categoryId: 'cat-phones', discountType: 'PERCENTAGE', discountValue: '10', maxDiscount: null }] })
+      ]);
+      await pricingService.loadPromotions(now);
+
+      expect(pricingService.resolvePrice(product, variant, now)).toMatchObject({
+        unitPrice: 1350,
+        listPrice: 1700,
+        promotion: { id: 'campaign-1' }
+      });
+      // The static sale price is lower than 10% off, so it stays
+      expect(pricingService.resolvePrice(product, null, now)).toMatchObject({ unitPrice: 850, promotion: null });
+    });
+
+    /**
+     * Test the best campaign wins and product items beat category items
+     */
+    it('should pick the lowest price across campaigns', async () => {
+      pricingService.prisma.promotionCampaign.findMany.mockResolvedValue([
+        campaign({
+          items: [
+            { productId: null, categoryId: 'cat-phones', discountType: 'PERCENTAGE', discountValue: '50', maxDiscount: null },
+            { productId: 'product-1', categoryId: null, discountType: 'FIXED_AMOUNT', discountValue: '200.00' }
+          ]
+        }),
+        campaign({ id: 'campaign-2', slug: 'eid-sale', items: [{ productId: null, categoryId: 'cat-android', discountType: 'FIXED_PRICE', discountValue: '700.00' }] })
+      ]);
+      await pricingService.loadPromotions(now);
+
+      expect(pricingService.resolvePrice(product, null, now)).toMatchObject({
+        unitPrice: 700,
+        promotion: { id: 'campaign-2' }
+      });
+    });
+
+    /**
+     * Test sold-out and upcoming campaigns do not apply
+     */
+    it('should ignore sold-out and upcoming campaigns', async () => {
+      pricingService.prisma.promotionCampaign.findMany.mockResolvedValue([
+        campaign({ quantityCap: 50, soldQuantity: 50, items: [{ productId: 'product-1', discountType: 'FIXED_PRICE', discountValue: '500.00' }] }),
+        campaign({ id: 'campaign-2', startsAt: new Date('2026-03-01T18:00:00Z'), items: [{ productId: 'product-1', discountType: 'FIXED_PRICE', discountValue: '600.00' }] })
+      ]);
+      await pricingService.loadPromotions(now);
+
+      expect(pricingService.resolvePrice(product, null, now).promotion).toBeNull();
+      expect(pricingService.resolvePrice(product, null, new Date('2026-03-01T18:00:00Z'))).toMatchObject({
+        unitPrice: 600,
+        promotion: { id: 'campaign-2' }
+      });
+    });
+
+    /**
+     * Test checkout pricing reloads a stale snapshot
+     */
+    it('should reload campaigns before pricing an item when the snapshot is stale', async () => {
+      await pricingService.priceItem({ productId: 'product-1' }, client);
+      await pricingService.priceItem({ productId: 'product-1' }, client);
+
+      expect(pricingService.prisma.promotionCampaign.findMany).toHaveBeenCalledTimes(1);
+
+      pricingService.invalidatePromotions();
+      await pricingService.priceItem({ productId: 'product-1' }, client);
+
+      expect(pricingService.prisma.promotionCampaign.findMany).toHaveBeenCalledTimes(2);
+    });
+  });
+});
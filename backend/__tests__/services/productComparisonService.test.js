@@ -0,0 +1,166 @@
+/**
+ * Product comparison service testing
+ * Tests specification alignment by normalized name, difference flags,
+ * category compatibility and input limits
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { ProductComparisonService } = require('../../services/productComparisonService');
+
+describe('ProductComparisonService', () => {
+  let productComparisonService;
+  let products;
+
+  const ID_A = '11111111-1111-4111-8111-111111111111';
+  const ID_B = '22222222-2222-4222-8222-222222222222';
+  const ID_C = '33333333-3333-4333-8333-333333333333';
+
+  const product = (id, overrides) => ({
+    id,
+    name: `Phone ${id.slice(0, 1)}`,
+    nameBn: null,
+    slug: `phone-${id.slice(0, 1)}`,
+    sku: `SKU-${id.slice(0, 1)}`,
+    regularPrice: '30000.00',
+    salePrice: null,
+    saleStartsAt: null,
+    saleEndsAt: null,
+    stockQuantity: 5,
+    warrantyPeriod: 12,
+    warrantyType: 'Brand',
+    category: { id: 'cat-android', name: 'Android Phones', slug: 'android-phones', parentId: 'cat-phones' },
+    brand: { id: 'brand-1', name: 'Acme', slug: 'acme' },
+    images: [],
+    specifications: [],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    products = [
+      product(ID_A, {
+        specifications: [
+          { name: 'RAM', value: '8 GB' },
+          { name: 'Storage', value: '128GB' },
+          { name: 'Battery Capacity', value: '5000 mAh' }
+        ]
+      }),
+      product(ID_B, {
+        regularPrice: '35000.00',
+        warrantyPeriod: 24,
+        category: { id: 'cat-ios', name: 'iPhones', slug: 'iphones', parentId: 'cat-phones' },
+        specifications: [
+          { name: 'Memory:', value: '8GB' },
+          { name: 'internal storage', value: '256 GB' },
+          { name: 'Face ID', value: 'Yes' }
+        ]
+      })
+    ];
+
+    productComparisonService = new ProductComparisonService();
+    productComparisonService.prisma = {
+      product: {
+        findMany: jest.fn(({ where }) => Promise.resolve(products.filter(item => where.id.in.includes(item.id))))
+      },
+      review: {
+        groupBy: jest.fn().mockResolvedValue([
+          { productId: ID_A, _avg: { rating: 4.25 }, _count: { rating: 8 } }
+        ])
+      }
+    };
+  });
+
+  /**
+   * Test alignment of differently written specification names
+   */
+  it('should align specifications by normalized name and flag differences', async () => {
+    const { specifications } = await productComparisonService.compare([ID_A, ID_B]);
+
+    expect(specifications).toEqual([
+      { key: 'ram', name: 'RAM', values: ['8 GB', '8GB'], different: false },
+      { key: 'storage', name: 'Storage', values: ['128GB', '256 GB'], different: true },
+      { key: 'battery', name: 'Battery Capacity', values: ['5000 mAh', null], different: true },
+      { key: 'face id', name: 'Face ID', values: [null, 'Yes'], different: true }
+    ]);
+  });
+
+  /**
+   * Test price, warranty and rating rows and the product summaries
+   */
+  it('should compare price, warranty and rating in the requested order', async () => {
+    const result = await productComparisonService.compare([ID_B, ID_A]);
+
+    expect(result.products.map(item => item.id)).toEqual([ID_B, ID_A]);
+    expect(result.products[1]).toMatchObject({
+      pricing: { unitPrice: 30000 },
+      warranty: { period: 12, type: 'Brand' },
+      rating: { average: 4.3, count: 8 }
+    });
+    expect(result.attributes).toEqual([
+      { key: 'price', name: 'Price', values: [35000, 30000], different: true },
+      { key: 'brand', name: 'Brand', values: ['Acme', 'Acme'], different: false },
+      { key: 'warranty', name: 'Warranty', values: ['24 months Brand', '12 months Brand'], different: true },
+      { key: 'rating', name: 'Rating', values: [null, 4.3], different: true }
+    ]);
+  });
+
+  /**
+   * Test that unrelated categories are rejected
+   */
+  it('should reject products from unrelated categories', async () => {
+    products.push(product(ID_C, { category: { id: 'cat-laptops', name: 'Laptops', slug: 'laptops', parentId: 'cat-computers' } }));
+
+    await expect(productComparisonService.compare([ID_A, ID_C])).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Products from different categories cannot be compared',
+      details: { categories: ['Android Phones', 'Laptops'] }
+    });
+  });
+
+  /**
+   * Test category compatibility rules
+   */
+  it('should treat a category, its parent and its siblings as compatible', () => {
+    const phones = { id: 'cat-phones', parentId: null };
+    const android = { id: 'cat-android', parentId: 'cat-phones' };
+    const ios = { id: 'cat-ios', parentId: 'cat-phones' };
+    const laptops = { id: 'cat-laptops', parentId: null };
+    const tablets = { id: 'cat-tablets', parentId: null };
+
+    expect(productComparisonService.areCompatible([android, android])).toBe(true);
+    expect(productComparisonService.areCompatible([phones, android])).toBe(true);
+    expect(productComparisonService.areCompatible([android, ios, phones])).toBe(true);
+    expect(productComparisonService.areCompatible([laptops, tablets])).toBe(false);
+  });
+
+  /**
+   * Test the number of products
+   */
+  it('should require 2 to 4 different products', async () => {
+    await expect(productComparisonService.compare([ID_A, ID_A])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(productComparisonService.compare([ID_A, ID_B, ID_C, 'd', 'e'])).rejects.toMatchObject({ statusCode: 400 });
+    expect(productComparisonService.prisma.product.findMany).not.toHaveBeenCalled();
+  });
+
+  /**
+   * Test unknown products
+   */
+  it('should report products that do not exist', async () => {
+    await expect(productComparisonService.compare([ID_A, ID_C])).rejects.toMatchObject({
+      statusCode: 404,
+      message: `Product not found: ${ID_C}`
+    });
+  });
+});
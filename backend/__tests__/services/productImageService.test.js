@@ -0,0 +1,225 @@
+/**
+ * Product image service testing
+ * Tests WebP rendition generation, EXIF stripping, ordering and deletion
+ * against a temporary upload directory
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { ProductImageService } = require('../../services/productImageService');
+
+describe('ProductImageService', () => {
+  let productImageService;
+  let uploadRoot;
+  let images;
+
+  // Photo as a phone would send it: stored landscape with an EXIF rotation and camera metadata
+  const photo = () => sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } })
+    .jpeg()
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'PhoneMaker', Copyright: 'Shop' } } })
+    .toBuffer();
+
+  const filePath = url => path.join(uploadRoot, url.replace(/^\/uploads\//, ''));
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    uploadRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'product-images-'));
+    images = [];
+
+    productImageService = new ProductImageService();
+    productImageService.uploadRoot = uploadRoot;
+    productImageService.prisma = {
+      product: { findUnique: jest.fn().mockResolvedValue({ id: 'product-1' }) },
+      productImage: {
+        aggregate: jest.fn(() => Promise.resolve({
+          _max: { sortOrder: images.length ? Math.max(...images.map(image => image.sortOrder)) : null }
+        })),
+        create: jest.fn(({ data }) => {
+          images.push(data);
+          return Promise.resolve(data);
+        }),
+        findFirst: jest.fn(({ where }) => Promise.resolve(images.find(image => image.id === where.id) || null)),
+        findMany: jest.fn(() => Promise.resolve([...images].sort((a, b) => a.sortOrder - b.sortOrder))),
+        update: jest.fn(({ where, data }) => {
+          const image = images.find(item => item.id === where.id);
+          Object.assign(image, data);
+          return Promise.resolve(image);
+        }),
+        delete: jest.fn(({ where }) => {
+          images = images.filter(image => image.id !== where.id);
+          return Promise.resolve();
+        }),
+        updateMany: jest.fn(({ where }) => {
+          images.filter(image => image.sortOrder > where.sortOrder.gt).forEach(image => { image.sortOrder--; });
+          return Promise.resolve();
+        })
+      },
+      $transaction: jest.fn(operations => Promise.all(operations))
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(uploadRoot, { recursive: true, force: true });
+  });
+
+  describe('Upload', () => {
+    /**
+     * Test uploads become upright WebP renditions without metadata
+     */
+    it('should create rotated WebP renditions and strip EXIF', async () => {
+      const [image] = await productImageService.addImages('product-1', [{ buffer: await photo(), originalname: 'a54.jpg' }], {
+        alt: 'Samsung Galaxy A54',
+        altBn: 'স্যামসাং গ্যালাক্সি A54'
+      });
+
+      expect(image).toMatchObject({ productId: 'product-1', sortOrder: 0, width: 1000, height: 2000, altBn: 'স্যামসাং গ্যালাক্সি A54' });
+      expect(image.renditions.thumbnail).toMatchObject({ width: 150, height: 300 });
+      expect(image.renditions.medium).toMatchObject({ width: 600, height: 1200 });
+      expect(image.renditions.large).toMatchObject({ width: 1000, height: 2000 });
+      expect(image.url).toBe(`/uploads/products/product-1/${image.id}-large.webp`);
+
+      const stored = await sharp(filePath(image.renditions.medium.url)).metadata();
+      expect(stored.format).toBe('webp');
+      expect(stored.exif).toBeUndefined();
+      expect(stored.orientation).toBeUndefined();
+    });
+
+    /**
+     * Test new uploads go after the existing images
+     */
+    it('should append uploads after existing images', async () => {
+      const buffer = await photo();
+      await productImageService.addImages('product-1', [{ buffer, originalname: '1.jpg' }]);
+      const added = await productImageService.addImages('product-1', [
+        { buffer, originalname: '2.jpg' },
+        { buffer, originalname: '3.jpg' }
+      ]);
+
+      expect(added.map(image => image.sortOrder)).toEqual([1, 2]);
+    });
+
+    /**
+     * Test files that are not images are rejected without leftovers
+     */
+    it('should reject files that are not images', async () => {
+      await expect(productImageService.addImages('product-1', [{ buffer: Buffer.from('not an image'), originalname: 'fake.jpg' }]))
+        .rejects.toMatchObject({ name: 'ValidationError', message: 'fake.jpg: File is not a readable image' });
+      expect(images).toHaveLength(0);
+    });
+
+    /**
+     * Test uploads to unknown products are rejected
+     */
+    it('should reject uploads for unknown products', async () => {
+      productImageService.prisma.product.findUnique.mockResolvedValue(null);
+
+      await expect(productImageService.addImages('missing', [{ buffer: await photo(), originalname: 'a.jpg' }]))
+        .rejects.toMatchObject({ name: 'NotFoundError', statusCode: 404 });
+    });
+  });
+
+  describe('Management', () => {
+    beforeEach(async () => {
+      const buffer = await photo();
+      await productImageService.addImages('product-1', ['a', 'b', 'c'].map(name => ({ buffer, originalname: `${name}.jpg` })));
+    });
+
+    /**
+     * Test reordering needs every image exactly once
+     */
+    it('should reorder images and reject incomplete orders', async () => {
+      const [a, b, c] = images.map(image => image.id);
+
+      await productImageService.reorderImages('product-1', [c, a, b]);
+      expect(images.map(image => [image.id, image.sortOrder])).toEqual([[a, 1], [b, 2], [c, 0]]);
+
+      await expect(productImageService.reorderImages('product-1', [a, b]))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+      await expect(productImageService.reorderImages('product-1', [a, a, b]))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+
+    /**
+     * Test moving one image shifts the others
+     */
+    it('should move an image to a new position and update alt text', async () => {
+      const [a, b, c] = images.map(image => image.id);
+
+      const image = await productImageService.updateImage('product-1', c, { sortOrder: 0, alt: 'Back view' });
+
+      expect(image).toMatchObject({ id: c, sortOrder: 0, alt: 'Back view' });
+      expect(images.find(item => item.id === a).sortOrder).toBe(1);
+      expect(images.find(item => item.id === b).sortOrder).toBe(2);
+    });
+
+    /**
+     * Test deleting removes files and closes the gap
+     */
+    it('should delete an image with its files', async () => {
+      const [a, b, c] = [...images];
+
+      await productImageService.deleteImage('product-1', b.id);
+
+      expect(images.map(image => [image.id, image.sortOrder])).toEqual([[a.id, 0], [c.id, 1]]);
+      await expect(fs.access(filePath(b.renditions.large.url))).rejects.toMatchObject({ code: 'ENOENT' });
+      await expect(fs.access(filePath(a.renditions.large.url))).resolves.toBeUndefined();
+    });
+  });
+
+  describe('Responses', () => {
+    /**
+     * Test the srcset lists each rendition width once
+     */
+    it('should build a srcset from the renditions', () => {
+      const image = productImageService.toResponsive({
+        id: 'image-1',
+        url: '/uploads/products/p/i-large.webp',
+        alt: 'Walton Primo',
+        altBn: null,
+        sortOrder: 0,
+        width: 500,
+        height: 500,
+        renditions: {
+          thumbnail: { url: '/uploads/products/p/i-thumbnail.webp', width: 150, height: 150 },
+          medium: { url: '/uploads/products/p/i-medium.webp', width: 500, height: 500 },
+          large: { url: '/uploads/products/p/i-large.webp', width: 500, height: 500 }
+        }
+      });
+
+      expect(image.srcset).toBe('/uploads/products/p/i-thumbnail.webp 150w, /uploads/products/p/i-large.webp 500w');
+    });
+
+    /**
+     * Test images imported by URL keep working
+     */
+    it('should return images without renditions as a single url', () => {
+      expect(productImageService.toResponsive({ id: 'image-1', url: 'https://cdn.example.com/a.jpg', sortOrder: 0 }))
+        .toEqual({
+          id: 'image-1',
+          url: 'https://cdn.example.com/a.jpg',
+          alt: null,
+          altBn: null,
+          sortOrder: 0,
+          width: null,
+          height: null,
+          renditions: {},
+          srcset: null
+        });
+    });
+  });
+});
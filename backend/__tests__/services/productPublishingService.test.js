@@ -0,0 +1,256 @@
+/**
+ * Product publishing service testing
+ * Tests draft, scheduled and published states, preview links, revision
+ * snapshots and rolling a product back to an earlier revision
+ */
+
+// Token signatures and expiry are under test, so use the real jsonwebtoken instead of the setup mock
+jest.unmock('jsonwebtoken');
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const jwt = require('jsonwebtoken');
+const { ProductPublishingService } = require('../../services/productPublishingService');
+
+describe('ProductPublishingService', () => {
+  let publishingService;
+  let tx;
+  let product;
+  let revisions;
+
+  const now = new Date('2026-05-01T06:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    product = {
+      id: 'product-1',
+      sku: 'WAL-NH5',
+      name: 'Walton Primo NH5',
+      nameEn: 'Walton Primo NH5',
+      slug: 'walton-primo-nh5',
+      categoryId: 'cat-phones',
+      brandId: 'brand-walton',
+      regularPrice: '8999.00',
+      salePrice: null,
+      stockQuantity: 7,
+      status: 'ACTIVE',
+      publishedAt: null,
+      specifications: [
+        { name: 'Storage', value: '64GB', sortOrder: 1 },
+        { name: 'RAM', value: '4GB', sortOrder: 0 }
+      ]
+    };
+    revisions = [];
+
+    tx = {
+      product: {
+        findUnique: jest.fn(() => Promise.resolve(product)),
+        findFirst: jest.fn().mockResolvedValue(null),
+        update: jest.fn(({ data }) => {
+          Object.assign(product, data);
+          return Promise.resolve(product);
+        })
+      },
+      productSpecification: {
+        deleteMany: jest.fn(() => {
+          product.specifications = [];
+          return Promise.resolve({ count: 2 });
+        }),
+        createMany: jest.fn(({ data }) => {
+          product.specifications = data;
+          return Promise.resolve({ count: data.length });
+        })
+      },
+      productRevision: {
+        findFirst: jest.fn(({ where }) => Promise.resolve(where.id
+          ? revisions.find(revision => revision.id === where.id) || null
+          : revisions[revisions.length - 1] || null)),
+        create: jest.fn(({ data }) => {
+          const revision = { id: `revision-${data.version}`, ...data };
+          revisions.push(revision);
+          return Promise.resolve(revision);
+        })
+      },
+      category: { findUnique: jest.fn().mockResolvedValue({ id: 'cat-phones' }) },
+      brand: { findUnique: jest.fn().mockResolvedValue({ id: 'brand-walton' }) }
+    };
+
+    publishingService = new ProductPublishingService();
+    publishingService.previewSecret = 'preview-secret';
+    publishingService.prisma = {
+      ...tx,
+      $transaction: jest.fn(fn => fn(tx))
+    };
+  });
+
+  describe('Publication State', () => {
+    /**
+     * Test the state follows publishedAt
+     */
+    it('should treat missing, future and past publishedAt as draft, scheduled and published', () => {
+      expect(publishingService.getState({ publishedAt: null }, now)).toBe('DRAFT');
+      expect(publishingService.getState({ publishedAt: new Date('2026-05-01T06:00:01Z') }, now)).toBe('SCHEDULED');
+      expect(publishingService.getState({ publishedAt: '2026-05-01T06:00:00Z' }, now)).toBe('PUBLISHED');
+      expect(publishingService.isPublished({ publishedAt: new Date('2026-05-02T00:00:00Z') }, now)).toBe(false);
+    });
+
+    /**
+     * Test the where clauses for listings
+     */
+    it('should build where clauses per publication state', () => {
+      expect(publishingService.publicationWhere(undefined, now)).toEqual({ publishedAt: { lte: now } });
+      expect(publishingService.publicationWhere('SCHEDULED', now)).toEqual({ publishedAt: { gt: now } });
+      expect(publishingService.publicationWhere('DRAFT', now)).toEqual({ publishedAt: null });
+      expect(publishingService.publicationWhere('ALL', now)).toEqual({});
+    });
+  });
+
+  describe('Preview Links', () => {
+    /**
+     * Test a preview token names its product until it expires
+     */
+    it('should sign preview tokens that resolve to the product', async () => {
+      const preview = await publishingService.createPreviewToken('product-1', 'admin-1');
+
+      expect(preview.publication).toEqual({ state: 'DRAFT', publishedAt: null });
+      expect(preview.expiresAt.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+      expect(publishingService.verifyPreviewToken(preview.token)).toBe('product-1');
+    });
+
+    /**
+     * Test tokens that are expired, forged or meant for something else are refused
+     */
+    it('should refuse expired, foreign and unrelated tokens', () => {
+      const expired = jwt.sign({ productId: 'product-1', type: 'product_preview' }, 'preview-secret', { expiresIn: -10 });
+      const forged = jwt.sign({ productId: 'product-1', type: 'product_preview' }, 'another-secret');
+      const cartToken = jwt.sign({ cartId: 'cart-1', type: 'guest_cart' }, 'preview-secret');
+
+      [expired, forged, cartToken].forEach(token => {
+        expect(() => publishingService.verifyPreviewToken(token)).toThrow(expect.objectContaining({
+          statusCode: 403,
+          message: 'This preview link is invalid or has expired'
+        }));
+      });
+    });
+
+    /**
+     * Test preview links need an existing product
+     */
+    it('should not create preview links for missing products', async () => {
+      tx.product.findUnique.mockResolvedValue(null);
+
+      await expect(publishingService.createPreviewToken('product-9', 'admin-1')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('Revisions', () => {
+    /**
+     * Test the first revision is a full snapshot and later ones list their changes
+     */
+    it('should record content snapshots with the fields that changed', async () => {
+      const first = await publishingService.recordRevision(tx, 'product-1', { actorId: 'admin-1', reason: 'Created' });
+
+      expect(first).toMatchObject({ version: 1, changedFields: [], reason: 'Created', actorId: 'admin-1' });
+      expect(first.snapshot).toMatchObject({ name: 'Walton Primo NH5', regularPrice: '8999.00', salePrice: null });
+      expect(first.snapshot.specifications.map(spec => spec.name)).toEqual(['RAM', 'Storage']);
+      expect(first.snapshot).not.toHaveProperty('stockQuantity');
+      expect(first.snapshot).not.toHaveProperty('publishedAt');
+
+      Object.assign(product, { regularPrice: '9499.00', stockQuantity: 3, publishedAt: now });
+      const second = await publishingService.recordRevision(tx, 'product-1', { actorId: 'admin-2' });
+
+      expect(second).toMatchObject({ version: 2, changedFields: ['regularPrice'] });
+    });
+
+    /**
+     * Test stock or publication changes alone add no revision
+     */
+    it('should skip the revision when the content is unchanged', async () => {
+      await publishingService.recordRevision(tx, 'product-1');
+      Object.assign(product, { stockQuantity: 0, status: 'OUT_OF_STOCK', publishedAt: now });
+
+      await expect(publishingService.recordRevision(tx, 'product-1')).resolves.toBeNull();
+      expect(revisions).toHaveLength(1);
+    });
+
+    /**
+     * Test products without revisions keep their content from before the first edit
+     */
+    it('should record a baseline only for products without revisions', async () => {
+      const baseline = await publishingService.ensureBaseline(tx, 'product-1');
+
+      expect(baseline).toMatchObject({ version: 1, reason: 'Content before the first recorded edit', actorId: null });
+      expect(baseline.snapshot).toMatchObject({ name: 'Walton Primo NH5', regularPrice: '8999.00' });
+
+      Object.assign(product, { name: 'Walton Primo NH5 Pro' });
+      await expect(publishingService.ensureBaseline(tx, 'product-1')).resolves.toBeNull();
+      expect(revisions).toHaveLength(1);
+    });
+
+    /**
+     * Test rolling back content and specifications, recorded as a new revision
+     */
+    it('should restore an earlier revision as a new revision', async () => {
+      await publishingService.recordRevision(tx, 'product-1', { reason: 'Created' });
+      Object.assign(product, {
+        name: 'Walton Primo NH5 (wrong)',
+        regularPrice: '89.99',
+        specifications: [{ name: 'RAM', value: '4GB', sortOrder: 0 }]
+      });
+      await publishingService.recordRevision(tx, 'product-1');
+
+      const result = await publishingService.restoreRevision('product-1', 'revision-1', 'admin-1');
+
+      expect(tx.product.update).toHaveBeenCalledWith({
+        where: { id: 'product-1' },
+        data: expect.objectContaining({ name: 'Walton Primo NH5', regularPrice: '8999.00', slug: 'walton-primo-nh5' })
+      });
+      expect(tx.productSpecification.createMany).toHaveBeenCalledWith({
+        data: [
+          { productId: 'product-1', name: 'RAM', value: '4GB', sortOrder: 0 },
+          { productId: 'product-1', name: 'Storage', value: '64GB', sortOrder: 1 }
+        ]
+      });
+      expect(result.revision).toMatchObject({
+        version: 3,
+        reason: 'Restored version 1',
+        actorId: 'admin-1',
+        changedFields: ['name', 'regularPrice', 'specifications']
+      });
+    });
+
+    /**
+     * Test a restore never takes a slug another product uses now
+     */
+    it('should refuse to restore a slug another product has taken', async () => {
+      await publishingService.recordRevision(tx, 'product-1');
+      tx.product.findFirst.mockResolvedValue({ id: 'product-2' });
+
+      await expect(publishingService.restoreRevision('product-1', 'revision-1', 'admin-1')).rejects.toMatchObject({
+        statusCode: 409,
+        details: { slug: 'walton-primo-nh5' }
+      });
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test revisions of other products are not found
+     */
+    it('should only restore revisions of the same product', async () => {
+      await expect(publishingService.restoreRevision('product-1', 'revision-7', 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Revision not found' });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Product recommendation service testing
+ * Tests co-purchase ranking from order history, the same-category and
+ * same-brand fallback for cold-start products, the Redis cache and leaving
+ * out unpublished products
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/redisConnectionPool', () => ({
+  redisConnectionPool: {
+    isInitialized: false,
+    getClient: jest.fn()
+  }
+}));
+
+const { ProductRecommendationService } = require('../../services/productRecommendationService');
+
+describe('ProductRecommendationService', () => {
+  let recommendationService;
+  let products;
+  let orders;
+  let store;
+  let cache;
+
+  const publishedAt = new Date('2026-01-01T00:00:00Z');
+
+  const product = (id, categoryId, brandId, regularPrice, overrides = {}) => ({
+    id,
+    name: id,
+    slug: id,
+    categoryId,
+    brandId,
+    regularPrice,
+    salePrice: null,
+    status: 'ACTIVE',
+    publishedAt,
+    images: [],
+    ...overrides
+  });
+
+  // Minimal evaluation of the product where clauses the service builds
+  const matches = (item, where) => {
+    if (where.status && item.status !== where.status) return false;
+    if (where.publishedAt && !(item.publishedAt && item.publishedAt <= where.publishedAt.lte)) return false;
+    if (where.id && !where.id.in.includes(item.id)) return false;
+    if (where.OR && !where.OR.some(clause => Object.entries(clause).every(([key, value]) => item[key] === value))) return false;
+    return true;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    products = [
+      product('phone', 'cat-phones', 'brand-a', '20000.00'),
+      product('phone-b', 'cat-phones', 'brand-b', '22000.00'),
+      product('case', 'cat-accessories', 'brand-a', '500.00'),
+      product('charger', 'cat-accessories', 'brand-b', '1500.00'),
+      product('earbuds', 'cat-audio', 'brand-a', '3000.00'),
+      product('draft', 'cat-accessories', 'brand-a', '900.00', { publishedAt: null })
+    ];
+    orders = [
+      ['phone', 'case', 'charger'],
+      ['phone', 'case'],
+      ['phone', 'charger', 'draft'],
+      ['phone', 'draft'],
+      ['case', 'earbuds']
+    ].map((items, index) => ({ id: `order-${index + 1}`, items: items.map(productId => ({ productId })) }));
+
+    store = new Map();
+    cache = {
+      get: jest.fn(key => Promise.resolve(store.get(key) || null)),
+      setEx: jest.fn((key, ttl, value) => Promise.resolve(store.set(key, value)))
+    };
+
+    recommendationService = new ProductRecommendationService();
+    recommendationService.cache = cache;
+    recommendationService.prisma = {
+      order: {
+        findMany: jest.fn(({ where, cursor, take }) => {
+          const matching = orders.filter(order => !where.items || order.items.some(item => item.productId === where.items.some.productId));
+          const start = cursor ? matching.findIndex(order => order.id === cursor.id) + 1 : 0;
+          return Promise.resolve(matching.slice(start, start + take));
+        })
+      },
+      product: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(products.find(item => item.id === where.id) || null)),
+        findMany: jest.fn(({ where }) => Promise.resolve(products.filter(item => matches(item, where))))
+      }
+    };
+  });
+
+  const cached = (productId) => JSON.parse(store.get(`recommendations:product:${productId}`));
+
+  describe('Precomputing', () => {
+    /**
+     * Test products bought together rank by the share of orders they appear in
+     */
+    it('should rank products bought together and leave out unpublished ones', async () => {
+      const result = await recommendationService.refreshAll();
+
+      expect(result).toEqual({ products: 5, orders: 5, cached: 5 });
+      expect(cache.setEx).toHaveBeenCalledWith('recommendations:product:phone', 86400, expect.any(String));
+
+      const phone = cached('phone');
+      expect(phone.frequentlyBoughtTogether).toEqual([
+        { productId: 'case', score: 0.5, orders: 2, source: 'CO_PURCHASE' },
+        { productId: 'charger', score: 0.5, orders: 2, source: 'CO_PURCHASE' },
+        { productId: 'phone-b', score: 0, orders: 0, source: 'SIMILAR' },
+        { productId: 'earbuds', score: 0, orders: 0, source: 'SIMILAR' }
+      ]);
+      expect(phone.related.map(item => item.productId)).toEqual(['phone-b', 'case', 'earbuds']);
+      expect(store.has('recommendations:product:draft')).toBe(false);
+    });
+
+    /**
+     * Test products without enough order history fall back to similar products
+     */
+    it('should fill cold-start products from the same category and brand', async () => {
+      await recommendationService.refreshAll();
+
+      const earbuds = cached('earbuds');
+      expect(earbuds.frequentlyBoughtTogether.every(item => item.source === 'SIMILAR')).toBe(true);
+      expect(earbuds.related.map(item => item.productId)).toEqual(['phone', 'case']);
+
+      // Same category outranks same brand; among same-brand products the better seller wins
+      expect(cached('case').related.map(item => item.productId)).toEqual(['charger', 'phone', 'earbuds']);
+    });
+
+    /**
+     * Test nothing is computed without Redis to keep it in
+     */
+    it('should skip the refresh when Redis is not available', async () => {
+      recommendationService.cache = null;
+
+      await expect(recommendationService.refreshAll()).resolves.toEqual({ products: 0, orders: 0, cached: 0 });
+      expect(recommendationService.prisma.order.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Serving', () => {
+    /**
+     * Test cached lists are hydrated in order, skipping products that stopped being recommendable
+     */
+    it('should serve cached recommendations with prices and skip products unpublished since', async () => {
+      await recommendationService.refreshAll();
+      products.find(item => item.id === 'case').publishedAt = null;
+      recommendationService.prisma.order.findMany.mockClear();
+
+      const result = await recommendationService.getRecommendations('phone', 'frequentlyBoughtTogether', { limit: 2 });
+
+      expect(result.products.map(item => item.id)).toEqual(['charger', 'phone-b']);
+      expect(result.products[0]).toMatchObject({
+        pricing: { unitPrice: 1500 },
+        recommendation: { score: 0.5, source: 'CO_PURCHASE', orders: 2 }
+      });
+      expect(recommendationService.prisma.order.findMany).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test a cache miss is computed for the one product and cached
+     */
+    it('should compute and cache a product missing from the cache', async () => {
+      const result = await recommendationService.getRecommendations('phone', 'frequentlyBoughtTogether');
+
+      expect(result.products.map(item => item.id)).toEqual(['case', 'charger', 'phone-b', 'earbuds']);
+      expect(recommendationService.prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ items: { some: { productId: 'phone' } }, status: { notIn: ['CANCELLED', 'REFUNDED'] } })
+      }));
+      expect(cached('phone').related.map(item => item.productId)).toEqual(['phone-b', 'case', 'earbuds']);
+    });
+
+    /**
+     * Test drafts have no recommendations page
+     */
+    it('should not serve recommendations for unpublished products', async () => {
+      await expect(recommendationService.getRecommendations('draft', 'related'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Product not found' });
+      await expect(recommendationService.getRecommendations('missing', 'related'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
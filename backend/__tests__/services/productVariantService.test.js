@@ -0,0 +1,336 @@
+/**
+ * Product variant service testing
+ * Tests option normalization, SKU and option-combination uniqueness,
+ * matrix generation, opening stock and product status, and response shaping
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({})),
+  Prisma: { DbNull: 'DbNull' }
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/emailService', () => ({
+  emailService: {}
+}));
+
+const { ProductVariantService } = require('../../services/productVariantService');
+
+describe('ProductVariantService', () => {
+  let productVariantService;
+  let variants;
+
+  const product = { id: 'product-1', sku: 'PHONE-X', name: 'Phone X', regularPrice: '30000.00' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    variants = [
+      { id: 'variant-1', productId: 'product-1', sku: 'PHONE-X-BLACK-128GB', name: 'Black / 128GB', options: { color: 'Black', storage: '128GB' }, sortOrder: 0 }
+    ];
+
+    productVariantService = new ProductVariantService();
+    productVariantService.prisma = {
+      product: {
+        findUnique: jest.fn().mockResolvedValue(product),
+        findMany: jest.fn().mockResolvedValue([])
+      },
+      productVariant: {
+        findFirst: jest.fn(({ where }) => Promise.resolve(variants.find(variant => variant.id === where.id) || null)),
+        findMany: jest.fn(({ where }) => Promise.resolve(variants.filter(variant =>
+          (!where.sku || where.sku.in.includes(variant.sku)) &&
+          (!where.productId || variant.productId === where.productId) &&
+          (!where.id || variant.id !== where.id.not)
+        ))),
+        aggregate: jest.fn().mockResolvedValue({ _max: { sortOrder: 0 } }),
+        create: jest.fn(({ data }) => Promise.resolve({ id: `created-${data.sku}`, ...data })),
+        update: jest.fn(({ where, data }) => Promise.resolve({ ...variants.find(variant => variant.id === where.id), ...data })),
+        delete: jest.fn().mockResolvedValue({})
+      },
+      orderItem: {
+        count: jest.fn().mockResolvedValue(0)
+      },
+      cartItem: {
+        deleteMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      $transaction: jest.fn(fn => fn(productVariantService.prisma))
+    };
+    productVariantService.stockService = {
+      setStock: jest.fn().mockResolvedValue({ balanceAfter: 4 }),
+      recordOpeningStock: jest.fn().mockResolvedValue(null),
+      refreshStatus: jest.fn().mockResolvedValue('ACTIVE')
+    };
+  });
+
+  describe('normalizeOptions', () => {
+    /**
+     * Test option name and value normalization
+     */
+    it('should lowercase option names and trim values', () => {
+      expect(productVariantService.normalizeOptions({ Color: ' Midnight Blue ', 'Screen Size': '6.1"', RAM: '8GB' }))
+        .toEqual({ color: 'Midnight Blue', screen_size: '6.1"', ram: '8GB' });
+      expect(productVariantService.normalizeOptions({})).toBeNull();
+    });
+
+    /**
+     * Test invalid options
+     */
+    it('should reject invalid names, empty values and repeated options', () => {
+      expect(() => productVariantService.normalizeOptions({ '1st': 'x' })).toThrow('Invalid option name');
+      expect(() => productVariantService.normalizeOptions({ color: '' })).toThrow('needs a value');
+      expect(() => productVariantService.normalizeOptions({ RAM: '8GB', ram: '12GB' })).toThrow('given twice');
+      expect(() => productVariantService.normalizeOptions(['Black'])).toThrow('must be an object');
+    });
+  });
+
+  describe('createVariant', () => {
+    /**
+     * Test creation with a name derived from the options
+     */
+    it('should create a variant after the existing ones', async () => {
+      const variant = await productVariantService.createVariant('product-1', {
+        sku: 'PHONE-X-BLUE-256GB',
+        price: 35000,
+        options: { Color: 'Blue', Storage: '256GB' }
+      });
+
+      expect(productVariantService.prisma.productVariant.create).toHaveBeenCalledWith({
+        data: {
+          productId: 'product-1',
+          name: 'Blue / 256GB',
+          sku: 'PHONE-X-BLUE-256GB',
+          price: 35000,
+          comparePrice: null,
+          stock: 0,
+          isActive: true,
+          options: { color: 'Blue', storage: '256GB' },
+          sortOrder: 1
+        }
+      });
+      expect(variant.name).toBe('Blue / 256GB');
+    });
+
+    /**
+     * Test opening stock is recorded in the stock ledger in the same transaction
+     */
+    it('should record the opening stock of a new variant', async () => {
+      await productVariantService.createVariant('product-1', {
+        sku: 'PHONE-X-BLUE-256GB',
+        price: 35000,
+        stock: 6,
+        options: { Color: 'Blue', Storage: '256GB' }
+      }, 'admin-1');
+
+      expect(productVariantService.stockService.recordOpeningStock).toHaveBeenCalledWith(productVariantService.prisma, {
+        productId: 'product-1',
+        variantId: 'created-PHONE-X-BLUE-256GB',
+        quantity: 6,
+        actorId: 'admin-1'
+      });
+    });
+
+    /**
+     * Test SKU uniqueness against variants and products
+     */
+    it('should reject SKUs used by a variant or a product', async () => {
+      await expect(productVariantService.createVariant('product-1', { sku: 'PHONE-X-BLACK-128GB', price: 1, name: 'Copy' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'SKU already in use: PHONE-X-BLACK-128GB' });
+
+      productVariantService.prisma.product.findMany.mockResolvedValue([{ sku: 'PHONE-X' }]);
+      await expect(productVariantService.createVariant('product-1', { sku: 'PHONE-X', price: 1, name: 'Base' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    /**
+     * Test that an option combination exists only once per product
+     */
+    it('should reject a second variant with the same options', async () => {
+      await expect(productVariantService.createVariant('product-1', {
+        sku: 'PHONE-X-OTHER',
+        price: 1,
+        options: { storage: '128gb', color: 'black' }
+      })).rejects.toMatchObject({ statusCode: 409, message: 'Variant PHONE-X-BLACK-128GB already has these options' });
+    });
+
+    /**
+     * Test that a variant needs a name or options
+     */
+    it('should require a name when there are no options', async () => {
+      await expect(productVariantService.createVariant('product-1', { sku: 'PHONE-X-PLAIN', price: 1 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('updateVariant / deleteVariant', () => {
+    /**
+     * Test updating a variant's own options and SKU
+     */
+    it('should allow keeping its own options and clear them with null', async () => {
+      await productVariantService.updateVariant('product-1', 'variant-1', { options: { color: 'Black', storage: '128GB' } });
+      expect(productVariantService.prisma.productVariant.update).toHaveBeenLastCalledWith({
+        where: { id: 'variant-1' },
+        data: { options: { color: 'Black', storage: '128GB' } }
+      });
+
+      await productVariantService.updateVariant('product-1', 'variant-1', { options: null });
+      expect(productVariantService.prisma.productVariant.update).toHaveBeenLastCalledWith({
+        where: { id: 'variant-1' },
+        data: { options: 'DbNull' }
+      });
+    });
+
+    /**
+     * Test that stock changes go through the stock ledger
+     */
+    it('should set stock through the stock service', async () => {
+      const variant = await productVariantService.updateVariant('product-1', 'variant-1', { price: 31000, stock: 4 }, 'admin-1');
+
+      expect(productVariantService.prisma.productVariant.update).toHaveBeenCalledWith({
+        where: { id: 'variant-1' },
+        data: { price: 31000 }
+      });
+      expect(productVariantService.stockService.setStock).toHaveBeenCalledWith('product-1', 4, {
+        variantId: 'variant-1',
+        reason: 'Variant updated',
+        actorId: 'admin-1'
+      }, productVariantService.prisma);
+      expect(variant.stock).toBe(4);
+      expect(productVariantService.stockService.refreshStatus).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test deactivating a variant syncs the product's status
+     */
+    it('should sync the product status when a variant is deactivated', async () => {
+      variants[0].isActive = true;
+
+      await productVariantService.updateVariant('product-1', 'variant-1', { isActive: false });
+
+      expect(productVariantService.stockService.refreshStatus).toHaveBeenCalledWith(productVariantService.prisma, 'product-1');
+    });
+
+    /**
+     * Test unknown variants
+     */
+    it('should throw for a variant of another product', async () => {
+      await expect(productVariantService.updateVariant('product-1', 'missing', { stock: 1 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    /**
+     * Test that ordered variants are kept
+     */
+    it('should deactivate variants that were ordered and delete the rest', async () => {
+      productVariantService.prisma.orderItem.count.mockResolvedValueOnce(2);
+      await expect(productVariantService.deleteVariant('product-1', 'variant-1')).resolves.toEqual({ deleted: false });
+      expect(productVariantService.prisma.productVariant.update).toHaveBeenCalledWith({
+        where: { id: 'variant-1' },
+        data: { isActive: false }
+      });
+      expect(productVariantService.prisma.productVariant.delete).not.toHaveBeenCalled();
+
+      await expect(productVariantService.deleteVariant('product-1', 'variant-1')).resolves.toEqual({ deleted: true });
+      expect(productVariantService.prisma.cartItem.deleteMany).toHaveBeenCalledWith({ where: { variantId: 'variant-1' } });
+      expect(productVariantService.prisma.productVariant.delete).toHaveBeenCalledWith({ where: { id: 'variant-1' } });
+      expect(productVariantService.stockService.refreshStatus).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('generateMatrix', () => {
+    const matrix = {
+      options: { Color: ['Black', 'Blue', 'black'], Storage: ['128GB', '256GB'] },
+      priceAdjustments: { Storage: { '256GB': 5000 } },
+      stock: 3
+    };
+
+    /**
+     * Test the planned combinations, names, SKUs and prices
+     */
+    it('should plan every combination with adjusted prices', () => {
+      expect(productVariantService.buildMatrix(product, matrix)).toEqual([
+        { name: 'Black / 128GB', sku: 'PHONE-X-BLACK-128GB', options: { color: 'Black', storage: '128GB' }, price: 30000, stock: 3 },
+        { name: 'Black / 256GB', sku: 'PHONE-X-BLACK-256GB', options: { color: 'Black', storage: '256GB' }, price: 35000, stock: 3 },
+        { name: 'Blue / 128GB', sku: 'PHONE-X-BLUE-128GB', options: { color: 'Blue', storage: '128GB' }, price: 30000, stock: 3 },
+        { name: 'Blue / 256GB', sku: 'PHONE-X-BLUE-256GB', options: { color: 'Blue', storage: '256GB' }, price: 35000, stock: 3 }
+      ]);
+    });
+
+    /**
+     * Test the matrix size limit
+     */
+    it('should refuse matrices over the limit', () => {
+      const values = Array.from({ length: 11 }, (_, i) => `V${i}`);
+      expect(() => productVariantService.buildMatrix(product, { options: { a: values, b: values } }))
+        .toThrow('would create 121 variants');
+    });
+
+    /**
+     * Test that existing combinations are skipped and a preview saves nothing
+     */
+    it('should skip existing combinations and only save outside preview', async () => {
+      const preview = await productVariantService.generateMatrix('product-1', matrix, { preview: true });
+
+      expect(preview.variants.map(variant => variant.sku)).toEqual(['PHONE-X-BLACK-256GB', 'PHONE-X-BLUE-128GB', 'PHONE-X-BLUE-256GB']);
+      expect(preview.skipped).toEqual([
+        { name: 'Black / 128GB', options: { color: 'Black', storage: '128GB' }, existingSku: 'PHONE-X-BLACK-128GB' }
+      ]);
+      expect(productVariantService.prisma.productVariant.create).not.toHaveBeenCalled();
+
+      const result = await productVariantService.generateMatrix('product-1', matrix);
+
+      expect(result.variants).toHaveLength(3);
+      expect(productVariantService.prisma.productVariant.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ sku: 'PHONE-X-BLUE-256GB', productId: 'product-1', sortOrder: 3 })
+      });
+      expect(productVariantService.stockService.recordOpeningStock).toHaveBeenCalledTimes(3);
+      expect(productVariantService.stockService.recordOpeningStock).toHaveBeenCalledWith(productVariantService.prisma, expect.objectContaining({
+        variantId: 'created-PHONE-X-BLUE-256GB',
+        quantity: 3
+      }));
+    });
+
+    /**
+     * Test that generated SKUs must be free
+     */
+    it('should fail without creating anything when a generated SKU is taken', async () => {
+      variants.push({ id: 'variant-9', productId: 'product-2', sku: 'PHONE-X-BLUE-128GB', options: null, sortOrder: 0 });
+
+      await expect(productVariantService.generateMatrix('product-1', matrix))
+        .rejects.toMatchObject({ statusCode: 409, details: { skus: ['PHONE-X-BLUE-128GB'] } });
+      expect(productVariantService.prisma.productVariant.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('responses', () => {
+    /**
+     * Test the response shape and option summary
+     */
+    it('should include pricing and availability, and summarize options', () => {
+      const variant = { ...variants[0], price: '30000.00', comparePrice: '32000.00', stock: 0, isActive: true };
+
+      expect(productVariantService.toResponse(product, variant)).toMatchObject({
+        sku: 'PHONE-X-BLACK-128GB',
+        options: { color: 'Black', storage: '128GB' },
+        price: 30000,
+        comparePrice: 32000,
+        inStock: false,
+        pricing: { unitPrice: 30000, listPrice: 32000, onSale: true }
+      });
+      expect(productVariantService.summarizeOptions([
+        variant,
+        { options: { color: 'Blue', storage: '128GB' } },
+        { options: null }
+      ])).toEqual([
+        { name: 'color', values: ['Black', 'Blue'] },
+        { name: 'storage', values: ['128GB'] }
+      ]);
+    });
+  });
+});
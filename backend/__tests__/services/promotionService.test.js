@@ -0,0 +1,245 @@
+/**
+ * Promotion service testing
+ * Tests Asia/Dhaka campaign times, storefront countdowns, campaign
+ * validation, quantity caps at checkout and deleting campaigns that sold
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { PromotionService } = require('../../services/promotionService');
+
+describe('PromotionService', () => {
+  let promotionService;
+  let tx;
+
+  const now = new Date('2026-11-10T17:30:00Z');
+
+  const campaign = (overrides) => ({
+    id: 'campaign-1',
+    name: '11.11 Mega Sale',
+    nameBn: null,
+    slug: '11-11-mega-sale',
+    startsAt: new Date('2026-11-10T18:00:00Z'),
+    endsAt: new Date('2026-11-11T18:00:00Z'),
+    isActive: true,
+    quantityCap: 100,
+    soldQuantity: 0,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    tx = {
+      promotionCampaign: {
+        findUnique: jest.fn().mockResolvedValue(campaign({ soldQuantity: 97 })),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      }
+    };
+
+    promotionService = new PromotionService();
+    promotionService.prisma = {
+      promotionCampaign: {
+        findUnique: jest.fn().mockResolvedValue(null),
+        create: jest.fn(({ data }) => Promise.resolve({ id: 'campaign-1', soldQuantity: 0, isActive: true, quantityCap: null, ...data, items: data.items.create })),
+        update: jest.fn(({ data }) => Promise.resolve(campaign(data))),
+        delete: jest.fn().mockResolvedValue({})
+      },
+      product: {
+        findMany: jest.fn(({ where }) => Promise.resolve(where.id.in.map(id => ({ id }))))
+      },
+      category: {
+        findMany: jest.fn().mockResolvedValue([{ id: 'cat-phones' }])
+      }
+    };
+    promotionService.pricingService = {
+      refreshPromotions: jest.fn().mockResolvedValue(),
+      invalidatePromotions: jest.fn()
+    };
+  });
+
+  describe('Campaign Times', () => {
+    /**
+     * Test times without an offset are Bangladesh time
+     */
+    it('should read times without an offset as Asia/Dhaka', () => {
+      expect(promotionService.parseDhakaTime('2026-11-11T00:00')).toEqual(new Date('2026-11-10T18:00:00Z'));
+      expect(promotionService.parseDhakaTime('2026-11-11T00:00:00Z')).toEqual(new Date('2026-11-11T00:00:00Z'));
+      expect(promotionService.parseDhakaTime('2026-11-11T00:00:00+05:30')).toEqual(new Date('2026-11-10T18:30:00Z'));
+      expect(() => promotionService.parseDhakaTime('11/11')).toThrow('Invalid date: 11/11');
+    });
+
+    /**
+     * Test the countdown fields
+     */
+    it('should describe a campaign for storefront countdowns', () => {
+      expect(promotionService.toResponse(campaign({ soldQuantity: 30 }), now)).toMatchObject({
+        timezone: 'Asia/Dhaka',
+        startsAtLocal: '2026-11-11T00:00:00+06:00',
+        endsAtLocal: '2026-11-12T00:00:00+06:00',
+        status: 'SCHEDULED',
+        secondsUntilStart: 1800,
+        secondsRemaining: 88200,
+        remainingQuantity: 70
+      });
+
+      const live = new Date('2026-11-11T06:00:00Z');
+      expect(promotionService.toResponse(campaign(), live)).toMatchObject({ status: 'LIVE', secondsUntilStart: 0 });
+      expect(promotionService.toResponse(campaign({ soldQuantity: 100 }), live).status).toBe('SOLD_OUT');
+      expect(promotionService.toResponse(campaign(), new Date('2026-11-11T18:00:00Z')).status).toBe('ENDED');
+      expect(promotionService.toResponse(campaign({ isActive: false }), live).status).toBe('INACTIVE');
+    });
+  });
+
+  describe('Campaign Management', () => {
+    const items = [
+      { productId: 'product-1', discountType: 'FIXED_PRICE', discountValue: '799' },
+      { categoryId: 'cat-phones', discountType: 'PERCENTAGE', discountValue: 10, maxDiscount: 500 }
+    ];
+
+    /**
+     * Test creating a campaign stores Dhaka times and refreshes pricing
+     */
+    it('should create a campaign and reload the pricing snapshot', async () => {
+      const result = await promotionService.createCampaign({
+        name: '11.11 Mega Sale',
+        slug: '11-11-mega-sale',
+        startsAt: '2026-11-11T00:00',
+        endsAt: '2026-11-12T00:00',
+        items
+      });
+
+      expect(promotionService.prisma.promotionCampaign.create).toHaveBeenCalledWith({
+        data: {
+          name: '11.11 Mega Sale',
+          slug: '11-11-mega-sale',
+          startsAt: new Date('2026-11-10T18:00:00Z'),
+          endsAt: new Date('2026-11-11T18:00:00Z'),
+          items: {
+            create: [
+              { productId: 'product-1', categoryId: null, discountType: 'FIXED_PRICE', discountValue: 799, maxDiscount: null },
+              { productId: null, categoryId: 'cat-phones', discountType: 'PERCENTAGE', discountValue: 10, maxDiscount: 500 }
+            ]
+          }
+        },
+        include: { items: true }
+      });
+      expect(result.startsAtLocal).toBe('2026-11-11T00:00:00+06:00');
+      expect(promotionService.pricingService.refreshPromotions).toHaveBeenCalledWith({ force: true });
+    });
+
+    /**
+     * Test invalid campaigns are refused
+     */
+    it('should validate the window, items and targets', async () => {
+      const data = { name: 'Eid Sale', slug: 'eid-sale', startsAt: '2026-03-20T00:00', endsAt: '2026-03-20T00:00', items };
+
+      await expect(promotionService.createCampaign(data)).rejects.toMatchObject({ statusCode: 400, message: 'A promotion must end after it starts' });
+      await expect(promotionService.createCampaign({ ...data, endsAt: '2026-03-25T00:00', items: [{ productId: 'product-1', categoryId: 'cat-phones', discountType: 'PERCENTAGE', discountValue: 10 }] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(promotionService.createCampaign({ ...data, endsAt: '2026-03-25T00:00', items: [{ productId: 'product-1', discountType: 'PERCENTAGE', discountValue: 120 }] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(promotionService.createCampaign({ ...data, endsAt: '2026-03-25T00:00', items: [items[0], items[0]] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      promotionService.prisma.category.findMany.mockResolvedValue([]);
+      await expect(promotionService.createCampaign({ ...data, endsAt: '2026-03-25T00:00' }))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Category not found: cat-phones' });
+      expect(promotionService.prisma.promotionCampaign.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test the cap cannot drop below what has been sold
+     */
+    it('should refuse a quantity cap below the units already sold', async () => {
+      promotionService.prisma.promotionCampaign.findUnique.mockResolvedValue(campaign({ soldQuantity: 40 }));
+
+      await expect(promotionService.updateCampaign('campaign-1', { quantityCap: 30 }))
+        .rejects.toMatchObject({ statusCode: 400, details: { soldQuantity: 40 } });
+    });
+
+    /**
+     * Test campaigns that sold are deactivated rather than deleted
+     */
+    it('should end and deactivate a live campaign with orders instead of deleting it', async () => {
+      const live = campaign({ startsAt: new Date(Date.now() - 60000), endsAt: new Date(Date.now() + 60000), _count: { orderItems: 3 } });
+      promotionService.prisma.promotionCampaign.findUnique.mockResolvedValue(live);
+
+      const result = await promotionService.deleteCampaign('campaign-1');
+
+      expect(result.deleted).toBe(false);
+      expect(promotionService.prisma.promotionCampaign.update).toHaveBeenCalledWith({
+        where: { id: 'campaign-1' },
+        data: { isActive: false, endsAt: expect.any(Date) }
+      });
+      expect(promotionService.prisma.promotionCampaign.delete).not.toHaveBeenCalled();
+
+      promotionService.prisma.promotionCampaign.findUnique.mockResolvedValue({ ...live, _count: { orderItems: 0 } });
+      await expect(promotionService.deleteCampaign('campaign-1')).resolves.toEqual({ deleted: true, campaign: null });
+    });
+  });
+
+  describe('Quantity Caps', () => {
+    const lines = [
+      { productId: 'product-1', quantity: 2, promotionId: 'campaign-1' },
+      { productId: 'product-2', quantity: 1, promotionId: 'campaign-1' },
+      { productId: 'product-3', quantity: 5, promotionId: null }
+    ];
+
+    /**
+     * Test lines claim campaign quantity within the cap
+     */
+    it('should claim the quantity of every line priced by a campaign', async () => {
+      await promotionService.claimQuantity(tx, lines);
+
+      expect(tx.promotionCampaign.updateMany).toHaveBeenCalledTimes(1);
+      expect(tx.promotionCampaign.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: 'campaign-1',
+          isActive: true,
+          startsAt: { lte: expect.any(Date) },
+          endsAt: { gt: expect.any(Date) },
+          soldQuantity: { lte: 97 }
+        },
+        data: { soldQuantity: { increment: 3 } }
+      });
+    });
+
+    /**
+     * Test a sold-out campaign refuses the order and reloads prices
+     */
+    it('should refuse orders past the cap and mark the pricing snapshot stale', async () => {
+      tx.promotionCampaign.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(promotionService.claimQuantity(tx, [{ ...lines[0], quantity: 4 }])).rejects.toMatchObject({
+        statusCode: 409,
+        message: '11.11 Mega Sale has ended or sold out; prices in your cart have changed',
+        details: { promotionId: 'campaign-1', remainingQuantity: 3 }
+      });
+      expect(promotionService.pricingService.invalidatePromotions).toHaveBeenCalled();
+    });
+
+    /**
+     * Test cancelled orders give their quantity back
+     */
+    it('should release the quantity of cancelled order items', async () => {
+      await promotionService.releaseQuantity(tx, lines);
+
+      expect(tx.promotionCampaign.updateMany).toHaveBeenCalledWith({
+        where: { id: 'campaign-1', soldQuantity: { gte: 3 } },
+        data: { soldQuantity: { decrement: 3 } }
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Query normalization service testing
+ * Tests Bangla normalization, Banglish transliteration, synonym expansion
+ * and synonym group management
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { QueryNormalizationService } = require('../../services/queryNormalizationService');
+const { loggerService } = require('../../services/logger');
+
+describe('QueryNormalizationService', () => {
+  let queryNormalizationService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queryNormalizationService = new QueryNormalizationService();
+    queryNormalizationService.prisma = {
+      searchSynonym: {
+        findMany: jest.fn().mockResolvedValue([
+          { terms: ['ফোন', 'phone', 'mobile', 'মোবাইল'] },
+          { terms: ['power bank', 'পাওয়ার ব্যাংক'] }
+        ]),
+        findUnique: jest.fn(),
+        create: jest.fn(({ data }) => Promise.resolve({ id: 'synonym-1', ...data })),
+        update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, terms: ['a', 'b'], isActive: true, ...data })),
+        delete: jest.fn()
+      }
+    };
+  });
+
+  describe('Normalization', () => {
+    /**
+     * Test Bangla text is brought to one form
+     */
+    it('should normalize Bangla Unicode, digits and punctuation', () => {
+      expect(queryNormalizationService.normalizeText('  স্যামসাং   ৫৪!! ')).toBe('স্যামসাং 54');
+      expect(queryNormalizationService.normalizeText('উৎস')).toBe(queryNormalizationService.normalizeText('উত্\u200Dস'));
+      expect(queryNormalizationService.normalizeText('\u09DF')).toBe(queryNormalizationService.normalizeText('\u09AF\u09BC'));
+      expect(queryNormalizationService.normalizeText('Galaxy A54-5G')).toBe('galaxy a54-5g');
+    });
+
+    /**
+     * Test phonetic Latin spellings become Bangla script
+     */
+    it('should transliterate Banglish words', () => {
+      expect(queryNormalizationService.transliterate('mobail')).toBe('মোবাইল');
+      expect(queryNormalizationService.transliterate('fon')).toBe('ফোন');
+      expect(queryNormalizationService.transliterate('a54')).toBeNull();
+    });
+  });
+
+  describe('Expansion', () => {
+    /**
+     * Test synonyms are found directly and through transliteration
+     */
+    it('should expand queries with synonyms', async () => {
+      expect((await queryNormalizationService.normalize('ফোন')).expansions)
+        .toEqual(expect.arrayContaining(['phone', 'mobile', 'মোবাইল']));
+      expect((await queryNormalizationService.normalize('mobail')).expansions)
+        .toEqual(expect.arrayContaining(['মোবাইল', 'ফোন', 'phone', 'mobile']));
+      expect((await queryNormalizationService.normalize('Power Bank 10000')).expansions)
+        .toContain(queryNormalizationService.normalizeText('পাওয়ার ব্যাংক'));
+    });
+
+    /**
+     * Test Banglish connecting words are dropped
+     */
+    it('should drop Banglish particles from multi-word queries', async () => {
+      const query = await queryNormalizationService.normalize('laptop er charger');
+
+      expect(query.text).toBe('laptop charger');
+      expect(query.terms).toEqual(['laptop', 'charger']);
+      expect((await queryNormalizationService.normalize('er')).text).toBe('er');
+    });
+
+    /**
+     * Test synonyms are cached and failures do not break search
+     */
+    it('should cache synonyms and survive load failures', async () => {
+      await queryNormalizationService.normalize('phone');
+      await queryNormalizationService.normalize('mobile');
+      expect(queryNormalizationService.prisma.searchSynonym.findMany).toHaveBeenCalledTimes(1);
+
+      queryNormalizationService.invalidateSynonyms();
+      queryNormalizationService.prisma.searchSynonym.findMany.mockRejectedValue(new Error('db down'));
+
+      const query = await queryNormalizationService.normalize('phone');
+      expect(query.text).toBe('phone');
+      expect(query.expansions).not.toContain('mobile');
+      expect(loggerService.warn).toHaveBeenCalledWith('Failed to load search synonyms', { error: 'db down' });
+    });
+  });
+
+  describe('Synonym Management', () => {
+    /**
+     * Test terms are normalized and a group needs two distinct terms
+     */
+    it('should normalize terms and reject groups with fewer than two', async () => {
+      const synonym = await queryNormalizationService.createSynonym({ terms: [' Laptop ', 'ল্যাপটপ', 'laptop', 'Notebook'] });
+
+      expect(synonym.terms).toEqual(['laptop', 'ল্যাপটপ', 'notebook']);
+      await expect(queryNormalizationService.createSynonym({ terms: ['Phone', 'phone '] }))
+        .rejects.toMatchObject({ name: 'ValidationError', statusCode: 400 });
+    });
+
+    /**
+     * Test changes are picked up by the next query
+     */
+    it('should reload synonyms after a change', async () => {
+      await queryNormalizationService.normalize('phone');
+      await queryNormalizationService.createSynonym({ terms: ['tab', 'tablet'] });
+      await queryNormalizationService.normalize('phone');
+
+      expect(queryNormalizationService.prisma.searchSynonym.findMany).toHaveBeenCalledTimes(2);
+    });
+
+    /**
+     * Test unknown groups are rejected
+     */
+    it('should reject updates to unknown groups', async () => {
+      queryNormalizationService.prisma.searchSynonym.findUnique.mockResolvedValue(null);
+
+      await expect(queryNormalizationService.updateSynonym('missing', { isActive: false }))
+        .rejects.toMatchObject({ name: 'NotFoundError', statusCode: 404 });
+    });
+  });
+});
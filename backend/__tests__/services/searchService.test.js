@@ -0,0 +1,412 @@
+/**
+ * Search service testing
+ * Runs indexing, index sync, relevance-ranked search, facet counts,
+ * autocomplete and the Postgres fallback against the local Elasticsearch
+ * mock server
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/redisConnectionPool', () => ({
+  redisConnectionPool: {
+    isInitialized: false,
+    getClient: jest.fn()
+  }
+}));
+
+const { startElasticsearchMockServer } = require('../../mocks/elasticsearchMockServer');
+const { SearchService } = require('../../services/searchService');
+const { QueryNormalizationService } = require('../../services/queryNormalizationService');
+const { loggerService } = require('../../services/logger');
+const { redisConnectionPool } = require('../../services/redisConnectionPool');
+
+describe('SearchService', () => {
+  let mock;
+  let searchService;
+  let products;
+
+  const product = (id, overrides = {}) => ({
+    id,
+    sku: `SKU-${id}`,
+    name: `Product ${id}`,
+    nameEn: `Product ${id}`,
+    nameBn: null,
+    slug: `product-${id}`,
+    description: null,
+    shortDescription: null,
+    status: 'ACTIVE',
+    isFeatured: false,
+    categoryId: 'category-phones',
+    category: { id: 'category-phones', name: 'Smartphones', slug: 'smartphones' },
+    brandId: 'brand-samsung',
+    brand: { id: 'brand-samsung', name: 'Samsung', slug: 'samsung' },
+    regularPrice: '10000.00',
+    salePrice: null,
+    stockQuantity: 10,
+    weight: null,
+    specifications: [],
+    images: [],
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-01-01T00:00:00Z'),
+    publishedAt: new Date('2026-01-01T00:00:00Z'),
+    ...overrides
+  });
+
+  // Minimal Prisma stand-in over the products array
+  const prismaProducts = () => ({
+    findUnique: jest.fn(({ where }) => Promise.resolve(products.find(p => p.id === where.id) || null)),
+    findMany: jest.fn(({ cursor, take }) => {
+      const start = cursor ? products.findIndex(p => p.id === cursor.id) + 1 : 0;
+      return Promise.resolve(products.slice(start, start + take));
+    }),
+    count: jest.fn().mockResolvedValue(0)
+  });
+
+  // Brand and category lookups over the products' relations
+  const prismaRelation = (relation) => ({
+    findMany: jest.fn(({ where }) => Promise.resolve(
+      [...new Map(products.map(p => [p[relation].id, p[relation]])).values()]
+        .filter(record => where.id.in.includes(record.id))
+    ))
+  });
+
+  beforeAll(async () => {
+    mock = await startElasticsearchMockServer();
+  });
+
+  afterAll(done => {
+    mock.server.close(done);
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    redisConnectionPool.isInitialized = false;
+    mock.state.indices.clear();
+    products = [
+      product('p1', {
+        name: 'Samsung Galaxy A54 5G',
+        nameBn: 'স্যামসাং গ্যালাক্সি A54',
+        regularPrice: '42999.00',
+        specifications: [{ name: 'RAM', value: '8GB' }, { name: 'Storage', value: '256GB' }]
+      }),
+      product('p2', {
+        name: 'Walton Primo NH5',
+        brandId: 'brand-walton',
+        brand: { id: 'brand-walton', name: 'Walton', slug: 'walton' },
+        regularPrice: '8999.00',
+        description: 'Budget phone, a good alternative to Samsung entry models',
+        specifications: [{ name: 'RAM', value: '2GB' }]
+      }),
+      product('p3', {
+        name: 'Lenovo IdeaPad Slim 3',
+        categoryId: 'category-laptops',
+        category: { id: 'category-laptops', name: 'Laptops', slug: 'laptops' },
+        brandId: 'brand-lenovo',
+        brand: { id: 'brand-lenovo', name: 'Lenovo', slug: 'lenovo' },
+        regularPrice: '65000.00'
+      }),
+      product('p4', { name: 'Samsung Galaxy S23', status: 'DISCONTINUED' })
+    ];
+
+    searchService = new SearchService();
+    searchService.node = mock.url;
+    searchService.http.defaults.baseURL = mock.url;
+    searchService.unavailableUntil = 0;
+    searchService.normalizer = new QueryNormalizationService();
+    searchService.normalizer.prisma = {
+      searchSynonym: {
+        findMany: jest.fn().mockResolvedValue([{ terms: ['ফোন', 'phone', 'mobile', 'মোবাইল'] }])
+      }
+    };
+    searchService.prisma = {
+      product: prismaProducts(),
+      brand: prismaRelation('brand'),
+      category: prismaRelation('category')
+    };
+
+    await searchService.reindexAll({ batchSize: 3 });
+  });
+
+  describe('Indexing', () => {
+    /**
+     * Test the index is created from the shipped mapping and filled in batches
+     */
+    it('should create the index from the mapping file and bulk index products', async () => {
+      const index = mock.state.indices.get('products');
+
+      expect(index.mappings.properties.name.fields.suggest.type).toBe('completion');
+      expect(index.mappings.properties.specifications.type).toBe('nested');
+      expect(index.docs.size).toBe(4);
+      expect(index.docs.get('p1')).toMatchObject({
+        brand: 'Samsung',
+        category_slug: 'smartphones',
+        regular_price: 42999,
+        specifications: [{ name: 'RAM', value: '8GB' }, { name: 'Storage', value: '256GB' }]
+      });
+      expect(searchService.prisma.product.findMany).toHaveBeenCalledTimes(3);
+    });
+
+    /**
+     * Test product changes and deletions reach the index
+     */
+    it('should sync updated and deleted products', async () => {
+      products[1] = { ...products[1], name: 'Walton Orbit Y12' };
+      await searchService.syncProduct('p2');
+      expect(mock.state.indices.get('products').docs.get('p2').name).toBe('Walton Orbit Y12');
+
+      products = products.filter(p => p.id !== 'p3');
+      await expect(searchService.syncProduct('p3')).resolves.toBe(true);
+      expect(mock.state.indices.get('products').docs.has('p3')).toBe(false);
+    });
+
+    /**
+     * Test a failed sync never throws
+     */
+    it('should log instead of throwing when sync fails', async () => {
+      searchService.http.defaults.baseURL = 'http://127.0.0.1:9';
+
+      await expect(searchService.syncProduct('p1')).resolves.toBe(false);
+      expect(loggerService.warn).toHaveBeenCalledWith('Search index sync failed', expect.objectContaining({ productId: 'p1' }));
+    });
+  });
+
+  describe('Search', () => {
+    /**
+     * Test name matches outrank description matches
+     */
+    it('should rank results by relevance', async () => {
+      const result = await searchService.search({ q: 'samsung' });
+
+      expect(result).toEqual({ ids: ['p1', 'p2'], total: 2, engine: 'elasticsearch' });
+    });
+
+    /**
+     * Test misspelled queries and Bangla names match
+     */
+    it('should tolerate typos and match Bangla names', async () => {
+      expect((await searchService.search({ q: 'lenvo ideapad' })).ids).toEqual(['p3']);
+      expect((await searchService.search({ q: 'গ্যালাক্সি' })).ids).toEqual(['p1']);
+      expect((await searchService.search({ q: '256gb' })).ids).toEqual(['p1']);
+    });
+
+    /**
+     * Test filters, sorting and paging
+     */
+    it('should filter by brand and price and sort when asked', async () => {
+      expect((await searchService.search({ q: 'samsung', brands: ['brand-walton'] })).ids).toEqual(['p2']);
+      expect((await searchService.search({ q: 'galaxy', status: 'DISCONTINUED' })).ids).toEqual(['p4']);
+
+      const sorted = await searchService.search({ q: 'samsung walton lenovo', maxPrice: 50000, sortBy: 'price', sortOrder: 'asc', limit: 1 });
+      expect(sorted).toMatchObject({ ids: ['p2'], total: 2 });
+    });
+
+    /**
+     * Test drafts and scheduled products stay out of results until published
+     */
+    it('should leave out drafts and scheduled products unless asked for them', async () => {
+      products[0] = { ...products[0], publishedAt: null };
+      products[1] = { ...products[1], publishedAt: new Date(Date.now() + 3600000) };
+      await searchService.syncProduct('p1');
+      await searchService.syncProduct('p2');
+
+      expect((await searchService.search({ q: 'samsung' })).ids).toEqual([]);
+      expect((await searchService.suggest('Samsng')).products).toEqual([]);
+      expect((await searchService.search({ q: 'samsung', publication: 'DRAFT' })).ids).toEqual(['p1']);
+      expect((await searchService.search({ q: 'samsung', publication: 'SCHEDULED' })).ids).toEqual(['p2']);
+      expect((await searchService.search({ q: 'samsung', publication: 'ALL' })).ids).toEqual(['p1', 'p2']);
+      expect(searchService.buildWhere({})).toMatchObject({ status: 'ACTIVE', publishedAt: { lte: expect.any(Date) } });
+    });
+
+    /**
+     * Test Postgres takes over while Elasticsearch is down
+     */
+    it('should fall back to Postgres when Elasticsearch is unreachable', async () => {
+      searchService.http.defaults.baseURL = 'http://127.0.0.1:9';
+      searchService.prisma.product.findMany.mockResolvedValue([{ id: 'p2' }]);
+      searchService.prisma.product.count.mockResolvedValue(1);
+      const post = jest.spyOn(searchService.http, 'post');
+
+      const result = await searchService.search({ q: 'walton' });
+      expect(result).toEqual({ ids: ['p2'], total: 1, engine: 'postgres' });
+      expect(searchService.prisma.product.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ status: 'ACTIVE', AND: [{ OR: expect.any(Array) }] })
+      }));
+
+      // Elasticsearch is not retried until the cool-down passes
+      await searchService.search({ q: 'walton' });
+      expect(post).toHaveBeenCalledTimes(1);
+    });
+
+    /**
+     * Test Banglish and synonym expansion on both search paths
+     */
+    it('should expand Banglish queries with transliterations and synonyms', async () => {
+      expect((await searchService.search({ q: 'mobail' })).ids).toEqual(['p2']);
+
+      searchService.http.defaults.baseURL = 'http://127.0.0.1:9';
+      await searchService.search({ q: 'laptop er mobail' });
+
+      const { where } = searchService.prisma.product.findMany.mock.calls.pop()[0];
+      const searched = where.AND[0].OR.map(clause => Object.values(clause)[0].contains);
+      expect(searched).toEqual(expect.arrayContaining(['laptop mobail', 'মোবাইল', 'phone', 'ফোন']));
+      expect(searched).not.toContain('er');
+    });
+
+    /**
+     * Test multi-select filters match any of the chosen values
+     */
+    it('should match any selected brand, price range or specification value', async () => {
+      expect((await searchService.search({ brands: ['brand-walton', 'brand-lenovo'], sortBy: 'price', sortOrder: 'asc' })).ids)
+        .toEqual(['p2', 'p3']);
+      expect((await searchService.search({ priceRanges: [{ from: 0, to: 10000 }, { from: 60000 }] })).total).toBe(2);
+      expect((await searchService.search({ specs: { RAM: ['8GB', '2GB'] }, sortBy: 'price', sortOrder: 'asc' })).ids)
+        .toEqual(['p2', 'p1']);
+    });
+  });
+
+  describe('Facets', () => {
+    /**
+     * Test each facet is counted without its own filter
+     */
+    it('should count facet values against the other selected filters', async () => {
+      const result = await searchService.getFacets({ brands: ['brand-samsung'], specs: { RAM: ['8GB', '2GB'] } });
+
+      expect(result.total).toBe(1);
+      expect(result.engine).toBe('elasticsearch');
+      expect(result.facets.brands).toEqual([
+        { id: 'brand-samsung', name: 'Samsung', slug: 'samsung', count: 1, selected: true },
+        { id: 'brand-walton', name: 'Walton', slug: 'walton', count: 1, selected: false }
+      ]);
+      expect(result.facets.categories).toEqual([
+        { id: 'category-phones', name: 'Smartphones', slug: 'smartphones', count: 1, selected: false }
+      ]);
+      expect(result.facets.price.filter(bucket => bucket.count > 0)).toEqual([
+        { key: '40000-80000', from: 40000, to: 80000, count: 1, selected: false }
+      ]);
+      expect(result.facets.specifications).toEqual([
+        { name: 'RAM', values: [{ value: '8GB', count: 1, selected: true }, { value: '2GB', count: 0, selected: true }] },
+        { name: 'Storage', values: [{ value: '256GB', count: 1, selected: false }] }
+      ]);
+    });
+
+    /**
+     * Test facets fall back to Postgres group counts
+     */
+    it('should count facets in Postgres when Elasticsearch is unreachable', async () => {
+      searchService.http.defaults.baseURL = 'http://127.0.0.1:9';
+      searchService.prisma.product.count.mockResolvedValue(2);
+      searchService.prisma.product.groupBy = jest.fn(({ by }) => Promise.resolve(by[0] === 'brandId'
+        ? [{ brandId: 'brand-walton', _count: { _all: 3 } }, { brandId: 'brand-samsung', _count: { _all: 5 } }]
+        : [{ categoryId: 'category-phones', _count: { _all: 8 } }]));
+      searchService.prisma.productSpecification = {
+        groupBy: jest.fn(({ where }) => Promise.resolve(where.name
+          ? [{ name: 'RAM', value: '8GB', _count: { _all: 2 } }]
+          : [{ name: 'RAM', value: '4GB', _count: { _all: 6 } }, { name: 'Storage', value: '128GB', _count: { _all: 4 } }]))
+      };
+
+      const result = await searchService.getFacets({ brands: ['brand-samsung'], specs: { RAM: ['8GB'] } });
+
+      expect(result).toMatchObject({ total: 2, engine: 'postgres' });
+      expect(result.facets.brands.map(brand => [brand.id, brand.count, brand.selected])).toEqual([
+        ['brand-samsung', 5, true],
+        ['brand-walton', 3, false]
+      ]);
+      expect(result.facets.price.every(bucket => bucket.count === 2)).toBe(true);
+      expect(result.facets.specifications).toEqual([
+        { name: 'RAM', values: [{ value: '8GB', count: 2, selected: true }] },
+        { name: 'Storage', values: [{ value: '128GB', count: 4, selected: false }] }
+      ]);
+      expect(searchService.prisma.product.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+        by: ['brandId'],
+        where: expect.not.objectContaining({ brandId: expect.anything() })
+      }));
+      expect(searchService.prisma.product.groupBy).toHaveBeenCalledWith(expect.objectContaining({
+        by: ['categoryId'],
+        where: expect.objectContaining({ brandId: { in: ['brand-samsung'] } })
+      }));
+    });
+  });
+
+  describe('Suggestions', () => {
+    /**
+     * Test misspelled prefixes still suggest products, brands and categories
+     */
+    it('should suggest despite typos', async () => {
+      const samsung = await searchService.suggest('Samsng');
+
+      expect(samsung.engine).toBe('elasticsearch');
+      expect(samsung.products).toEqual([
+        { id: 'p1', name: 'Samsung Galaxy A54 5G', nameBn: 'স্যামসাং গ্যালাক্সি A54', slug: 'product-p1' }
+      ]);
+      expect(samsung.brands).toEqual([{ id: 'brand-samsung', name: 'Samsung', slug: 'samsung' }]);
+
+      const lenovo = await searchService.suggest('lenvo');
+      expect(lenovo.products.map(p => p.id)).toEqual(['p3']);
+      expect(lenovo.brands.map(b => b.slug)).toEqual(['lenovo']);
+
+      expect((await searchService.suggest('smart')).categories).toEqual([
+        { id: 'category-phones', name: 'Smartphones', slug: 'smartphones' }
+      ]);
+    });
+
+    /**
+     * Test Bangla prefixes match Bangla names
+     */
+    it('should suggest products by their Bangla name', async () => {
+      expect((await searchService.suggest('স্যাম')).products.map(p => p.id)).toEqual(['p1']);
+    });
+
+    /**
+     * Test repeated prefixes are answered from Redis
+     */
+    it('should cache suggestions per prefix', async () => {
+      const store = new Map();
+      const cache = {
+        get: jest.fn(key => Promise.resolve(store.get(key) || null)),
+        setEx: jest.fn((key, ttl, value) => Promise.resolve(store.set(key, value)))
+      };
+      redisConnectionPool.isInitialized = true;
+      redisConnectionPool.getClient.mockReturnValue(cache);
+      const post = jest.spyOn(searchService.http, 'post');
+
+      const first = await searchService.suggest('walton');
+      const second = await searchService.suggest('  Walton ');
+
+      expect(second).toEqual(first);
+      expect(post).toHaveBeenCalledTimes(1);
+      expect(cache.setEx).toHaveBeenCalledWith('search:suggest:5:walton', 600, expect.any(String));
+    });
+
+    /**
+     * Test Postgres answers are not cached
+     */
+    it('should fall back to Postgres prefix matching without caching', async () => {
+      const cache = { get: jest.fn().mockResolvedValue(null), setEx: jest.fn() };
+      redisConnectionPool.isInitialized = true;
+      redisConnectionPool.getClient.mockReturnValue(cache);
+      searchService.http.defaults.baseURL = 'http://127.0.0.1:9';
+      searchService.prisma.product.findMany.mockResolvedValue([{ id: 'p2', name: 'Walton Primo NH5', nameBn: null, slug: 'product-p2' }]);
+      searchService.prisma.brand.findMany.mockResolvedValue([]);
+      searchService.prisma.category.findMany.mockResolvedValue([]);
+
+      const result = await searchService.suggest('walt');
+
+      expect(result).toMatchObject({ engine: 'postgres', products: [{ id: 'p2' }] });
+      expect(searchService.prisma.product.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ status: 'ACTIVE' })
+      }));
+      expect(cache.setEx).not.toHaveBeenCalled();
+    });
+  });
+});
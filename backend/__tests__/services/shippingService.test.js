@@ -0,0 +1,167 @@
+/**
+ * Shipping service testing
+ * Tests zone matching by division/district/upazila, weight-based rates and free shipping
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { ShippingService } = require('../../services/shippingService');
+
+describe('ShippingService', () => {
+  let shippingService;
+  let client;
+
+  const zones = [
+    {
+      id: 'zone-city',
+      name: 'Inside Dhaka City',
+      areas: [{ division: 'DHAKA', district: 'Dhaka' }],
+      isDefault: false,
+      baseRate: '60.00',
+      baseWeightKg: '1.000',
+      perKgRate: '20.00',
+      freeShippingThreshold: '5000.00',
+      minDeliveryDays: 1,
+      maxDeliveryDays: 2
+    },
+    {
+      id: 'zone-suburbs',
+      name: 'Dhaka Suburbs',
+      areas: [
+        { division: 'DHAKA', district: 'Gazipur' },
+        { division: 'DHAKA', district: 'Dhaka', upazila: 'Savar' }
+      ],
+      isDefault: false,
+      baseRate: '80.00',
+      baseWeightKg: '1.000',
+      perKgRate: '25.00',
+      freeShippingThreshold: '8000.00',
+      minDeliveryDays: 2,
+      maxDeliveryDays: 3
+    },
+    {
+      id: 'zone-outside',
+      name: 'Outside Dhaka',
+      areas: [],
+      isDefault: true,
+      baseRate: '120.00',
+      baseWeightKg: '1.000',
+      perKgRate: '30.00',
+      freeShippingThreshold: null,
+      minDeliveryDays: 3,
+      maxDeliveryDays: 5
+    }
+  ];
+
+  beforeEach(() => {
+    shippingService = new ShippingService();
+    client = {
+      shippingZone: {
+        findMany: jest.fn().mockResolvedValue(zones)
+      }
+    };
+  });
+
+  describe('Zone Matching', () => {
+    /**
+     * Test the most specific area wins
+     */
+    it('should prefer an upazila match over a district match', () => {
+      const zone = shippingService.findZone(zones, { division: 'Dhaka', district: 'dhaka', upazila: 'Savar' });
+
+      expect(zone.id).toBe('zone-suburbs');
+    });
+
+    /**
+     * Test district matching is case-insensitive
+     */
+    it('should match Dhaka city addresses by district', () => {
+      const zone = shippingService.findZone(zones, { division: 'DHAKA', district: 'Dhaka', upazila: 'Mirpur' });
+
+      expect(zone.id).toBe('zone-city');
+    });
+
+    /**
+     * Test unmatched destinations use the default zone
+     */
+    it('should fall back to the default zone', () => {
+      const zone = shippingService.findZone(zones, { division: 'SYLHET', district: 'Sylhet' });
+
+      expect(zone.id).toBe('zone-outside');
+    });
+  });
+
+  describe('Rates', () => {
+    /**
+     * Test weight above the base weight is charged per started kg
+     */
+    it('should charge per extra kg above the base weight', async () => {
+      const quote = await shippingService.getQuote(
+        { division: 'SYLHET', district: 'Sylhet' },
+        [{ quantity: 2, weight: '1.200' }],
+        3000,
+        client
+      );
+
+      expect(quote.weight).toBe(2.4);
+      expect(quote.cost).toBe(120 + 2 * 30);
+      expect(quote.estimatedDeliveryDays).toEqual({ min: 3, max: 5 });
+    });
+
+    /**
+     * Test products without a weight use the default item weight
+     */
+    it('should assume the default weight for products without one', () => {
+      expect(shippingService.calculateWeight([{ quantity: 3, weight: null }])).toBe(1.5);
+    });
+
+    /**
+     * Test free-shipping thresholds
+     */
+    it('should ship free above the zone threshold', async () => {
+      const quote = await shippingService.getQuote(
+        { division: 'DHAKA', district: 'Dhaka' },
+        [{ quantity: 1, weight: '5' }],
+        5000,
+        client
+      );
+
+      expect(quote).toMatchObject({ cost: 0, freeShipping: true, amountToFreeShipping: null });
+    });
+
+    /**
+     * Test the remaining amount to free shipping is reported
+     */
+    it('should report the amount left to free shipping', async () => {
+      const quote = await shippingService.getQuote(
+        { division: 'DHAKA', district: 'Dhaka' },
+        [{ quantity: 1, weight: '0.5' }],
+        4200,
+        client
+      );
+
+      expect(quote).toMatchObject({ cost: 60, freeShipping: false, amountToFreeShipping: 800 });
+    });
+
+    /**
+     * Test the fallback rate when no zones are configured
+     */
+    it('should use the fallback rate when no zone matches', async () => {
+      client.shippingZone.findMany.mockResolvedValue([]);
+
+      const quote = await shippingService.getQuote({ division: 'KHULNA' }, [{ quantity: 1 }], 100, client);
+
+      expect(quote).toMatchObject({ zone: null, cost: 100 });
+    });
+  });
+});
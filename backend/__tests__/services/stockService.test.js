@@ -0,0 +1,477 @@
+/**
+ * Stock service testing
+ * Tests the stock ledger, automatic OUT_OF_STOCK transitions, low-stock
+ * alerts on threshold crossings, manual adjustments at the central warehouse
+ * and at branches, and alert emails
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+jest.mock('../../services/emailService', () => ({
+  emailService: {}
+}));
+
+const { StockService } = require('../../services/stockService');
+
+describe('StockService', () => {
+  let stockService;
+  let tx;
+  let product;
+  let variant;
+
+  beforeEach(() => {
+    product = {
+      id: 'product-1',
+      name: 'Walton Primo NH5',
+      sku: 'WAL-NH5',
+      status: 'ACTIVE',
+      stockQuantity: 4,
+      lowStockThreshold: 5
+    };
+    variant = { id: 'variant-1', name: '8GB / 128GB', sku: 'WAL-NH5-8-128', stock: 3 };
+
+    tx = {
+      product: {
+        findUnique: jest.fn(() => Promise.resolve({ ...product })),
+        update: jest.fn().mockResolvedValue({}),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      productVariant: {
+        findFirst: jest.fn(() => Promise.resolve({ ...variant })),
+        aggregate: jest.fn().mockResolvedValue({ _sum: { stock: null }, _count: { _all: 0 } }),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      stockMovement: {
+        create: jest.fn(({ data }) => Promise.resolve({ id: 'movement-1', ...data }))
+      },
+      lowStockAlert: {
+        findFirst: jest.fn().mockResolvedValue(null),
+        create: jest.fn().mockResolvedValue({}),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      }
+    };
+
+    stockService = new StockService();
+    stockService.prisma = {
+      ...tx,
+      $transaction: jest.fn(callback => callback(tx))
+    };
+    stockService.warehouseService = {
+      getCentral: jest.fn().mockResolvedValue({ id: 'central', isCentral: true }),
+      getWarehouse: jest.fn().mockResolvedValue({ id: 'branch-sylhet', isCentral: false, isActive: true }),
+      branchStock: jest.fn().mockResolvedValue(0),
+      changeLocationStock: jest.fn().mockResolvedValue()
+    };
+  });
+
+  describe('recordMovement', () => {
+    /**
+     * Test the ledger entry carries the balance left by the change
+     */
+    it('should record the movement with the balance after it', async () => {
+      product.stockQuantity = 8;
+
+      const movement = await stockService.recordMovement(tx, {
+        productId: 'product-1',
+        type: 'SALE',
+        quantity: -2,
+        reason: 'Order ORD1',
+        actorId: 'user-1',
+        orderId: 'order-1'
+      });
+
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: {
+          productId: 'product-1',
+          variantId: null,
+          warehouseId: null,
+          type: 'SALE',
+          quantity: -2,
+          balanceAfter: 8,
+          reason: 'Order ORD1',
+          actorId: 'user-1',
+          orderId: 'order-1'
+        }
+      });
+      expect(movement.balanceAfter).toBe(8);
+      expect(tx.product.update).not.toHaveBeenCalled();
+      expect(tx.lowStockAlert.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test products sell out and come back
+     */
+    it('should move a product to OUT_OF_STOCK at zero and back to ACTIVE on restock', async () => {
+      product.stockQuantity = 0;
+      await stockService.recordMovement(tx, { productId: 'product-1', type: 'SALE', quantity: -1 });
+
+      expect(tx.product.update).toHaveBeenCalledWith({ where: { id: 'product-1' }, data: { status: 'OUT_OF_STOCK' } });
+
+      product.status = 'OUT_OF_STOCK';
+      product.stockQuantity = 20;
+      await stockService.recordMovement(tx, { productId: 'product-1', type: 'RECEIVING', quantity: 20 });
+
+      expect(tx.product.update).toHaveBeenLastCalledWith({ where: { id: 'product-1' }, data: { status: 'ACTIVE' } });
+    });
+
+    /**
+     * Test products with variants stay available while any variant has stock
+     */
+    it('should judge products with variants by the stock of their active variants', async () => {
+      product.stockQuantity = 0;
+      tx.productVariant.aggregate.mockResolvedValue({ _sum: { stock: 3 }, _count: { _all: 2 } });
+
+      await stockService.recordMovement(tx, { productId: 'product-1', variantId: 'variant-1', type: 'SALE', quantity: -1 });
+
+      expect(tx.productVariant.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'variant-1', productId: 'product-1' }
+      }));
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ variantId: 'variant-1', balanceAfter: 3 })
+      });
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test hidden and discontinued products keep their status
+     */
+    it('should leave INACTIVE and DISCONTINUED products alone', async () => {
+      product.status = 'DISCONTINUED';
+      product.stockQuantity = 0;
+
+      await stockService.recordMovement(tx, { productId: 'product-1', type: 'ADJUSTMENT', quantity: -4 });
+
+      expect(tx.productVariant.aggregate).not.toHaveBeenCalled();
+      expect(tx.product.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('low-stock alerts', () => {
+    /**
+     * Test an alert is raised when stock falls to the threshold
+     */
+    it('should raise one alert when stock crosses the threshold', async () => {
+      await stockService.recordMovement(tx, { productId: 'product-1', type: 'SALE', quantity: -3 });
+
+      expect(tx.lowStockAlert.create).toHaveBeenCalledWith({
+        data: { productId: 'product-1', variantId: null, stock: 4, threshold: 5 }
+      });
+
+      tx.lowStockAlert.create.mockClear();
+      tx.lowStockAlert.findFirst.mockResolvedValue({ id: 'alert-1' });
+      product.stockQuantity = 5;
+      await stockService.recordMovement(tx, { productId: 'product-1', variantId: null, type: 'ADJUSTMENT', quantity: -2 });
+
+      expect(tx.lowStockAlert.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test a sale split across locations crosses the threshold from the stock before the whole sale
+     */
+    it('should raise an alert for the part of a split sale that crosses the threshold', async () => {
+      product.stockQuantity = 5;
+      product.lowStockThreshold = 8;
+
+      const first = await stockService.recordMovement(tx, { productId: 'product-1', type: 'SALE', quantity: -2, outstanding: 3 });
+
+      expect(first.balanceAfter).toBe(8);
+      expect(tx.lowStockAlert.create).toHaveBeenCalledWith({
+        data: { productId: 'product-1', variantId: null, stock: 8, threshold: 8 }
+      });
+
+      tx.lowStockAlert.create.mockClear();
+      const second = await stockService.recordMovement(tx, { productId: 'product-1', type: 'SALE', quantity: -3 });
+
+      expect(second.balanceAfter).toBe(5);
+      expect(tx.lowStockAlert.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test sales below the threshold do not raise more alerts
+     */
+    it('should not raise alerts for stock that was already low', async () => {
+      product.stockQuantity = 2;
+
+      await stockService.recordMovement(tx, { productId: 'product-1', type: 'SALE', quantity: -2 });
+
+      expect(tx.lowStockAlert.findFirst).not.toHaveBeenCalled();
+      expect(tx.lowStockAlert.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test restocking above the threshold resolves open alerts
+     */
+    it('should resolve open alerts when restocked above the threshold', async () => {
+      variant.stock = 13;
+
+      await stockService.recordMovement(tx, { productId: 'product-1', variantId: 'variant-1', type: 'RECEIVING', quantity: 10 });
+
+      expect(tx.lowStockAlert.updateMany).toHaveBeenCalledWith({
+        where: { productId: 'product-1', variantId: 'variant-1', resolvedAt: null },
+        data: { resolvedAt: expect.any(Date) }
+      });
+    });
+
+    /**
+     * Test alert digests go to admins and managers once
+     */
+    it('should email pending alerts to admins and managers and mark them notified', async () => {
+      stockService.prisma.lowStockAlert.findMany = jest.fn().mockResolvedValue([
+        { id: 'alert-1', stock: 4, threshold: 5, product: { name: 'Walton Primo NH5', sku: 'WAL-NH5' }, variant: null },
+        { id: 'alert-2', stock: 0, threshold: 5, product: { name: 'Walton Primo NH5', sku: 'WAL-NH5' }, variant: { name: '8GB / 128GB', sku: 'WAL-NH5-8-128' } }
+      ]);
+      stockService.prisma.user = {
+        findMany: jest.fn().mockResolvedValue([
+          { email: 'manager@example.com', firstName: 'Rahim' },
+          { email: 'admin@example.com', firstName: 'Karim' }
+        ])
+      };
+      stockService.emailService = {
+        sendLowStockAlertEmail: jest.fn().mockResolvedValue({ success: true })
+      };
+
+      const result = await stockService.sendAlerts();
+
+      expect(result).toEqual({ alerts: 2, recipients: 2, sent: 2 });
+      expect(stockService.prisma.user.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { role: { in: ['ADMIN', 'MANAGER'] }, status: 'ACTIVE', deletedAt: null }
+      }));
+      expect(stockService.prisma.lowStockAlert.updateMany).toHaveBeenCalledWith({
+        where: { id: 'alert-1', notifiedAt: null },
+        data: { notifiedAt: expect.any(Date) }
+      });
+      expect(stockService.prisma.lowStockAlert.updateMany).toHaveBeenCalledTimes(2);
+      expect(stockService.emailService.sendLowStockAlertEmail).toHaveBeenCalledWith('manager@example.com', 'Rahim', {
+        items: [
+          { name: 'Walton Primo NH5', sku: 'WAL-NH5', stock: 4, threshold: 5 },
+          { name: 'Walton Primo NH5 (8GB / 128GB)', sku: 'WAL-NH5-8-128', stock: 0, threshold: 5 }
+        ],
+        inventoryUrl: expect.stringContaining('/admin/inventory/alerts')
+      });
+    });
+
+    /**
+     * Test nothing is sent when another run claimed the alerts first
+     */
+    it('should not email alerts another run already claimed', async () => {
+      stockService.prisma.lowStockAlert.findMany = jest.fn().mockResolvedValue([
+        { id: 'alert-1', stock: 4, threshold: 5, product: { name: 'Walton Primo NH5', sku: 'WAL-NH5' }, variant: null }
+      ]);
+      stockService.prisma.lowStockAlert.updateMany = jest.fn().mockResolvedValue({ count: 0 });
+      stockService.prisma.user = { findMany: jest.fn().mockResolvedValue([{ email: 'manager@example.com', firstName: 'Rahim' }]) };
+      stockService.emailService = { sendLowStockAlertEmail: jest.fn() };
+
+      await expect(stockService.sendAlerts()).resolves.toMatchObject({ alerts: 0, sent: 0 });
+      expect(stockService.emailService.sendLowStockAlertEmail).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test only the alerts this run claimed are emailed
+     */
+    it('should only email the alerts it claimed', async () => {
+      stockService.prisma.lowStockAlert.findMany = jest.fn().mockResolvedValue([
+        { id: 'alert-1', stock: 4, threshold: 5, product: { name: 'Walton Primo NH5', sku: 'WAL-NH5' }, variant: null },
+        { id: 'alert-2', stock: 1, threshold: 3, product: { name: 'Symphony Z60', sku: 'SYM-Z60' }, variant: null }
+      ]);
+      stockService.prisma.lowStockAlert.updateMany = jest.fn(({ where }) => Promise.resolve({ count: where.id === 'alert-2' ? 1 : 0 }));
+      stockService.prisma.user = { findMany: jest.fn().mockResolvedValue([{ email: 'manager@example.com', firstName: 'Rahim' }]) };
+      stockService.emailService = { sendLowStockAlertEmail: jest.fn().mockResolvedValue({ success: true }) };
+
+      await expect(stockService.sendAlerts()).resolves.toEqual({ alerts: 1, recipients: 1, sent: 1 });
+      expect(stockService.emailService.sendLowStockAlertEmail).toHaveBeenCalledWith('manager@example.com', 'Rahim', expect.objectContaining({
+        items: [{ name: 'Symphony Z60', sku: 'SYM-Z60', stock: 1, threshold: 3 }]
+      }));
+    });
+
+    /**
+     * Test alerts are retried when no email could be sent
+     */
+    it('should release the claimed alerts when every email fails', async () => {
+      stockService.prisma.lowStockAlert.findMany = jest.fn().mockResolvedValue([
+        { id: 'alert-1', stock: 4, threshold: 5, product: { name: 'Walton Primo NH5', sku: 'WAL-NH5' }, variant: null }
+      ]);
+      stockService.prisma.user = {
+        findMany: jest.fn().mockResolvedValue([
+          { email: 'manager@example.com', firstName: 'Rahim' },
+          { email: 'admin@example.com', firstName: 'Karim' }
+        ])
+      };
+      stockService.emailService = {
+        sendLowStockAlertEmail: jest.fn()
+          .mockResolvedValueOnce({ success: false })
+          .mockRejectedValueOnce(new Error('SMTP connection refused'))
+      };
+
+      await expect(stockService.sendAlerts()).resolves.toEqual({ alerts: 1, recipients: 2, sent: 0 });
+      expect(stockService.prisma.lowStockAlert.updateMany).toHaveBeenLastCalledWith({
+        where: { id: { in: ['alert-1'] } },
+        data: { notifiedAt: null }
+      });
+    });
+  });
+
+  describe('adjustStock / setStock', () => {
+    /**
+     * Test manual adjustments are recorded with their reason and actor
+     */
+    it('should apply an adjustment and record it', async () => {
+      const movement = await stockService.adjustStock('product-1', {
+        type: 'RECEIVING',
+        quantity: 10,
+        reason: ' Supplier delivery INV-42 '
+      }, 'admin-1');
+
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 'product-1' },
+        data: { stockQuantity: { increment: 10 } }
+      });
+      expect(movement).toMatchObject({
+        type: 'RECEIVING',
+        quantity: 10,
+        reason: 'Supplier delivery INV-42',
+        actorId: 'admin-1',
+        warehouseId: 'central'
+      });
+      expect(stockService.warehouseService.changeLocationStock).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test adjustments at a branch change the branch's stock and the total
+     */
+    it('should apply an adjustment at a branch', async () => {
+      const movement = await stockService.adjustStock('product-1', {
+        warehouseId: 'branch-sylhet',
+        quantity: -1,
+        reason: 'Display unit damaged'
+      }, 'admin-1');
+
+      expect(stockService.warehouseService.changeLocationStock).toHaveBeenCalledWith(tx, {
+        warehouseId: 'branch-sylhet',
+        productId: 'product-1',
+        variantId: null,
+        quantity: -1
+      });
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 'product-1', stockQuantity: { gte: 1 } },
+        data: { stockQuantity: { increment: -1 } }
+      });
+      expect(movement.warehouseId).toBe('branch-sylhet');
+    });
+
+    /**
+     * Test adjustments cannot drive stock negative
+     */
+    it('should refuse to take out more than is in stock', async () => {
+      tx.productVariant.updateMany.mockResolvedValue({ count: 0 });
+      stockService.warehouseService.branchStock.mockResolvedValue(1);
+
+      await expect(stockService.adjustStock('product-1', {
+        variantId: 'variant-1',
+        quantity: -5,
+        reason: 'Damaged in storage'
+      }, 'admin-1')).rejects.toMatchObject({ statusCode: 409, details: { stock: 2, quantity: -5 } });
+
+      // One unit is held at a branch, so the total must cover it on top of the adjustment
+      expect(tx.productVariant.updateMany).toHaveBeenCalledWith({
+        where: { id: 'variant-1', stock: { gte: 6 } },
+        data: { stock: { increment: -5 } }
+      });
+      expect(tx.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test invalid adjustments
+     */
+    it('should validate type, quantity and reason', async () => {
+      await expect(stockService.adjustStock('product-1', { type: 'SALE', quantity: -1, reason: 'x' }, 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(stockService.adjustStock('product-1', { quantity: 0, reason: 'x' }, 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(stockService.adjustStock('product-1', { type: 'RECEIVING', quantity: -1, reason: 'x' }, 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(stockService.adjustStock('product-1', { quantity: 1, reason: '  ' }, 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(stockService.prisma.$transaction).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test setting an absolute level records the difference
+     */
+    it('should record the difference when stock is set to a level', async () => {
+      await stockService.setStock('product-1', 12, { reason: 'Product updated', actorId: 'admin-1' });
+
+      expect(tx.product.updateMany).toHaveBeenCalledWith({
+        where: { id: 'product-1', stockQuantity: 4 },
+        data: { stockQuantity: 12 }
+      });
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'ADJUSTMENT', quantity: 8, actorId: 'admin-1' })
+      });
+
+      tx.stockMovement.create.mockClear();
+      await expect(stockService.setStock('product-1', 4)).resolves.toBeNull();
+      expect(tx.stockMovement.create).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test the level cannot drop below what branches hold
+     */
+    it('should refuse a level below the stock held at branches', async () => {
+      stockService.warehouseService.branchStock.mockResolvedValue(3);
+
+      await expect(stockService.setStock('product-1', 2)).rejects.toMatchObject({
+        statusCode: 409,
+        details: { branchHeld: 3 }
+      });
+      expect(tx.product.updateMany).not.toHaveBeenCalled();
+    });
+
+    /**
+     * Test a level set as part of a larger edit runs in the caller's transaction
+     */
+    it('should set stock inside a given transaction', async () => {
+      await stockService.setStock('product-1', 7, { reason: 'Catalog import' }, tx);
+
+      expect(stockService.prisma.$transaction).not.toHaveBeenCalled();
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ type: 'ADJUSTMENT', quantity: 3, reason: 'Catalog import', warehouseId: 'central' })
+      });
+    });
+  });
+
+  describe('recordOpeningStock', () => {
+    /**
+     * Test the stock a variant is created with is recorded as received centrally
+     */
+    it('should record opening stock as goods received', async () => {
+      await stockService.recordOpeningStock(tx, { productId: 'product-1', variantId: 'variant-1', quantity: 3, actorId: 'admin-1' });
+
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ variantId: 'variant-1', type: 'RECEIVING', quantity: 3, balanceAfter: 3, reason: 'Opening stock', warehouseId: 'central' })
+      });
+    });
+
+    /**
+     * Test a variant created without stock still updates the product's status
+     */
+    it('should only sync the status without opening stock', async () => {
+      tx.productVariant.aggregate.mockResolvedValue({ _sum: { stock: 0 }, _count: { _all: 1 } });
+
+      await expect(stockService.recordOpeningStock(tx, { productId: 'product-1', variantId: 'variant-1', quantity: 0 })).resolves.toBeNull();
+
+      expect(tx.stockMovement.create).not.toHaveBeenCalled();
+      expect(tx.product.update).toHaveBeenCalledWith({ where: { id: 'product-1' }, data: { status: 'OUT_OF_STOCK' } });
+    });
+  });
+});
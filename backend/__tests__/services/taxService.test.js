@@ -0,0 +1,92 @@
+/**
+ * Tax service testing
+ * Tests per-product VAT rates, inclusive/exclusive pricing and the per-rate breakdown
+ */
+
+const { TaxService } = require('../../services/taxService');
+
+describe('TaxService', () => {
+  let taxService;
+
+  const lines = [
+    { totalPrice: 60000, taxRate: '5.00' },  // laptop
+    { totalPrice: 2000, taxRate: '15.00' },  // accessory
+    { totalPrice: 1000, taxRate: '15.00' }   // accessory
+  ];
+
+  beforeEach(() => {
+    taxService = new TaxService();
+  });
+
+  describe('VAT-exclusive Pricing', () => {
+    /**
+     * Test each line is taxed at its own rate
+     */
+    it('should tax each line at its product rate', () => {
+      const result = taxService.calculate(lines, { pricesIncludeTax: false });
+
+      expect(result.lines.map(line => line.taxAmount)).toEqual([3000, 300, 150]);
+      expect(result.tax).toBe(3450);
+    });
+
+    /**
+     * Test the breakdown groups lines by rate
+     */
+    it('should group taxable amounts and tax by rate', () => {
+      const result = taxService.calculate(lines, { pricesIncludeTax: false });
+
+      expect(result.breakdown).toEqual([
+        { rate: 5, taxableAmount: 60000, tax: 3000 },
+        { rate: 15, taxableAmount: 3000, tax: 450 }
+      ]);
+    });
+
+    /**
+     * Test discounts reduce the taxable value proportionally
+     */
+    it('should tax the discounted value', () => {
+      const result = taxService.calculate(lines, { discount: 6300, pricesIncludeTax: false });
+
+      expect(result.breakdown).toEqual([
+        { rate: 5, taxableAmount: 54000, tax: 2700 },
+        { rate: 15, taxableAmount: 2700, tax: 405 }
+      ]);
+    });
+
+    /**
+     * Test products without a rate are zero-rated
+     */
+    it('should treat a missing rate as zero', () => {
+      const result = taxService.calculate([{ totalPrice: 500, taxRate: null }], { pricesIncludeTax: false });
+
+      expect(result.tax).toBe(0);
+      expect(result.breakdown).toEqual([{ rate: 0, taxableAmount: 500, tax: 0 }]);
+    });
+  });
+
+  describe('VAT-inclusive Pricing', () => {
+    /**
+     * Test VAT is extracted from inclusive prices
+     */
+    it('should extract VAT already included in the price', () => {
+      const result = taxService.calculate([{ totalPrice: 1150, taxRate: '15.00' }], { pricesIncludeTax: true });
+
+      expect(result.tax).toBe(150);
+      expect(result.breakdown).toEqual([{ rate: 15, taxableAmount: 1000, tax: 150 }]);
+    });
+  });
+
+  describe('Discount Allocation', () => {
+    /**
+     * Test shares always add up to the discount
+     */
+    it('should allocate the whole discount across lines', () => {
+      const shares = taxService.allocateDiscount(
+        [{ totalPrice: 100 }, { totalPrice: 100 }, { totalPrice: 100 }],
+        100
+      );
+
+      expect(shares).toEqual([33.33, 33.33, 33.34]);
+    });
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Warehouse service testing
+ * Tests nearest-location ranking, order allocation (whole order, per line
+ * and split lines), releasing allocations, transfers between locations and
+ * per-location availability
+ */
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+jest.mock('../../services/logger', () => ({
+  loggerService: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    logBusiness: jest.fn()
+  }
+}));
+
+const { WarehouseService } = require('../../services/warehouseService');
+
+describe('WarehouseService', () => {
+  let warehouseService;
+  let tx;
+  let warehouses;
+  let stockRows;
+  let totals;
+
+  const central = { id: 'central', code: 'CENTRAL', name: 'Central Warehouse', isCentral: true, isActive: true, division: 'DHAKA', district: 'Dhaka' };
+  const sylhet = { id: 'sylhet', code: 'SYL', name: 'Sylhet Branch', isCentral: false, isActive: true, division: 'SYLHET', district: 'Sylhet' };
+  const moulvibazar = { id: 'moulvibazar', code: 'MOU', name: 'Moulvibazar Branch', isCentral: false, isActive: true, division: 'SYLHET', district: 'Moulvibazar' };
+  const chattogram = { id: 'chattogram', code: 'CTG', name: 'Chattogram Branch', isCentral: false, isActive: true, division: 'CHITTAGONG', district: 'Chattogram' };
+
+  const matches = (row, where) => Object.entries(where).every(([key, value]) =>
+    (value && typeof value === 'object' ? row[key] >= value.gte : row[key] === value));
+
+  const line = (overrides) => ({ productId: 'phone', variantId: null, name: 'Walton Primo NH5', quantity: 1, ...overrides });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    warehouses = [central, sylhet, moulvibazar, chattogram];
+    totals = { phone: 10, charger: 5 };
+    stockRows = [];
+
+    // In-memory warehouse_stock table keyed by (warehouseId, productId, variantId)
+    tx = {
+      warehouse: {
+        findMany: jest.fn(() => Promise.resolve(warehouses.filter(warehouse => warehouse.isActive))),
+        findFirst: jest.fn(() => Promise.resolve(warehouses.find(warehouse => warehouse.isCentral) || null)),
+        findUnique: jest.fn(({ where }) => Promise.resolve(warehouses.find(warehouse => warehouse.id === where.id) || null))
+      },
+      warehouseStock: {
+        findMany: jest.fn(({ where }) => Promise.resolve(stockRows.filter(row => matches(row, where)))),
+        aggregate: jest.fn(({ where }) => {
+          const rows = stockRows.filter(row => matches(row, where));
+          return Promise.resolve({ _sum: { quantity: rows.length ? rows.reduce((sum, row) => sum + row.quantity, 0) : null } });
+        }),
+        updateMany: jest.fn(({ where, data }) => {
+          const rows = stockRows.filter(row => matches(row, where));
+          rows.forEach(row => { row.quantity += data.quantity.increment; });
+          return Promise.resolve({ count: rows.length });
+        }),
+        create: jest.fn(({ data }) => {
+          stockRows.push({ ...data });
+          return Promise.resolve(data);
+        })
+      },
+      product: {
+        findUnique: jest.fn(({ where }) => Promise.resolve(where.id in totals ? { stockQuantity: totals[where.id] } : null))
+      },
+      productVariant: {
+        findUnique: jest.fn().mockResolvedValue({ stock: 4 }),
+        findFirst: jest.fn().mockResolvedValue({ stock: 4 })
+      },
+      stockTransfer: {
+        create: jest.fn(({ data }) => Promise.resolve({ id: 'transfer-1', ...data }))
+      },
+      stockMovement: {
+        create: jest.fn().mockResolvedValue({})
+      },
+      $queryRaw: jest.fn().mockResolvedValue([])
+    };
+
+    warehouseService = new WarehouseService();
+    warehouseService.prisma = {
+      ...tx,
+      $transaction: jest.fn(callback => callback(tx))
+    };
+  });
+
+  describe('rankWarehouses', () => {
+    /**
+     * Test the same district comes first, then the division, then distance
+     */
+    it('should rank locations by district, division and distance', () => {
+      const ranked = warehouseService.rankWarehouses(warehouses, { division: 'SYLHET', district: ' moulvibazar ' });
+
+      expect(ranked.map(warehouse => warehouse.id)).toEqual(['moulvibazar', 'sylhet', 'central', 'chattogram']);
+    });
+
+    /**
+     * Test the central warehouse wins ties
+     */
+    it('should prefer the central warehouse between equally near locations', () => {
+      const gazipur = { id: 'gazipur', name: 'Gazipur Branch', isCentral: false, division: 'DHAKA', district: 'Dhaka' };
+
+      const ranked = warehouseService.rankWarehouses([gazipur, central], { division: 'DHAKA', district: 'Dhaka' });
+
+      expect(ranked.map(warehouse => warehouse.id)).toEqual(['central', 'gazipur']);
+    });
+  });
+
+  describe('allocate', () => {
+    /**
+     * Test the nearest location that has the whole order gets it
+     */
+    it('should allocate the whole order to the nearest location that can ship it', async () => {
+      stockRows.push(
+        { warehouseId: 'moulvibazar', productId: 'phone', variantId: null, quantity: 2 },
+        { warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 3 },
+        { warehouseId: 'sylhet', productId: 'charger', variantId: null, quantity: 1 }
+      );
+
+      const { allocations, branchHeld } = await warehouseService.allocate(tx, [
+        line({ quantity: 2 }),
+        line({ productId: 'charger', name: 'Charger' })
+      ], { division: 'SYLHET', district: 'Moulvibazar' });
+
+      expect(allocations).toEqual([
+        { warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 2 },
+        { warehouseId: 'sylhet', productId: 'charger', variantId: null, quantity: 1 }
+      ]);
+      // Moulvibazar still holds 2 phones and Sylhet 1, which the total must keep
+      expect(branchHeld).toEqual([3, 0]);
+      expect(stockRows.find(row => row.warehouseId === 'sylhet' && row.productId === 'phone').quantity).toBe(1);
+    });
+
+    /**
+     * Test lines go to their own nearest location when no single one has everything
+     */
+    it('should allocate each line to its nearest location when no location has the whole order', async () => {
+      totals.charger = 1;
+      stockRows.push(
+        { warehouseId: 'moulvibazar', productId: 'phone', variantId: null, quantity: 2 },
+        { warehouseId: 'chattogram', productId: 'charger', variantId: null, quantity: 1 }
+      );
+
+      const { allocations } = await warehouseService.allocate(tx, [
+        line({ quantity: 2 }),
+        line({ productId: 'charger', name: 'Charger' })
+      ], { division: 'SYLHET', district: 'Moulvibazar' });
+
+      expect(allocations).toEqual([
+        { warehouseId: 'moulvibazar', productId: 'phone', variantId: null, quantity: 2 },
+        { warehouseId: 'chattogram', productId: 'charger', variantId: null, quantity: 1 }
+      ]);
+    });
+
+    /**
+     * Test a line no single location has is split, nearest first
+     */
+    it('should split a line across the nearest locations', async () => {
+      totals.phone = 4;
+      stockRows.push(
+        { warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 1 },
+        { warehouseId: 'chattogram', productId: 'phone', variantId: null, quantity: 1 }
+      );
+
+      const { allocations, branchHeld } = await warehouseService.allocate(tx, [line({ quantity: 3 })], { division: 'SYLHET', district: 'Sylhet' });
+
+      expect(allocations).toEqual([
+        { warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 1 },
+        { warehouseId: 'central', productId: 'phone', variantId: null, quantity: 2 }
+      ]);
+      expect(branchHeld).toEqual([1]);
+    });
+
+    /**
+     * Test orders that exceed all stock are refused
+     */
+    it('should refuse lines that all locations together cannot cover', async () => {
+      totals.phone = 2;
+
+      await expect(warehouseService.allocate(tx, [line({ quantity: 3 })], { division: 'DHAKA', district: 'Dhaka' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Insufficient stock for product Walton Primo NH5' });
+    });
+
+    /**
+     * Test deactivated branches keep their stock out of the central pool
+     */
+    it('should not ship stock held at deactivated locations', async () => {
+      totals.phone = 3;
+      warehouses = [central, { ...sylhet, isActive: false }];
+      stockRows.push({ warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 2 });
+
+      await expect(warehouseService.allocate(tx, [line({ quantity: 2 })], { division: 'SYLHET', district: 'Sylhet' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('release', () => {
+    /**
+     * Test branch allocations go back to their branch
+     */
+    it('should put branch allocations back and leave central ones to the total', async () => {
+      stockRows.push({ warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 1 });
+
+      await warehouseService.release(tx, [
+        { warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 2 },
+        { warehouseId: 'central', productId: 'phone', variantId: null, quantity: 1 },
+        { warehouseId: 'chattogram', productId: 'charger', variantId: null, quantity: 1 }
+      ]);
+
+      expect(stockRows).toEqual([
+        { warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 3 },
+        { warehouseId: 'chattogram', productId: 'charger', variantId: null, quantity: 1 }
+      ]);
+    });
+  });
+
+  describe('transfer', () => {
+    /**
+     * Test stock moves from the central warehouse to a branch
+     */
+    it('should move stock between locations and record both sides in the ledger', async () => {
+      stockRows.push({ warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 4 });
+
+      const transfer = await warehouseService.transfer({
+        fromWarehouseId: 'central',
+        toWarehouseId: 'sylhet',
+        items: [{ productId: 'phone', quantity: 6 }]
+      }, 'admin-1');
+
+      expect(transfer).toMatchObject({ id: 'transfer-1', items: [{ productId: 'phone', variantId: null, quantity: 6 }] });
+      expect(stockRows[0].quantity).toBe(10);
+      expect(tx.stockMovement.create).toHaveBeenCalledTimes(2);
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ warehouseId: 'central', type: 'TRANSFER', quantity: -6, balanceAfter: 10, reason: 'Transfer CENTRAL → SYL' })
+      });
+      expect(tx.stockMovement.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ warehouseId: 'sylhet', type: 'TRANSFER', quantity: 6 })
+      });
+
+      // The product row is locked before central stock is worked out
+      expect(tx.$queryRaw).toHaveBeenCalledWith(expect.arrayContaining([expect.stringContaining('FOR UPDATE')]), 'phone');
+      expect(tx.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(tx.product.findUnique.mock.invocationCallOrder[0]);
+      expect(tx.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(tx.warehouseStock.aggregate.mock.invocationCallOrder[0]);
+    });
+
+    /**
+     * Test a location cannot send more than it holds
+     */
+    it('should refuse to send more than the source holds', async () => {
+      stockRows.push({ warehouseId: 'sylhet', productId: 'phone', variantId: null, quantity: 8 });
+
+      await expect(warehouseService.transfer({
+        fromWarehouseId: 'central',
+        toWarehouseId: 'chattogram',
+        items: [{ productId: 'phone', quantity: 3 }]
+      }, 'admin-1')).rejects.toMatchObject({ statusCode: 409, details: { available: 2 } });
+
+      await expect(warehouseService.transfer({
+        fromWarehouseId: 'chattogram',
+        toWarehouseId: 'sylhet',
+        items: [{ productId: 'phone', quantity: 1 }]
+      }, 'admin-1')).rejects.toMatchObject({ statusCode: 409, message: 'Not enough stock at this location' });
+    });
+
+    /**
+     * Test invalid transfers
+     */
+    it('should refuse transfers to the same or a deactivated location', async () => {
+      await expect(warehouseService.transfer({ fromWarehouseId: 'sylhet', toWarehouseId: 'sylhet', items: [{ productId: 'phone', quantity: 1 }] }, 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      warehouses = [central, { ...sylhet, isActive: false }];
+      await expect(warehouseService.transfer({ fromWarehouseId: 'central', toWarehouseId: 'sylhet', items: [{ productId: 'phone', quantity: 1 }] }, 'admin-1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Sylhet Branch is not active' });
+      expect(tx.stockTransfer.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAvailability', () => {
+    /**
+     * Test per-location stock for a product and its variants
+     */
+    it('should report stock at each location, summing variants for the product', async () => {
+      warehouses = [central, sylhet];
+      stockRows.push(
+        { warehouseId: 'sylhet', productId: 'phone', variantId: 'variant-1', quantity: 2 },
+        { warehouseId: 'sylhet', productId: 'phone', variantId: 'variant-2', quantity: 1 }
+      );
+
+      const { availability, variants } = await warehouseService.getAvailability({
+        id: 'phone',
+        stockQuantity: 9,
+        variants: [
+          { id: 'variant-1', stock: 5, isActive: true },
+          { id: 'variant-2', stock: 1, isActive: true },
+          { id: 'variant-3', stock: 7, isActive: false }
+        ]
+      });
+
+      expect(availability.map(({ warehouse, quantity, inStock }) => [warehouse.id, quantity, inStock])).toEqual([
+        ['central', 3, true],
+        ['sylhet', 3, true]
+      ]);
+      expect(variants['variant-2'].map(item => item.quantity)).toEqual([0, 1]);
+      expect(variants['variant-2'][0].inStock).toBe(false);
+      expect(variants['variant-3']).toBeUndefined();
+    });
+  });
+});
@@ -517,9 +517,33 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
     });
   }
 
+  // Create the product search index if Elasticsearch is configured
+  try {
+    const { searchService } = require('./services/searchService');
+    await searchService.ensureIndex();
+  } catch (error) {
+    loggerService.warn('Search index initialization failed; product search will use Postgres', {
+      error: error.message
+    });
+  }
+
+  // Fail catalog imports and exports left unfinished by a restart or crash
+  try {
+    const { catalogTransferService } = require('./services/catalogTransferService');
+    await catalogTransferService.failStaleJobs();
+  } catch (error) {
+    loggerService.warn('Stale catalog job cleanup failed', {
+      error: error.message
+    });
+  }
+
   // Schedule cleanup tasks (every hour)
   scheduleSessionCleanup();
   scheduleSecurityCleanup();
+  scheduleAbandonedCartReminders();
+  scheduleLowStockAlerts();
+  schedulePromotionSync();
+  scheduleRecommendationRefresh();
   
   // Increase server timeout for login operations
   server.setTimeout(30000); // 30 seconds
@@ -581,4 +605,76 @@ function scheduleSecurityCleanup() {
   }, 10 * 60 * 1000); // 10 minutes
 }
 
+// Abandoned cart reminder scheduling
+function scheduleAbandonedCartReminders() {
+  const { cartRecoveryService } = require('./services/cartRecoveryService');
+  const intervalMinutes = parseInt(process.env.ABANDONED_CART_CHECK_INTERVAL_MINUTES) || 60;
+
+  setInterval(async () => {
+    try {
+      const result = await cartRecoveryService.sendReminders();
+      loggerService.info('Scheduled abandoned cart reminders completed', result);
+    } catch (error) {
+      loggerService.error('Scheduled abandoned cart reminders failed', error.message);
+    }
+  }, intervalMinutes * 60 * 1000);
+}
+
+// Low-stock alert emails to managers
+function scheduleLowStockAlerts() {
+  const { stockService } = require('./services/stockService');
+  const intervalMinutes = parseInt(process.env.LOW_STOCK_ALERT_INTERVAL_MINUTES) || 15;
+
+  setInterval(async () => {
+    try {
+      const result = await stockService.sendAlerts();
+      if (result.alerts) {
+        loggerService.info('Scheduled low stock alerts completed', result);
+      }
+    } catch (error) {
+      loggerService.error('Scheduled low stock alerts failed', error.message);
+    }
+  }, intervalMinutes * 60 * 1000);
+}
+
+// Promotion campaign snapshot used for pricing; campaigns start and end by
+// time on their own, this picks up changes made on other instances
+function schedulePromotionSync() {
+  const { promotionService } = require('./services/promotionService');
+  const intervalSeconds = parseInt(process.env.PROMOTION_SYNC_INTERVAL_SECONDS) || 60;
+
+  const sync = async () => {
+    try {
+      const result = await promotionService.syncCampaigns();
+      if (result.started.length || result.ended.length) {
+        loggerService.info('Scheduled promotion sync completed', result);
+      }
+    } catch (error) {
+      loggerService.error('Scheduled promotion sync failed', error.message);
+    }
+  };
+
+  sync();
+  setInterval(sync, intervalSeconds * 1000);
+}
+
+// Precomputed "related" and "frequently bought together" lists, cached in Redis
+function scheduleRecommendationRefresh() {
+  const { productRecommendationService } = require('./services/productRecommendationService');
+  const intervalMinutes = parseInt(process.env.RECOMMENDATION_REFRESH_INTERVAL_MINUTES) || 360;
+
+  const refresh = async () => {
+    try {
+      const result = await productRecommendationService.refreshAll();
+      loggerService.info('Scheduled recommendation refresh completed', result);
+    } catch (error) {
+      loggerService.error('Scheduled recommendation refresh failed', error.message);
+    }
+  };
+
+  // First run once startup has settled
+  setTimeout(refresh, 2 * 60 * 1000);
+  setInterval(refresh, intervalMinutes * 60 * 1000);
+}
+
 module.exports = { app };
\ No newline at end of file
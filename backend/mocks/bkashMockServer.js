@@ -0,0 +1,260 @@
+/**
+ * bKash Mock Server
+ * Local stand-in for the bKash tokenized checkout API so payments can be
+ * developed and tested offline. Implements token grant/refresh, create,
+ * execute, status and refund, plus a checkout page that sends the customer
+ * back to the merchant callback URL.
+ *
+ * Run standalone:  node mocks/bkashMockServer.js   (port BKASH_MOCK_PORT, default 4010)
+ * Then set:        BKASH_BASE_URL=http://localhost:4010
+ *
+ * The customer's choice is simulated by following bkashURL with
+ * ?status=success|failure|cancel (default success).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { startMockServer } = require('./startMockServer');
+
+const TOKEN_TTL_SECONDS = 3600;
+
+const createBkashMockServer = (options = {}) => {
+  const credentials = {
+    appKey: options.appKey || 'mock-app-key',
+    appSecret: options.appSecret || 'mock-app-secret',
+    username: options.username || 'mock-user',
+    password: options.password || 'mock-password'
+  };
+
+  const state = {
+    tokens: new Map(),
+    refreshTokens: new Set(),
+    payments: new Map()
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  const id = (prefix, length = 10) => prefix + crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase();
+  const fail = (res, statusCode, statusMessage) => res.json({ statusCode, statusMessage });
+
+  const issueToken = (res) => {
+    const idToken = id('mock-id-token-', 24);
+    const refreshToken = id('mock-refresh-token-', 24);
+    state.tokens.set(idToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+    state.refreshTokens.add(refreshToken);
+
+    res.json({
+      statusCode: '0000',
+      statusMessage: 'Successful',
+      id_token: idToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      refresh_token: refreshToken
+    });
+  };
+
+  const checkCredentials = (req) => req.headers.username === credentials.username &&
+    req.headers.password === credentials.password &&
+    req.body.app_key === credentials.appKey &&
+    req.body.app_secret === credentials.appSecret;
+
+  // Checkout calls need a live id_token and the app key
+  const authorize = (req, res, next) => {
+    const expiresAt = state.tokens.get(req.headers.authorization);
+    if (!expiresAt || expiresAt < Date.now() || req.headers['x-app-key'] !== credentials.appKey) {
+      return fail(res, '2079', 'Invalid App Token');
+    }
+    next();
+  };
+
+  app.post('/tokenized/checkout/token/grant', (req, res) => {
+    if (!checkCredentials(req)) {
+      return fail(res, '2001', 'Invalid App Key');
+    }
+    issueToken(res);
+  });
+
+  app.post('/tokenized/checkout/token/refresh', (req, res) => {
+    if (!checkCredentials(req) || !state.refreshTokens.has(req.body.refresh_token)) {
+      return fail(res, '2079', 'Invalid Refresh Token');
+    }
+    state.refreshTokens.delete(req.body.refresh_token);
+    issueToken(res);
+  });
+
+  app.post('/tokenized/checkout/create', authorize, (req, res) => {
+    const { mode, payerReference, callbackURL, amount, currency, intent, merchantInvoiceNumber } = req.body;
+
+    if (mode !== '0011' || !callbackURL || !merchantInvoiceNumber) {
+      return fail(res, '2064', 'Invalid request body');
+    }
+    if (!(parseFloat(amount) > 0)) {
+      return fail(res, '2005', 'Invalid Amount');
+    }
+
+    const paymentID = id('TR0011', 14);
+    const baseUrl = options.publicUrl || `${req.protocol}://${req.get('host')}`;
+    const payment = {
+      paymentID,
+      paymentCreateTime: new Date().toISOString(),
+      transactionStatus: 'Initiated',
+      amount: parseFloat(amount).toFixed(2),
+      currency,
+      intent,
+      merchantInvoiceNumber,
+      payerReference,
+      callbackURL,
+      authorized: false,
+      refunds: []
+    };
+    state.payments.set(paymentID, payment);
+
+    res.json({
+      statusCode: '0000',
+      statusMessage: 'Successful',
+      paymentID,
+      bkashURL: `${baseUrl}/checkout/${paymentID}`,
+      callbackURL,
+      successCallbackURL: `${callbackURL}?paymentID=${paymentID}&status=success`,
+      failureCallbackURL: `${callbackURL}?paymentID=${paymentID}&status=failure`,
+      cancelledCallbackURL: `${callbackURL}?paymentID=${paymentID}&status=cancel`,
+      amount: payment.amount,
+      intent,
+      currency,
+      paymentCreateTime: payment.paymentCreateTime,
+      transactionStatus: payment.transactionStatus,
+      merchantInvoiceNumber
+    });
+  });
+
+  // Stands in for the bKash wallet page: the customer authorizes or not and is redirected back
+  app.get('/checkout/:paymentID', (req, res) => {
+    const payment = state.payments.get(req.params.paymentID);
+    if (!payment) {
+      return res.status(404).send('Payment not found');
+    }
+
+    const status = ['success', 'failure', 'cancel'].includes(req.query.status) ? req.query.status : 'success';
+    payment.authorized = status === 'success';
+    if (status === 'cancel') payment.transactionStatus = 'Cancelled';
+    if (status === 'failure') payment.transactionStatus = 'Failed';
+    payment.customerMsisdn = req.query.msisdn || '01770618575';
+
+    const separator = payment.callbackURL.includes('?') ? '&' : '?';
+    res.redirect(302, `${payment.callbackURL}${separator}paymentID=${payment.paymentID}&status=${status}`);
+  });
+
+  app.post('/tokenized/checkout/execute', authorize, (req, res) => {
+    const payment = state.payments.get(req.body.paymentID);
+
+    if (!payment) {
+      return fail(res, '2056', 'Invalid Payment State');
+    }
+    if (payment.transactionStatus === 'Completed') {
+      return fail(res, '2062', 'The payment has already been completed');
+    }
+    if (!payment.authorized) {
+      return fail(res, '2056', 'Invalid Payment State');
+    }
+
+    payment.transactionStatus = 'Completed';
+    payment.trxID = id('', 10);
+    payment.paymentExecuteTime = new Date().toISOString();
+
+    res.json({
+      statusCode: '0000',
+      statusMessage: 'Successful',
+      paymentID: payment.paymentID,
+      trxID: payment.trxID,
+      transactionStatus: payment.transactionStatus,
+      amount: payment.amount,
+      currency: payment.currency,
+      intent: payment.intent,
+      paymentExecuteTime: payment.paymentExecuteTime,
+      merchantInvoiceNumber: payment.merchantInvoiceNumber,
+      payerReference: payment.payerReference,
+      customerMsisdn: payment.customerMsisdn
+    });
+  });
+
+  app.post('/tokenized/checkout/payment/status', authorize, (req, res) => {
+    const payment = state.payments.get(req.body.paymentID);
+
+    if (!payment) {
+      return fail(res, '2056', 'Invalid Payment State');
+    }
+
+    res.json({
+      statusCode: '0000',
+      statusMessage: 'Successful',
+      paymentID: payment.paymentID,
+      mode: '0011',
+      paymentCreateTime: payment.paymentCreateTime,
+      paymentExecuteTime: payment.paymentExecuteTime,
+      amount: payment.amount,
+      currency: payment.currency,
+      intent: payment.intent,
+      merchantInvoice: payment.merchantInvoiceNumber,
+      trxID: payment.trxID,
+      transactionStatus: payment.transactionStatus,
+      verificationStatus: payment.transactionStatus === 'Completed' ? 'Complete' : 'Incomplete',
+      payerReference: payment.payerReference
+    });
+  });
+
+  app.post('/tokenized/checkout/payment/refund', authorize, (req, res) => {
+    const { paymentID, trxID, amount } = req.body;
+    const payment = state.payments.get(paymentID);
+
+    if (!payment || payment.transactionStatus !== 'Completed' || payment.trxID !== trxID) {
+      return fail(res, '2023', 'Invalid Payment State');
+    }
+
+    const refunded = payment.refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+    if (!(parseFloat(amount) > 0) || parseFloat(amount) > parseFloat(payment.amount) - refunded + 0.001) {
+      return fail(res, '2071', 'Refund amount exceeds the refundable amount');
+    }
+
+    const refund = {
+      refundTrxID: id('', 10),
+      amount: parseFloat(amount).toFixed(2),
+      completedTime: new Date().toISOString()
+    };
+    payment.refunds.push(refund);
+
+    res.json({
+      statusCode: '0000',
+      statusMessage: 'Successful',
+      originalTrxID: payment.trxID,
+      refundTrxID: refund.refundTrxID,
+      transactionStatus: 'Completed',
+      amount: refund.amount,
+      currency: payment.currency,
+      charge: '0.00',
+      completedTime: refund.completedTime
+    });
+  });
+
+  return { app, state, credentials };
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - Credentials, port and publicUrl overrides
+ * @returns {Promise<Object>} Running server, its base URL and the mock state
+ */
+const startBkashMockServer = (options = {}) => startMockServer(createBkashMockServer(options), options.port);
+
+if (require.main === module) {
+  const port = parseInt(process.env.BKASH_MOCK_PORT) || 4010;
+  startBkashMockServer({ port }).then(({ url, credentials }) => {
+    console.log(`bKash mock server listening on ${url}`);
+    console.log('Credentials:', credentials);
+  });
+}
+
+module.exports = {
+  createBkashMockServer,
+  startBkashMockServer
+};
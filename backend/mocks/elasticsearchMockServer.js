@@ -0,0 +1,473 @@
+/**
+ * Elasticsearch Mock Server
+ * In-process stand-in for the parts of the Elasticsearch REST API used by
+ * the search service: index create/delete, document index/get/delete, bulk
+ * and _search. Queries support match_all, bool (must, should, filter,
+ * must_not), multi_match and match with fuzziness, term, terms, range,
+ * exists and nested; post_filter, the filter, nested, terms and range aggregations and
+ * (fuzzy) completion suggesters are supported too. Hits are scored with a simple token-overlap model so
+ * relevance ordering can be tested without a cluster.
+ *
+ * Run standalone:  node mocks/elasticsearchMockServer.js   (port ELASTICSEARCH_MOCK_PORT, default 4020)
+ * Then set:        ELASTICSEARCH_NODE=http://localhost:4020
+ */
+
+const express = require('express');
+const { startMockServer } = require('./startMockServer');
+
+// Lowercase and split on anything that is not a letter, mark or digit (keeps Bangla words whole)
+const tokenize = (value) => String(value).toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+// Levenshtein distance, used for fuzzy matching
+const editDistance = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// Edits allowed for a term under fuzziness AUTO (or an explicit number)
+const allowedEdits = (term, fuzziness) => {
+  if (fuzziness === undefined || fuzziness === null) return 0;
+  if (String(fuzziness).toUpperCase() === 'AUTO') {
+    return term.length <= 2 ? 0 : term.length <= 5 ? 1 : 2;
+  }
+  return parseInt(fuzziness) || 0;
+};
+
+// Values at a dotted path; arrays are flattened. Multi-field suffixes (.keyword) resolve to the parent field.
+const valuesAt = (source, path) => {
+  let values = [source];
+  for (const key of path.split('.')) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+      if (Array.isArray(value)) {
+        value.forEach(item => item && item[key] !== undefined && next.push(item[key]));
+      } else if (typeof value === 'object' && value[key] !== undefined) {
+        next.push(value[key]);
+      } else if (typeof value !== 'object' && ['keyword', 'suggest', 'raw'].includes(key)) {
+        next.push(value);
+      }
+    }
+    values = next.flat();
+  }
+  return values.filter(value => value !== null && value !== undefined);
+};
+
+const createElasticsearchMockServer = () => {
+  const state = {
+    indices: new Map()
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '50mb' }));
+
+  const error = (res, statusCode, type, reason) => res.status(statusCode).json({
+    error: { root_cause: [{ type, reason }], type, reason },
+    status: statusCode
+  });
+
+  const getIndex = (name) => state.indices.get(name);
+
+  // Score one text field against query terms; 0 means no term matched
+  const scoreField = (source, field, terms, { fuzziness, operator = 'or', boost = 1 }) => {
+    const tokens = valuesAt(source, field).flatMap(tokenize);
+    if (tokens.length === 0) return 0;
+
+    let score = 0;
+    let matched = 0;
+    for (const term of terms) {
+      const edits = allowedEdits(term, fuzziness);
+      if (tokens.includes(term)) {
+        score += 1;
+        matched++;
+      } else if (edits > 0 && tokens.some(token => editDistance(term, token) <= edits)) {
+        score += 0.5;
+        matched++;
+      }
+    }
+
+    if (matched === 0 || (operator === 'and' && matched < terms.length)) return 0;
+    return boost * score * (1 + 1 / tokens.length);
+  };
+
+  // Evaluate a query against a document: null when it does not match, else its score
+  const evaluate = (query, source) => {
+    if (!query || query.match_all) return 1;
+
+    if (query.bool) {
+      const clauses = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+      let score = 0;
+
+      for (const clause of clauses(query.bool.filter)) {
+        if (evaluate(clause, source) === null) return null;
+      }
+      for (const clause of clauses(query.bool.must_not)) {
+        if (evaluate(clause, source) !== null) return null;
+      }
+      for (const clause of clauses(query.bool.must)) {
+        const clauseScore = evaluate(clause, source);
+        if (clauseScore === null) return null;
+        score += clauseScore;
+      }
+
+      const should = clauses(query.bool.should);
+      const minimumShould = query.bool.minimum_should_match !== undefined
+        ? parseInt(query.bool.minimum_should_match)
+        : clauses(query.bool.must).length || clauses(query.bool.filter).length ? 0 : should.length ? 1 : 0;
+      let shouldMatched = 0;
+      for (const clause of should) {
+        const clauseScore = evaluate(clause, source);
+        if (clauseScore !== null) {
+          shouldMatched++;
+          score += clauseScore;
+        }
+      }
+      if (shouldMatched < minimumShould) return null;
+
+      return score || 1;
+    }
+
+    if (query.multi_match) {
+      const { query: text, fields = ['*'], fuzziness, operator } = query.multi_match;
+      const terms = tokenize(text);
+      let best = 0;
+      for (const spec of fields) {
+        const [field, boost] = spec.split('^');
+        best = Math.max(best, scoreField(source, field, terms, { fuzziness, operator, boost: parseFloat(boost) || 1 }));
+      }
+      return best > 0 ? best : null;
+    }
+
+    if (query.match) {
+      const [field, spec] = Object.entries(query.match)[0];
+      const options = typeof spec === 'object' ? spec : { query: spec };
+      const score = scoreField(source, field, tokenize(options.query), options);
+      return score > 0 ? score : null;
+    }
+
+    if (query.term) {
+      const [field, spec] = Object.entries(query.term)[0];
+      const expected = typeof spec === 'object' && spec !== null ? spec.value : spec;
+      return valuesAt(source, field).some(value => value === expected) ? 1 : null;
+    }
+
+    if (query.terms) {
+      const [field, expected] = Object.entries(query.terms)[0];
+      return valuesAt(source, field).some(value => expected.includes(value)) ? 1 : null;
+    }
+
+    if (query.range) {
+      const [field, bounds] = Object.entries(query.range)[0];
+      const inRange = (value) => {
+        const number = typeof value === 'number' ? value : Date.parse(value);
+        const bound = (limit) => (typeof limit === 'number' ? limit : Date.parse(limit));
+        return (bounds.gte === undefined || number >= bound(bounds.gte)) &&
+          (bounds.gt === undefined || number > bound(bounds.gt)) &&
+          (bounds.lte === undefined || number <= bound(bounds.lte)) &&
+          (bounds.lt === undefined || number < bound(bounds.lt));
+      };
+      return valuesAt(source, field).some(inRange) ? 1 : null;
+    }
+
+    if (query.exists) {
+      return valuesAt(source, query.exists.field).some(value => value !== null) ? 1 : null;
+    }
+
+    if (query.nested) {
+      const { path, query: inner } = query.nested;
+      const prefix = `${path}.`;
+      // Rewrite field names relative to the nested object and test each object on its own
+      const strip = (node) => JSON.parse(JSON.stringify(node).split(`"${prefix}`).join('"'));
+      const scores = valuesAt(source, path)
+        .map(item => evaluate(strip(inner), item))
+        .filter(score => score !== null);
+      return scores.length ? Math.max(...scores) : null;
+    }
+
+    throw Object.assign(new Error(`Unsupported query: ${Object.keys(query)[0]}`), { type: 'parsing_exception' });
+  };
+
+  const compare = (a, b) => (a === b ? 0 : a === undefined ? 1 : b === undefined ? -1 : a < b ? -1 : 1);
+
+  const sortHits = (hits, sort) => {
+    const specs = (Array.isArray(sort) ? sort : [sort]).map(spec => {
+      if (typeof spec === 'string') return { field: spec, order: spec === '_score' ? 'desc' : 'asc' };
+      const [field, options] = Object.entries(spec)[0];
+      return { field, order: typeof options === 'string' ? options : options.order || 'asc' };
+    });
+
+    return hits.sort((a, b) => {
+      for (const { field, order } of specs) {
+        const left = field === '_score' ? a._score : valuesAt(a._source, field)[0];
+        const right = field === '_score' ? b._score : valuesAt(b._source, field)[0];
+        const result = compare(left, right);
+        if (result !== 0) return order === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  };
+
+  // Compute aggregations over a set of documents (nested aggregations work on the nested objects)
+  const aggregate = (aggs, sources) => {
+    const result = {};
+
+    for (const [name, spec] of Object.entries(aggs)) {
+      const sub = spec.aggs || spec.aggregations;
+      const withSub = (matched) => (sub ? aggregate(sub, matched) : {});
+
+      if (spec.filter) {
+        const matched = sources.filter(source => evaluate(spec.filter, source) !== null);
+        result[name] = { doc_count: matched.length, ...withSub(matched) };
+      } else if (spec.nested) {
+        const { path } = spec.nested;
+        const items = sources.flatMap(source => valuesAt(source, path)
+          .map(item => path.split('.').reduceRight((value, key) => ({ [key]: value }), item)));
+        result[name] = { doc_count: items.length, ...withSub(items) };
+      } else if (spec.terms) {
+        const { field, size = 10 } = spec.terms;
+        const groups = new Map();
+        for (const source of sources) {
+          for (const value of new Set(valuesAt(source, field))) {
+            if (!groups.has(value)) groups.set(value, []);
+            groups.get(value).push(source);
+          }
+        }
+        const buckets = [...groups.entries()]
+          .sort((a, b) => b[1].length - a[1].length || compare(a[0], b[0]))
+          .slice(0, size)
+          .map(([key, matched]) => ({ key, doc_count: matched.length, ...withSub(matched) }));
+        result[name] = { buckets };
+      } else if (spec.range) {
+        const { field, ranges } = spec.range;
+        result[name] = {
+          buckets: ranges.map(({ key, from, to }) => {
+            const matched = sources.filter(source => valuesAt(source, field)
+              .some(value => (from === undefined || value >= from) && (to === undefined || value < to)));
+            return {
+              key: key || `${from === undefined ? '*' : from}-${to === undefined ? '*' : to}`,
+              ...(from !== undefined && { from }),
+              ...(to !== undefined && { to }),
+              doc_count: matched.length,
+              ...withSub(matched)
+            };
+          })
+        };
+      } else {
+        throw Object.assign(new Error(`Unsupported aggregation: ${Object.keys(spec)[0]}`), { type: 'parsing_exception' });
+      }
+    }
+
+    return result;
+  };
+
+  // Completion suggester: inputs match from their start; fuzzy matching allows edits after the first character
+  const complete = (index, { prefix, completion }) => {
+    const { field, size = 5, skip_duplicates: skipDuplicates, fuzzy } = completion;
+    const term = String(prefix).toLowerCase();
+    const edits = fuzzy ? allowedEdits(term, fuzzy.fuzziness === undefined ? 'AUTO' : fuzzy.fuzziness) : 0;
+
+    const options = [];
+    for (const [id, source] of index.docs) {
+      for (const input of valuesAt(source, field)) {
+        const text = String(input);
+        const lower = text.toLowerCase();
+        let score = lower.startsWith(term) ? 2 : null;
+        if (score === null && edits > 0 && lower[0] === term[0]) {
+          for (let length = Math.max(1, term.length - edits); length <= term.length + edits; length++) {
+            if (editDistance(term, lower.slice(0, length)) <= edits) {
+              score = 1;
+              break;
+            }
+          }
+        }
+        if (score !== null) options.push({ text, _index: index.name, _id: id, _score: score, _source: source });
+      }
+    }
+
+    options.sort((a, b) => b._score - a._score || compare(a.text, b.text));
+    const seen = new Set();
+    const unique = skipDuplicates
+      ? options.filter(option => !seen.has(option.text) && seen.add(option.text))
+      : options;
+
+    return [{ text: prefix, offset: 0, length: String(prefix).length, options: unique.slice(0, size) }];
+  };
+
+  const search = (index, body = {}) => {
+    let hits = [];
+    for (const [id, source] of index.docs) {
+      const score = evaluate(body.query, source);
+      if (score !== null) hits.push({ _index: index.name, _id: id, _score: score, _source: source });
+    }
+
+    // Aggregations see every query match; post_filter only narrows the hits
+    const aggregations = body.aggs || body.aggregations
+      ? aggregate(body.aggs || body.aggregations, hits.map(hit => hit._source))
+      : undefined;
+    if (body.post_filter) {
+      hits = hits.filter(hit => evaluate(body.post_filter, hit._source) !== null);
+    }
+
+    hits = body.sort ? sortHits(hits, body.sort) : hits.sort((a, b) => b._score - a._score);
+
+    const from = body.from || 0;
+    const size = body.size === undefined ? 10 : body.size;
+
+    return {
+      took: 1,
+      timed_out: false,
+      hits: {
+        total: { value: hits.length, relation: 'eq' },
+        max_score: hits.length ? Math.max(...hits.map(hit => hit._score)) : null,
+        hits: hits.slice(from, from + size)
+      },
+      ...(aggregations && { aggregations }),
+      ...(body.suggest && {
+        suggest: Object.fromEntries(Object.entries(body.suggest).map(([name, spec]) => [name, complete(index, spec)]))
+      })
+    };
+  };
+
+  const indexDocument = (indexName, id, source) => {
+    if (!state.indices.has(indexName)) {
+      state.indices.set(indexName, { name: indexName, mappings: {}, settings: {}, docs: new Map() });
+    }
+    const index = getIndex(indexName);
+    const result = index.docs.has(id) ? 'updated' : 'created';
+    index.docs.set(id, source);
+    return { _index: indexName, _id: id, result };
+  };
+
+  app.get('/', (req, res) => {
+    res.json({ name: 'elasticsearch-mock', version: { number: '8.11.0' }, tagline: 'You Know, for Search' });
+  });
+
+  app.get('/_cluster/health', (req, res) => {
+    res.json({ cluster_name: 'elasticsearch-mock', status: 'green' });
+  });
+
+  app.post(['/_bulk', '/:index/_bulk'], (req, res) => {
+    const lines = String(req.body).split('\n').filter(line => line.trim());
+    const items = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const action = JSON.parse(lines[i]);
+      const [type, meta] = Object.entries(action)[0];
+      const indexName = meta._index || req.params.index;
+
+      if (type === 'delete') {
+        const index = getIndex(indexName);
+        const found = index ? index.docs.delete(meta._id) : false;
+        items.push({ delete: { _index: indexName, _id: meta._id, result: found ? 'deleted' : 'not_found', status: found ? 200 : 404 } });
+        continue;
+      }
+
+      const source = JSON.parse(lines[++i]);
+      const result = indexDocument(indexName, meta._id, source);
+      items.push({ [type]: { ...result, status: result.result === 'created' ? 201 : 200 } });
+    }
+
+    res.json({ took: 1, errors: false, items });
+  });
+
+  app.head('/:index', (req, res) => {
+    res.status(getIndex(req.params.index) ? 200 : 404).end();
+  });
+
+  app.get('/:index', (req, res) => {
+    const index = getIndex(req.params.index);
+    if (!index) return error(res, 404, 'index_not_found_exception', `no such index [${req.params.index}]`);
+    res.json({ [index.name]: { mappings: index.mappings, settings: index.settings } });
+  });
+
+  app.put('/:index', (req, res) => {
+    if (getIndex(req.params.index)) {
+      return error(res, 400, 'resource_already_exists_exception', `index [${req.params.index}] already exists`);
+    }
+    state.indices.set(req.params.index, {
+      name: req.params.index,
+      mappings: (req.body && req.body.mappings) || {},
+      settings: (req.body && req.body.settings) || {},
+      docs: new Map()
+    });
+    res.json({ acknowledged: true, index: req.params.index });
+  });
+
+  app.delete('/:index', (req, res) => {
+    if (!state.indices.delete(req.params.index)) {
+      return error(res, 404, 'index_not_found_exception', `no such index [${req.params.index}]`);
+    }
+    res.json({ acknowledged: true });
+  });
+
+  app.post('/:index/_refresh', (req, res) => {
+    res.json({ _shards: { total: 1, successful: 1, failed: 0 } });
+  });
+
+  app.route('/:index/_doc/:id')
+    .put((req, res) => {
+      const result = indexDocument(req.params.index, req.params.id, req.body);
+      res.status(result.result === 'created' ? 201 : 200).json(result);
+    })
+    .post((req, res) => {
+      const result = indexDocument(req.params.index, req.params.id, req.body);
+      res.status(result.result === 'created' ? 201 : 200).json(result);
+    })
+    .get((req, res) => {
+      const index = getIndex(req.params.index);
+      const source = index && index.docs.get(req.params.id);
+      if (!source) return res.status(404).json({ _index: req.params.index, _id: req.params.id, found: false });
+      res.json({ _index: index.name, _id: req.params.id, found: true, _source: source });
+    })
+    .delete((req, res) => {
+      const index = getIndex(req.params.index);
+      const found = index ? index.docs.delete(req.params.id) : false;
+      res.status(found ? 200 : 404).json({ _index: req.params.index, _id: req.params.id, result: found ? 'deleted' : 'not_found' });
+    });
+
+  app.all('/:index/_search', (req, res) => {
+    const index = getIndex(req.params.index);
+    if (!index) return error(res, 404, 'index_not_found_exception', `no such index [${req.params.index}]`);
+
+    try {
+      res.json(search(index, req.body));
+    } catch (searchError) {
+      error(res, 400, searchError.type || 'search_phase_execution_exception', searchError.message);
+    }
+  });
+
+  return { app, state };
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - Port override
+ * @returns {Promise<Object>} Running server, its base URL and the mock state
+ */
+const startElasticsearchMockServer = (options = {}) => startMockServer(createElasticsearchMockServer(options), options.port);
+
+if (require.main === module) {
+  const port = parseInt(process.env.ELASTICSEARCH_MOCK_PORT) || 4020;
+  startElasticsearchMockServer({ port }).then(({ url }) => {
+    console.log(`Elasticsearch mock server listening on ${url}`);
+  });
+}
+
+module.exports = {
+  createElasticsearchMockServer,
+  startElasticsearchMockServer
+};
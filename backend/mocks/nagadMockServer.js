@@ -0,0 +1,227 @@
+/**
+ * Nagad Mock Server
+ * Local stand-in for the Nagad merchant checkout API. Implements checkout
+ * initialize/complete, payment verification and purchase cancel (refund),
+ * with the same encryption and signatures as Nagad, plus a checkout page that
+ * sends the customer back to the merchant callback URL with a signed query.
+ *
+ * Run standalone:  node mocks/nagadMockServer.js   (port NAGAD_MOCK_PORT, default 4011)
+ * It prints the key pairs and merchant ID to put in NAGAD_* settings.
+ *
+ * The customer's choice is simulated by following callBackUrl with
+ * ?status=Success|Aborted|Failed (default Success).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { startMockServer } = require('./startMockServer');
+
+const generateKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const createNagadMockServer = (options = {}) => {
+  const nagadKeys = options.nagadPrivateKey
+    ? { privateKey: options.nagadPrivateKey, publicKey: crypto.createPublicKey(options.nagadPrivateKey).export({ type: 'spki', format: 'pem' }) }
+    : generateKeyPair();
+
+  const credentials = {
+    merchantId: options.merchantId || '683002007104225',
+    merchantPublicKey: options.merchantPublicKey,
+    nagadPublicKey: nagadKeys.publicKey
+  };
+
+  const state = {
+    payments: new Map()
+  };
+
+  const app = express();
+  app.use(express.json());
+
+  const id = (prefix, length = 10) => prefix + crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase();
+  const fail = (res, reason, message) => res.status(400).json({ reason, message });
+
+  const encrypt = (data) => crypto.publicEncrypt(credentials.merchantPublicKey, Buffer.from(JSON.stringify(data))).toString('base64');
+  const sign = (payload) => crypto.sign('sha256', Buffer.from(payload), nagadKeys.privateKey).toString('base64');
+
+  // Decrypt merchant sensitiveData and check the merchant signed it
+  const open = (body) => {
+    try {
+      const plain = crypto.privateDecrypt(nagadKeys.privateKey, Buffer.from(body.sensitiveData, 'base64')).toString();
+      const valid = crypto.verify('sha256', Buffer.from(plain), credentials.merchantPublicKey, Buffer.from(body.signature || '', 'base64'));
+      return valid ? JSON.parse(plain) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const reply = (res, data) => res.json({
+    sensitiveData: encrypt(data),
+    signature: sign(JSON.stringify(data))
+  });
+
+  app.post('/api/dfs/check-out/initialize/:merchantId/:orderId', (req, res) => {
+    const data = open(req.body);
+
+    if (!data || data.merchantId !== credentials.merchantId || req.params.merchantId !== credentials.merchantId) {
+      return fail(res, '101', 'Invalid merchant signature');
+    }
+    if (data.orderId !== req.params.orderId) {
+      return fail(res, '102', 'Order ID mismatch');
+    }
+
+    const payment = {
+      paymentRefId: id('MDK', 24),
+      orderId: data.orderId,
+      challenge: crypto.randomBytes(20).toString('hex'),
+      orderDateTime: data.datetime,
+      status: 'Initiated',
+      refunds: []
+    };
+    state.payments.set(payment.paymentRefId, payment);
+
+    reply(res, {
+      paymentReferenceId: payment.paymentRefId,
+      challenge: payment.challenge,
+      acceptDateTime: data.datetime
+    });
+  });
+
+  app.post('/api/dfs/check-out/complete/:paymentReferenceId', (req, res) => {
+    const payment = state.payments.get(req.params.paymentReferenceId);
+    const data = open(req.body);
+
+    if (!payment || payment.status !== 'Initiated') {
+      return fail(res, '201', 'Invalid payment reference');
+    }
+    if (!data || data.challenge !== payment.challenge || data.orderId !== payment.orderId) {
+      return fail(res, '202', 'Invalid merchant signature');
+    }
+    if (!(parseFloat(data.amount) > 0) || !req.body.merchantCallbackURL) {
+      return fail(res, '203', 'Invalid request body');
+    }
+
+    const baseUrl = options.publicUrl || `${req.protocol}://${req.get('host')}`;
+    payment.amount = parseFloat(data.amount).toFixed(2);
+    payment.callbackURL = req.body.merchantCallbackURL;
+    payment.status = 'Ready';
+
+    res.json({
+      callBackUrl: `${baseUrl}/checkout/${payment.paymentRefId}`,
+      status: 'Success'
+    });
+  });
+
+  // Stands in for the Nagad wallet page: the customer pays or not and is redirected back
+  app.get('/checkout/:paymentRefId', (req, res) => {
+    const payment = state.payments.get(req.params.paymentRefId);
+    if (!payment || !payment.callbackURL) {
+      return res.status(404).send('Payment not found');
+    }
+
+    const status = ['Success', 'Aborted', 'Failed'].includes(req.query.status) ? req.query.status : 'Success';
+    payment.status = status;
+    payment.clientMobileNo = req.query.msisdn || '01711000000';
+    payment.issuerPaymentDateTime = new Date().toISOString();
+    if (status === 'Success') {
+      payment.issuerPaymentRefNo = id('', 10);
+    }
+
+    const fields = {
+      merchant: credentials.merchantId,
+      order_id: payment.orderId,
+      payment_ref_id: payment.paymentRefId,
+      status,
+      status_code: status === 'Success' ? '00_0000_000' : '00_1000_001',
+      message: status,
+      payment_dt: payment.issuerPaymentDateTime,
+      issuer_payment_ref: payment.issuerPaymentRefNo || ''
+    };
+    const signature = sign(Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&'));
+    const query = new URLSearchParams({ ...fields, signature }).toString();
+
+    const separator = payment.callbackURL.includes('?') ? '&' : '?';
+    res.redirect(302, `${payment.callbackURL}${separator}${query}`);
+  });
+
+  app.get('/api/dfs/verify/payment/:paymentRefId', (req, res) => {
+    const payment = state.payments.get(req.params.paymentRefId);
+
+    if (!payment) {
+      return fail(res, '301', 'Payment not found');
+    }
+
+    res.json({
+      merchantId: credentials.merchantId,
+      orderId: payment.orderId,
+      paymentRefId: payment.paymentRefId,
+      amount: payment.amount,
+      clientMobileNo: payment.clientMobileNo || null,
+      orderDateTime: payment.orderDateTime,
+      issuerPaymentDateTime: payment.issuerPaymentDateTime || null,
+      issuerPaymentRefNo: payment.issuerPaymentRefNo || null,
+      status: payment.status,
+      statusCode: payment.status === 'Success' ? '000' : '001'
+    });
+  });
+
+  app.post('/api/dfs/purchase/cancel', (req, res) => {
+    const payment = state.payments.get(req.query.paymentRefId);
+    const data = open(req.body);
+
+    if (!payment || payment.status !== 'Success') {
+      return fail(res, '401', 'Invalid payment state');
+    }
+    if (!data || data.referenceNo !== payment.paymentRefId) {
+      return fail(res, '402', 'Invalid merchant signature');
+    }
+
+    const refunded = payment.refunds.reduce((sum, refund) => sum + parseFloat(refund.cancelAmount), 0);
+    if (!(parseFloat(data.cancelAmount) > 0) || parseFloat(data.cancelAmount) > parseFloat(payment.amount) - refunded + 0.001) {
+      return fail(res, '403', 'Cancel amount exceeds the refundable amount');
+    }
+
+    const refund = {
+      cancelTrxId: id('CNL', 12),
+      cancelAmount: parseFloat(data.cancelAmount).toFixed(2)
+    };
+    payment.refunds.push(refund);
+
+    reply(res, {
+      ...refund,
+      originalAmount: payment.amount,
+      paymentRefId: payment.paymentRefId
+    });
+  });
+
+  return { app, state, credentials, nagadPrivateKey: nagadKeys.privateKey };
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - merchantPublicKey (required), merchantId, nagadPrivateKey, port and publicUrl
+ * @returns {Promise<Object>} Running server, its base URL, the mock state and Nagad's public key
+ */
+const startNagadMockServer = (options = {}) => startMockServer(createNagadMockServer(options), options.port);
+
+if (require.main === module) {
+  const port = parseInt(process.env.NAGAD_MOCK_PORT) || 4011;
+  const merchantKeys = generateKeyPair();
+  const oneLine = (pem) => pem.trim().replace(/\n/g, '\\n');
+
+  startNagadMockServer({ port, merchantPublicKey: merchantKeys.publicKey }).then(({ url, credentials }) => {
+    console.log(`Nagad mock server listening on ${url}`);
+    console.log(`NAGAD_BASE_URL=${url}`);
+    console.log(`NAGAD_MERCHANT_ID=${credentials.merchantId}`);
+    console.log(`NAGAD_MERCHANT_PRIVATE_KEY="${oneLine(merchantKeys.privateKey)}"`);
+    console.log(`NAGAD_PUBLIC_KEY="${oneLine(credentials.nagadPublicKey)}"`);
+  });
+}
+
+module.exports = {
+  createNagadMockServer,
+  startNagadMockServer,
+  generateKeyPair
+};
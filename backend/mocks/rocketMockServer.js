@@ -0,0 +1,197 @@
+/**
+ * Rocket Mock Server
+ * Local stand-in for the Rocket merchant payment API. Checks the HMAC
+ * signature on every request and implements payment create, capture, status
+ * and refunds, plus a checkout page that sends the customer back to the
+ * merchant callback URL with a signed query.
+ *
+ * Run standalone:  node mocks/rocketMockServer.js   (port ROCKET_MOCK_PORT, default 4012)
+ * Then set:        ROCKET_BASE_URL=http://localhost:4012
+ *
+ * The customer's choice is simulated by following redirectUrl with
+ * ?status=AUTHORIZED|FAILED|CANCELLED (default AUTHORIZED).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { startMockServer } = require('./startMockServer');
+
+// Requests older than this are rejected as replays
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const createRocketMockServer = (options = {}) => {
+  const credentials = {
+    merchantId: options.merchantId || 'mock-merchant',
+    secretKey: options.secretKey || 'mock-secret-key'
+  };
+
+  const state = {
+    payments: new Map()
+  };
+
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer.toString();
+    }
+  }));
+
+  const id = (prefix, length = 10) => prefix + crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase();
+  const fail = (res, statusCode, code, message) => res.status(statusCode).json({ code, message });
+  const hmac = (payload) => crypto.createHmac('sha256', credentials.secretKey).update(payload).digest('hex');
+
+  // API calls must carry the merchant ID and a fresh signature over method, path, timestamp and body
+  const authorize = (req, res, next) => {
+    const timestamp = parseInt(req.headers['x-timestamp']);
+    const expected = hmac(`${req.method}\n${req.originalUrl}\n${req.headers['x-timestamp']}\n${req.rawBody || ''}`);
+
+    if (req.headers['x-merchant-id'] !== credentials.merchantId || req.headers['x-signature'] !== expected) {
+      return fail(res, 401, 'INVALID_SIGNATURE', 'Invalid request signature');
+    }
+    if (!timestamp || Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW_MS) {
+      return fail(res, 401, 'EXPIRED_REQUEST', 'Request timestamp is out of range');
+    }
+    next();
+  };
+
+  const view = (payment) => ({
+    paymentId: payment.paymentId,
+    orderId: payment.orderId,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    txnId: payment.txnId || null,
+    createdAt: payment.createdAt,
+    capturedAt: payment.capturedAt || null
+  });
+
+  app.post('/api/v1/payments', authorize, (req, res) => {
+    const { orderId, amount, currency, callbackUrl } = req.body;
+
+    if (!orderId || !callbackUrl || currency !== 'BDT') {
+      return fail(res, 400, 'INVALID_REQUEST', 'Invalid request body');
+    }
+    if (!(parseFloat(amount) > 0)) {
+      return fail(res, 400, 'INVALID_AMOUNT', 'Invalid amount');
+    }
+
+    const baseUrl = options.publicUrl || `${req.protocol}://${req.get('host')}`;
+    const payment = {
+      paymentId: id('RKT', 16),
+      orderId,
+      amount: parseFloat(amount).toFixed(2),
+      currency,
+      callbackUrl,
+      status: 'INITIATED',
+      createdAt: new Date().toISOString(),
+      refunds: []
+    };
+    state.payments.set(payment.paymentId, payment);
+
+    res.status(201).json({
+      ...view(payment),
+      redirectUrl: `${baseUrl}/checkout/${payment.paymentId}`
+    });
+  });
+
+  // Stands in for the Rocket wallet page: the customer authorizes or not and is redirected back
+  app.get('/checkout/:paymentId', (req, res) => {
+    const payment = state.payments.get(req.params.paymentId);
+    if (!payment) {
+      return res.status(404).send('Payment not found');
+    }
+
+    const status = ['AUTHORIZED', 'FAILED', 'CANCELLED'].includes(req.query.status) ? req.query.status : 'AUTHORIZED';
+    payment.status = status;
+
+    const fields = {
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      status
+    };
+    const signature = hmac(Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&'));
+    const query = new URLSearchParams({ ...fields, signature }).toString();
+
+    const separator = payment.callbackUrl.includes('?') ? '&' : '?';
+    res.redirect(302, `${payment.callbackUrl}${separator}${query}`);
+  });
+
+  app.post('/api/v1/payments/:paymentId/capture', authorize, (req, res) => {
+    const payment = state.payments.get(req.params.paymentId);
+
+    if (!payment) {
+      return fail(res, 404, 'NOT_FOUND', 'Payment not found');
+    }
+    if (payment.status !== 'AUTHORIZED') {
+      return fail(res, 409, 'INVALID_STATE', `Payment is ${payment.status}`);
+    }
+
+    payment.status = 'CAPTURED';
+    payment.txnId = id('', 12);
+    payment.capturedAt = new Date().toISOString();
+
+    res.json(view(payment));
+  });
+
+  app.get('/api/v1/payments/:paymentId', authorize, (req, res) => {
+    const payment = state.payments.get(req.params.paymentId);
+
+    if (!payment) {
+      return fail(res, 404, 'NOT_FOUND', 'Payment not found');
+    }
+
+    res.json(view(payment));
+  });
+
+  app.post('/api/v1/payments/:paymentId/refunds', authorize, (req, res) => {
+    const payment = state.payments.get(req.params.paymentId);
+    const { amount, reason } = req.body;
+
+    if (!payment) {
+      return fail(res, 404, 'NOT_FOUND', 'Payment not found');
+    }
+    if (payment.status !== 'CAPTURED') {
+      return fail(res, 409, 'INVALID_STATE', `Payment is ${payment.status}`);
+    }
+
+    const refunded = payment.refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+    if (!(parseFloat(amount) > 0) || parseFloat(amount) > parseFloat(payment.amount) - refunded + 0.001) {
+      return fail(res, 400, 'INVALID_AMOUNT', 'Refund amount exceeds the refundable amount');
+    }
+
+    const refund = {
+      refundId: id('RFD', 12),
+      paymentId: payment.paymentId,
+      amount: parseFloat(amount).toFixed(2),
+      reason,
+      status: 'COMPLETED',
+      createdAt: new Date().toISOString()
+    };
+    payment.refunds.push(refund);
+
+    res.status(201).json(refund);
+  });
+
+  return { app, state, credentials };
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - Credentials, port and publicUrl overrides
+ * @returns {Promise<Object>} Running server, its base URL and the mock state
+ */
+const startRocketMockServer = (options = {}) => startMockServer(createRocketMockServer(options), options.port);
+
+if (require.main === module) {
+  const port = parseInt(process.env.ROCKET_MOCK_PORT) || 4012;
+  startRocketMockServer({ port }).then(({ url, credentials }) => {
+    console.log(`Rocket mock server listening on ${url}`);
+    console.log('Credentials:', credentials);
+  });
+}
+
+module.exports = {
+  createRocketMockServer,
+  startRocketMockServer
+};
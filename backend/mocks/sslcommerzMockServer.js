@@ -0,0 +1,232 @@
+/**
+ * SSLCommerz Mock Server
+ * Local stand-in for SSLCommerz hosted checkout. Implements session creation,
+ * the order validation API and the transaction query/refund API, plus a
+ * checkout page that posts the signed result back to the merchant the way
+ * SSLCommerz does.
+ *
+ * Run standalone:  node mocks/sslcommerzMockServer.js   (port SSLCOMMERZ_MOCK_PORT, default 4013)
+ * Then set:        SSLCOMMERZ_BASE_URL=http://localhost:4013
+ *
+ * The customer's choice is simulated by following GatewayPageURL with
+ * ?status=VALID|FAILED|CANCELLED (default VALID). Add &format=json to get
+ * the callback fields as JSON instead of the auto-submitting form, and
+ * &amount=<n> to pay a tampered amount.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { startMockServer } = require('./startMockServer');
+
+// Callback fields covered by verify_sign
+const VERIFY_KEY = 'amount,bank_tran_id,card_type,currency,status,tran_date,tran_id,val_id';
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const createSslcommerzMockServer = (options = {}) => {
+  const credentials = {
+    storeId: options.storeId || 'mockstore',
+    storePassword: options.storePassword || 'mockstore@ssl'
+  };
+
+  const state = {
+    sessions: new Map(),
+    payments: new Map()
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  const id = (prefix, length = 10) => prefix + crypto.randomBytes(length).toString('hex').slice(0, length).toUpperCase();
+
+  const checkCredentials = (params) => params.store_id === credentials.storeId &&
+    params.store_passwd === credentials.storePassword;
+
+  const sign = (fields) => {
+    const signed = VERIFY_KEY.split(',').reduce((values, key) => {
+      values[key] = fields[key];
+      return values;
+    }, { store_passwd: md5(credentials.storePassword) });
+
+    return md5(Object.keys(signed).sort().map(key => `${key}=${signed[key]}`).join('&'));
+  };
+
+  app.post('/gwprocess/v4/api.php', (req, res) => {
+    const { tran_id: tranId, total_amount: amount, currency, success_url: successUrl, fail_url: failUrl, cancel_url: cancelUrl } = req.body;
+
+    if (!checkCredentials(req.body)) {
+      return res.json({ status: 'FAILED', failedreason: 'Store Credential Error Or Store is De-active' });
+    }
+    if (!tranId || !successUrl || !failUrl || !cancelUrl || !(parseFloat(amount) > 0)) {
+      return res.json({ status: 'FAILED', failedreason: 'Invalid data imputed to call the API' });
+    }
+    if (state.payments.has(tranId)) {
+      return res.json({ status: 'FAILED', failedreason: 'Duplicate tran_id' });
+    }
+
+    const baseUrl = options.publicUrl || `${req.protocol}://${req.get('host')}`;
+    const sessionkey = id('', 32);
+    state.sessions.set(sessionkey, tranId);
+    state.payments.set(tranId, {
+      tran_id: tranId,
+      amount: parseFloat(amount).toFixed(2),
+      currency: currency || 'BDT',
+      urls: { VALID: successUrl, FAILED: failUrl, CANCELLED: cancelUrl },
+      status: 'PENDING',
+      validated: false,
+      refunds: []
+    });
+
+    res.json({
+      status: 'SUCCESS',
+      failedreason: '',
+      sessionkey,
+      GatewayPageURL: `${baseUrl}/gwprocess/v4/gw.php?Q=pay&SESSIONKEY=${sessionkey}`
+    });
+  });
+
+  // Stands in for the SSLCommerz payment page: the customer pays or not and the result is posted back
+  app.get('/gwprocess/v4/gw.php', (req, res) => {
+    const payment = state.payments.get(state.sessions.get(req.query.SESSIONKEY));
+    if (!payment) {
+      return res.status(404).send('Session not found');
+    }
+
+    const status = ['VALID', 'FAILED', 'CANCELLED'].includes(req.query.status) ? req.query.status : 'VALID';
+    payment.status = status;
+    if (parseFloat(req.query.amount) > 0) {
+      payment.amount = parseFloat(req.query.amount).toFixed(2);
+    }
+    payment.tran_date = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    payment.val_id = status === 'VALID' ? id('', 16) : '';
+    payment.bank_tran_id = status === 'VALID' ? id('', 14) : '';
+    payment.card_type = 'VISA-Dutch Bangla';
+
+    const fields = {
+      tran_id: payment.tran_id,
+      val_id: payment.val_id,
+      amount: payment.amount,
+      card_type: payment.card_type,
+      store_amount: (parseFloat(payment.amount) * 0.975).toFixed(2),
+      bank_tran_id: payment.bank_tran_id,
+      status,
+      tran_date: payment.tran_date,
+      currency: payment.currency,
+      card_brand: 'VISA',
+      verify_key: VERIFY_KEY
+    };
+    fields.verify_sign = sign(fields);
+
+    if (req.query.format === 'json') {
+      return res.json({ action: payment.urls[status], fields });
+    }
+
+    const inputs = Object.keys(fields)
+      .map(key => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(fields[key])}">`)
+      .join('');
+    res.send(`<form method="post" action="${escapeHtml(payment.urls[status])}">${inputs}</form><script>document.forms[0].submit()</script>`);
+  });
+
+  app.get('/validator/api/validationserverAPI.php', (req, res) => {
+    if (!checkCredentials(req.query)) {
+      return res.json({ status: 'INVALID_TRANSACTION', APIConnect: 'INVALID_REQUEST' });
+    }
+
+    const payment = Array.from(state.payments.values()).find(item => item.val_id && item.val_id === req.query.val_id);
+    if (!payment || payment.status !== 'VALID') {
+      return res.json({ status: 'INVALID_TRANSACTION', APIConnect: 'DONE' });
+    }
+
+    const status = payment.validated ? 'VALIDATED' : 'VALID';
+    payment.validated = true;
+
+    res.json({
+      APIConnect: 'DONE',
+      status,
+      tran_date: payment.tran_date,
+      tran_id: payment.tran_id,
+      val_id: payment.val_id,
+      amount: payment.amount,
+      store_amount: (parseFloat(payment.amount) * 0.975).toFixed(2),
+      currency: payment.currency,
+      bank_tran_id: payment.bank_tran_id,
+      card_type: payment.card_type,
+      risk_level: '0',
+      risk_title: 'Safe'
+    });
+  });
+
+  // One endpoint answers both transaction queries (tran_id) and refund requests (bank_tran_id)
+  app.get('/validator/api/merchantTransIDvalidationAPI.php', (req, res) => {
+    if (!checkCredentials(req.query)) {
+      return res.json({ APIConnect: 'INVALID_REQUEST', errorReason: 'Invalid store credentials' });
+    }
+
+    if (req.query.bank_tran_id) {
+      const payment = Array.from(state.payments.values()).find(item => item.bank_tran_id && item.bank_tran_id === req.query.bank_tran_id);
+      const amount = parseFloat(req.query.refund_amount);
+
+      if (!payment || !payment.validated) {
+        return res.json({ APIConnect: 'DONE', status: 'failed', errorReason: 'Invalid bank transaction' });
+      }
+
+      const refunded = payment.refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+      if (!(amount > 0) || amount > parseFloat(payment.amount) - refunded + 0.001) {
+        return res.json({ APIConnect: 'DONE', status: 'failed', errorReason: 'Refund amount exceeds the refundable amount' });
+      }
+
+      const refund = { refund_ref_id: id('', 12), amount: amount.toFixed(2), remarks: req.query.refund_remarks };
+      payment.refunds.push(refund);
+
+      return res.json({
+        APIConnect: 'DONE',
+        bank_tran_id: payment.bank_tran_id,
+        trans_id: payment.tran_id,
+        refund_ref_id: refund.refund_ref_id,
+        status: 'success',
+        errorReason: ''
+      });
+    }
+
+    const payment = state.payments.get(req.query.tran_id);
+    res.json({
+      APIConnect: 'DONE',
+      no_of_trans_found: payment ? 1 : 0,
+      element: payment
+        ? [{
+          tran_id: payment.tran_id,
+          val_id: payment.val_id,
+          amount: payment.amount,
+          currency: payment.currency,
+          bank_tran_id: payment.bank_tran_id,
+          status: payment.status === 'VALID' && payment.validated ? 'VALIDATED' : payment.status,
+          tran_date: payment.tran_date
+        }]
+        : []
+    });
+  });
+
+  return { app, state, credentials };
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options] - Credentials, port and publicUrl overrides
+ * @returns {Promise<Object>} Running server, its base URL and the mock state
+ */
+const startSslcommerzMockServer = (options = {}) => startMockServer(createSslcommerzMockServer(options), options.port);
+
+if (require.main === module) {
+  const port = parseInt(process.env.SSLCOMMERZ_MOCK_PORT) || 4013;
+  startSslcommerzMockServer({ port }).then(({ url, credentials }) => {
+    console.log(`SSLCommerz mock server listening on ${url}`);
+    console.log('Credentials:', credentials);
+  });
+}
+
+module.exports = {
+  createSslcommerzMockServer,
+  startSslcommerzMockServer
+};
@@ -0,0 +1,15 @@
+/**
+ * Start an Express mock gateway on a port (0 picks a free one)
+ * @param {Object} mock - Mock created by one of the create*MockServer factories
+ * @param {number} [port] - Port
+ * @returns {Promise<Object>} The mock plus its running server and base URL
+ */
+const startMockServer = (mock, port = 0) => new Promise((resolve) => {
+  const server = mock.app.listen(port, () => {
+    resolve({ ...mock, server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+module.exports = {
+  startMockServer
+};
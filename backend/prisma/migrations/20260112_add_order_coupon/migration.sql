@@ -0,0 +1,14 @@
+-- Store the applied coupon on orders so refunds and reporting can see it
+
+-- Widen maxDiscount: it caps the discount amount in BDT, not a percentage
+ALTER TABLE "coupons" ALTER COLUMN "maxDiscount" TYPE DECIMAL(12,2);
+
+-- Add coupon columns to orders
+ALTER TABLE "orders" ADD COLUMN "couponId" TEXT;
+ALTER TABLE "orders" ADD COLUMN "couponCode" TEXT;
+
+-- Index for coupon usage reporting
+CREATE INDEX "orders_couponId_idx" ON "orders"("couponId");
+
+-- Keep the order (and its couponCode) if the coupon is deleted
+ALTER TABLE "orders" ADD CONSTRAINT "orders_couponId_fkey" FOREIGN KEY ("couponId") REFERENCES "coupons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- Destination- and weight-based shipping rates
+
+-- Product shipping weight in kg
+ALTER TABLE "products" ADD COLUMN "weight" DECIMAL(8,3);
+
+-- CreateTable
+CREATE TABLE "shipping_zones" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameBn" TEXT,
+    "areas" JSONB NOT NULL DEFAULT '[]',
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "baseRate" DECIMAL(12,2) NOT NULL,
+    "baseWeightKg" DECIMAL(8,3) NOT NULL DEFAULT 1,
+    "perKgRate" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "freeShippingThreshold" DECIMAL(12,2),
+    "minDeliveryDays" INTEGER,
+    "maxDeliveryDays" INTEGER,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "shipping_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- Default courier zones: Dhaka city, Dhaka suburbs and outside Dhaka
+INSERT INTO "shipping_zones" ("id", "name", "nameBn", "areas", "isDefault", "baseRate", "baseWeightKg", "perKgRate", "freeShippingThreshold", "minDeliveryDays", "maxDeliveryDays", "sortOrder", "updatedAt") VALUES
+(gen_random_uuid()::text, 'Inside Dhaka City', 'ঢাকা সিটির ভিতরে',
+ '[{"division": "DHAKA", "district": "Dhaka"}]',
+ false, 60, 1, 20, 5000, 1, 2, 1, CURRENT_TIMESTAMP),
+(gen_random_uuid()::text, 'Dhaka Suburbs', 'ঢাকার উপশহর',
+ '[{"division": "DHAKA", "district": "Gazipur"}, {"division": "DHAKA", "district": "Narayanganj"}, {"division": "DHAKA", "district": "Dhaka", "upazila": "Savar"}, {"division": "DHAKA", "district": "Dhaka", "upazila": "Keraniganj"}, {"division": "DHAKA", "district": "Dhaka", "upazila": "Dhamrai"}, {"division": "DHAKA", "district": "Dhaka", "upazila": "Nawabganj"}, {"division": "DHAKA", "district": "Dhaka", "upazila": "Dohar"}]',
+ false, 80, 1, 25, 8000, 2, 3, 2, CURRENT_TIMESTAMP),
+(gen_random_uuid()::text, 'Outside Dhaka', 'ঢাকার বাইরে',
+ '[]',
+ true, 120, 1, 30, 10000, 3, 5, 3, CURRENT_TIMESTAMP);
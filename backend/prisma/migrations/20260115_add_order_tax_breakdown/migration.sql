@@ -0,0 +1,23 @@
+-- Store VAT per line and per rate on orders for NBR VAT returns
+
+-- Pricing mode and per-rate breakdown on orders
+ALTER TABLE "orders" ADD COLUMN "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "orders" ADD COLUMN "taxBreakdown" JSONB NOT NULL DEFAULT '[]';
+
+-- Rate and VAT amount on order items
+ALTER TABLE "order_items" ADD COLUMN "taxRate" DECIMAL(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE "order_items" ADD COLUMN "taxAmount" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- Existing orders were taxed at a flat 15% on the subtotal, added on top of prices
+UPDATE "order_items" oi
+SET "taxRate" = 15, "taxAmount" = ROUND(oi."totalPrice" * 0.15, 2)
+FROM "orders" o
+WHERE o."id" = oi."orderId" AND o."tax" > 0;
+
+UPDATE "orders"
+SET "taxBreakdown" = jsonb_build_array(jsonb_build_object(
+  'rate', 15,
+  'taxableAmount', "subtotal",
+  'tax', "tax"
+))
+WHERE "tax" > 0;
@@ -0,0 +1,3 @@
+-- Scheduled sale price windows for products
+ALTER TABLE "products" ADD COLUMN "saleStartsAt" TIMESTAMP(3);
+ALTER TABLE "products" ADD COLUMN "saleEndsAt" TIMESTAMP(3);
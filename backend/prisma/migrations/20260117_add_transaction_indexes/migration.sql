@@ -0,0 +1,3 @@
+-- Look up payments by order and by gateway payment ID (bKash callbacks)
+CREATE INDEX "transactions_orderId_idx" ON "transactions"("orderId");
+CREATE INDEX "transactions_transactionId_idx" ON "transactions"("transactionId");
@@ -0,0 +1,11 @@
+-- Guest checkout: orders without a user account carry contact details and an address snapshot
+ALTER TABLE "orders" ALTER COLUMN "userId" DROP NOT NULL;
+ALTER TABLE "orders" ALTER COLUMN "addressId" DROP NOT NULL;
+ALTER TABLE "orders" ADD COLUMN "guestEmail" TEXT;
+ALTER TABLE "orders" ADD COLUMN "guestPhone" TEXT;
+ALTER TABLE "orders" ADD COLUMN "shippingAddress" JSONB;
+
+CREATE INDEX "orders_guestEmail_idx" ON "orders"("guestEmail");
+
+-- Expired guest carts are looked up for cleanup
+CREATE INDEX "carts_expiresAt_idx" ON "carts"("expiresAt");
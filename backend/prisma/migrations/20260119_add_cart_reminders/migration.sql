@@ -0,0 +1,28 @@
+-- Abandoned cart recovery: reminders sent for idle carts and the orders they led to
+CREATE TYPE "ReminderChannel" AS ENUM ('EMAIL', 'SMS');
+
+CREATE TABLE "cart_reminders" (
+    "id" TEXT NOT NULL,
+    "cartId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "channel" "ReminderChannel" NOT NULL,
+    "token" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "clickedAt" TIMESTAMP(3),
+    "convertedAt" TIMESTAMP(3),
+    "orderId" TEXT,
+    "orderTotal" DECIMAL(12,2),
+
+    CONSTRAINT "cart_reminders_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "cart_reminders_token_key" ON "cart_reminders"("token");
+CREATE INDEX "cart_reminders_cartId_sentAt_idx" ON "cart_reminders"("cartId", "sentAt");
+CREATE INDEX "cart_reminders_sentAt_idx" ON "cart_reminders"("sentAt");
+
+ALTER TABLE "cart_reminders" ADD CONSTRAINT "cart_reminders_cartId_fkey" FOREIGN KEY ("cartId") REFERENCES "carts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "cart_reminders" ADD CONSTRAINT "cart_reminders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "cart_reminders" ADD CONSTRAINT "cart_reminders_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Idle carts are looked up by last activity
+CREATE INDEX "carts_updatedAt_idx" ON "carts"("updatedAt");
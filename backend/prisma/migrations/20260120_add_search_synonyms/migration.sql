@@ -0,0 +1,10 @@
+-- Admin-managed search synonym groups used to expand product search queries
+CREATE TABLE "search_synonyms" (
+    "id" TEXT NOT NULL,
+    "terms" TEXT[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "search_synonyms_pkey" PRIMARY KEY ("id")
+);
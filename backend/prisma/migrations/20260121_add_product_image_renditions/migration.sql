@@ -0,0 +1,8 @@
+-- Uploaded product images: Bangla alt text, original size and generated WebP renditions
+ALTER TABLE "product_images" ADD COLUMN "altBn" TEXT;
+ALTER TABLE "product_images" ADD COLUMN "width" INTEGER;
+ALTER TABLE "product_images" ADD COLUMN "height" INTEGER;
+ALTER TABLE "product_images" ADD COLUMN "renditions" JSONB;
+ALTER TABLE "product_images" ADD COLUMN "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX "product_images_productId_sortOrder_idx" ON "product_images"("productId", "sortOrder");
@@ -0,0 +1,25 @@
+-- Bulk catalog import/export jobs with progress and per-row validation errors
+CREATE TABLE "catalog_jobs" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "dryRun" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "fileName" TEXT,
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "errors" JSONB,
+    "failureReason" TEXT,
+    "createdById" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "catalog_jobs_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "catalog_jobs_type_createdAt_idx" ON "catalog_jobs"("type", "createdAt");
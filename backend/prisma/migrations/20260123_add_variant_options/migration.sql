@@ -0,0 +1,9 @@
+-- Product variants: option attributes (color, storage, RAM), display order and globally unique SKUs.
+-- Duplicate variant SKUs must be renamed before this migration can run.
+ALTER TABLE "product_variants" ADD COLUMN "options" JSONB;
+ALTER TABLE "product_variants" ADD COLUMN "sortOrder" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "product_variants" ADD COLUMN "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "product_variants" ADD COLUMN "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE UNIQUE INDEX "product_variants_sku_key" ON "product_variants"("sku");
+CREATE INDEX "product_variants_productId_sortOrder_idx" ON "product_variants"("productId", "sortOrder");
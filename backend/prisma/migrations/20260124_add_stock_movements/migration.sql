@@ -0,0 +1,44 @@
+-- Stock ledger (sales, cancellations, returns, adjustments, receiving) and low-stock alerts
+CREATE TYPE "StockMovementType" AS ENUM ('SALE', 'CANCELLATION', 'RETURN', 'ADJUSTMENT', 'RECEIVING');
+
+CREATE TABLE "stock_movements" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "type" "StockMovementType" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "reason" TEXT,
+    "actorId" TEXT,
+    "orderId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_movements_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "stock_movements_productId_createdAt_idx" ON "stock_movements"("productId", "createdAt");
+CREATE INDEX "stock_movements_orderId_idx" ON "stock_movements"("orderId");
+
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE TABLE "low_stock_alerts" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "stock" INTEGER NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "notifiedAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "low_stock_alerts_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "low_stock_alerts_resolvedAt_createdAt_idx" ON "low_stock_alerts"("resolvedAt", "createdAt");
+CREATE INDEX "low_stock_alerts_productId_variantId_idx" ON "low_stock_alerts"("productId", "variantId");
+
+ALTER TABLE "low_stock_alerts" ADD CONSTRAINT "low_stock_alerts_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "low_stock_alerts" ADD CONSTRAINT "low_stock_alerts_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
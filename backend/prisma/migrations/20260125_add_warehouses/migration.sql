@@ -0,0 +1,94 @@
+-- Warehouses and branches with per-location stock, order allocations and inter-branch transfers
+CREATE TYPE "WarehouseType" AS ENUM ('WAREHOUSE', 'BRANCH');
+
+ALTER TYPE "StockMovementType" ADD VALUE 'TRANSFER';
+
+CREATE TABLE "warehouses" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameBn" TEXT,
+    "type" "WarehouseType" NOT NULL DEFAULT 'BRANCH',
+    "isCentral" BOOLEAN NOT NULL DEFAULT false,
+    "division" "Division" NOT NULL,
+    "district" TEXT NOT NULL,
+    "address" TEXT,
+    "phone" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouses_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "warehouses_code_key" ON "warehouses"("code");
+
+-- Only one central warehouse
+CREATE UNIQUE INDEX "warehouses_single_central" ON "warehouses"("isCentral") WHERE "isCentral" = true;
+
+CREATE TABLE "warehouse_stock" (
+    "id" TEXT NOT NULL,
+    "warehouseId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "warehouse_stock_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "warehouse_stock_quantity_check" CHECK ("quantity" >= 0)
+);
+
+CREATE INDEX "warehouse_stock_productId_variantId_idx" ON "warehouse_stock"("productId", "variantId");
+CREATE INDEX "warehouse_stock_warehouseId_idx" ON "warehouse_stock"("warehouseId");
+
+-- One row per location and product or variant (NULL variant IDs are not equal in a plain unique index)
+CREATE UNIQUE INDEX "warehouse_stock_product_key" ON "warehouse_stock"("warehouseId", "productId") WHERE "variantId" IS NULL;
+CREATE UNIQUE INDEX "warehouse_stock_variant_key" ON "warehouse_stock"("warehouseId", "variantId") WHERE "variantId" IS NOT NULL;
+
+ALTER TABLE "warehouse_stock" ADD CONSTRAINT "warehouse_stock_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "warehouses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "warehouse_stock" ADD CONSTRAINT "warehouse_stock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "warehouse_stock" ADD CONSTRAINT "warehouse_stock_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+CREATE TABLE "order_allocations" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "warehouseId" TEXT,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_allocations_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "order_allocations_orderId_idx" ON "order_allocations"("orderId");
+
+ALTER TABLE "order_allocations" ADD CONSTRAINT "order_allocations_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "order_allocations" ADD CONSTRAINT "order_allocations_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "warehouses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "order_allocations" ADD CONSTRAINT "order_allocations_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "order_allocations" ADD CONSTRAINT "order_allocations_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+CREATE TABLE "stock_transfers" (
+    "id" TEXT NOT NULL,
+    "fromWarehouseId" TEXT NOT NULL,
+    "toWarehouseId" TEXT NOT NULL,
+    "items" JSONB NOT NULL,
+    "reason" TEXT,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_transfers_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX "stock_transfers_createdAt_idx" ON "stock_transfers"("createdAt");
+
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_fromWarehouseId_fkey" FOREIGN KEY ("fromWarehouseId") REFERENCES "warehouses"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_toWarehouseId_fkey" FOREIGN KEY ("toWarehouseId") REFERENCES "warehouses"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+ALTER TABLE "stock_transfers" ADD CONSTRAINT "stock_transfers_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+ALTER TABLE "stock_movements" ADD COLUMN "warehouseId" TEXT;
+ALTER TABLE "stock_movements" ADD CONSTRAINT "stock_movements_warehouseId_fkey" FOREIGN KEY ("warehouseId") REFERENCES "warehouses"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing stock is all held centrally
+INSERT INTO "warehouses" ("id", "code", "name", "nameBn", "type", "isCentral", "division", "district", "updatedAt")
+VALUES (gen_random_uuid()::text, 'CENTRAL', 'Central Warehouse', 'কেন্দ্রীয় গুদাম', 'WAREHOUSE', true, 'DHAKA', 'Dhaka', CURRENT_TIMESTAMP);
@@ -0,0 +1,50 @@
+-- Promotion campaigns: time-boxed per-product and per-category discounts with campaign quantity caps
+CREATE TYPE "PromotionDiscountType" AS ENUM ('PERCENTAGE', 'FIXED_AMOUNT', 'FIXED_PRICE');
+
+CREATE TABLE "promotion_campaigns" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "nameBn" TEXT,
+    "slug" TEXT NOT NULL,
+    "description" TEXT,
+    "bannerImage" TEXT,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "quantityCap" INTEGER,
+    "soldQuantity" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "promotion_campaigns_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "promotion_campaigns_window_check" CHECK ("endsAt" > "startsAt"),
+    CONSTRAINT "promotion_campaigns_quantity_check" CHECK ("soldQuantity" >= 0 AND ("quantityCap" IS NULL OR "quantityCap" > 0))
+);
+
+CREATE UNIQUE INDEX "promotion_campaigns_slug_key" ON "promotion_campaigns"("slug");
+CREATE INDEX "promotion_campaigns_startsAt_endsAt_idx" ON "promotion_campaigns"("startsAt", "endsAt");
+
+CREATE TABLE "promotion_items" (
+    "id" TEXT NOT NULL,
+    "campaignId" TEXT NOT NULL,
+    "productId" TEXT,
+    "categoryId" TEXT,
+    "discountType" "PromotionDiscountType" NOT NULL,
+    "discountValue" DECIMAL(12,2) NOT NULL,
+    "maxDiscount" DECIMAL(12,2),
+
+    CONSTRAINT "promotion_items_pkey" PRIMARY KEY ("id"),
+    -- Each item targets exactly one product or one category
+    CONSTRAINT "promotion_items_target_check" CHECK (("productId" IS NULL) <> ("categoryId" IS NULL)),
+    CONSTRAINT "promotion_items_value_check" CHECK ("discountValue" > 0)
+);
+
+CREATE INDEX "promotion_items_campaignId_idx" ON "promotion_items"("campaignId");
+
+ALTER TABLE "promotion_items" ADD CONSTRAINT "promotion_items_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "promotion_campaigns"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "promotion_items" ADD CONSTRAINT "promotion_items_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "promotion_items" ADD CONSTRAINT "promotion_items_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Campaign an order line was priced by, so cancelled orders give back campaign quantity
+ALTER TABLE "order_items" ADD COLUMN "promotionId" TEXT;
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_promotionId_fkey" FOREIGN KEY ("promotionId") REFERENCES "promotion_campaigns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- Product publishing: drafts and scheduled publication via publishedAt, and product content revisions
+-- Products created before publishing existed stay visible
+UPDATE "products" SET "publishedAt" = "createdAt" WHERE "publishedAt" IS NULL;
+
+CREATE INDEX "products_publishedAt_idx" ON "products"("publishedAt");
+
+CREATE TABLE "product_revisions" (
+    "id" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "changedFields" TEXT[],
+    "reason" TEXT,
+    "actorId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_revisions_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "product_revisions_productId_version_key" ON "product_revisions"("productId", "version");
+
+ALTER TABLE "product_revisions" ADD CONSTRAINT "product_revisions_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "product_revisions" ADD CONSTRAINT "product_revisions_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -127,11 +127,12 @@ async function main() {
       }
     ];
 
+    // Sample products are published; without publishedAt they would be drafts
     for (const product of products) {
       await prisma.product.upsert({
         where: { sku: product.sku },
         update: {},
-        create: product
+        create: { ...product, publishedAt: new Date() }
       });
     }
 
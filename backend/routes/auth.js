@@ -15,6 +15,7 @@ const { configService } = require('../services/config');
 const { loggerService } = require('../services/logger');
 const { loginSecurityService } = require('../services/loginSecurityService');
 const { loginSecurityMiddleware } = require('../middleware/loginSecurity');
+const { cartService } = require('../services/cartService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -285,6 +286,8 @@ router.post('/register', [
         }
 
         // Email sent successfully (or in fallback mode)
+        const cartMerge = await cartService.mergeFromRequest(req, res, user.id);
+
         res.setHeader('Content-Type', 'application/json');
         res.status(201).json({
           message: emailResult.fallback
@@ -303,6 +306,7 @@ router.post('/register', [
           },
           requiresEmailVerification: true,
           fallbackMode: emailResult.fallback || false,
+          cartMerge,
           timestamp: new Date().toISOString()
         });
       } catch (emailError) {
@@ -311,6 +315,8 @@ router.post('/register', [
         // In testing mode, allow registration to proceed even if email fails
         if (isTestingMode) {
           console.warn('Email failed but continuing in testing mode');
+          const cartMerge = await cartService.mergeFromRequest(req, res, user.id);
+
           res.setHeader('Content-Type', 'application/json');
           return res.status(201).json({
             message: 'Registration successful in testing mode. Email verification skipped.',
@@ -325,6 +331,7 @@ router.post('/register', [
             },
             requiresEmailVerification: false,
             testingMode: true,
+            cartMerge,
             timestamp: new Date().toISOString()
           });
         }
@@ -366,6 +373,8 @@ router.post('/register', [
           });
         }
 
+        const cartMerge = await cartService.mergeFromRequest(req, res, user.id);
+
         res.setHeader('Content-Type', 'application/json');
         res.status(201).json({
           message: 'Registration successful. Please check your phone for OTP verification.',
@@ -382,6 +391,7 @@ router.post('/register', [
           phone: phoneValidation.normalizedPhone,
           operator: phoneValidation.operator,
           operatorDetails: phoneValidation.operatorDetails,
+          cartMerge,
           timestamp: new Date().toISOString()
         });
       } catch (otpError) {
@@ -423,6 +433,8 @@ router.post('/register', [
         }
       });
 
+      const cartMerge = await cartService.mergeFromRequest(req, res, user.id);
+
       res.status(201).json({
         message: isTestingMode
           ? 'Registration successful in testing mode. Account is automatically activated.'
@@ -432,7 +444,8 @@ router.post('/register', [
           : 'নিবন্ধন সফল। যাচাই ছাড়া অ্যাকাউন্ট সক্রিয় করা হয়েছে।',
         user: updatedUser,
         testingMode: isTestingMode,
-        verificationSkipped: true
+        verificationSkipped: true,
+        cartMerge
       });
     }
 
@@ -748,6 +761,9 @@ router.post('/login', [
     );
     console.log('[LOGIN DIAGNOSTIC] Step 24: JWT token generated successfully');
 
+    // Move any guest cart into the user's cart (never fails the login)
+    const cartMerge = await cartService.mergeFromRequest(req, res, user.id);
+
 
     // Record successful login and clear failed attempts
     try {
@@ -800,6 +816,7 @@ router.post('/login', [
         loginType,
         rememberMe: rememberMe || false,
         rememberToken, // Include remember me token for persistent sessions
+        cartMerge,
         securityContext: req.securityContext
       });
       
@@ -840,6 +857,7 @@ router.post('/login', [
         loginType,
         rememberMe: rememberMe || false,
         rememberToken, // Include remember me token for persistent sessions
+        cartMerge,
         securityContext: req.securityContext,
         warning: 'Login recording failed but login was successful'
       });
@@ -1,7 +1,13 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const { couponService } = require('../services/couponService');
+const { shippingService } = require('../services/shippingService');
+const { taxService } = require('../services/taxService');
+const { pricingService } = require('../services/pricingService');
+const { cartService } = require('../services/cartService');
+const { cartRecoveryService } = require('../services/cartRecoveryService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,12 +24,135 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Users reach their own carts (admins any cart); guests need the cart token of the cart
+const authorizeCartAccess = async (req, res, next) => {
+  const token = cartService.getCartToken(req);
+
+  if (!req.user && !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in or send the cart token of this cart'
+    });
+  }
+
+  try {
+    const cart = await cartService.authorizeCart(req.params.cartId, { user: req.user, token });
+    req.cartId = cart.id;
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Authorize cart error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cart',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// /me routes act on the signed-in user's cart, creating it on first use
+const resolveMyCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.getOrCreateUserCart(req.user.id);
+    req.cartId = cart.id;
+    next();
+  } catch (error) {
+    console.error('Resolve user cart error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cart',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Start a guest cart; the token comes back in the body and as the cartToken cookie
+router.post('/guest', async (req, res) => {
+  try {
+    const { cart, token } = await cartService.createGuestCart();
+
+    cartService.setCartCookie(res, token);
+
+    res.status(201).json({
+      message: 'Guest cart created',
+      cart,
+      cartToken: token
+    });
+
+  } catch (error) {
+    console.error('Create guest cart error:', error);
+    res.status(500).json({
+      error: 'Failed to create cart',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Record that a customer followed an abandoned cart reminder
+router.post('/reminders/:token/click', [
+  param('token').isHexadecimal().isLength({ min: 48, max: 48 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    await cartRecoveryService.recordClick(req.params.token);
+
+    res.json({
+      message: 'Reminder click recorded'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Record reminder click error:', error);
+    res.status(500).json({
+      error: 'Failed to record reminder click',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Abandoned cart reminder and conversion stats (admin)
+router.get('/reminders/stats', [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const stats = await cartRecoveryService.getStats({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    });
+
+    res.json({ stats });
+
+  } catch (error) {
+    console.error('Get reminder stats error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch reminder stats',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get cart (user or guest)
-router.get('/:cartId', [
-  param('cartId').isUUID()
-], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+const getCartValidation = [
+  query('couponCode').optional().isString().trim().notEmpty(),
+  query('addressId').optional().isUUID(),
+  query('division').optional().isIn(['DHAKA', 'CHITTAGONG', 'RAJSHAHI', 'SYLHET', 'KHULNA', 'BARISHAL', 'RANGPUR', 'MYMENSINGH']),
+  query('district').optional().isString().trim().notEmpty()
+];
+
+const getCart = async (req, res) => {
   try {
-    const { cartId } = req.params;
+    const { cartId } = req;
+    const { couponCode, addressId, division, district } = req.query;
 
     const cart = await prisma.cart.findUnique({
       where: { id: cartId },
@@ -51,18 +180,86 @@ router.get('/:cartId', [
       });
     }
 
-    // Calculate totals
-    const subtotal = cart.items.reduce((sum, item) => sum + parseFloat(item.totalPrice), 0);
-    const tax = subtotal * 0.15; // 15% tax
-    const shippingCost = 100; // Fixed shipping cost
-    const total = subtotal + tax + shippingCost;
+    // Price items as checkout will and flag lines whose price, stock or
+    // availability changed since they were added
+    const { items, hasChanges } = cartService.revalidateCart(cart);
+
+    // Totals cover only what can be bought now, so the coupon, shipping and
+    // VAT are not worked out on unavailable lines or missing stock
+    const purchasable = cartService.purchasableItems(items);
+    const subtotal = purchasable.reduce((sum, item) => sum + item.totalPrice, 0);
+
+    // Preview the coupon discount; the coupon is only redeemed at order creation
+    let coupon = null;
+    let couponError = null;
+    let discount = 0;
+    if (couponCode) {
+      try {
+        const applied = await couponService.applyCoupon(couponCode, subtotal);
+        coupon = {
+          code: applied.coupon.code,
+          type: applied.coupon.type,
+          value: applied.coupon.value
+        };
+        discount = applied.discount;
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        couponError = error.message;
+      }
+    }
+
+    // Quote shipping to the requested address, else the user's default address;
+    // guests may pass a division/district instead. Without any of these the
+    // default (fallback) zone rate is shown.
+    let address = null;
+    if (req.user) {
+      address = await prisma.address.findFirst({
+        where: addressId
+          ? { id: addressId, userId: req.user.id }
+          : { userId: req.user.id, isDefault: true }
+      });
+    } else if (division) {
+      address = { division, district };
+    }
+
+    if (addressId && !address) {
+      return res.status(404).json({
+        error: 'Address not found'
+      });
+    }
+
+    const shipping = await shippingService.getQuote(
+      address,
+      purchasable.map(item => ({ quantity: item.quantity, weight: item.product.weight })),
+      subtotal - discount
+    );
+    const shippingCost = shipping.cost;
+
+    // VAT per line from each product's rate, on the discounted value
+    const vat = taxService.calculate(
+      purchasable.map(item => ({ totalPrice: item.totalPrice, taxRate: item.product.taxRate })),
+      { discount }
+    );
+    const tax = vat.tax;
+
+    const total = vat.pricesIncludeTax
+      ? subtotal + shippingCost - discount
+      : subtotal + tax + shippingCost - discount;
 
     res.json({
       cart: {
         ...cart,
+        items,
+        hasChanges,
         subtotal,
         tax,
+        pricesIncludeTax: vat.pricesIncludeTax,
+        taxBreakdown: vat.breakdown,
         shippingCost,
+        shipping,
+        discount,
+        coupon,
+        couponError,
         total
       }
     });
@@ -74,40 +271,29 @@ router.get('/:cartId', [
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+};
 
-// Add item to cart
-router.post('/:cartId/items', [
+router.get('/me', getCartValidation, handleValidationErrors, authMiddleware.authenticate(), resolveMyCart, getCart);
+
+router.get('/:cartId', [
   param('cartId').isUUID(),
+  ...getCartValidation
+], handleValidationErrors, authMiddleware.optional(), authorizeCartAccess, getCart);
+
+// Add item to cart
+const addItemValidation = [
   body('productId').isUUID(),
   body('variantId').optional().isUUID(),
   body('quantity').isInt({ min: 1 })
-], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+];
+
+const addItem = async (req, res) => {
   try {
-    const { cartId } = req.params;
+    const { cartId } = req;
     const { productId, variantId, quantity } = req.body;
 
-    // Validate cart exists
-    const cart = await prisma.cart.findUnique({
-      where: { id: cartId }
-    });
-
-    if (!cart) {
-      return res.status(404).json({
-        error: 'Cart not found'
-      });
-    }
-
-    // Validate product exists
-    const product = await prisma.product.findUnique({
-      where: { id: productId }
-    });
-
-    if (!product) {
-      return res.status(404).json({
-        error: 'Product not found'
-      });
-    }
+    // Validate the product (and that the variant belongs to it) and price it
+    const { unitPrice } = await pricingService.priceItem({ productId, variantId });
 
     // Check if item already exists in cart
     const existingItem = await prisma.cartItem.findFirst({
@@ -121,21 +307,16 @@ router.post('/:cartId/items', [
     if (existingItem) {
       // Update quantity
       const newQuantity = existingItem.quantity + quantity;
-      let unitPrice;
-      if (variantId) {
-        const variant = await prisma.productVariant.findUnique({ where: { id: variantId } });
-        unitPrice = variant.price;
-      } else {
-        unitPrice = parseFloat(product.regularPrice);
-      }
-      
+
       const updatedItem = await prisma.cartItem.update({
         where: { id: existingItem.id },
         data: {
           quantity: newQuantity,
+          unitPrice,
           totalPrice: unitPrice * newQuantity
         }
       });
+      await cartService.touchCart(cartId);
 
       return res.json({
         message: 'Cart item updated',
@@ -144,14 +325,6 @@ router.post('/:cartId/items', [
     }
 
     // Add new item
-    let unitPrice;
-    if (variantId) {
-      const variant = await prisma.productVariant.findUnique({ where: { id: variantId } });
-      unitPrice = variant.price;
-    } else {
-      unitPrice = parseFloat(product.regularPrice);
-    }
-    
     const cartItem = await prisma.cartItem.create({
       data: {
         cartId,
@@ -166,6 +339,7 @@ router.post('/:cartId/items', [
         variant: true
       }
     });
+    await cartService.touchCart(cartId);
 
     res.status(201).json({
       message: 'Item added to cart',
@@ -173,31 +347,42 @@ router.post('/:cartId/items', [
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
     console.error('Add to cart error:', error);
     res.status(500).json({
       error: 'Failed to add item to cart',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+};
 
-// Update cart item
-router.put('/:cartId/items/:itemId', [
+router.post('/me/items', addItemValidation, handleValidationErrors, authMiddleware.authenticate(), resolveMyCart, addItem);
+
+router.post('/:cartId/items', [
   param('cartId').isUUID(),
+  ...addItemValidation
+], handleValidationErrors, authMiddleware.optional(), authorizeCartAccess, addItem);
+
+// Update cart item
+const updateItemValidation = [
   param('itemId').isUUID(),
   body('quantity').isInt({ min: 1 })
-], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+];
+
+const updateItem = async (req, res) => {
   try {
-    const { cartId, itemId } = req.params;
+    const { cartId } = req;
+    const { itemId } = req.params;
     const { quantity } = req.body;
 
     // Get cart item
     const cartItem = await prisma.cartItem.findFirst({
-      where: { id: itemId, cartId },
-      include: {
-        product: true,
-        variant: true
-      }
+      where: { id: itemId, cartId }
     });
 
     if (!cartItem) {
@@ -206,20 +391,17 @@ router.put('/:cartId/items/:itemId', [
       });
     }
 
-    let unitPrice;
-    if (cartItem.variantId) {
-      unitPrice = cartItem.variant.price;
-    } else {
-      unitPrice = parseFloat(cartItem.product.regularPrice);
-    }
+    const { unitPrice } = await pricingService.priceItem(cartItem);
 
     const updatedItem = await prisma.cartItem.update({
       where: { id: itemId },
       data: {
         quantity,
+        unitPrice,
         totalPrice: unitPrice * quantity
       }
     });
+    await cartService.touchCart(cartId);
 
     res.json({
       message: 'Cart item updated',
@@ -227,21 +409,32 @@ router.put('/:cartId/items/:itemId', [
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
     console.error('Update cart item error:', error);
     res.status(500).json({
       error: 'Failed to update cart item',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+};
 
-// Remove item from cart
-router.delete('/:cartId/items/:itemId', [
+router.put('/me/items/:itemId', updateItemValidation, handleValidationErrors, authMiddleware.authenticate(), resolveMyCart, updateItem);
+
+router.put('/:cartId/items/:itemId', [
   param('cartId').isUUID(),
-  param('itemId').isUUID()
-], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+  ...updateItemValidation
+], handleValidationErrors, authMiddleware.optional(), authorizeCartAccess, updateItem);
+
+// Remove item from cart
+const removeItem = async (req, res) => {
   try {
-    const { cartId, itemId } = req.params;
+    const { cartId } = req;
+    const { itemId } = req.params;
 
     // Check if item exists
     const cartItem = await prisma.cartItem.findFirst({
@@ -257,6 +450,7 @@ router.delete('/:cartId/items/:itemId', [
     await prisma.cartItem.delete({
       where: { id: itemId }
     });
+    await cartService.touchCart(cartId);
 
     res.json({
       message: 'Item removed from cart'
@@ -269,25 +463,46 @@ router.delete('/:cartId/items/:itemId', [
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+};
 
-// Clear cart
-router.delete('/:cartId', [
-  param('cartId').isUUID()
-], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+router.delete('/me/items/:itemId', [
+  param('itemId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), resolveMyCart, removeItem);
+
+router.delete('/:cartId/items/:itemId', [
+  param('cartId').isUUID(),
+  param('itemId').isUUID()
+], handleValidationErrors, authMiddleware.optional(), authorizeCartAccess, removeItem);
+
+// Accept revalidation changes: current prices, capped quantities, unavailable lines removed
+const acceptChanges = async (req, res) => {
   try {
-    const { cartId } = req.params;
+    const result = await cartService.acceptChanges(req.cartId);
 
-    // Check if cart exists
-    const cart = await prisma.cart.findUnique({
-      where: { id: cartId }
+    res.json({
+      message: 'Cart changes accepted',
+      ...result
     });
 
-    if (!cart) {
-      return res.status(404).json({
-        error: 'Cart not found'
-      });
-    }
+  } catch (error) {
+    console.error('Accept cart changes error:', error);
+    res.status(500).json({
+      error: 'Failed to accept cart changes',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+router.post('/me/accept-changes', authMiddleware.authenticate(), resolveMyCart, acceptChanges);
+
+router.post('/:cartId/accept-changes', [
+  param('cartId').isUUID()
+], handleValidationErrors, authMiddleware.optional(), authorizeCartAccess, acceptChanges);
+
+// Clear cart
+const clearCart = async (req, res) => {
+  try {
+    const { cartId } = req;
 
     await prisma.cartItem.deleteMany({
       where: { cartId }
@@ -304,6 +519,12 @@ router.delete('/:cartId', [
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+};
+
+router.delete('/me', authMiddleware.authenticate(), resolveMyCart, clearCart);
+
+router.delete('/:cartId', [
+  param('cartId').isUUID()
+], handleValidationErrors, authMiddleware.optional(), authorizeCartAccess, clearCart);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const { productPublishingService } = require('../services/productPublishingService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -80,7 +81,7 @@ router.get('/:id', [
           orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
         },
         products: {
-          where: { status: 'ACTIVE' },
+          where: { status: 'ACTIVE', ...productPublishingService.publicationWhere() },
           take: 10,
           include: {
             images: {
@@ -158,7 +158,7 @@ router.post('/', [
   body('type').isIn(['PERCENTAGE', 'FIXED_AMOUNT']),
   body('value').isFloat({ min: 0 }),
   body('minAmount').isFloat({ min: 0 }),
-  body('maxDiscount').isFloat({ min: 0, max: 100 }),
+  body('maxDiscount').isFloat({ min: 0 }),
   body('usageLimit').isInt({ min: 1 }),
   body('isActive').optional().isBoolean(),
   body('expiresAt').optional().isISO8601().toDate()
@@ -209,7 +209,7 @@ router.put('/:id', [
   body('type').optional().isIn(['PERCENTAGE', 'FIXED_AMOUNT']),
   body('value').optional().isFloat({ min: 0 }),
   body('minAmount').optional().isFloat({ min: 0 }),
-  body('maxDiscount').optional().isFloat({ min: 0, max: 100 }),
+  body('maxDiscount').optional().isFloat({ min: 0 }),
   body('usageLimit').optional().isInt({ min: 1 }),
   body('isActive').optional().isBoolean(),
   body('expiresAt').optional().isISO8601().toDate()
@@ -9,6 +9,10 @@ const cartRoutes = require('./cart');
 const wishlistRoutes = require('./wishlist');
 const reviewRoutes = require('./reviews');
 const couponRoutes = require('./coupons');
+const shippingRoutes = require('./shipping');
+const warehouseRoutes = require('./warehouses');
+const promotionRoutes = require('./promotions');
+const paymentRoutes = require('./payments');
 const notificationPreferencesRoutes = require('./notificationPreferences');
 const privacySettingsRoutes = require('./privacySettings');
 const accountDeletionRoutes = require('./accountDeletion');
@@ -36,6 +40,10 @@ router.use('/v1/cart', cartRoutes);
 router.use('/v1/wishlist', wishlistRoutes);
 router.use('/v1/reviews', reviewRoutes);
 router.use('/v1/coupons', couponRoutes);
+router.use('/v1/shipping', shippingRoutes);
+router.use('/v1/warehouses', warehouseRoutes);
+router.use('/v1/promotions', promotionRoutes);
+router.use('/v1/payments', paymentRoutes);
 // Mount preference routes under /api/v1/profile (REST best practice - use plural resources)
 router.use('/v1/profile', profileRoutes);
 router.use('/v1/profile/preferences', notificationPreferencesRoutes);
@@ -63,6 +71,10 @@ router.get('/', (req, res) => {
         wishlist: '/api/v1/wishlist',
         reviews: '/api/v1/reviews',
         coupons: '/api/v1/coupons',
+        shipping: '/api/v1/shipping',
+        warehouses: '/api/v1/warehouses',
+        promotions: '/api/v1/promotions',
+        payments: '/api/v1/payments',
         sessions: '/api/v1/sessions',
         health: '/api/v1/health',
         notifications: '/api/v1/profile/preferences/notifications',
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const { orderService, ORDER_STATUS_TRANSITIONS } = require('../services/orderService');
+const { paymentService } = require('../services/paymentService');
+const { cartService } = require('../services/cartService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -23,7 +26,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('userId').optional().isUUID(),
-  query('status').optional().isIn(['PENDING', 'CONFIRMED', 'SHIPPED', 'DELIVERED', 'CANCELLED'])
+  query('status').optional().isIn(Object.keys(ORDER_STATUS_TRANSITIONS))
 ], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
   // If user is not admin, only allow access to their own orders
   if (req.userRole !== 'ADMIN') {
@@ -127,7 +130,17 @@ router.get('/:id', [
             variant: true
           }
         },
-        transactions: true
+        transactions: true,
+        coupon: {
+          select: { id: true, code: true, type: true, value: true }
+        },
+        allocations: {
+          include: {
+            warehouse: {
+              select: { id: true, code: true, name: true, division: true, district: true }
+            }
+          }
+        }
       }
     });
 
@@ -148,123 +161,202 @@ router.get('/:id', [
   }
 });
 
-// Create order
-router.post('/', [
+// Checkout the authenticated user's cart
+router.post('/checkout', [
   body('addressId').isUUID(),
-  body('items').isArray({ min: 1 }),
   body('paymentMethod').isIn(['CREDIT_CARD', 'BANK_TRANSFER', 'CASH_ON_DELIVERY', 'BKASH', 'NAGAD', 'ROCKET']),
+  body('couponCode').optional().isString().trim().notEmpty(),
   body('notes').optional().isString()
 ], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
-  // Use authenticated user's ID
-  req.body.userId = req.userId;
   try {
-    const { userId, addressId, items, paymentMethod, notes } = req.body;
+    const { addressId, paymentMethod, couponCode, notes } = req.body;
 
-    // Validate user and address
-    const [user, address] = await Promise.all([
-      prisma.user.findUnique({ where: { id: userId } }),
-      prisma.address.findUnique({ where: { id: addressId } })
-    ]);
+    const order = await orderService.checkoutCart(req.user.id, {
+      addressId,
+      paymentMethod,
+      couponCode,
+      notes
+    });
 
-    if (!user) {
-      return res.status(404).json({
-        error: 'User not found'
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
       });
     }
 
-    if (!address) {
-      return res.status(404).json({
-        error: 'Address not found'
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      error: 'Failed to checkout cart',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Checkout a guest cart without an account; the cart comes from the cart token
+router.post('/guest-checkout', [
+  body('email').trim().isEmail().normalizeEmail(),
+  body('phone').trim().isMobilePhone('any'),
+  body('shippingAddress.firstName').notEmpty().trim(),
+  body('shippingAddress.lastName').notEmpty().trim(),
+  body('shippingAddress.phone').optional().isMobilePhone('any'),
+  body('shippingAddress.address').notEmpty().trim(),
+  body('shippingAddress.addressLine2').optional().trim(),
+  body('shippingAddress.city').notEmpty().trim(),
+  body('shippingAddress.district').notEmpty().trim(),
+  body('shippingAddress.division').isIn(['DHAKA', 'CHITTAGONG', 'RAJSHAHI', 'SYLHET', 'KHULNA', 'BARISHAL', 'RANGPUR', 'MYMENSINGH']),
+  body('shippingAddress.upazila').optional().trim(),
+  body('shippingAddress.postalCode').optional().matches(/^\d{4}$/).withMessage('Postal code must be 4 digits'),
+  body('paymentMethod').isIn(['CREDIT_CARD', 'BANK_TRANSFER', 'CASH_ON_DELIVERY', 'BKASH', 'NAGAD', 'ROCKET']),
+  body('couponCode').optional().isString().trim().notEmpty(),
+  body('notes').optional().isString()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { email, phone, paymentMethod, couponCode, notes } = req.body;
+    const cartToken = cartService.getCartToken(req);
+
+    if (!cartToken) {
+      return res.status(400).json({
+        error: 'Cart token required'
       });
     }
 
-    // Validate items and calculate totals
-    let subtotal = 0;
-    const orderItems = [];
+    // Only the validated address fields are kept on the order
+    const { firstName, lastName, address, addressLine2, city, district, division, upazila, postalCode } = req.body.shippingAddress;
+    const shippingAddress = {
+      firstName,
+      lastName,
+      phone: req.body.shippingAddress.phone || phone,
+      address,
+      addressLine2: addressLine2 || null,
+      city,
+      district,
+      division,
+      upazila: upazila || null,
+      postalCode: postalCode || null
+    };
+
+    const { order, orderToken } = await orderService.checkoutGuestCart(cartToken, {
+      guest: { email, phone },
+      shippingAddress,
+      paymentMethod,
+      couponCode,
+      notes
+    });
 
-    for (const item of items) {
-      const product = await prisma.product.findUnique({
-        where: { id: item.productId }
-      });
+    res.status(201).json({
+      message: 'Order placed successfully',
+      order,
+      orderToken
+    });
 
-      if (!product) {
-        return res.status(400).json({
-          error: `Product ${item.productId} not found`
-        });
-      }
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
 
-      if (product.stockQuantity < item.quantity) {
-        return res.status(400).json({
-          error: `Insufficient stock for product ${product.name}`
-        });
-      }
+    console.error('Guest checkout error:', error);
+    res.status(500).json({
+      error: 'Failed to checkout cart',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-      const itemTotal = parseFloat(product.regularPrice) * item.quantity;
-      subtotal += itemTotal;
+// Get a guest order with the order token issued at guest checkout
+router.get('/guest/:id', [
+  param('id').isUUID()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      orderItems.push({
-        productId: item.productId,
-        variantId: item.variantId || null,
-        quantity: item.quantity,
-        unitPrice: parseFloat(product.regularPrice),
-        totalPrice: itemTotal
+    if (!orderService.verifyGuestOrderToken(req.headers['x-order-token'], id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'A valid order token is required'
       });
     }
 
-    // Calculate totals
-    const tax = subtotal * 0.15; // 15% tax
-    const shippingCost = 100; // Fixed shipping cost
-    const discount = 0; // Can be calculated based on coupons
-    const total = subtotal + tax + shippingCost - discount;
-
-    // Generate order number
-    const orderNumber = 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
-
-    // Create order
-    const order = await prisma.order.create({
-      data: {
-        orderNumber,
-        userId,
-        addressId,
-        subtotal,
-        tax,
-        shippingCost,
-        discount,
-        total,
-        paymentMethod,
-        notes,
-        status: 'PENDING',
-        items: {
-          create: orderItems
-        }
-      },
+    const order = await prisma.order.findUnique({
+      where: { id },
       include: {
         items: {
           include: {
-            product: true
+            product: {
+              include: {
+                images: {
+                  where: { sortOrder: 0 },
+                  take: 1,
+                  select: { id: true, url: true, alt: true }
+                }
+              }
+            },
+            variant: true
           }
-        }
+        },
+        transactions: true
       }
     });
 
-    // Update product stock
-    for (const item of items) {
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          stockQuantity: {
-            decrement: item.quantity
-          }
-        }
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found'
       });
     }
 
+    res.json({ order });
+
+  } catch (error) {
+    console.error('Get guest order error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch order',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create order
+router.post('/', [
+  body('addressId').isUUID(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.productId').isUUID(),
+  body('items.*.variantId').optional({ values: 'null' }).isUUID(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('paymentMethod').isIn(['CREDIT_CARD', 'BANK_TRANSFER', 'CASH_ON_DELIVERY', 'BKASH', 'NAGAD', 'ROCKET']),
+  body('couponCode').optional().isString().trim().notEmpty(),
+  body('notes').optional().isString()
+], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+  try {
+    const { addressId, items, paymentMethod, couponCode, notes } = req.body;
+
+    // Pricing, coupon redemption, stock reservation and order creation run in one transaction
+    const order = await orderService.createOrder(req.user.id, {
+      addressId,
+      items,
+      paymentMethod,
+      couponCode,
+      notes
+    });
+
     res.status(201).json({
       message: 'Order created successfully',
       order
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
     console.error('Create order error:', error);
     res.status(500).json({
       error: 'Failed to create order',
@@ -273,19 +365,16 @@ router.post('/', [
   }
 });
 
-// Update order status
-router.put('/:id/status', [
-  param('id').isUUID(),
-  body('status').isIn(['PENDING', 'CONFIRMED', 'SHIPPED', 'DELIVERED', 'CANCELLED']),
-  body('notes').optional().isString()
-], handleValidationErrors, authMiddleware.managerOrAdmin(), async (req, res) => {
+// Get order status timeline
+router.get('/:id/timeline', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes } = req.body;
 
-    // Check if order exists
     const order = await prisma.order.findUnique({
-      where: { id }
+      where: { id },
+      select: { id: true, orderNumber: true, userId: true, status: true }
     });
 
     if (!order) {
@@ -294,18 +383,127 @@ router.put('/:id/status', [
       });
     }
 
-    const updateData = { status };
-    
-    // Add timestamp based on status
-    if (status === 'CONFIRMED') updateData.confirmedAt = new Date();
-    if (status === 'SHIPPED') updateData.shippedAt = new Date();
-    if (status === 'DELIVERED') updateData.deliveredAt = new Date();
-    
-    if (notes) updateData.notes = notes;
+    if (req.user.role !== 'ADMIN' && req.user.role !== 'MANAGER' && order.userId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access your own orders'
+      });
+    }
 
-    const updatedOrder = await prisma.order.update({
-      where: { id },
-      data: updateData
+    const timeline = await orderService.getTimeline(id);
+
+    res.json({
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status
+      },
+      timeline
+    });
+
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch order timeline',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Cancel order (customers: own unpaid PENDING/CONFIRMED orders)
+router.post('/:id/cancel', [
+  param('id').isUUID(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const order = await orderService.cancelOrder(id, req.user, reason);
+
+    res.json({
+      message: 'Order cancelled successfully',
+      order
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel order',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Pay for an order online with the gateway of its payment method
+// (guests send the order token from guest checkout as X-Order-Token)
+router.post('/:id/pay', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    let payer = req.user;
+
+    if (!payer) {
+      if (!orderService.verifyGuestOrderToken(req.headers['x-order-token'], id)) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Sign in or send the order token of this order'
+        });
+      }
+      payer = { guestOrderId: id };
+    }
+
+    const payment = await paymentService.initiatePayment(id, payer);
+
+    res.status(201).json({
+      message: 'Payment started',
+      gateway: payment.gateway,
+      redirectUrl: payment.redirectUrl,
+      transaction: payment.transaction
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
+    console.error('Start payment error:', error);
+    res.status(500).json({
+      error: 'Failed to start payment',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update order status
+router.put('/:id/status', [
+  param('id').isUUID(),
+  body('status').isIn(Object.keys(ORDER_STATUS_TRANSITIONS)),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  body('notes').optional().isString(),
+  body('restock').optional().isBoolean().toBoolean()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason, notes, restock } = req.body;
+
+    // Transition rules, stock restoration and history are handled by the order service
+    const updatedOrder = await orderService.updateStatus(id, status, {
+      changedById: req.user.id,
+      reason,
+      notes,
+      restock
     });
 
     res.json({
@@ -314,6 +512,13 @@ router.put('/:id/status', [
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       error: 'Failed to update order status',
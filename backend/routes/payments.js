@@ -0,0 +1,149 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware } = require('../middleware/auth');
+const { paymentService } = require('../services/paymentService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Map service errors to their status code, everything else to a 500
+const handlePaymentError = (res, error, label, fallbackMessage) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      details: error.details
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    error: fallbackMessage,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+// Where customers land after a gateway sends them back
+const paymentResultUrl = (params) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/checkout/payment-result?${new URLSearchParams(params).toString()}`;
+};
+
+// List the gateways that take online payments
+router.get('/gateways', (req, res) => {
+  res.json({
+    gateways: paymentService.gateways.list()
+  });
+});
+
+// Gateways send the customer back here (GET redirect, or POST for SSLCommerz)
+const handleCallback = async (req, res) => {
+  const params = { ...req.query, ...req.body };
+
+  try {
+    const { orderId, status } = await paymentService.handleCallback(req.params.gateway, params);
+
+    res.redirect(paymentResultUrl({ orderId, status }));
+
+  } catch (error) {
+    console.error('Payment callback error:', error);
+    res.redirect(paymentResultUrl({ gateway: req.params.gateway, status: 'ERROR' }));
+  }
+};
+
+router.get('/:gateway/callback', [
+  param('gateway').isSlug()
+], handleValidationErrors, handleCallback);
+
+router.post('/:gateway/callback', [
+  param('gateway').isSlug()
+], handleValidationErrors, handleCallback);
+
+// Get payment transactions of an order (owner or staff)
+router.get('/orders/:orderId/transactions', [
+  param('orderId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      select: { id: true, userId: true, paymentMethod: true, paymentStatus: true, paidAt: true, total: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    if (order.userId !== req.user.id && !['ADMIN', 'MANAGER'].includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Access denied'
+      });
+    }
+
+    const transactions = await prisma.transaction.findMany({
+      where: { orderId },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      order,
+      transactions
+    });
+
+  } catch (error) {
+    handlePaymentError(res, error, 'Get transactions', 'Failed to fetch transactions');
+  }
+});
+
+// Query the live gateway status of an order's payment (staff only)
+router.get('/orders/:orderId/status', [
+  param('orderId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const result = await paymentService.queryPayment(req.params.orderId);
+
+    res.json(result);
+
+  } catch (error) {
+    handlePaymentError(res, error, 'Query payment', 'Failed to query payment');
+  }
+});
+
+// Refund an order's payment through its gateway (admin only)
+router.post('/orders/:orderId/refund', [
+  param('orderId').isUUID(),
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('reason').optional().isString().trim().isLength({ max: 255 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const refund = await paymentService.refundPayment(req.params.orderId, {
+      amount: req.body.amount,
+      reason: req.body.reason
+    });
+
+    res.status(201).json({
+      message: 'Payment refunded',
+      refund
+    });
+
+  } catch (error) {
+    handlePaymentError(res, error, 'Refund payment', 'Failed to refund payment');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,19 @@
 const express = require('express');
+const multer = require('multer');
 const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware } = require('../middleware/auth');
+const { pricingService } = require('../services/pricingService');
+const { searchService } = require('../services/searchService');
+const { queryNormalizationService } = require('../services/queryNormalizationService');
+const { productImageService } = require('../services/productImageService');
+const { catalogTransferService } = require('../services/catalogTransferService');
+const { productVariantService } = require('../services/productVariantService');
+const { productComparisonService } = require('../services/productComparisonService');
+const { stockService, MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES } = require('../services/stockService');
+const { warehouseService } = require('../services/warehouseService');
+const { productPublishingService, PUBLICATION_FILTERS } = require('../services/productPublishingService');
+const { productRecommendationService, MAX_RECOMMENDATIONS } = require('../services/productRecommendationService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,86 +30,287 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Get all products
-router.get('/', [
-  query('page').optional().isInt({ min: 1 }),
-  query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('category').optional().isUUID(),
-  query('brand').optional().isUUID(),
+// Product image uploads are kept in memory and converted to WebP renditions by the image service
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per image
+    files: 10
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+});
+
+// Run the upload and answer upload errors (size, count, type) with 400
+const uploadImages = (req, res, next) => {
+  imageUpload.array('images')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? 'Only JPEG, PNG and WebP images can be uploaded in the images field'
+          : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// Catalog import files (CSV, XLSX, NDJSON) are parsed from memory by the catalog transfer service
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB
+    files: 1
+  }
+});
+
+const uploadCatalog = (req, res, next) => {
+  catalogUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: error.code === 'LIMIT_UNEXPECTED_FILE' ? 'Upload the catalog file in the file field' : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// Listing image fields, and images shaped for responses (renditions and srcset)
+const imageSelect = { id: true, url: true, alt: true, altBn: true, sortOrder: true, width: true, height: true, renditions: true };
+const withImages = (product) => ({
+  ...product,
+  images: product.images.map(image => productImageService.toResponsive(image))
+});
+
+// Variants shaped for responses (options, resolved price, stock) and the option selectors they span;
+// with stock from warehouseService.getAvailability, also the product's and each variant's stock per location
+const withVariants = (product, stock) => ({
+  ...product,
+  variants: product.variants.map(variant => ({
+    ...productVariantService.toResponse(product, variant),
+    ...(stock && { availability: stock.variants[variant.id] })
+  })),
+  variantOptions: productVariantService.summarizeOptions(product.variants),
+  ...(stock && { availability: stock.availability })
+});
+
+// Everything the product page shows
+const productDetailInclude = {
+  category: true,
+  brand: true,
+  images: {
+    orderBy: { sortOrder: 'asc' }
+  },
+  specifications: {
+    orderBy: { sortOrder: 'asc' }
+  },
+  variants: {
+    where: { isActive: true },
+    orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+  },
+  reviews: {
+    where: { isApproved: true },
+    include: {
+      user: {
+        select: { id: true, firstName: true, lastName: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 10
+  },
+  _count: {
+    reviews: true
+  }
+};
+
+// Product page response: images, variants with stock per location, average rating, price and publication state
+const toProductDetail = async (product) => {
+  const avgRating = product.reviews.length > 0
+    ? product.reviews.reduce((sum, review) => sum + review.rating, 0) / product.reviews.length
+    : 0;
+
+  const stock = await warehouseService.getAvailability(product);
+
+  return {
+    ...withVariants(withImages(product), stock),
+    avgRating: Math.round(avgRating * 10) / 10,
+    pricing: pricingService.resolvePrice(product),
+    publication: productPublishingService.describe(product)
+  };
+};
+
+// Staff see drafts and scheduled products; customers only published ones
+const isStaff = (user) => Boolean(user && ['ADMIN', 'MANAGER'].includes(user.role));
+
+// A scheduled sale must end after it starts
+const validateSaleWindow = (saleEndsAt, { req }) => {
+  if (req.body.saleStartsAt && new Date(saleEndsAt) <= new Date(req.body.saleStartsAt)) {
+    throw new Error('saleEndsAt must be after saleStartsAt');
+  }
+  return true;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PRICE_RANGE_PATTERN = /^(\d+(\.\d+)?)?-(\d+(\.\d+)?)?$/;
+
+// Multi-select filters come repeated (?brand=a&brand=b) or comma-separated (?brand=a,b)
+const toList = (value) => [].concat(value === undefined ? [] : value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const validateIdList = (value) => {
+  if (!toList(value).every(id => UUID_PATTERN.test(id))) {
+    throw new Error('Must be a UUID or a comma-separated list of UUIDs');
+  }
+  return true;
+};
+
+// Price ranges are from-to, either end open (0-5000, 80000-)
+const validatePriceRanges = (value) => {
+  toList(value).forEach(range => {
+    if (!PRICE_RANGE_PATTERN.test(range) || range === '-') {
+      throw new Error(`Invalid price range "${range}", expected from-to`);
+    }
+  });
+  return true;
+};
+
+// Specification filters are Name:Value, repeated for several values
+const validateSpecs = (value) => {
+  [].concat(value).forEach(spec => {
+    if (typeof spec !== 'string' || spec.indexOf(':') < 1 || spec.indexOf(':') === spec.length - 1) {
+      throw new Error(`Invalid specification filter "${spec}", expected Name:Value`);
+    }
+  });
+  return true;
+};
+
+// Listing filters shared by the product list and its facets
+const filterValidation = [
+  query('category').optional().custom(validateIdList),
+  query('brand').optional().custom(validateIdList),
   query('search').optional().isString().trim(),
   query('minPrice').optional().isFloat({ min: 0 }),
   query('maxPrice').optional().isFloat({ min: 0 }),
+  query('priceRange').optional().custom(validatePriceRanges),
+  query('spec').optional().custom(validateSpecs),
   query('status').optional().isIn(['ACTIVE', 'INACTIVE', 'OUT_OF_STOCK']),
+  query('publication').optional().isIn(PUBLICATION_FILTERS)
+];
+
+// Turn validated listing query parameters into search service filters; only staff may list unpublished products
+const parseFilters = (query, user) => {
+  const specs = {};
+  for (const spec of [].concat(query.spec || [])) {
+    const separator = spec.indexOf(':');
+    const name = spec.slice(0, separator).trim();
+    (specs[name] = specs[name] || []).push(spec.slice(separator + 1).trim());
+  }
+
+  return {
+    status: query.status || 'ACTIVE',
+    publication: isStaff(user) && query.publication ? query.publication : 'PUBLISHED',
+    categories: toList(query.category),
+    brands: toList(query.brand),
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    priceRanges: toList(query.priceRange).map(range => {
+      const [from, to] = range.split('-');
+      return { ...(from !== '' && { from: parseFloat(from) }), ...(to !== '' && { to: parseFloat(to) }) };
+    }),
+    specs
+  };
+};
+
+// Get all products
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  ...filterValidation,
   query('sortBy').optional().isIn(['price', 'name', 'createdAt', 'stockQuantity']),
   query('sortOrder').optional().isIn(['asc', 'desc'])
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
-      category,
-      brand,
       search,
-      minPrice,
-      maxPrice,
-      status = 'ACTIVE',
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     const skip = (page - 1) * limit;
+    const filters = parseFilters(req.query, req.user);
+
+    const include = {
+      category: {
+        select: { id: true, name: true, slug: true }
+      },
+      brand: {
+        select: { id: true, name: true, slug: true }
+      },
+      images: {
+        where: { sortOrder: 0 },
+        take: 1,
+        select: imageSelect
+      },
+      _count: {
+        reviews: true,
+        cartItems: true,
+        orderItems: true
+      }
+    };
+
+    let products;
+    let total;
+    let searchEngine = null;
 
-    // Build where clause
-    const where = { status };
-    
-    if (category) where.categoryId = category;
-    if (brand) where.brandId = brand;
     if (search) {
-      where.OR = [
-        { name: { contains: search, mode: 'insensitive' } },
-        { nameEn: { contains: search, mode: 'insensitive' } },
-        { nameBn: { contains: search, mode: 'insensitive' } },
-        { shortDescription: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
-      ];
-    }
-    
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      where.regularPrice = {};
-      if (minPrice !== undefined) where.regularPrice.gte = parseFloat(minPrice);
-      if (maxPrice !== undefined) where.regularPrice.lte = parseFloat(maxPrice);
-    }
-
-    const [products, total] = await Promise.all([
-      prisma.product.findMany({
-        where,
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        include: {
-          category: {
-            select: { id: true, name: true, slug: true }
-          },
-          brand: {
-            select: { id: true, name: true, slug: true }
-          },
-          images: {
-            where: { sortOrder: 0 },
-            take: 1,
-            select: { id: true, url: true, alt: true }
-          },
-          _count: {
-            reviews: true,
-            cartItems: true,
-            orderItems: true
-          }
-        },
-        orderBy: { [sortBy]: sortOrder }
-      }),
-      prisma.product.count({ where })
-    ]);
+      // Text search is ranked by the search service; load the hits in its order
+      const result = await searchService.search({
+        q: search,
+        ...filters,
+        sortBy: req.query.sortBy,
+        sortOrder,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const hits = await prisma.product.findMany({
+        where: { id: { in: result.ids } },
+        include
+      });
+      const byId = new Map(hits.map(product => [product.id, product]));
+
+      products = result.ids.map(id => byId.get(id)).filter(Boolean);
+      total = result.total;
+      searchEngine = result.engine;
+    } else {
+      const where = searchService.buildWhere(filters);
+
+      [products, total] = await Promise.all([
+        prisma.product.findMany({
+          where,
+          skip: parseInt(skip),
+          take: parseInt(limit),
+          include,
+          orderBy: { [sortBy]: sortOrder }
+        }),
+        prisma.product.count({ where })
+      ]);
+    }
 
     res.json({
-      products,
+      products: products.map(product => ({
+        ...withImages(product),
+        pricing: pricingService.resolvePrice(product)
+      })),
+      searchEngine,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -115,256 +328,526 @@ router.get('/', [
   }
 });
 
-// Get product by ID
-router.get('/:id', [
-  param('id').isUUID()
-], handleValidationErrors, async (req, res) => {
+// Get facet counts for the current query and filters
+router.get('/facets', filterValidation, handleValidationErrors, authMiddleware.optional(), async (req, res) => {
   try {
-    const { id } = req.params;
+    const result = await searchService.getFacets({
+      q: req.query.search,
+      ...parseFilters(req.query, req.user)
+    });
 
-    const product = await prisma.product.findUnique({
-      where: { id },
-      include: {
-        category: true,
-        brand: true,
-        images: {
-          orderBy: { sortOrder: 'asc' }
-        },
-        specifications: {
-          orderBy: { sortOrder: 'asc' }
-        },
-        variants: {
-          where: { isActive: true },
-          orderBy: { name: 'asc' }
-        },
-        reviews: {
-          where: { isApproved: true },
-          include: {
-            user: {
-              select: { id: true, firstName: true, lastName: true }
-            }
-          },
-          orderBy: { createdAt: 'desc' },
-          take: 10
-        },
-        _count: {
-          reviews: true
-        }
-      }
+    res.json({
+      facets: result.facets,
+      total: result.total,
+      searchEngine: result.engine
     });
 
-    if (!product) {
-      return res.status(404).json({
-        error: 'Product not found'
-      });
-    }
+  } catch (error) {
+    console.error('Get product facets error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product facets',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    // Calculate average rating
-    const avgRating = product.reviews.length > 0 
-      ? product.reviews.reduce((sum, review) => sum + review.rating, 0) / product.reviews.length
-      : 0;
+// Autocomplete suggestions as the user types
+router.get('/suggest', [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 10 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { q, limit = 5 } = req.query;
+    const result = await searchService.suggest(q, { limit: parseInt(limit) });
 
     res.json({
-      product: {
-        ...product,
-        avgRating: Math.round(avgRating * 10) / 10
-      }
+      query: q,
+      products: result.products,
+      brands: result.brands,
+      categories: result.categories,
+      searchEngine: result.engine
     });
 
   } catch (error) {
-    console.error('Get product error:', error);
+    console.error('Get product suggestions error:', error);
     res.status(500).json({
-      error: 'Failed to fetch product',
+      error: 'Failed to fetch suggestions',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get product by slug
-router.get('/slug/:slug', [
-  param('slug').isSlug()
+// Compare 2-4 products of the same category family side by side (?ids=a,b,c)
+router.get('/compare', [
+  query('ids').exists().custom(validateIdList)
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { slug } = req.params;
+    const comparison = await productComparisonService.compare(toList(req.query.ids));
 
-    const product = await prisma.product.findUnique({
-      where: { slug },
-      include: {
-        category: true,
-        brand: true,
-        images: {
-          orderBy: { sortOrder: 'asc' }
-        },
-        specifications: {
-          orderBy: { sortOrder: 'asc' }
-        },
-        variants: {
-          where: { isActive: true },
-          orderBy: { name: 'asc' }
-        },
-        reviews: {
-          where: { isApproved: true },
-          include: {
-            user: {
-              select: { id: true, firstName: true, lastName: true }
-            }
-          },
-          orderBy: { createdAt: 'desc' },
-          take: 10
-        },
-        _count: {
-          reviews: true
-        }
-      }
-    });
+    res.json(comparison);
 
-    if (!product) {
-      return res.status(404).json({
-        error: 'Product not found'
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
       });
     }
+    console.error('Compare products error:', error);
+    res.status(500).json({
+      error: 'Failed to compare products',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    // Calculate average rating
-    const avgRating = product.reviews.length > 0 
-      ? product.reviews.reduce((sum, review) => sum + review.rating, 0) / product.reviews.length
-      : 0;
+// List low-stock alerts (admins and managers); open alerts by default
+router.get('/stock/alerts', [
+  query('status').optional().isIn(['open', 'resolved', 'all']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 20 } = req.query;
+    const result = await stockService.listAlerts({ status, page: parseInt(page), limit: parseInt(limit) });
 
-    res.json({
-      product: {
-        ...product,
-        avgRating: Math.round(avgRating * 10) / 10
-      }
-    });
+    res.json(result);
 
   } catch (error) {
-    console.error('Get product by slug error:', error);
+    console.error('Get low stock alerts error:', error);
     res.status(500).json({
-      error: 'Failed to fetch product',
+      error: 'Failed to fetch low stock alerts',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Create product (admin only)
-router.post('/', [
-  body('name').notEmpty().trim(),
-  body('nameEn').notEmpty().trim(),
-  body('slug').isSlug(),
-  body('sku').notEmpty().trim(),
-  body('categoryId').isUUID(),
-  body('brandId').isUUID(),
-  body('regularPrice').isFloat({ min: 0 }),
-  body('salePrice').optional().isFloat({ min: 0 }),
-  body('costPrice').isFloat({ min: 0 }),
-  body('stockQuantity').isInt({ min: 0 }),
-  body('lowStockThreshold').optional().isInt({ min: 0 }),
-  body('description').optional().isString(),
-  body('shortDescription').optional().isString(),
-  body('nameBn').optional().isString(),
-  body('warrantyPeriod').optional().isInt({ min: 0 }),
-  body('warrantyType').optional().isString()
-], handleValidationErrors, authMiddleware.adminOnly(), async (req, res) => {
+// Start a catalog import (admin only); multipart field "file". With dryRun the
+// file is only validated. Poll GET /import/:jobId for progress and the row report.
+router.post('/import', authMiddleware.authenticate(), authMiddleware.adminOnly(), uploadCatalog, [
+  body('format').optional().isIn(['csv', 'xlsx', 'ndjson']),
+  body('dryRun').optional().isBoolean().toBoolean()
+], handleValidationErrors, async (req, res) => {
   try {
-    const productData = req.body;
-
-    // Check if SKU already exists
-    const existingProduct = await prisma.product.findUnique({
-      where: { sku: productData.sku }
-    });
-
-    if (existingProduct) {
-      return res.status(409).json({
-        error: 'Product with this SKU already exists'
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded'
       });
     }
 
-    // Check if slug already exists
-    const existingSlug = await prisma.product.findUnique({
-      where: { slug: productData.slug }
+    const job = await catalogTransferService.startImport({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format: req.body.format,
+      dryRun: req.body.dryRun === true,
+      userId: req.user.id
     });
 
-    if (existingSlug) {
-      return res.status(409).json({
-        error: 'Product with this slug already exists'
+    res.status(202).json({
+      message: job.dryRun ? 'Catalog validation started' : 'Catalog import started',
+      job: catalogTransferService.toJobResponse(job)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
       });
     }
-
-    const product = await prisma.product.create({
-      data: {
-        ...productData,
-        regularPrice: parseFloat(productData.regularPrice),
-        salePrice: productData.salePrice ? parseFloat(productData.salePrice) : null,
-        costPrice: parseFloat(productData.costPrice),
-        stockQuantity: parseInt(productData.stockQuantity),
-        lowStockThreshold: productData.lowStockThreshold ? parseInt(productData.lowStockThreshold) : 10
-      },
-      include: {
-        category: true,
-        brand: true
-      }
+    console.error('Start catalog import error:', error);
+    res.status(500).json({
+      error: 'Failed to start catalog import',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
+  }
+});
 
-    res.status(201).json({
-      message: 'Product created successfully',
-      product
+// List recent catalog imports (admin only)
+router.get('/import', [
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const jobs = await catalogTransferService.listJobs('import', { limit: parseInt(req.query.limit) || 20 });
+
+    res.json({
+      jobs: jobs.map(job => catalogTransferService.toJobResponse(job))
     });
 
   } catch (error) {
-    console.error('Create product error:', error);
+    console.error('List catalog imports error:', error);
     res.status(500).json({
-      error: 'Failed to create product',
+      error: 'Failed to fetch catalog imports',
       message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Update product (admin only)
-router.put('/:id', [
-  param('id').isUUID(),
-  body('name').optional().notEmpty().trim(),
-  body('nameEn').optional().notEmpty().trim(),
-  body('slug').optional().isSlug(),
-  body('regularPrice').optional().isFloat({ min: 0 }),
-  body('salePrice').optional().isFloat({ min: 0 }),
-  body('costPrice').optional().isFloat({ min: 0 }),
-  body('stockQuantity').optional().isInt({ min: 0 }),
-  body('status').optional().isIn(['ACTIVE', 'INACTIVE', 'OUT_OF_STOCK', 'DISCONTINUED'])
-], handleValidationErrors, authMiddleware.adminOnly(), async (req, res) => {
+// Get a catalog import's progress and row errors (admin only)
+router.get('/import/:jobId', [
+  param('jobId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
+    const job = await catalogTransferService.getJob(req.params.jobId, 'import');
 
-    // Check if product exists
-    const existingProduct = await prisma.product.findUnique({
-      where: { id }
+    res.json({
+      job: catalogTransferService.toJobResponse(job)
     });
 
-    if (!existingProduct) {
-      return res.status(404).json({
-        error: 'Product not found'
-      });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Get catalog import error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch catalog import',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    // Check if SKU conflicts with another product
-    if (updateData.sku && updateData.sku !== existingProduct.sku) {
-      const skuConflict = await prisma.product.findFirst({
-        where: { sku: updateData.sku, NOT: { id } }
-      });
+// Start an export of the full catalog (admin only)
+router.post('/export', [
+  body('format').isIn(['csv', 'xlsx', 'ndjson'])
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const job = await catalogTransferService.startExport({
+      format: req.body.format,
+      userId: req.user.id
+    });
 
-      if (skuConflict) {
-        return res.status(409).json({
-          error: 'Product with this SKU already exists'
-        });
-      }
+    res.status(202).json({
+      message: 'Catalog export started',
+      job: catalogTransferService.toJobResponse(job)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
+    console.error('Start catalog export error:', error);
+    res.status(500).json({
+      error: 'Failed to start catalog export',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
 
-    // Check if slug conflicts with another product
-    if (updateData.slug && updateData.slug !== existingProduct.slug) {
-      const slugConflict = await prisma.product.findFirst({
-        where: { slug: updateData.slug, NOT: { id } }
-      });
+// List recent catalog exports (admin only)
+router.get('/export', [
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const jobs = await catalogTransferService.listJobs('export', { limit: parseInt(req.query.limit) || 20 });
 
-      if (slugConflict) {
+    res.json({
+      jobs: jobs.map(job => catalogTransferService.toJobResponse(job))
+    });
+
+  } catch (error) {
+    console.error('List catalog exports error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch catalog exports',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a catalog export's progress (admin only)
+router.get('/export/:jobId', [
+  param('jobId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const job = await catalogTransferService.getJob(req.params.jobId, 'export');
+
+    res.json({
+      job: catalogTransferService.toJobResponse(job)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get catalog export error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch catalog export',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Download a completed catalog export (admin only)
+router.get('/export/:jobId/download', [
+  param('jobId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { filePath, downloadName } = await catalogTransferService.getExportFile(req.params.jobId);
+
+    res.download(filePath, downloadName);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Download catalog export error:', error);
+    res.status(500).json({
+      error: 'Failed to download catalog export',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get product by ID
+router.get('/:id', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: productDetailInclude
+    });
+
+    // Drafts and scheduled products are only shown to staff (or through a preview link)
+    if (!product || (!isStaff(req.user) && !productPublishingService.isPublished(product))) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    res.json({
+      product: await toProductDetail(product)
+    });
+
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get product by slug
+router.get('/slug/:slug', [
+  param('slug').isSlug()
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const product = await prisma.product.findUnique({
+      where: { slug },
+      include: productDetailInclude
+    });
+
+    if (!product || (!isStaff(req.user) && !productPublishingService.isPublished(product))) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    res.json({
+      product: await toProductDetail(product)
+    });
+
+  } catch (error) {
+    console.error('Get product by slug error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Show a product through a signed preview link, whatever its publication state
+router.get('/preview/:token', [
+  param('token').isJWT()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const productId = productPublishingService.verifyPreviewToken(req.params.token);
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: productDetailInclude
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    res.set('X-Robots-Tag', 'noindex');
+    res.json({
+      product: await toProductDetail(product),
+      preview: true
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Preview product error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product preview',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create product (admin only)
+router.post('/', [
+  body('name').notEmpty().trim(),
+  body('nameEn').notEmpty().trim(),
+  body('slug').isSlug(),
+  body('sku').notEmpty().trim(),
+  body('categoryId').isUUID(),
+  body('brandId').isUUID(),
+  body('regularPrice').isFloat({ min: 0 }),
+  body('salePrice').optional().isFloat({ min: 0 }),
+  body('saleStartsAt').optional().isISO8601(),
+  body('saleEndsAt').optional().isISO8601().custom(validateSaleWindow),
+  body('costPrice').isFloat({ min: 0 }),
+  body('stockQuantity').isInt({ min: 0 }),
+  body('lowStockThreshold').optional().isInt({ min: 0 }),
+  body('weight').optional().isFloat({ min: 0 }),
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }),
+  body('description').optional().isString(),
+  body('shortDescription').optional().isString(),
+  body('nameBn').optional().isString(),
+  body('warrantyPeriod').optional().isInt({ min: 0 }),
+  body('warrantyType').optional().isString(),
+  body('publishedAt').optional({ values: 'null' }).isISO8601()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const productData = req.body;
+
+    // Check if SKU already exists
+    const existingProduct = await prisma.product.findUnique({
+      where: { sku: productData.sku }
+    });
+
+    if (existingProduct) {
+      return res.status(409).json({
+        error: 'Product with this SKU already exists'
+      });
+    }
+
+    // Check if slug already exists
+    const existingSlug = await prisma.product.findUnique({
+      where: { slug: productData.slug }
+    });
+
+    if (existingSlug) {
+      return res.status(409).json({
+        error: 'Product with this slug already exists'
+      });
+    }
+
+    // New products are drafts until publishedAt is given (now, or a time to publish at)
+    const product = await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({
+        data: {
+          ...productData,
+          regularPrice: parseFloat(productData.regularPrice),
+          salePrice: productData.salePrice ? parseFloat(productData.salePrice) : null,
+          saleStartsAt: productData.saleStartsAt ? new Date(productData.saleStartsAt) : null,
+          saleEndsAt: productData.saleEndsAt ? new Date(productData.saleEndsAt) : null,
+          costPrice: parseFloat(productData.costPrice),
+          stockQuantity: parseInt(productData.stockQuantity),
+          lowStockThreshold: productData.lowStockThreshold ? parseInt(productData.lowStockThreshold) : 10,
+          weight: productData.weight !== undefined ? parseFloat(productData.weight) : null,
+          taxRate: productData.taxRate !== undefined ? parseFloat(productData.taxRate) : undefined,
+          publishedAt: productData.publishedAt ? new Date(productData.publishedAt) : null
+        }
+      });
+
+      await stockService.recordOpeningStock(tx, { productId: created.id, quantity: created.stockQuantity, actorId: req.user.id });
+      await productPublishingService.recordRevision(tx, created.id, { actorId: req.user.id, reason: 'Created' });
+
+      // Read back with the status the opening stock left it in
+      return tx.product.findUnique({
+        where: { id: created.id },
+        include: {
+          category: true,
+          brand: true
+        }
+      });
+    });
+
+    searchService.syncProduct(product.id);
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product: {
+        ...product,
+        publication: productPublishingService.describe(product)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create product error:', error);
+    res.status(500).json({
+      error: 'Failed to create product',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update product (admin only)
+router.put('/:id', [
+  param('id').isUUID(),
+  body('name').optional().notEmpty().trim(),
+  body('nameEn').optional().notEmpty().trim(),
+  body('slug').optional().isSlug(),
+  body('regularPrice').optional().isFloat({ min: 0 }),
+  body('salePrice').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('saleStartsAt').optional({ values: 'null' }).isISO8601(),
+  body('saleEndsAt').optional({ values: 'null' }).isISO8601().custom(validateSaleWindow),
+  body('costPrice').optional().isFloat({ min: 0 }),
+  body('stockQuantity').optional().isInt({ min: 0 }),
+  body('weight').optional().isFloat({ min: 0 }),
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }),
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE', 'OUT_OF_STOCK', 'DISCONTINUED']),
+  body('publishedAt').optional({ values: 'null' }).isISO8601(),
+  body('revisionNote').optional().isString().trim().isLength({ max: 500 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { revisionNote, ...updateData } = req.body;
+
+    // Check if product exists
+    const existingProduct = await prisma.product.findUnique({
+      where: { id }
+    });
+
+    if (!existingProduct) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    // Check if SKU conflicts with another product
+    if (updateData.sku && updateData.sku !== existingProduct.sku) {
+      const skuConflict = await prisma.product.findFirst({
+        where: { sku: updateData.sku, NOT: { id } }
+      });
+
+      if (skuConflict) {
+        return res.status(409).json({
+          error: 'Product with this SKU already exists'
+        });
+      }
+    }
+
+    // Check if slug conflicts with another product
+    if (updateData.slug && updateData.slug !== existingProduct.slug) {
+      const slugConflict = await prisma.product.findFirst({
+        where: { slug: updateData.slug, NOT: { id } }
+      });
+
+      if (slugConflict) {
         return res.status(409).json({
           error: 'Product with this slug already exists'
         });
@@ -374,8 +857,12 @@ router.put('/:id', [
     // Clean update data
     const cleanUpdateData = {};
     Object.keys(updateData).forEach(key => {
-      if (updateData[key] !== undefined) {
-        if (['regularPrice', 'salePrice', 'costPrice'].includes(key)) {
+      if (updateData[key] === null && ['salePrice', 'saleStartsAt', 'saleEndsAt', 'publishedAt'].includes(key)) {
+        cleanUpdateData[key] = null;
+      } else if (updateData[key] !== undefined) {
+        if (['saleStartsAt', 'saleEndsAt', 'publishedAt'].includes(key)) {
+          cleanUpdateData[key] = new Date(updateData[key]);
+        } else if (['regularPrice', 'salePrice', 'costPrice', 'weight', 'taxRate'].includes(key)) {
           cleanUpdateData[key] = parseFloat(updateData[key]);
         } else if (['stockQuantity', 'lowStockThreshold'].includes(key)) {
           cleanUpdateData[key] = parseInt(updateData[key]);
@@ -385,21 +872,48 @@ router.put('/:id', [
       }
     });
 
-    const updatedProduct = await prisma.product.update({
-      where: { id },
-      data: cleanUpdateData,
-      include: {
-        category: true,
-        brand: true
+    // Stock changes go through the stock ledger, in the same transaction as the content
+    const { stockQuantity } = cleanUpdateData;
+    delete cleanUpdateData.stockQuantity;
+
+    // publishedAt null takes the product back to draft; a future time schedules it
+    const updatedProduct = await prisma.$transaction(async (tx) => {
+      await productPublishingService.ensureBaseline(tx, id);
+
+      if (stockQuantity !== undefined) {
+        await stockService.setStock(id, stockQuantity, {
+          reason: 'Product updated',
+          actorId: req.user.id
+        }, tx);
       }
+
+      const updated = await tx.product.update({
+        where: { id },
+        data: cleanUpdateData,
+        include: {
+          category: true,
+          brand: true
+        }
+      });
+
+      await productPublishingService.recordRevision(tx, id, { actorId: req.user.id, reason: revisionNote || null });
+      return updated;
     });
 
+    searchService.syncProduct(id);
+
     res.json({
       message: 'Product updated successfully',
-      product: updatedProduct
+      product: {
+        ...updatedProduct,
+        publication: productPublishingService.describe(updatedProduct)
+      }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Update product error:', error);
     res.status(500).json({
       error: 'Failed to update product',
@@ -447,6 +961,8 @@ router.delete('/:id', [
       where: { id }
     });
 
+    searchService.syncProduct(id);
+
     res.json({
       message: 'Product deleted successfully'
     });
@@ -460,13 +976,721 @@ router.delete('/:id', [
   }
 });
 
+// Create a signed link that shows a draft or scheduled product before it is published (admin only)
+router.post('/:id/preview-token', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const preview = await productPublishingService.createPreviewToken(req.params.id, req.user.id);
+
+    res.status(201).json({
+      message: 'Preview link created successfully',
+      preview
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create product preview link error:', error);
+    res.status(500).json({
+      error: 'Failed to create preview link',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List a product's content revisions, newest first (admins and managers)
+router.get('/:id/revisions', [
+  param('id').isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await productPublishingService.listRevisions(req.params.id, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get product revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product revisions',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get one revision with its content snapshot (admins and managers)
+router.get('/:id/revisions/:revisionId', [
+  param('id').isUUID(),
+  param('revisionId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const revision = await productPublishingService.getRevision(req.params.id, req.params.revisionId);
+
+    res.json({ revision });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get product revision error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product revision',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Roll a product's content back to a revision (admin only); the rollback is recorded as a new revision
+router.post('/:id/revisions/:revisionId/restore', [
+  param('id').isUUID(),
+  param('revisionId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { product, revision } = await productPublishingService.restoreRevision(req.params.id, req.params.revisionId, req.user.id);
+
+    searchService.syncProduct(req.params.id);
+
+    res.json({
+      message: 'Product revision restored successfully',
+      product,
+      revision
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Restore product revision error:', error);
+    res.status(500).json({
+      error: 'Failed to restore product revision',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Rebuild the search index from the database (admin only)
+router.post('/search/reindex', authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    if (!searchService.isEnabled()) {
+      return res.status(400).json({
+        error: 'Elasticsearch is not configured'
+      });
+    }
+
+    const result = await searchService.reindexAll();
+
+    res.json({
+      message: 'Search index rebuilt',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Reindex products error:', error);
+    res.status(500).json({
+      error: 'Failed to rebuild search index',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Recompute recommendations for the whole catalog now instead of waiting for the scheduled job (admin only)
+router.post('/recommendations/refresh', authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const result = await productRecommendationService.refreshAll();
+
+    res.json({
+      message: 'Recommendations refreshed',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Refresh recommendations error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh recommendations',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Upload product images (admin only); multipart field "images", up to 10 files
+router.post('/:id/images', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), uploadImages, [
+  body('alt').optional().isString().trim().isLength({ max: 255 }),
+  body('altBn').optional().isString().trim().isLength({ max: 255 })
+], handleValidationErrors, async (req, res) => {
+  try {
+    const images = await productImageService.addImages(req.params.id, req.files, {
+      alt: req.body.alt,
+      altBn: req.body.altBn
+    });
+
+    searchService.syncProduct(req.params.id);
+
+    res.status(201).json({
+      message: 'Product images uploaded successfully',
+      images: images.map(image => productImageService.toResponsive(image))
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Upload product images error:', error);
+    res.status(500).json({
+      error: 'Failed to upload product images',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reorder product images (admin only); the first image is the main one
+router.put('/:id/images/order', [
+  param('id').isUUID(),
+  body('imageIds').isArray({ min: 1 }),
+  body('imageIds.*').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const images = await productImageService.reorderImages(req.params.id, req.body.imageIds);
+
+    searchService.syncProduct(req.params.id);
+
+    res.json({
+      message: 'Product images reordered successfully',
+      images: images.map(image => productImageService.toResponsive(image))
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Reorder product images error:', error);
+    res.status(500).json({
+      error: 'Failed to reorder product images',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update product image alt text or position (admin only)
+router.put('/:id/images/:imageId', [
+  param('id').isUUID(),
+  param('imageId').isUUID(),
+  body('alt').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('altBn').optional({ values: 'null' }).isString().trim().isLength({ max: 255 }),
+  body('sortOrder').optional().isInt({ min: 0 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { alt, altBn, sortOrder } = req.body;
+    const image = await productImageService.updateImage(req.params.id, req.params.imageId, {
+      alt,
+      altBn,
+      sortOrder: sortOrder === undefined ? undefined : parseInt(sortOrder)
+    });
+
+    searchService.syncProduct(req.params.id);
+
+    res.json({
+      message: 'Product image updated successfully',
+      image: productImageService.toResponsive(image)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update product image error:', error);
+    res.status(500).json({
+      error: 'Failed to update product image',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete product image (admin only)
+router.delete('/:id/images/:imageId', [
+  param('id').isUUID(),
+  param('imageId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    await productImageService.deleteImage(req.params.id, req.params.imageId);
+
+    searchService.syncProduct(req.params.id);
+
+    res.json({
+      message: 'Product image deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete product image error:', error);
+    res.status(500).json({
+      error: 'Failed to delete product image',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Variant validation; option names and values are normalized by the service
+const variantValidation = (optional) => [
+  (optional ? body('sku').optional() : body('sku')).isString().trim().isLength({ min: 1, max: 100 }),
+  (optional ? body('price').optional() : body('price')).isFloat({ min: 0 }),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  body('comparePrice').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('stock').optional().isInt({ min: 0 }),
+  body('isActive').optional().isBoolean(),
+  body('options').optional({ values: 'null' }).isObject(),
+  body('sortOrder').optional().isInt({ min: 0 })
+];
+
+// Variant fields from a validated request body
+const variantData = ({ name, sku, price, comparePrice, stock, isActive, options, sortOrder }) => ({
+  name,
+  sku,
+  price: price === undefined ? undefined : parseFloat(price),
+  comparePrice: comparePrice === undefined || comparePrice === null ? comparePrice : parseFloat(comparePrice),
+  stock: stock === undefined ? undefined : parseInt(stock),
+  isActive: isActive === undefined ? undefined : isActive === true || isActive === 'true',
+  options,
+  sortOrder: sortOrder === undefined ? undefined : parseInt(sortOrder)
+});
+
+// Answer a recommendation list (related or frequentlyBoughtTogether) for a published product
+const recommendationValidation = [
+  param('id').isUUID(),
+  query('limit').optional().isInt({ min: 1, max: MAX_RECOMMENDATIONS })
+];
+
+const sendRecommendations = (type) => async (req, res) => {
+  try {
+    const { products, computedAt } = await productRecommendationService.getRecommendations(req.params.id, type, {
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+
+    res.json({
+      products: products.map(withImages),
+      computedAt
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get product recommendations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product recommendations',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Products like this one (same category and brand, similar price)
+router.get('/:id/related', recommendationValidation, handleValidationErrors, sendRecommendations('related'));
+
+// Products often ordered together with this one; similar products while it has too few orders
+router.get('/:id/frequently-bought-together', recommendationValidation, handleValidationErrors, sendRecommendations('frequentlyBoughtTogether'));
+
+// List a product's variants; admins may include deactivated ones
+router.get('/:id/variants', [
+  param('id').isUUID(),
+  query('includeInactive').optional().isBoolean()
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user && req.user.role === 'ADMIN';
+    const { product, variants } = await productVariantService.listVariants(req.params.id, { includeInactive });
+
+    if (!isStaff(req.user) && !productPublishingService.isPublished(product)) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    res.json({
+      variants: variants.map(variant => productVariantService.toResponse(product, variant)),
+      variantOptions: productVariantService.summarizeOptions(variants.filter(variant => variant.isActive))
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get product variants error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch product variants',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a product variant (admin only)
+router.post('/:id/variants', [
+  param('id').isUUID(),
+  ...variantValidation(false)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const product = await productVariantService.getProduct(req.params.id);
+    const variant = await productVariantService.createVariant(req.params.id, variantData(req.body), req.user.id);
+
+    res.status(201).json({
+      message: 'Product variant created successfully',
+      variant: productVariantService.toResponse(product, variant)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Create product variant error:', error);
+    res.status(500).json({
+      error: 'Failed to create product variant',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Generate variants for every combination of option values (admin only);
+// with preview the planned variants are returned without saving
+router.post('/:id/variants/matrix', [
+  param('id').isUUID(),
+  body('options').isObject(),
+  body('options.*').isArray({ min: 1, max: 20 }),
+  body('options.*.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('basePrice').optional().isFloat({ min: 0 }),
+  body('priceAdjustments').optional().isObject(),
+  body('stock').optional().isInt({ min: 0 }),
+  body('skuPrefix').optional().isString().trim().isLength({ min: 1, max: 60 }),
+  body('preview').optional().isBoolean()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { options, basePrice, priceAdjustments, stock, skuPrefix, preview } = req.body;
+    const isPreview = preview === true || preview === 'true';
+
+    const product = await productVariantService.getProduct(req.params.id);
+    const result = await productVariantService.generateMatrix(req.params.id, {
+      options,
+      basePrice: basePrice === undefined ? undefined : parseFloat(basePrice),
+      priceAdjustments,
+      stock: stock === undefined ? undefined : parseInt(stock),
+      skuPrefix
+    }, { preview: isPreview, actorId: req.user.id });
+
+    res.status(isPreview ? 200 : 201).json({
+      message: isPreview ? 'Variant matrix preview' : `${result.variants.length} product variants created`,
+      variants: isPreview ? result.variants : result.variants.map(variant => productVariantService.toResponse(product, variant)),
+      skipped: result.skipped
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Generate product variants error:', error);
+    res.status(500).json({
+      error: 'Failed to generate product variants',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update a product variant (admin only)
+router.put('/:id/variants/:variantId', [
+  param('id').isUUID(),
+  param('variantId').isUUID(),
+  ...variantValidation(true)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const product = await productVariantService.getProduct(req.params.id);
+    const variant = await productVariantService.updateVariant(req.params.id, req.params.variantId, variantData(req.body), req.user.id);
+
+    res.json({
+      message: 'Product variant updated successfully',
+      variant: productVariantService.toResponse(product, variant)
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Update product variant error:', error);
+    res.status(500).json({
+      error: 'Failed to update product variant',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete a product variant (admin only); variants already ordered are deactivated instead
+router.delete('/:id/variants/:variantId', [
+  param('id').isUUID(),
+  param('variantId').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { deleted } = await productVariantService.deleteVariant(req.params.id, req.params.variantId);
+
+    res.json({
+      message: deleted
+        ? 'Product variant deleted successfully'
+        : 'Product variant has orders and was deactivated instead of deleted',
+      deleted
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete product variant error:', error);
+    res.status(500).json({
+      error: 'Failed to delete product variant',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Adjust stock by hand (admin only): a stock count correction (ADJUSTMENT,
+// signed quantity) or goods received (RECEIVING, positive quantity), at a
+// branch or the central warehouse
+router.post('/:id/stock/adjustments', [
+  param('id').isUUID(),
+  body('variantId').optional().isUUID(),
+  body('warehouseId').optional().isUUID(),
+  body('type').optional().isIn(MANUAL_MOVEMENT_TYPES),
+  body('quantity').isInt(),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { variantId, warehouseId, type, quantity, reason } = req.body;
+    const movement = await stockService.adjustStock(req.params.id, {
+      variantId,
+      warehouseId,
+      type,
+      quantity: parseInt(quantity),
+      reason
+    }, req.user.id);
+
+    res.status(201).json({
+      message: 'Stock adjusted successfully',
+      movement
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Adjust stock error:', error);
+    res.status(500).json({
+      error: 'Failed to adjust stock',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Stock ledger of a product (admins and managers), newest first
+router.get('/:id/stock/movements', [
+  param('id').isUUID(),
+  query('variantId').optional().isUUID(),
+  query('type').optional().isIn(MOVEMENT_TYPES),
+  query('warehouseId').optional().isUUID(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const { variantId, type, warehouseId, page = 1, limit = 20 } = req.query;
+    const result = await stockService.listMovements(req.params.id, {
+      variantId,
+      type,
+      warehouseId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch stock movements',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Stock of a product and its variants at every location, including deactivated ones (admins and managers)
+router.get('/:id/stock/locations', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        sku: true,
+        stockQuantity: true,
+        variants: {
+          orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+          select: { id: true, sku: true, name: true, stock: true, isActive: true }
+        }
+      }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found'
+      });
+    }
+
+    const stock = await warehouseService.getAvailability(product, { includeInactive: true });
+
+    res.json({
+      productId: product.id,
+      availability: stock.availability,
+      variants: product.variants
+        .filter(variant => variant.isActive)
+        .map(variant => ({ ...variant, availability: stock.variants[variant.id] }))
+    });
+
+  } catch (error) {
+    console.error('Get stock locations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch stock locations',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Synonym group validation; terms are normalized by the service
+const synonymValidation = (optional) => [
+  (optional ? body('terms').optional() : body('terms')).isArray({ min: 2, max: 20 }),
+  body('terms.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('isActive').optional().isBoolean()
+];
+
+// List search synonym groups (admin only)
+router.get('/search/synonyms', [
+  query('includeInactive').optional().isBoolean()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const synonyms = await queryNormalizationService.listSynonyms({
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ synonyms });
+
+  } catch (error) {
+    console.error('Get search synonyms error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch search synonyms',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create search synonym group (admin only)
+router.post('/search/synonyms', synonymValidation(false), handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const synonym = await queryNormalizationService.createSynonym(req.body);
+
+    res.status(201).json({
+      message: 'Search synonyms created successfully',
+      synonym
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create search synonyms error:', error);
+    res.status(500).json({
+      error: 'Failed to create search synonyms',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update search synonym group (admin only)
+router.put('/search/synonyms/:id', [
+  param('id').isUUID(),
+  ...synonymValidation(true)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const synonym = await queryNormalizationService.updateSynonym(req.params.id, req.body);
+
+    res.json({
+      message: 'Search synonyms updated successfully',
+      synonym
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Update search synonyms error:', error);
+    res.status(500).json({
+      error: 'Failed to update search synonyms',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete search synonym group (admin only)
+router.delete('/search/synonyms/:id', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    await queryNormalizationService.deleteSynonym(req.params.id);
+
+    res.json({
+      message: 'Search synonyms deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete search synonyms error:', error);
+    res.status(500).json({
+      error: 'Failed to delete search synonyms',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get featured products
 router.get('/featured/list', async (req, res) => {
   try {
     const products = await prisma.product.findMany({
       where: { 
         isFeatured: true,
-        status: 'ACTIVE'
+        status: 'ACTIVE',
+        ...productPublishingService.publicationWhere()
       },
       include: {
         category: {
@@ -478,7 +1702,7 @@ router.get('/featured/list', async (req, res) => {
         images: {
           where: { sortOrder: 0 },
           take: 1,
-          select: { id: true, url: true, alt: true }
+          select: imageSelect
         },
         _count: {
           reviews: true
@@ -488,7 +1712,7 @@ router.get('/featured/list', async (req, res) => {
       take: 20
     });
 
-    res.json({ products });
+    res.json({ products: products.map(withImages) });
 
   } catch (error) {
     console.error('Get featured products error:', error);
@@ -0,0 +1,180 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authMiddleware } = require('../middleware/auth');
+const { promotionService, DISCOUNT_TYPES } = require('../services/promotionService');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Times are ISO 8601; without an offset they are Bangladesh time (Asia/Dhaka)
+const campaignValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 200 }),
+    body('nameBn').optional({ values: 'null' }).isString().trim(),
+    field('slug').isSlug(),
+    body('description').optional({ values: 'null' }).isString().trim(),
+    body('bannerImage').optional({ values: 'null' }).isString().trim(),
+    field('startsAt').isISO8601(),
+    field('endsAt').isISO8601(),
+    body('isActive').optional().isBoolean(),
+    body('quantityCap').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    field('items').isArray({ min: 1, max: 500 }),
+    body('items.*.productId').optional({ values: 'null' }).isUUID(),
+    body('items.*.categoryId').optional({ values: 'null' }).isUUID(),
+    body('items.*.discountType').isIn(DISCOUNT_TYPES),
+    body('items.*.discountValue').isFloat({ gt: 0 }),
+    body('items.*.maxDiscount').optional({ values: 'null' }).isFloat({ gt: 0 })
+  ];
+};
+
+// Pick the writable campaign fields from a request body
+const buildCampaignData = (input) => {
+  const data = {};
+
+  ['name', 'nameBn', 'slug', 'description', 'bannerImage', 'startsAt', 'endsAt', 'isActive', 'quantityCap', 'items'].forEach(key => {
+    if (input[key] !== undefined) data[key] = input[key];
+  });
+
+  return data;
+};
+
+// List live and upcoming campaigns with countdowns; admins may include ended and deactivated ones
+router.get('/', [
+  query('includeEnded').optional().isBoolean()
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const includeEnded = req.query.includeEnded === 'true' && req.user && req.user.role === 'ADMIN';
+    const result = await promotionService.listCampaigns({ includeEnded });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotions',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a campaign with its products and their campaign prices
+router.get('/:slug', [
+  param('slug').isSlug(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await promotionService.getCampaign(req.params.slug, {
+      includeInactive: Boolean(req.user && req.user.role === 'ADMIN'),
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotion',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a campaign (admin only)
+router.post('/', [
+  ...campaignValidators(false)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const campaign = await promotionService.createCampaign(buildCampaignData(req.body));
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      campaign
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to create promotion',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update a campaign (admin only); items, when given, replace the campaign's items
+router.put('/:id', [
+  param('id').isUUID(),
+  ...campaignValidators(true)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const campaign = await promotionService.updateCampaign(req.params.id, buildCampaignData(req.body));
+
+    res.json({
+      message: 'Promotion updated successfully',
+      campaign
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to update promotion',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete a campaign (admin only); campaigns that have sold are ended and deactivated instead
+router.delete('/:id', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const result = await promotionService.deleteCampaign(req.params.id);
+
+    res.json({
+      message: result.deleted ? 'Promotion deleted successfully' : 'Promotion has orders and was deactivated instead',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to delete promotion',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware } = require('../middleware/auth');
+const { shippingService } = require('../services/shippingService');
+const { orderService } = require('../services/orderService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const DIVISIONS = ['DHAKA', 'CHITTAGONG', 'RAJSHAHI', 'SYLHET', 'KHULNA', 'BARISHAL', 'RANGPUR', 'MYMENSINGH'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Zone areas must name a division and may narrow it to a district and upazila
+const validateAreas = (areas) => {
+  if (!Array.isArray(areas)) {
+    throw new Error('areas must be an array');
+  }
+
+  areas.forEach((area, index) => {
+    if (!area || !DIVISIONS.includes(area.division)) {
+      throw new Error(`areas[${index}].division must be one of ${DIVISIONS.join(', ')}`);
+    }
+    if (area.upazila && !area.district) {
+      throw new Error(`areas[${index}] must specify a district when an upazila is given`);
+    }
+  });
+
+  return true;
+};
+
+const zoneValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').notEmpty().trim(),
+    body('nameBn').optional().isString().trim(),
+    body('areas').optional().custom(validateAreas),
+    body('isDefault').optional().isBoolean(),
+    field('baseRate').isFloat({ min: 0 }),
+    body('baseWeightKg').optional().isFloat({ min: 0 }),
+    body('perKgRate').optional().isFloat({ min: 0 }),
+    body('freeShippingThreshold').optional({ values: 'null' }).isFloat({ min: 0 }),
+    body('minDeliveryDays').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('maxDeliveryDays').optional({ values: 'null' }).isInt({ min: 0 }),
+    body('isActive').optional().isBoolean(),
+    body('sortOrder').optional().isInt()
+  ];
+};
+
+// Pick the writable zone fields from a request body
+const buildZoneData = (input) => {
+  const data = {};
+
+  ['name', 'nameBn', 'areas', 'isDefault', 'isActive'].forEach(key => {
+    if (input[key] !== undefined) data[key] = input[key];
+  });
+  ['baseRate', 'baseWeightKg', 'perKgRate', 'freeShippingThreshold'].forEach(key => {
+    if (input[key] !== undefined) data[key] = input[key] === null ? null : parseFloat(input[key]);
+  });
+  ['minDeliveryDays', 'maxDeliveryDays', 'sortOrder'].forEach(key => {
+    if (input[key] !== undefined) data[key] = input[key] === null ? null : parseInt(input[key]);
+  });
+
+  return data;
+};
+
+// Quote shipping for a destination and set of items
+router.post('/quote', [
+  body('addressId').optional().isUUID(),
+  body('division').optional().isIn(DIVISIONS),
+  body('district').optional().isString().trim(),
+  body('upazila').optional().isString().trim(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.productId').isUUID(),
+  body('items.*.variantId').optional({ values: 'null' }).isUUID(),
+  body('items.*.quantity').isInt({ min: 1 })
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const { addressId, division, district, upazila, items } = req.body;
+
+    let destination = { division, district, upazila };
+
+    if (addressId) {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Sign in to quote shipping to a saved address'
+        });
+      }
+
+      destination = await prisma.address.findFirst({
+        where: { id: addressId, userId: req.user.id }
+      });
+
+      if (!destination) {
+        return res.status(404).json({
+          error: 'Address not found'
+        });
+      }
+    } else if (!division) {
+      return res.status(400).json({
+        error: 'Either addressId or division is required'
+      });
+    }
+
+    const lines = await orderService.buildOrderLines(prisma, items);
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+    const quote = await shippingService.getQuote(destination, lines, subtotal);
+
+    res.json({
+      quote: {
+        ...quote,
+        subtotal
+      }
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message
+      });
+    }
+
+    console.error('Shipping quote error:', error);
+    res.status(500).json({
+      error: 'Failed to quote shipping',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get shipping zones
+router.get('/zones', [
+  query('includeInactive').optional().isBoolean()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const where = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const zones = await prisma.shippingZone.findMany({
+      where,
+      orderBy: { sortOrder: 'asc' }
+    });
+
+    res.json({ zones });
+
+  } catch (error) {
+    console.error('Get shipping zones error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipping zones',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create shipping zone (admin only)
+router.post('/zones', [
+  ...zoneValidators(false)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const data = buildZoneData(req.body);
+
+    const zone = await prisma.$transaction(async (tx) => {
+      // Only one zone can be the fallback
+      if (data.isDefault) {
+        await tx.shippingZone.updateMany({
+          where: { isDefault: true },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.shippingZone.create({ data });
+    });
+
+    res.status(201).json({
+      message: 'Shipping zone created successfully',
+      zone
+    });
+
+  } catch (error) {
+    console.error('Create shipping zone error:', error);
+    res.status(500).json({
+      error: 'Failed to create shipping zone',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update shipping zone (admin only)
+router.put('/zones/:id', [
+  param('id').isUUID(),
+  ...zoneValidators(true)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existingZone = await prisma.shippingZone.findUnique({
+      where: { id }
+    });
+
+    if (!existingZone) {
+      return res.status(404).json({
+        error: 'Shipping zone not found'
+      });
+    }
+
+    const data = buildZoneData(req.body);
+
+    const zone = await prisma.$transaction(async (tx) => {
+      if (data.isDefault) {
+        await tx.shippingZone.updateMany({
+          where: { isDefault: true, NOT: { id } },
+          data: { isDefault: false }
+        });
+      }
+
+      return tx.shippingZone.update({
+        where: { id },
+        data
+      });
+    });
+
+    res.json({
+      message: 'Shipping zone updated successfully',
+      zone
+    });
+
+  } catch (error) {
+    console.error('Update shipping zone error:', error);
+    res.status(500).json({
+      error: 'Failed to update shipping zone',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete shipping zone (admin only)
+router.delete('/zones/:id', [
+  param('id').isUUID()
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await prisma.shippingZone.findUnique({
+      where: { id }
+    });
+
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Shipping zone not found'
+      });
+    }
+
+    await prisma.shippingZone.delete({
+      where: { id }
+    });
+
+    res.json({
+      message: 'Shipping zone deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete shipping zone error:', error);
+    res.status(500).json({
+      error: 'Failed to delete shipping zone',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
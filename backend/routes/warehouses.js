@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authMiddleware } = require('../middleware/auth');
+const { warehouseService } = require('../services/warehouseService');
+
+const router = express.Router();
+
+const DIVISIONS = ['DHAKA', 'CHITTAGONG', 'RAJSHAHI', 'SYLHET', 'KHULNA', 'BARISHAL', 'RANGPUR', 'MYMENSINGH'];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const warehouseValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code').isString().trim().matches(/^[A-Za-z0-9-]{2,20}$/),
+    field('name').isString().trim().notEmpty(),
+    body('nameBn').optional({ values: 'null' }).isString().trim(),
+    body('type').optional().isIn(['WAREHOUSE', 'BRANCH']),
+    field('division').isIn(DIVISIONS),
+    field('district').isString().trim().notEmpty(),
+    body('address').optional({ values: 'null' }).isString().trim(),
+    body('phone').optional({ values: 'null' }).isString().trim(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// Pick the writable warehouse fields from a request body
+const buildWarehouseData = (input) => {
+  const data = {};
+
+  ['code', 'name', 'nameBn', 'type', 'division', 'district', 'address', 'phone', 'isActive'].forEach(key => {
+    if (input[key] !== undefined) data[key] = input[key];
+  });
+
+  return data;
+};
+
+// List warehouses and branches; admins may include deactivated ones
+router.get('/', [
+  query('includeInactive').optional().isBoolean()
+], handleValidationErrors, authMiddleware.optional(), async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user && req.user.role === 'ADMIN';
+    const warehouses = await warehouseService.listWarehouses({ includeInactive });
+
+    res.json({ warehouses });
+
+  } catch (error) {
+    console.error('Get warehouses error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch warehouses',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Move stock between two locations (admin only)
+router.post('/transfers', [
+  body('fromWarehouseId').isUUID(),
+  body('toWarehouseId').isUUID(),
+  body('items').isArray({ min: 1, max: 100 }),
+  body('items.*.productId').isUUID(),
+  body('items.*.variantId').optional({ values: 'null' }).isUUID(),
+  body('items.*.quantity').isInt({ min: 1 }).toInt(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const { fromWarehouseId, toWarehouseId, items, reason } = req.body;
+    const transfer = await warehouseService.transfer({ fromWarehouseId, toWarehouseId, items, reason }, req.user.id);
+
+    res.status(201).json({
+      message: 'Stock transferred successfully',
+      transfer
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Transfer stock error:', error);
+    res.status(500).json({
+      error: 'Failed to transfer stock',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List recent transfers (admins and managers)
+router.get('/transfers', [
+  query('warehouseId').optional().isUUID(),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.managerOrAdmin(), async (req, res) => {
+  try {
+    const transfers = await warehouseService.listTransfers({
+      warehouseId: req.query.warehouseId,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+
+    res.json({ transfers });
+
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch stock transfers',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get a warehouse
+router.get('/:id', [
+  param('id').isUUID()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const warehouse = await warehouseService.getWarehouse(req.params.id);
+
+    res.json({ warehouse });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Get warehouse error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch warehouse',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create a warehouse or branch (admin only)
+router.post('/', [
+  ...warehouseValidators(false)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const warehouse = await warehouseService.createWarehouse(buildWarehouseData(req.body));
+
+    res.status(201).json({
+      message: 'Warehouse created successfully',
+      warehouse
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create warehouse error:', error);
+    res.status(500).json({
+      error: 'Failed to create warehouse',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update a warehouse or branch (admin only); locations holding stock cannot be deactivated
+router.put('/:id', [
+  param('id').isUUID(),
+  ...warehouseValidators(true)
+], handleValidationErrors, authMiddleware.authenticate(), authMiddleware.adminOnly(), async (req, res) => {
+  try {
+    const warehouse = await warehouseService.updateWarehouse(req.params.id, buildWarehouseData(req.body));
+
+    res.json({
+      message: 'Warehouse updated successfully',
+      warehouse
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details
+      });
+    }
+    console.error('Update warehouse error:', error);
+    res.status(500).json({
+      error: 'Failed to update warehouse',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * Search Reindex
+ *
+ * Rebuilds the Elasticsearch products index from the database. Run after
+ * changing the index mapping or when the index has drifted (for example
+ * after Elasticsearch was down while products were edited).
+ *
+ * Usage: ELASTICSEARCH_NODE=http://localhost:9200 npm run search:reindex
+ */
+
+const { searchService } = require('../services/searchService');
+
+const run = async () => {
+  if (!searchService.isEnabled()) {
+    console.error('❌ ELASTICSEARCH_NODE is not set');
+    process.exit(1);
+  }
+
+  console.log(`🔄 Reindexing products into ${searchService.node}/${searchService.index}...`);
+  const { indexed, failed } = await searchService.reindexAll();
+  console.log(`✅ Indexed ${indexed} products${failed ? `, ${failed} failed` : ''}`);
+
+  await searchService.prisma.$disconnect();
+  process.exit(failed ? 1 : 0);
+};
+
+run().catch(error => {
+  console.error('❌ Reindex failed:', error.message);
+  process.exit(1);
+});
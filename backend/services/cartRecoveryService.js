@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { emailService } = require('./emailService');
+const { smsService } = require('./smsService');
+const { pricingService } = require('./pricingService');
+const { NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Reminder channels for each UserCommunicationPreferences.preferredContactMethod
+const CONTACT_METHOD_CHANNELS = {
+  email: ['EMAIL'],
+  phone: ['SMS'],
+  both: ['EMAIL', 'SMS']
+};
+
+/**
+ * Cart Recovery Service
+ * Reminds signed-in customers about carts they left idle. A cart gets at
+ * most one reminder per channel each time it goes idle; editing the cart
+ * starts a new idle period. Reminders carry a deep link identifying them, and
+ * an order placed from the cart within the attribution window is credited to
+ * the latest reminder.
+ */
+class CartRecoveryService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.emailService = emailService;
+    this.smsService = smsService;
+    this.pricingService = pricingService;
+    this.idleHours = parseInt(process.env.ABANDONED_CART_IDLE_HOURS) || 24;
+    this.maxAgeDays = parseInt(process.env.ABANDONED_CART_MAX_AGE_DAYS) || 7;
+    this.attributionDays = parseInt(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7;
+    this.batchSize = parseInt(process.env.ABANDONED_CART_BATCH_SIZE) || 100;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Build the link a reminder sends the customer to
+   * @param {string} token - Reminder token
+   * @returns {string} Deep link to the cart
+   */
+  buildCartUrl(token) {
+    return `${this.frontendUrl}/cart?reminder=${token}`;
+  }
+
+  /**
+   * Pick the channels a user agreed to be reminded on
+   * @param {Object} user - User with notification and communication preferences
+   * @returns {Array<string>} Reminder channels (EMAIL, SMS)
+   */
+  getChannels(user) {
+    const notifications = user.notificationPreferences;
+
+    if (!notifications || !notifications.marketingCommunications) {
+      return [];
+    }
+
+    const method = user.communicationPreferences ? user.communicationPreferences.preferredContactMethod : 'email';
+
+    return (CONTACT_METHOD_CHANNELS[method] || CONTACT_METHOD_CHANNELS.email).filter(channel =>
+      channel === 'EMAIL'
+        ? notifications.emailNotifications && user.email
+        : notifications.smsNotifications && user.phone
+    );
+  }
+
+  /**
+   * Find user carts that went idle and have not been reminded since, oldest
+   * first. Carts already reminded stay in the window until they age out, so
+   * they are paged past rather than filling the batch.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array<Object>>} Up to batchSize carts with items, user and preferences
+   */
+  async findAbandonedCarts(now = new Date()) {
+    const where = {
+      userId: { not: null },
+      updatedAt: {
+        lte: new Date(now.getTime() - this.idleHours * 60 * 60 * 1000),
+        gte: new Date(now.getTime() - this.maxAgeDays * 24 * 60 * 60 * 1000)
+      },
+      items: { some: {} },
+      // Owners without marketing consent are never reminded, so leave them out here
+      user: { notificationPreferences: { marketingCommunications: true } }
+    };
+
+    const abandoned = [];
+    let cursor;
+
+    while (abandoned.length < this.batchSize) {
+      const carts = await this.prisma.cart.findMany({
+        where,
+        include: {
+          items: {
+            include: { product: true, variant: true }
+          },
+          user: {
+            include: { notificationPreferences: true, communicationPreferences: true }
+          },
+          reminders: {
+            orderBy: { sentAt: 'desc' },
+            take: 1
+          }
+        },
+        orderBy: [{ updatedAt: 'asc' }, { id: 'asc' }],
+        take: this.batchSize,
+        ...(cursor && { skip: 1, cursor: { id: cursor } })
+      });
+
+      abandoned.push(...carts.filter(cart => !cart.reminders.length || cart.reminders[0].sentAt < cart.updatedAt));
+
+      if (carts.length < this.batchSize) break;
+      cursor = carts[carts.length - 1].id;
+    }
+
+    return abandoned.slice(0, this.batchSize);
+  }
+
+  /**
+   * Send one reminder for a cart
+   * @param {Object} cart - Cart with items and user
+   * @param {string} channel - EMAIL or SMS
+   * @returns {Promise<Object|null>} Created reminder, or null if sending failed
+   */
+  async sendReminder(cart, channel) {
+    const { user } = cart;
+    const token = crypto.randomBytes(24).toString('hex');
+    const cartUrl = this.buildCartUrl(token);
+
+    let result;
+    if (channel === 'EMAIL') {
+      const items = cart.items.map(item => {
+        const { unitPrice } = this.pricingService.resolvePrice(item.product, item.variant);
+        return {
+          name: item.variant ? `${item.product.name} (${item.variant.name})` : item.product.name,
+          quantity: item.quantity,
+          totalPrice: unitPrice * item.quantity
+        };
+      });
+
+      result = await this.emailService.sendAbandonedCartEmail(user.email, `${user.firstName} ${user.lastName}`, {
+        items,
+        subtotal: items.reduce((sum, item) => sum + item.totalPrice, 0),
+        cartUrl
+      });
+    } else {
+      const itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+      result = await this.smsService.sendSMS(user.phone, this.smsService.createAbandonedCartTemplate(itemCount, cartUrl).text);
+    }
+
+    if (!result.success) {
+      this.logger.warn('Abandoned cart reminder failed', {
+        cartId: cart.id,
+        userId: user.id,
+        channel,
+        error: result.error
+      });
+      return null;
+    }
+
+    return this.prisma.cartReminder.create({
+      data: {
+        cartId: cart.id,
+        userId: user.id,
+        channel,
+        token
+      }
+    });
+  }
+
+  /**
+   * Remind the owners of abandoned carts (scheduled job). A reminder that
+   * fails is logged and the rest of the batch carries on.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Carts scanned, reminders sent and failed, and carts skipped
+   */
+  async sendReminders(now = new Date()) {
+    const carts = await this.findAbandonedCarts(now);
+    let sent = 0;
+    let failed = 0;
+    let skipped = 0;
+
+    for (const cart of carts) {
+      const channels = this.getChannels(cart.user);
+
+      if (channels.length === 0) {
+        skipped++;
+        continue;
+      }
+
+      for (const channel of channels) {
+        let reminder;
+        try {
+          reminder = await this.sendReminder(cart, channel);
+        } catch (error) {
+          failed++;
+          this.logger.error('Abandoned cart reminder failed', {
+            cartId: cart.id,
+            channel,
+            error: error.message
+          });
+          continue;
+        }
+
+        if (reminder) {
+          sent++;
+          this.logger.logBusiness('CART_REMINDER_SENT', {
+            cartId: cart.id,
+            userId: cart.userId,
+            channel,
+            reminderId: reminder.id
+          });
+        }
+      }
+    }
+
+    return { scanned: carts.length, sent, failed, skipped };
+  }
+
+  /**
+   * Record that a customer followed a reminder's deep link
+   * @param {string} token - Reminder token
+   * @returns {Promise<Object>} Reminder
+   */
+  async recordClick(token) {
+    const reminder = await this.prisma.cartReminder.findUnique({
+      where: { token }
+    });
+
+    if (!reminder) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    if (reminder.clickedAt) {
+      return reminder;
+    }
+
+    return this.prisma.cartReminder.update({
+      where: { id: reminder.id },
+      data: { clickedAt: new Date() }
+    });
+  }
+
+  /**
+   * Credit an order placed from a cart to the latest reminder sent for it
+   * within the attribution window
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} cartId - Cart ID
+   * @param {Object} order - Created order
+   * @returns {Promise<Object|null>} Converted reminder, or null
+   */
+  async recordConversion(tx, cartId, order) {
+    const reminder = await tx.cartReminder.findFirst({
+      where: {
+        cartId,
+        convertedAt: null,
+        sentAt: { gte: new Date(Date.now() - this.attributionDays * 24 * 60 * 60 * 1000) }
+      },
+      orderBy: { sentAt: 'desc' }
+    });
+
+    if (!reminder) {
+      return null;
+    }
+
+    return tx.cartReminder.update({
+      where: { id: reminder.id },
+      data: {
+        convertedAt: new Date(),
+        orderId: order.id,
+        orderTotal: order.total
+      }
+    });
+  }
+
+  /**
+   * Summarize reminders sent in a period per channel
+   * @param {Object} [range] - Period
+   * @param {Date} [range.from] - Start of the period
+   * @param {Date} [range.to] - End of the period
+   * @returns {Promise<Object>} Sent, clicked and converted counts, revenue and rates
+   */
+  async getStats({ from, to } = {}) {
+    const sentAt = {};
+    if (from) sentAt.gte = from;
+    if (to) sentAt.lte = to;
+
+    const reminders = await this.prisma.cartReminder.findMany({
+      where: from || to ? { sentAt } : {},
+      select: { channel: true, clickedAt: true, convertedAt: true, orderTotal: true }
+    });
+
+    const channels = {};
+    for (const reminder of reminders) {
+      const stats = channels[reminder.channel] ||
+        (channels[reminder.channel] = { sent: 0, clicked: 0, converted: 0, revenue: 0 });
+
+      stats.sent++;
+      if (reminder.clickedAt) stats.clicked++;
+      if (reminder.convertedAt) {
+        stats.converted++;
+        stats.revenue += parseFloat(reminder.orderTotal || 0);
+      }
+    }
+
+    for (const stats of Object.values(channels)) {
+      stats.clickRate = stats.sent ? stats.clicked / stats.sent : 0;
+      stats.conversionRate = stats.sent ? stats.converted / stats.sent : 0;
+    }
+
+    return {
+      totalSent: reminders.length,
+      totalConverted: reminders.filter(reminder => reminder.convertedAt).length,
+      channels
+    };
+  }
+}
+
+// Singleton instance
+const cartRecoveryService = new CartRecoveryService();
+
+module.exports = {
+  CartRecoveryService,
+  cartRecoveryService
+};
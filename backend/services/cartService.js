@@ -0,0 +1,496 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { pricingService } = require('./pricingService');
+const { productPublishingService } = require('./productPublishingService');
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Guest carts are identified by a signed token sent as this cookie or header
+const CART_TOKEN_COOKIE = 'cartToken';
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+// Warnings shown next to cart lines that changed since they were added
+const formatTaka = amount => `৳${amount.toFixed(2)}`;
+const CART_WARNINGS = {
+  PRICE_INCREASED: ({ previousUnitPrice, unitPrice }) => ({
+    message: `Price increased from ${formatTaka(previousUnitPrice)} to ${formatTaka(unitPrice)}`,
+    messageBn: `দাম ${formatTaka(previousUnitPrice)} থেকে বেড়ে ${formatTaka(unitPrice)} হয়েছে`
+  }),
+  PRICE_DECREASED: ({ previousUnitPrice, unitPrice }) => ({
+    message: `Price dropped from ${formatTaka(previousUnitPrice)} to ${formatTaka(unitPrice)}`,
+    messageBn: `দাম ${formatTaka(previousUnitPrice)} থেকে কমে ${formatTaka(unitPrice)} হয়েছে`
+  }),
+  LIMITED_STOCK: ({ availableQuantity }) => ({
+    message: `Only ${availableQuantity} left in stock`,
+    messageBn: `স্টকে মাত্র ${availableQuantity}টি আছে`
+  }),
+  OUT_OF_STOCK: () => ({
+    message: 'This item is out of stock',
+    messageBn: 'পণ্যটি স্টকে নেই'
+  }),
+  UNAVAILABLE: () => ({
+    message: 'This item is no longer available',
+    messageBn: 'পণ্যটি আর পাওয়া যাচ্ছে না'
+  })
+};
+
+/**
+ * Cart Service
+ * Guest (anonymous) carts and their hand-over to a user account. A guest
+ * cart has no userId; the client holds a signed token naming the cart and
+ * its sessionId, so cart IDs alone cannot be used to reach someone else's
+ * cart.
+ */
+class CartService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.pricingService = pricingService;
+    this.publishingService = productPublishingService;
+    this.tokenSecret = process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET;
+    this.guestCartTtlDays = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+  }
+
+  /**
+   * Sign the token a guest uses to reach their cart
+   * @param {Object} cart - Guest cart ({ id, sessionId })
+   * @returns {string} Cart token
+   */
+  signCartToken(cart) {
+    return jwt.sign(
+      { cartId: cart.id, sessionId: cart.sessionId, type: 'guest_cart' },
+      this.tokenSecret,
+      { expiresIn: `${this.guestCartTtlDays}d` }
+    );
+  }
+
+  /**
+   * Verify a cart token
+   * @param {string} token - Cart token
+   * @returns {Object|null} Token payload ({ cartId, sessionId }), or null if invalid
+   */
+  verifyCartToken(token) {
+    try {
+      const payload = jwt.verify(token, this.tokenSecret);
+      return payload.type === 'guest_cart' ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the cart token from the X-Cart-Token header or the cartToken cookie
+   * @param {Object} req - Express request
+   * @returns {string|null} Cart token
+   */
+  getCartToken(req) {
+    if (req.headers[CART_TOKEN_HEADER]) {
+      return req.headers[CART_TOKEN_HEADER];
+    }
+
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+      const [name, ...value] = cookie.trim().split('=');
+      if (name === CART_TOKEN_COOKIE) {
+        return decodeURIComponent(value.join('='));
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Set the cart token cookie for browser clients
+   * @param {Object} res - Express response
+   * @param {string} token - Cart token
+   */
+  setCartCookie(res, token) {
+    res.cookie(CART_TOKEN_COOKIE, token, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: this.guestCartTtlDays * 24 * 60 * 60 * 1000,
+      path: '/'
+    });
+  }
+
+  /**
+   * Clear the cart token cookie
+   * @param {Object} res - Express response
+   */
+  clearCartCookie(res) {
+    res.clearCookie(CART_TOKEN_COOKIE, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/'
+    });
+  }
+
+  /**
+   * Create an empty guest cart
+   * @returns {Promise<Object>} Cart and the token that reaches it
+   */
+  async createGuestCart() {
+    const cart = await this.prisma.cart.create({
+      data: {
+        sessionId: crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + this.guestCartTtlDays * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    return { cart, token: this.signCartToken(cart) };
+  }
+
+  /**
+   * Find the live guest cart a token points to
+   * @param {string} token - Cart token
+   * @param {Object} [client] - Prisma client or transaction
+   * @returns {Promise<Object|null>} Cart with items, or null
+   */
+  async findGuestCart(token, client = this.prisma) {
+    const payload = token ? this.verifyCartToken(token) : null;
+
+    if (!payload) {
+      return null;
+    }
+
+    const cart = await client.cart.findUnique({
+      where: { id: payload.cartId },
+      include: { items: true }
+    });
+
+    if (!cart || cart.userId || cart.sessionId !== payload.sessionId ||
+      (cart.expiresAt && cart.expiresAt < new Date())) {
+      return null;
+    }
+
+    return cart;
+  }
+
+  /**
+   * Get the user's cart, creating it on first use (one cart per user)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Cart
+   */
+  async getOrCreateUserCart(userId) {
+    return this.prisma.cart.upsert({
+      where: { userId },
+      update: {},
+      create: { userId }
+    });
+  }
+
+  /**
+   * Mark a cart as active. Item changes do not touch the cart row, and idle
+   * carts are found by their updatedAt.
+   * @param {string} cartId - Cart ID
+   * @returns {Promise<Object>} Cart
+   */
+  async touchCart(cartId) {
+    return this.prisma.cart.update({
+      where: { id: cartId },
+      data: { updatedAt: new Date() }
+    });
+  }
+
+  /**
+   * Check who may use a cart: its owner, admins, and for guest carts the
+   * holder of the cart token
+   * @param {string} cartId - Cart ID
+   * @param {Object} access - Requester
+   * @param {Object} [access.user] - Authenticated user ({ id, role })
+   * @param {string} [access.token] - Guest cart token
+   * @returns {Promise<Object>} Cart
+   */
+  async authorizeCart(cartId, { user, token } = {}) {
+    const cart = await this.prisma.cart.findUnique({
+      where: { id: cartId }
+    });
+
+    if (!cart) {
+      throw new NotFoundError('Cart not found');
+    }
+
+    if (user && (user.role === 'ADMIN' || cart.userId === user.id)) {
+      return cart;
+    }
+
+    const payload = !cart.userId && token ? this.verifyCartToken(token) : null;
+    if (payload && payload.cartId === cart.id && payload.sessionId === cart.sessionId) {
+      return cart;
+    }
+
+    throw new ForbiddenError('You can only access your own cart');
+  }
+
+  /**
+   * Re-check a cart line against the current catalog: live price, stock and
+   * whether the product (or variant) can still be bought
+   * @param {Object} item - Cart item with product and variant
+   * @param {Date} [at] - Point in time
+   * @returns {Object} Current price, available quantity and warnings
+   */
+  revalidateItem(item, at = new Date()) {
+    const { product, variant } = item;
+    const previousUnitPrice = parseFloat(item.unitPrice);
+    const price = this.pricingService.resolvePrice(product, variant, at);
+
+    const unavailable = ['INACTIVE', 'DISCONTINUED'].includes(product.status) ||
+      !this.publishingService.isPublished(product, at) ||
+      (item.variantId && (!variant || !variant.isActive));
+    const availableQuantity = unavailable || product.status === 'OUT_OF_STOCK'
+      ? 0
+      : variant ? variant.stock : product.stockQuantity;
+
+    const warnings = [];
+    const warn = code => warnings.push({
+      code,
+      ...CART_WARNINGS[code]({ previousUnitPrice, unitPrice: price.unitPrice, availableQuantity })
+    });
+
+    if (unavailable) {
+      warn('UNAVAILABLE');
+    } else if (availableQuantity <= 0) {
+      warn('OUT_OF_STOCK');
+    } else if (availableQuantity < item.quantity) {
+      warn('LIMITED_STOCK');
+    }
+
+    if (!unavailable && price.unitPrice !== previousUnitPrice) {
+      warn(price.unitPrice > previousUnitPrice ? 'PRICE_INCREASED' : 'PRICE_DECREASED');
+    }
+
+    return {
+      ...price,
+      previousUnitPrice,
+      availableQuantity,
+      warnings
+    };
+  }
+
+  /**
+   * Re-price every line of a loaded cart and flag what changed
+   * @param {Object} cart - Cart with items, products and variants
+   * @param {Date} [at] - Point in time
+   * @returns {Object} Revalidated items and whether any line changed
+   */
+  revalidateCart(cart, at = new Date()) {
+    const items = cart.items.map(item => {
+      const check = this.revalidateItem(item, at);
+      return {
+        ...item,
+        ...check,
+        totalPrice: check.unitPrice * item.quantity
+      };
+    });
+
+    return {
+      items,
+      hasChanges: items.some(item => item.warnings.length > 0)
+    };
+  }
+
+  /**
+   * The part of revalidated lines that can be bought now, for cart totals:
+   * lines that cannot be bought are left out and quantities are capped at
+   * the stock available, as accepting the changes would leave them
+   * @param {Array<Object>} items - Lines from revalidateCart
+   * @returns {Array<Object>} Lines with quantity and totalPrice of what can be bought
+   */
+  purchasableItems(items) {
+    return items
+      .filter(item => item.availableQuantity > 0)
+      .map(item => {
+        const quantity = Math.min(item.quantity, item.availableQuantity);
+        return { ...item, quantity, totalPrice: item.unitPrice * quantity };
+      });
+  }
+
+  /**
+   * Accept the changes flagged by revalidation: store current prices, cap
+   * quantities at the stock available and remove lines that can no longer
+   * be bought
+   * @param {string} cartId - Cart ID
+   * @returns {Promise<Object>} Updated and removed lines
+   */
+  async acceptChanges(cartId) {
+    const result = await this.prisma.$transaction(async (tx) => {
+      const items = await tx.cartItem.findMany({
+        where: { cartId },
+        include: { product: true, variant: true }
+      });
+
+      const updated = [];
+      const removed = [];
+
+      for (const item of items) {
+        const { unitPrice, availableQuantity, warnings } = this.revalidateItem(item);
+
+        if (warnings.length === 0) {
+          continue;
+        }
+
+        if (availableQuantity <= 0) {
+          await tx.cartItem.delete({ where: { id: item.id } });
+          removed.push({ id: item.id, productId: item.productId, variantId: item.variantId, reason: warnings[0].code });
+          continue;
+        }
+
+        const quantity = Math.min(item.quantity, availableQuantity);
+        await tx.cartItem.update({
+          where: { id: item.id },
+          data: { quantity, unitPrice, totalPrice: unitPrice * quantity }
+        });
+        updated.push({ id: item.id, productId: item.productId, variantId: item.variantId, quantity, unitPrice });
+      }
+
+      return { updatedItems: updated, removedItems: removed };
+    });
+
+    if (result.updatedItems.length || result.removedItems.length) {
+      this.logger.logBusiness('CART_CHANGES_ACCEPTED', {
+        cartId,
+        updatedItems: result.updatedItems.length,
+        removedItems: result.removedItems.length
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Move a guest cart into a user's cart. Quantities of lines present in
+   * both are summed; every line is then capped at the stock available, and
+   * lines for products that can no longer be bought are dropped. The guest
+   * cart is deleted afterwards.
+   * @param {string} userId - User ID
+   * @param {string} token - Guest cart token
+   * @returns {Promise<Object|null>} Merged cart ID and line adjustments, or null if there was no guest cart
+   */
+  async mergeGuestCart(userId, token) {
+    const result = await this.prisma.$transaction(async (tx) => {
+      const guestCart = await this.findGuestCart(token, tx);
+
+      if (!guestCart) {
+        return null;
+      }
+
+      const userCart = await tx.cart.findUnique({ where: { userId } }) ||
+        await tx.cart.create({ data: { userId } });
+
+      const adjustments = [];
+      let merged = 0;
+
+      for (const item of guestCart.items) {
+        const existing = await tx.cartItem.findFirst({
+          where: { cartId: userCart.id, productId: item.productId, variantId: item.variantId }
+        });
+
+        let priced;
+        try {
+          priced = await this.pricingService.priceItem(item, tx);
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          adjustments.push({ productId: item.productId, variantId: item.variantId, reason: 'UNAVAILABLE', quantity: 0 });
+          continue;
+        }
+
+        const { product, variant, unitPrice } = priced;
+        const available = product.status !== 'ACTIVE'
+          ? 0
+          : variant ? variant.stock : product.stockQuantity;
+        const requested = item.quantity + (existing ? existing.quantity : 0);
+        const quantity = Math.min(requested, available);
+
+        if (quantity < requested) {
+          adjustments.push({
+            productId: item.productId,
+            variantId: item.variantId,
+            reason: product.status !== 'ACTIVE' ? 'UNAVAILABLE' : available > 0 ? 'LIMITED_STOCK' : 'OUT_OF_STOCK',
+            requested,
+            quantity
+          });
+        }
+
+        if (quantity === 0) {
+          continue;
+        }
+
+        if (existing) {
+          await tx.cartItem.update({
+            where: { id: existing.id },
+            data: { quantity, unitPrice, totalPrice: unitPrice * quantity }
+          });
+        } else {
+          await tx.cartItem.create({
+            data: {
+              cartId: userCart.id,
+              productId: item.productId,
+              variantId: item.variantId,
+              quantity,
+              unitPrice,
+              totalPrice: unitPrice * quantity
+            }
+          });
+        }
+        merged++;
+      }
+
+      await tx.cartItem.deleteMany({ where: { cartId: guestCart.id } });
+      await tx.cart.delete({ where: { id: guestCart.id } });
+
+      return { cartId: userCart.id, guestCartId: guestCart.id, mergedItems: merged, adjustments };
+    });
+
+    if (result) {
+      this.logger.logBusiness('GUEST_CART_MERGED', {
+        userId,
+        cartId: result.cartId,
+        guestCartId: result.guestCartId,
+        mergedItems: result.mergedItems,
+        adjustments: result.adjustments.length
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Merge the guest cart of a request into the user who just logged in or
+   * registered. Never fails the login: problems are logged and skipped.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Merge result, or null if nothing was merged
+   */
+  async mergeFromRequest(req, res, userId) {
+    const token = this.getCartToken(req);
+
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const result = await this.mergeGuestCart(userId, token);
+      this.clearCartCookie(res);
+      return result;
+    } catch (error) {
+      this.logger.warn('Guest cart merge failed', { userId, error: error.message });
+      return null;
+    }
+  }
+}
+
+// Singleton instance
+const cartService = new CartService();
+
+module.exports = {
+  CartService,
+  cartService,
+  CART_TOKEN_COOKIE,
+  CART_TOKEN_HEADER
+};
@@ -0,0 +1,1173 @@
+const path = require('path');
+const fs = require('fs').promises;
+const ExcelJS = require('exceljs');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { searchService } = require('./searchService');
+const { productVariantService } = require('./productVariantService');
+const { productPublishingService } = require('./productPublishingService');
+const { stockService } = require('./stockService');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+const FORMATS = ['csv', 'xlsx', 'ndjson'];
+
+// File extensions accepted for each import format
+const EXTENSIONS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.json': 'ndjson'
+};
+
+// Catalog columns, in export order. category and brand hold a slug (a name is also accepted on import).
+const COLUMNS = [
+  'sku', 'name', 'nameEn', 'nameBn', 'slug', 'category', 'brand',
+  'regularPrice', 'salePrice', 'saleStartsAt', 'saleEndsAt', 'costPrice', 'taxRate',
+  'stockQuantity', 'lowStockThreshold', 'weight', 'status',
+  'shortDescription', 'description', 'isFeatured', 'isNewArrival', 'isBestSeller',
+  'warrantyPeriod', 'warrantyType', 'metaTitle', 'metaDescription', 'metaKeywords',
+  'specifications', 'variants'
+];
+
+const STRING_FIELDS = ['name', 'nameEn', 'nameBn', 'slug', 'shortDescription', 'description', 'warrantyType', 'metaTitle', 'metaDescription', 'metaKeywords'];
+const DECIMAL_FIELDS = ['regularPrice', 'salePrice', 'costPrice', 'taxRate', 'weight'];
+const INT_FIELDS = ['stockQuantity', 'lowStockThreshold', 'warrantyPeriod'];
+const BOOLEAN_FIELDS = ['isFeatured', 'isNewArrival', 'isBestSeller'];
+const DATE_FIELDS = ['saleStartsAt', 'saleEndsAt'];
+const PRODUCT_STATUSES = ['ACTIVE', 'INACTIVE', 'OUT_OF_STOCK', 'DISCONTINUED'];
+
+// Fields a new product cannot be created without
+const REQUIRED_FOR_CREATE = ['name', 'category', 'brand', 'regularPrice', 'costPrice'];
+
+// Other header spellings, compared lowercase without spaces, dashes or underscores
+// ("Regular Price", "regular_price"); includes the fields of the ES bulk documents
+const FIELD_ALIASES = {
+  price: 'regularPrice',
+  stock: 'stockQuantity',
+  categoryslug: 'category',
+  categoryname: 'category',
+  brandslug: 'brand',
+  brandname: 'brand',
+  specs: 'specifications',
+  attributes: 'specifications'
+};
+
+const VARIANT_ALIASES = {
+  stockquantity: 'stock',
+  compareatprice: 'comparePrice',
+  isactive: 'isActive',
+  active: 'isActive',
+  attributes: 'options'
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Rows between progress updates of a running job
+const PROGRESS_INTERVAL = 50;
+// Products read per query during export and lookups
+const BATCH_SIZE = 500;
+// Row errors kept on a job; counts are always complete
+const MAX_REPORTED_ERRORS = 1000;
+// Postgres advisory lock taken while starting a real import, so only one can pass the running check
+const IMPORT_LOCK_KEY = 7310018;
+const UNFINISHED_STATUSES = ['pending', 'processing'];
+
+// Job fields listed without the row errors
+const JOB_SUMMARY = {
+  id: true, type: true, format: true, dryRun: true, status: true, fileName: true,
+  totalRows: true, processedRows: true, createdCount: true, updatedCount: true, failedCount: true,
+  failureReason: true, createdById: true, startedAt: true, completedAt: true, createdAt: true
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_KEYS = Object.fromEntries([
+  ...COLUMNS.map(column => [normalizeKey(column), column]),
+  ...Object.entries(FIELD_ALIASES)
+]);
+
+const VARIANT_KEYS = Object.fromEntries([
+  ...['sku', 'name', 'price', 'comparePrice', 'stock', 'isActive', 'options'].map(field => [normalizeKey(field), field]),
+  ...Object.entries(VARIANT_ALIASES)
+]);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields may hold commas,
+ * doubled quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Catalog Transfer Service
+ * Bulk product import and export in CSV, XLSX and NDJSON. Imports are
+ * validated row by row (required fields, values, duplicate SKU/slug, unknown
+ * category/brand) and upserted by SKU together with their specifications and
+ * variants; a dry run produces the same report without saving. Both imports
+ * and exports run as background jobs whose progress is kept in catalog_jobs.
+ */
+class CatalogTransferService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.publishingService = productPublishingService;
+    this.stockService = stockService;
+    this.exportDir = path.join(__dirname, '..', 'exports', 'catalog');
+    this.staleJobMinutes = parseInt(process.env.CATALOG_JOB_STALE_MINUTES) || 30;
+  }
+
+  /**
+   * Work out an import file's format from the requested format or its extension
+   * @param {string} fileName - Uploaded file name
+   * @param {string} [format] - Requested format
+   * @returns {string} csv, xlsx or ndjson
+   */
+  detectFormat(fileName, format) {
+    if (format) {
+      if (!FORMATS.includes(format)) {
+        throw new ValidationError(`Unsupported format: ${format}. Use ${FORMATS.join(', ')}`);
+      }
+      return format;
+    }
+
+    const detected = EXTENSIONS[path.extname(fileName || '').toLowerCase()];
+    if (!detected) {
+      throw new ValidationError('Cannot tell the file format from its name; upload a .csv, .xlsx or .ndjson file or pass format');
+    }
+    return detected;
+  }
+
+  /**
+   * Read the records of an import file
+   * @param {Buffer} buffer - File contents
+   * @param {string} format - csv, xlsx or ndjson
+   * @returns {Promise<Object>} Records ({ row, record }) and rows that could not be read ({ row, message })
+   */
+  async parseFile(buffer, format) {
+    if (format === 'ndjson') {
+      return this.parseNdjson(buffer.toString('utf8'));
+    }
+
+    const table = format === 'xlsx'
+      ? await this.readXlsx(buffer)
+      : parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, '')).map((cells, index) => ({ row: index + 1, cells }));
+
+    if (!table.length) {
+      throw new ValidationError('The file is empty');
+    }
+
+    const [{ cells: header }, ...rows] = table;
+    const records = rows
+      .filter(({ cells }) => cells.some(cell => !isBlank(cell)))
+      .map(({ row, cells }) => ({
+        row,
+        record: Object.fromEntries(header.map((name, i) => [name, cells[i]]))
+      }));
+
+    return { records, errors: [] };
+  }
+
+  /**
+   * Read the first worksheet of an XLSX file as rows of cell values
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Array<Object>>} Rows ({ row, cells })
+   */
+  async readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ValidationError('File is not a readable XLSX workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      const cells = [];
+      for (let i = 1; i <= sheet.columnCount; i++) {
+        const { value, text } = row.getCell(i);
+        // Keep dates, numbers and booleans typed; rich text, links and formulas as shown
+        cells.push(value instanceof Date || typeof value === 'number' || typeof value === 'boolean' ? value : text);
+      }
+      rows.push({ row: rowNumber, cells });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Read NDJSON records, one product per line. Elasticsearch bulk action
+   * lines ({"index": {...}}) are skipped, so bulk files import as they are.
+   * @param {string} text - File contents
+   * @returns {Object} Records ({ row, record }) and lines that are not JSON objects ({ row, message })
+   */
+  parseNdjson(text) {
+    const records = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      const row = index + 1;
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        errors.push({ row, message: 'Line is not valid JSON' });
+        return;
+      }
+
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        errors.push({ row, message: 'Line is not a JSON object' });
+        return;
+      }
+
+      const keys = Object.keys(record);
+      if (keys.length === 1 && ['index', 'create', 'update', 'delete'].includes(keys[0])) return;
+
+      records.push({ row, record });
+    });
+
+    return { records, errors };
+  }
+
+  /**
+   * Map a record's keys to catalog fields, dropping unknown keys and empty values
+   * @param {Object} record - Record as read from the file
+   * @returns {Object} Values by field
+   */
+  mapRecord(record) {
+    const data = {};
+    for (const [key, value] of Object.entries(record)) {
+      const field = FIELD_KEYS[normalizeKey(key)];
+      if (field && !isBlank(value) && data[field] === undefined) {
+        data[field] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Parse a specifications value: a list of { name, value }, an object of
+   * name → value, JSON of either, or text such as "RAM: 8 GB; Storage: 128 GB"
+   * @param {*} value - Specifications value
+   * @returns {Array<Object>} Specifications ({ name, value, sortOrder })
+   */
+  parseSpecifications(value) {
+    let specs = value;
+    if (typeof specs === 'string' && /^[[{]/.test(specs)) {
+      try {
+        specs = JSON.parse(specs);
+      } catch (error) {
+        throw new Error('specifications is not valid JSON');
+      }
+    }
+
+    let entries;
+    if (Array.isArray(specs)) {
+      entries = specs.map(spec => [spec && spec.name, spec && spec.value]);
+    } else if (specs && typeof specs === 'object') {
+      entries = Object.entries(specs);
+    } else {
+      entries = String(specs).split(/[;\n]/).filter(part => part.trim()).map(part => {
+        const separator = part.indexOf(':');
+        if (separator === -1) {
+          throw new Error(`Specification "${part.trim()}" must be written as Name: Value`);
+        }
+        return [part.slice(0, separator), part.slice(separator + 1)];
+      });
+    }
+
+    return entries.map(([name, specValue], sortOrder) => {
+      if (isBlank(name) || isBlank(specValue)) {
+        throw new Error('Every specification needs a name and a value');
+      }
+      return { name: String(name).trim(), value: String(specValue).trim(), sortOrder };
+    });
+  }
+
+  /**
+   * Parse a variants value: a list of variant objects or its JSON
+   * @param {*} value - Variants value
+   * @returns {Array<Object>} Variants ({ sku, name, price, comparePrice, stock, isActive, options })
+   */
+  parseVariants(value) {
+    let variants = value;
+    if (typeof variants === 'string') {
+      try {
+        variants = JSON.parse(variants);
+      } catch (error) {
+        throw new Error('variants must be a JSON array');
+      }
+    }
+    if (!Array.isArray(variants)) {
+      throw new Error('variants must be a JSON array');
+    }
+
+    return variants.map((raw, index) => {
+      const variant = {};
+      for (const [key, fieldValue] of Object.entries(raw || {})) {
+        const field = VARIANT_KEYS[normalizeKey(key)];
+        if (field && !isBlank(fieldValue)) variant[field] = fieldValue;
+      }
+
+      const label = `Variant ${index + 1}`;
+      let options;
+      try {
+        options = productVariantService.normalizeOptions(variant.options);
+      } catch (error) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+      if (isBlank(variant.name) && options) {
+        variant.name = productVariantService.nameFromOptions(options);
+      }
+      if (isBlank(variant.sku) || isBlank(variant.name)) {
+        throw new Error(`${label} needs a sku and a name or options`);
+      }
+
+      const price = this.parseNumber(variant.price);
+      if (price === null || price < 0) {
+        throw new Error(`${label} (${variant.sku}) needs a price of 0 or more`);
+      }
+      const comparePrice = variant.comparePrice === undefined ? null : this.parseNumber(variant.comparePrice);
+      if (comparePrice !== null && (Number.isNaN(comparePrice) || comparePrice < 0)) {
+        throw new Error(`${label} (${variant.sku}) has an invalid comparePrice`);
+      }
+      const stock = variant.stock === undefined ? 0 : this.parseNumber(variant.stock);
+      if (!Number.isInteger(stock) || stock < 0) {
+        throw new Error(`${label} (${variant.sku}) needs a whole stock of 0 or more`);
+      }
+      const isActive = variant.isActive === undefined ? true : this.parseBoolean(variant.isActive);
+      if (isActive === null) {
+        throw new Error(`${label} (${variant.sku}) has an invalid isActive`);
+      }
+
+      return {
+        sku: String(variant.sku).trim(),
+        name: String(variant.name).trim(),
+        price,
+        comparePrice,
+        stock,
+        isActive,
+        ...(options && { options })
+      };
+    });
+  }
+
+  /**
+   * Parse a number, allowing thousands separators ("1,299.50")
+   * @param {*} value - Value
+   * @returns {number|null} Number, NaN if unreadable, or null if blank
+   */
+  parseNumber(value) {
+    if (isBlank(value)) return null;
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/,/g, '').trim();
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+  }
+
+  /**
+   * Parse a yes/no value
+   * @param {*} value - Value
+   * @returns {boolean|null} Boolean, or null if unreadable
+   */
+  parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return null;
+  }
+
+  /**
+   * Lowercase, hyphenated slug of a name; empty for names without Latin letters or digits
+   * @param {string} name - Name
+   * @returns {string} Slug
+   */
+  slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Load what validation needs to know about the database: categories and
+   * brands by slug and name, and the products and variants whose SKU or slug
+   * appear in the file
+   * @param {Array<Object>} rows - Mapped rows ({ data })
+   * @returns {Promise<Object>} Lookup context
+   */
+  async loadContext(rows) {
+    const [categories, brands] = await Promise.all([
+      this.prisma.category.findMany({ select: { id: true, slug: true, name: true } }),
+      this.prisma.brand.findMany({ select: { id: true, slug: true, name: true } })
+    ]);
+
+    const byKey = (items) => {
+      const map = new Map();
+      // Names first so that a slug always wins over another item's identical name
+      items.forEach(item => map.set(item.name.trim().toLowerCase(), item.id));
+      items.forEach(item => map.set(item.slug.toLowerCase(), item.id));
+      return map;
+    };
+
+    const skus = [...new Set(rows.map(({ data }) => data.sku).filter(Boolean).map(String))];
+    const slugs = [...new Set(rows.map(({ data }) => data.slug).filter(Boolean).map(String))];
+    const variantSkus = [...new Set(rows.flatMap(({ data }) => {
+      try {
+        return data.variants === undefined ? [] : this.parseVariants(data.variants).map(variant => variant.sku);
+      } catch (error) {
+        return [];
+      }
+    }))];
+
+    const productsBySku = new Map();
+    const productsBySlug = new Map();
+    const variantOwners = new Map();
+
+    for (let i = 0; i < Math.max(skus.length, slugs.length); i += BATCH_SIZE) {
+      const products = await this.prisma.product.findMany({
+        where: {
+          OR: [
+            { sku: { in: skus.slice(i, i + BATCH_SIZE) } },
+            { slug: { in: slugs.slice(i, i + BATCH_SIZE) } }
+          ]
+        },
+        select: { id: true, sku: true, slug: true }
+      });
+      products.forEach(product => {
+        productsBySku.set(product.sku, product);
+        productsBySlug.set(product.slug, product);
+      });
+    }
+
+    for (let i = 0; i < variantSkus.length; i += BATCH_SIZE) {
+      const variants = await this.prisma.productVariant.findMany({
+        where: { sku: { in: variantSkus.slice(i, i + BATCH_SIZE) } },
+        select: { sku: true, product: { select: { sku: true } } }
+      });
+      variants.forEach(variant => variantOwners.set(variant.sku, variant.product.sku));
+    }
+
+    return {
+      categories: byKey(categories),
+      brands: byKey(brands),
+      productsBySku,
+      productsBySlug,
+      variantOwners,
+      seenSkus: new Map(),
+      seenSlugs: new Map(),
+      seenVariantSkus: new Map()
+    };
+  }
+
+  /**
+   * Validate one row and prepare it for saving. Duplicate checks also cover
+   * the rows validated before it, so rows must be validated in file order.
+   * @param {number} row - Row (or line) number in the file
+   * @param {Object} data - Mapped row
+   * @param {Object} context - Lookup context from loadContext
+   * @returns {Object} Row errors ({ field, message }) and, when valid, the product
+   *   fields, specifications and variants to save and whether it is new
+   */
+  validateRow(row, data, context) {
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message });
+
+    const sku = isBlank(data.sku) ? null : String(data.sku).trim();
+    if (!sku) {
+      fail('sku', 'sku is required');
+      return { errors };
+    }
+
+    if (context.seenSkus.has(sku)) {
+      fail('sku', `Duplicate SKU in file (first on row ${context.seenSkus.get(sku)})`);
+      return { errors };
+    }
+    context.seenSkus.set(sku, row);
+
+    const existing = context.productsBySku.get(sku);
+    const isNew = !existing;
+    const product = {};
+
+    if (isNew) {
+      REQUIRED_FOR_CREATE.filter(field => isBlank(data[field]))
+        .forEach(field => fail(field, `${field} is required for a new product`));
+    }
+
+    STRING_FIELDS.filter(field => data[field] !== undefined)
+      .forEach(field => { product[field] = String(data[field]).trim(); });
+
+    DECIMAL_FIELDS.filter(field => data[field] !== undefined).forEach(field => {
+      const value = this.parseNumber(data[field]);
+      if (Number.isNaN(value) || value < 0) {
+        fail(field, `${field} must be a number of 0 or more`);
+      } else if (field === 'taxRate' && value > 100) {
+        fail(field, 'taxRate must be between 0 and 100');
+      } else {
+        product[field] = value;
+      }
+    });
+
+    INT_FIELDS.filter(field => data[field] !== undefined).forEach(field => {
+      const value = this.parseNumber(data[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        fail(field, `${field} must be a whole number of 0 or more`);
+      } else {
+        product[field] = value;
+      }
+    });
+
+    BOOLEAN_FIELDS.filter(field => data[field] !== undefined).forEach(field => {
+      const value = this.parseBoolean(data[field]);
+      if (value === null) {
+        fail(field, `${field} must be true or false`);
+      } else {
+        product[field] = value;
+      }
+    });
+
+    DATE_FIELDS.filter(field => data[field] !== undefined).forEach(field => {
+      const value = data[field] instanceof Date ? data[field] : new Date(data[field]);
+      if (Number.isNaN(value.getTime())) {
+        fail(field, `${field} must be a date`);
+      } else {
+        product[field] = value;
+      }
+    });
+
+    if (product.saleStartsAt && product.saleEndsAt && product.saleEndsAt <= product.saleStartsAt) {
+      fail('saleEndsAt', 'saleEndsAt must be after saleStartsAt');
+    }
+    if (product.salePrice !== undefined && product.regularPrice !== undefined && product.salePrice > product.regularPrice) {
+      fail('salePrice', 'salePrice cannot be more than regularPrice');
+    }
+
+    if (data.status !== undefined) {
+      const status = String(data.status).trim().toUpperCase().replace(/[\s-]+/g, '_');
+      if (PRODUCT_STATUSES.includes(status)) {
+        product.status = status;
+      } else {
+        fail('status', `status must be one of ${PRODUCT_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (isNew && product.name && !product.nameEn) {
+      product.nameEn = product.name;
+    }
+
+    // Slug: given, or derived from the English name for new products
+    if (product.slug === undefined && isNew && product.nameEn) {
+      product.slug = this.slugify(product.nameEn);
+    }
+    if (product.slug !== undefined) {
+      product.slug = product.slug.toLowerCase();
+      if (!SLUG_PATTERN.test(product.slug)) {
+        fail('slug', isBlank(data.slug)
+          ? 'slug is required when the name has no Latin letters or digits'
+          : 'slug may only contain lowercase letters, digits and single hyphens');
+      } else if (context.seenSlugs.has(product.slug)) {
+        fail('slug', `Duplicate slug in file (first on row ${context.seenSlugs.get(product.slug)})`);
+      } else {
+        context.seenSlugs.set(product.slug, row);
+        const owner = context.productsBySlug.get(product.slug);
+        if (owner && owner.sku !== sku) {
+          fail('slug', `Slug is already used by product ${owner.sku}`);
+        }
+      }
+    }
+
+    for (const field of ['category', 'brand']) {
+      if (data[field] === undefined) continue;
+      const id = context[field === 'category' ? 'categories' : 'brands'].get(String(data[field]).trim().toLowerCase());
+      if (id) {
+        product[`${field}Id`] = id;
+      } else {
+        fail(field, `Unknown ${field}: ${data[field]}`);
+      }
+    }
+
+    let specifications;
+    if (data.specifications !== undefined) {
+      try {
+        specifications = this.parseSpecifications(data.specifications);
+      } catch (error) {
+        fail('specifications', error.message);
+      }
+    }
+
+    let variants;
+    if (data.variants !== undefined) {
+      try {
+        variants = this.parseVariants(data.variants);
+      } catch (error) {
+        fail('variants', error.message);
+      }
+
+      (variants || []).forEach(variant => {
+        if (context.seenVariantSkus.has(variant.sku)) {
+          fail('variants', `Duplicate variant SKU ${variant.sku} (first on row ${context.seenVariantSkus.get(variant.sku)})`);
+          return;
+        }
+        context.seenVariantSkus.set(variant.sku, row);
+        const owner = context.variantOwners.get(variant.sku);
+        if (owner && owner !== sku) {
+          fail('variants', `Variant SKU ${variant.sku} belongs to product ${owner}`);
+        }
+      });
+    }
+
+    if (errors.length) {
+      return { errors };
+    }
+
+    return { errors, sku, productId: existing ? existing.id : null, isNew, product, specifications, variants };
+  }
+
+  /**
+   * Create or update a validated product by SKU. Given specifications replace
+   * the product's; given variants are upserted by SKU and variants missing
+   * from the list are deactivated (they may be referenced by orders).
+   * New products are published straight away; content changes are recorded
+   * as a product revision. Stock levels go through the stock ledger, so a
+   * row cannot set stock below what branches hold.
+   * @param {Object} prepared - Result of validateRow
+   * @param {Object} [options] - Options
+   * @param {string} [options.actorId] - User who started the import
+   * @returns {Promise<Object>} Saved product ({ id })
+   */
+  async saveProduct({ sku, productId, isNew, product, specifications, variants }, { actorId = null } = {}) {
+    const reason = 'Catalog import';
+
+    return this.prisma.$transaction(async (tx) => {
+      const { stockQuantity, ...content } = product;
+      if (!isNew) {
+        await this.publishingService.ensureBaseline(tx, productId);
+      }
+
+      const saved = isNew
+        ? await tx.product.create({ data: { ...content, stockQuantity: stockQuantity ?? 0, sku, publishedAt: new Date() }, select: { id: true } })
+        : await tx.product.update({ where: { sku }, data: content, select: { id: true } });
+
+      if (isNew) {
+        await this.stockService.recordOpeningStock(tx, { productId: saved.id, quantity: stockQuantity ?? 0, reason, actorId });
+      } else if (stockQuantity !== undefined) {
+        await this.stockService.setStock(saved.id, stockQuantity, { reason, actorId }, tx);
+      }
+
+      if (specifications) {
+        await tx.productSpecification.deleteMany({ where: { productId: saved.id } });
+        if (specifications.length) {
+          await tx.productSpecification.createMany({
+            data: specifications.map(spec => ({ ...spec, productId: saved.id }))
+          });
+        }
+      }
+
+      if (variants) {
+        const current = await tx.productVariant.findMany({
+          where: { productId: saved.id },
+          select: { id: true, sku: true }
+        });
+        const idsBySku = new Map(current.map(variant => [variant.sku, variant.id]));
+
+        for (const { stock, ...variant } of variants) {
+          const variantId = idsBySku.get(variant.sku);
+          if (variantId) {
+            await tx.productVariant.update({ where: { id: variantId }, data: variant });
+            await this.stockService.setStock(saved.id, stock, { variantId, reason, actorId }, tx);
+          } else {
+            const created = await tx.productVariant.create({ data: { ...variant, stock, productId: saved.id }, select: { id: true } });
+            await this.stockService.recordOpeningStock(tx, { productId: saved.id, variantId: created.id, quantity: stock, reason, actorId });
+          }
+        }
+
+        await tx.productVariant.updateMany({
+          where: { productId: saved.id, sku: { notIn: variants.map(variant => variant.sku) } },
+          data: { isActive: false }
+        });
+        await this.stockService.refreshStatus(tx, saved.id);
+      }
+
+      await this.publishingService.recordRevision(tx, saved.id, { actorId, reason });
+
+      return saved;
+    });
+  }
+
+  /**
+   * Start an import job. The file is validated and (unless dryRun) saved in the background.
+   * @param {Object} options - Import options
+   * @param {Buffer} options.buffer - File contents
+   * @param {string} options.fileName - Uploaded file name
+   * @param {string} [options.format] - csv, xlsx or ndjson (default: from the file name)
+   * @param {boolean} [options.dryRun] - Only validate and report
+   * @param {string} [options.userId] - Admin who started the import
+   * @returns {Promise<Object>} Created job
+   */
+  async startImport({ buffer, fileName, format, dryRun = false, userId }) {
+    if (!buffer || !buffer.length) {
+      throw new ValidationError('No file uploaded');
+    }
+    const detected = this.detectFormat(fileName, format);
+
+    const createJob = client => client.catalogJob.create({
+      data: { type: 'import', format: detected, dryRun, fileName, createdById: userId }
+    });
+
+    // Dry runs may run alongside anything; a real import holds the lock until
+    // its job is created, so two starts cannot both find nothing running
+    const job = dryRun ? await createJob(this.prisma) : await this.prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${IMPORT_LOCK_KEY})`;
+      await this.failStaleJobs(tx);
+
+      const running = await tx.catalogJob.findFirst({
+        where: { type: 'import', dryRun: false, status: { in: UNFINISHED_STATUSES } },
+        select: { id: true }
+      });
+      if (running) {
+        throw new ConflictError('Another catalog import is already running', { jobId: running.id });
+      }
+
+      return createJob(tx);
+    });
+
+    this.runImport(job.id, buffer, detected, dryRun)
+      .catch(error => this.failJob(job.id, error));
+
+    this.logger.logBusiness('CATALOG_IMPORT_STARTED', { jobId: job.id, format: detected, dryRun, fileName, userId });
+
+    return job;
+  }
+
+  /**
+   * Validate and save the rows of an import file, recording progress on the job
+   * @param {string} jobId - Job ID
+   * @param {Buffer} buffer - File contents
+   * @param {string} format - csv, xlsx or ndjson
+   * @param {boolean} dryRun - Only validate
+   * @returns {Promise<Object>} Completed job
+   */
+  async runImport(jobId, buffer, format, dryRun) {
+    const { createdById } = await this.prisma.catalogJob.update({
+      where: { id: jobId },
+      data: { status: 'processing', startedAt: new Date() }
+    });
+
+    const parsed = await this.parseFile(buffer, format);
+    const rows = parsed.records.map(({ row, record }) => ({ row, data: this.mapRecord(record) }));
+    const context = await this.loadContext(rows);
+
+    const errors = parsed.errors.map(({ row, message }) => ({ row, sku: null, field: null, message }));
+    const counts = { createdCount: 0, updatedCount: 0, failedCount: parsed.errors.length };
+    const totalRows = rows.length + parsed.errors.length;
+
+    await this.prisma.catalogJob.update({ where: { id: jobId }, data: { totalRows } });
+
+    for (let i = 0; i < rows.length; i++) {
+      const { row, data } = rows[i];
+      const prepared = this.validateRow(row, data, context);
+
+      if (prepared.errors.length) {
+        counts.failedCount++;
+        prepared.errors.forEach(error => errors.push({ row, sku: data.sku || null, ...error }));
+      } else if (dryRun) {
+        counts[prepared.isNew ? 'createdCount' : 'updatedCount']++;
+      } else {
+        try {
+          const saved = await this.saveProduct(prepared, { actorId: createdById });
+          counts[prepared.isNew ? 'createdCount' : 'updatedCount']++;
+          await searchService.syncProduct(saved.id);
+        } catch (error) {
+          counts.failedCount++;
+          errors.push({ row, sku: prepared.sku, field: null, message: `Failed to save: ${error.message}` });
+        }
+      }
+
+      if ((i + 1) % PROGRESS_INTERVAL === 0) {
+        await this.prisma.catalogJob.update({
+          where: { id: jobId },
+          data: { processedRows: parsed.errors.length + i + 1, ...counts }
+        });
+      }
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+    const job = await this.prisma.catalogJob.update({
+      where: { id: jobId },
+      data: {
+        status: 'completed',
+        processedRows: totalRows,
+        ...counts,
+        errors: errors.slice(0, MAX_REPORTED_ERRORS),
+        completedAt: new Date()
+      }
+    });
+
+    this.logger.logBusiness(dryRun ? 'CATALOG_IMPORT_VALIDATED' : 'CATALOG_IMPORT_COMPLETED', { jobId, totalRows, ...counts });
+
+    return job;
+  }
+
+  /**
+   * Start an export of the full catalog, written in the background
+   * @param {Object} options - Export options
+   * @param {string} options.format - csv, xlsx or ndjson
+   * @param {string} [options.userId] - Admin who started the export
+   * @returns {Promise<Object>} Created job
+   */
+  async startExport({ format, userId }) {
+    if (!FORMATS.includes(format)) {
+      throw new ValidationError(`Unsupported format: ${format}. Use ${FORMATS.join(', ')}`);
+    }
+
+    const job = await this.prisma.catalogJob.create({
+      data: { type: 'export', format, createdById: userId }
+    });
+
+    this.runExport(job.id, format)
+      .catch(error => this.failJob(job.id, error));
+
+    this.logger.logBusiness('CATALOG_EXPORT_STARTED', { jobId: job.id, format, userId });
+
+    return job;
+  }
+
+  /**
+   * Write every product, in batches, to the export file of a job
+   * @param {string} jobId - Job ID
+   * @param {string} format - csv, xlsx or ndjson
+   * @returns {Promise<Object>} Completed job
+   */
+  async runExport(jobId, format) {
+    const totalRows = await this.prisma.product.count();
+    await this.prisma.catalogJob.update({
+      where: { id: jobId },
+      data: { status: 'processing', startedAt: new Date(), totalRows }
+    });
+
+    await fs.mkdir(this.exportDir, { recursive: true });
+    const fileName = `catalog_${jobId}.${format}`;
+    const writer = await this.openWriter(format, path.join(this.exportDir, fileName));
+
+    let processedRows = 0;
+    let cursor;
+    try {
+      while (true) {
+        const products = await this.prisma.product.findMany({
+          take: BATCH_SIZE,
+          ...(cursor && { skip: 1, cursor: { id: cursor } }),
+          orderBy: { id: 'asc' },
+          include: {
+            category: { select: { slug: true } },
+            brand: { select: { slug: true } },
+            specifications: { orderBy: { sortOrder: 'asc' }, select: { name: true, value: true } },
+            variants: { orderBy: { sku: 'asc' }, select: { sku: true, name: true, price: true, comparePrice: true, stock: true, isActive: true, options: true } }
+          }
+        });
+        if (!products.length) break;
+
+        for (const product of products) {
+          await writer.write(this.toRecord(product));
+        }
+        processedRows += products.length;
+        cursor = products[products.length - 1].id;
+
+        await this.prisma.catalogJob.update({ where: { id: jobId }, data: { processedRows } });
+      }
+    } finally {
+      await writer.close();
+    }
+
+    const job = await this.prisma.catalogJob.update({
+      where: { id: jobId },
+      data: { status: 'completed', fileName, totalRows: processedRows, processedRows, completedAt: new Date() }
+    });
+
+    this.logger.logBusiness('CATALOG_EXPORT_COMPLETED', { jobId, format, products: processedRows });
+
+    return job;
+  }
+
+  /**
+   * Catalog record of a product, in the shape the import reads
+   * @param {Object} product - Product with category, brand, specifications and variants
+   * @returns {Object} Record by column
+   */
+  toRecord(product) {
+    const decimal = (value) => (value === null || value === undefined ? null : Number(value));
+
+    return {
+      sku: product.sku,
+      name: product.name,
+      nameEn: product.nameEn,
+      nameBn: product.nameBn,
+      slug: product.slug,
+      category: product.category.slug,
+      brand: product.brand.slug,
+      regularPrice: decimal(product.regularPrice),
+      salePrice: decimal(product.salePrice),
+      saleStartsAt: product.saleStartsAt ? product.saleStartsAt.toISOString() : null,
+      saleEndsAt: product.saleEndsAt ? product.saleEndsAt.toISOString() : null,
+      costPrice: decimal(product.costPrice),
+      taxRate: decimal(product.taxRate),
+      stockQuantity: product.stockQuantity,
+      lowStockThreshold: product.lowStockThreshold,
+      weight: decimal(product.weight),
+      status: product.status,
+      shortDescription: product.shortDescription,
+      description: product.description,
+      isFeatured: product.isFeatured,
+      isNewArrival: product.isNewArrival,
+      isBestSeller: product.isBestSeller,
+      warrantyPeriod: product.warrantyPeriod,
+      warrantyType: product.warrantyType,
+      metaTitle: product.metaTitle,
+      metaDescription: product.metaDescription,
+      metaKeywords: product.metaKeywords,
+      specifications: product.specifications.map(({ name, value }) => ({ name, value })),
+      variants: product.variants.map(variant => ({
+        sku: variant.sku,
+        name: variant.name,
+        price: decimal(variant.price),
+        comparePrice: decimal(variant.comparePrice),
+        stock: variant.stock,
+        isActive: variant.isActive,
+        ...(variant.options && { options: variant.options })
+      }))
+    };
+  }
+
+  /**
+   * Record as spreadsheet cells: specifications as "Name: Value; ..." text
+   * (JSON when a name or value would not survive that) and variants as JSON
+   * @param {Object} record - Catalog record
+   * @returns {Array} Cell values in column order
+   */
+  toCells(record) {
+    const { specifications, variants } = record;
+    const plainSpecs = specifications.every(({ name, value }) => !/[:;\n]/.test(name) && !/[;\n]/.test(value));
+
+    const cells = {
+      ...record,
+      specifications: !specifications.length ? null
+        : plainSpecs ? specifications.map(({ name, value }) => `${name}: ${value}`).join('; ')
+          : JSON.stringify(specifications),
+      variants: variants.length ? JSON.stringify(variants) : null
+    };
+
+    return COLUMNS.map(column => (cells[column] === null || cells[column] === undefined ? '' : cells[column]));
+  }
+
+  /**
+   * Open an export file for writing records one at a time
+   * @param {string} format - csv, xlsx or ndjson
+   * @param {string} filePath - File path
+   * @returns {Promise<Object>} Writer ({ write(record), close() })
+   */
+  async openWriter(format, filePath) {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath });
+      const sheet = workbook.addWorksheet('Products');
+      sheet.addRow(COLUMNS).commit();
+
+      return {
+        write: async (record) => sheet.addRow(this.toCells(record)).commit(),
+        close: async () => {
+          sheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+
+    const handle = await fs.open(filePath, 'w');
+    if (format === 'csv') {
+      // BOM so that Excel opens the file as UTF-8 (Bangla names)
+      await handle.write(`\uFEFF${COLUMNS.join(',')}\r\n`);
+    }
+
+    return {
+      write: async (record) => handle.write(format === 'csv'
+        ? `${this.toCells(record).map(csvField).join(',')}\r\n`
+        : `${JSON.stringify(record)}\n`),
+      close: async () => handle.close()
+    };
+  }
+
+  /**
+   * Mark a job as failed after an unexpected error
+   * @param {string} jobId - Job ID
+   * @param {Error} error - Error
+   * @returns {Promise<void>}
+   */
+  async failJob(jobId, error) {
+    this.logger.error('Catalog job failed', { jobId, error: error.message });
+    try {
+      await this.prisma.catalogJob.update({
+        where: { id: jobId },
+        data: { status: 'failed', failureReason: error.message, completedAt: new Date() }
+      });
+    } catch (updateError) {
+      this.logger.error('Failed to mark catalog job as failed', { jobId, error: updateError.message });
+    }
+  }
+
+  /**
+   * Fail jobs that stopped making progress, which is what a restart or crash
+   * does to a job running in the background. Running jobs record progress
+   * every PROGRESS_INTERVAL rows, well within staleJobMinutes.
+   * @param {Object} [client] - Prisma client or transaction
+   * @returns {Promise<number>} Jobs failed
+   */
+  async failStaleJobs(client = this.prisma) {
+    const { count } = await client.catalogJob.updateMany({
+      where: {
+        status: { in: UNFINISHED_STATUSES },
+        updatedAt: { lt: new Date(Date.now() - this.staleJobMinutes * 60 * 1000) }
+      },
+      data: {
+        status: 'failed',
+        failureReason: `No progress for ${this.staleJobMinutes} minutes; the server was probably restarted`,
+        completedAt: new Date()
+      }
+    });
+
+    if (count) {
+      this.logger.warn('Stale catalog jobs marked as failed', { count });
+    }
+
+    return count;
+  }
+
+  /**
+   * Get a job, or throw
+   * @param {string} jobId - Job ID
+   * @param {string} type - import or export
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(jobId, type) {
+    const job = await this.prisma.catalogJob.findFirst({ where: { id: jobId, type } });
+    if (!job) {
+      throw new NotFoundError(`Catalog ${type} job not found`);
+    }
+    return job;
+  }
+
+  /**
+   * List recent jobs of a type, newest first
+   * @param {string} type - import or export
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Number of jobs
+   * @returns {Promise<Array<Object>>} Jobs (without their row errors)
+   */
+  async listJobs(type, { limit = 20 } = {}) {
+    return this.prisma.catalogJob.findMany({
+      where: { type },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: JOB_SUMMARY
+    });
+  }
+
+  /**
+   * Path of a completed export's file, or throw
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} File path and download name
+   */
+  async getExportFile(jobId) {
+    const job = await this.getJob(jobId, 'export');
+    if (job.status !== 'completed') {
+      throw new ConflictError(`Export is not ready (status: ${job.status})`);
+    }
+
+    const filePath = path.join(this.exportDir, job.fileName);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      throw new NotFoundError('Export file no longer exists');
+    }
+
+    const date = job.completedAt.toISOString().slice(0, 10);
+    return { filePath, downloadName: `catalog-${date}.${job.format}` };
+  }
+
+  /**
+   * Shape a job for API responses, with its progress as a percentage
+   * @param {Object} job - Job
+   * @returns {Object} Job with progress
+   */
+  toJobResponse(job) {
+    const progress = job.status === 'completed' ? 100
+      : job.totalRows ? Math.floor((job.processedRows / job.totalRows) * 100) : 0;
+
+    return { ...job, progress };
+  }
+}
+
+// Singleton instance
+const catalogTransferService = new CatalogTransferService();
+
+module.exports = {
+  CatalogTransferService,
+  catalogTransferService,
+  COLUMNS
+};
@@ -366,7 +366,7 @@ class ConfigService {
     return {
       credentials: this.server.cors.credentials,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Cart-Token', 'X-Order-Token'],
       exposedHeaders: ['X-Total-Count', 'X-Page-Count']
     };
   }
@@ -0,0 +1,161 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+/**
+ * Coupon Service
+ * Validates coupon codes, calculates discounts and redeems coupons
+ */
+class CouponService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+  }
+
+  /**
+   * Normalize a coupon code as stored by routes/coupons.js
+   * @param {string} code - Coupon code
+   * @returns {string} Normalized code
+   */
+  normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+  }
+
+  /**
+   * Round a money amount to 2 decimal places
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Calculate the discount a coupon gives on a subtotal. PERCENTAGE coupons
+   * are capped by maxDiscount (0 means no cap); no coupon can discount more
+   * than the subtotal itself.
+   * @param {Object} coupon - Coupon record
+   * @param {number} subtotal - Order subtotal
+   * @returns {number} Discount amount
+   */
+  calculateDiscount(coupon, subtotal) {
+    const value = parseFloat(coupon.value);
+    const maxDiscount = parseFloat(coupon.maxDiscount);
+    let discount;
+
+    if (coupon.type === 'PERCENTAGE') {
+      discount = subtotal * value / 100;
+      if (maxDiscount > 0) {
+        discount = Math.min(discount, maxDiscount);
+      }
+    } else {
+      discount = value;
+    }
+
+    return this.roundMoney(Math.max(0, Math.min(discount, subtotal)));
+  }
+
+  /**
+   * Check a coupon against its rules without redeeming it
+   * @param {Object} coupon - Coupon record
+   * @param {number} subtotal - Order subtotal
+   */
+  assertApplicable(coupon, subtotal) {
+    if (!coupon.isActive) {
+      throw new ValidationError('Coupon is not active');
+    }
+
+    if (coupon.expiresAt && new Date() > coupon.expiresAt) {
+      throw new ValidationError('Coupon has expired');
+    }
+
+    if (coupon.usedCount >= coupon.usageLimit) {
+      throw new ValidationError('Coupon usage limit reached');
+    }
+
+    const minAmount = parseFloat(coupon.minAmount);
+    if (subtotal < minAmount) {
+      throw new ValidationError(`Minimum order amount for this coupon is ${minAmount}`, { minAmount });
+    }
+  }
+
+  /**
+   * Look up a coupon by code and calculate its discount for a subtotal
+   * @param {string} code - Coupon code
+   * @param {number} subtotal - Order subtotal
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<Object>} Coupon and discount
+   */
+  async applyCoupon(code, subtotal, client = this.prisma) {
+    const coupon = await client.coupon.findUnique({
+      where: { code: this.normalizeCode(code) }
+    });
+
+    if (!coupon) {
+      throw new NotFoundError('Coupon not found');
+    }
+
+    this.assertApplicable(coupon, subtotal);
+
+    return {
+      coupon,
+      discount: this.calculateDiscount(coupon, subtotal)
+    };
+  }
+
+  /**
+   * Atomically count one use of a coupon. The guarded update only matches
+   * while usedCount is below usageLimit, so concurrent redemptions can never
+   * push it past the limit. Must run in the order's transaction so a failed
+   * order does not consume a use.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} coupon - Coupon record
+   */
+  async redeemCoupon(tx, coupon) {
+    const result = await tx.coupon.updateMany({
+      where: {
+        id: coupon.id,
+        isActive: true,
+        usedCount: { lt: tx.coupon.fields.usageLimit },
+        OR: [
+          { expiresAt: null },
+          { expiresAt: { gt: new Date() } }
+        ]
+      },
+      data: {
+        usedCount: { increment: 1 }
+      }
+    });
+
+    if (result.count === 0) {
+      throw new ConflictError('Coupon is no longer available');
+    }
+
+    this.logger.logBusiness('COUPON_REDEEMED', {
+      couponId: coupon.id,
+      code: coupon.code
+    });
+  }
+
+  /**
+   * Give back a coupon use (e.g. when its order is cancelled)
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} couponId - Coupon ID
+   */
+  async releaseCoupon(tx, couponId) {
+    await tx.coupon.updateMany({
+      where: { id: couponId, usedCount: { gt: 0 } },
+      data: { usedCount: { decrement: 1 } }
+    });
+  }
+}
+
+// Singleton instance
+const couponService = new CouponService();
+
+module.exports = {
+  CouponService,
+  couponService
+};
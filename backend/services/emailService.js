@@ -3,6 +3,11 @@ const crypto = require('crypto');
 const configService = require('./config');
 const { loggerService } = require('./logger');
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text from customers or staff (names, product names) for the HTML templates
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 class EmailService {
   constructor() {
     this.config = configService;
@@ -864,11 +869,267 @@ class EmailService {
     }
   }
 
+  // Create abandoned cart reminder template (English and Bangla)
+  createAbandonedCartEmailTemplate(userName, { items, subtotal, cartUrl }) {
+    const rows = items.map(item => `
+            <tr>
+              <td style="padding: 8px 0;">${escapeHtml(item.name)}</td>
+              <td style="padding: 8px 0; text-align: center;">${item.quantity}</td>
+              <td style="padding: 8px 0; text-align: right;">৳${item.totalPrice.toFixed(2)}</td>
+            </tr>`).join('');
+
+    return {
+      subject: 'You left items in your cart - আপনার কার্টে পণ্য রয়ে গেছে',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Cart</title>
+        </head>
+        <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #2c3e50;">Smart Technologies Bangladesh</h2>
+          <p>Hello ${escapeHtml(userName)},</p>
+          <p>You left these items in your cart. They are still waiting for you.</p>
+          <p style="color: #006a4e; font-weight: bold;">আপনার কার্টে এই পণ্যগুলো রয়ে গেছে। অর্ডার সম্পন্ন করতে ফিরে আসুন।</p>
+          <table style="width: 100%; border-collapse: collapse;">${rows}
+            <tr>
+              <td colspan="2" style="padding: 8px 0; border-top: 1px solid #eee; font-weight: bold;">Subtotal / সাবটোটাল</td>
+              <td style="padding: 8px 0; border-top: 1px solid #eee; text-align: right; font-weight: bold;">৳${subtotal.toFixed(2)}</td>
+            </tr>
+          </table>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(cartUrl)}" style="background-color: #006a4e; color: #ffffff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Return to cart / কার্টে ফিরে যান</a>
+          </p>
+          <p style="font-size: 12px; color: #666;">Prices and stock may have changed since you added these items. You can turn off these reminders in your notification preferences.</p>
+        </body>
+        </html>
+      `,
+      text: `
+        Hello ${userName},
+
+        You left these items in your cart:
+        ${items.map(item => `${item.quantity} x ${item.name} - ৳${item.totalPrice.toFixed(2)}`).join('\n        ')}
+
+        Subtotal: ৳${subtotal.toFixed(2)}
+
+        আপনার কার্টে পণ্য রয়ে গেছে। অর্ডার সম্পন্ন করতে ফিরে আসুন:
+        ${cartUrl}
+
+        Smart Technologies Bangladesh
+        স্মার্ট টেকনোলজিস বাংলাদেশ
+      `
+    };
+  }
+
+  /**
+   * Send abandoned cart reminder email with fallback mechanism
+   * @param {string} userEmail - Recipient email address
+   * @param {string} userName - Recipient name
+   * @param {Object} cart - Cart summary ({ items: [{ name, quantity, totalPrice }], subtotal, cartUrl })
+   * @returns {Promise<Object>} Send result with success status
+   */
+  async sendAbandonedCartEmail(userEmail, userName, cart) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.validateEmail(userEmail)) {
+        return {
+          success: false,
+          error: 'Invalid email format',
+          errorBn: 'অবৈধ ইমেইল ফরম্যাট',
+          code: 'INVALID_EMAIL',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (!this.transporter) {
+        return this.handleFallbackEmail(userEmail, userName, 'abandoned-cart', {
+          cartUrl: cart.cartUrl,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const emailConfig = this.config.getEmailConfig();
+      const emailTemplate = this.createAbandonedCartEmailTemplate(userName, cart);
+
+      const result = await this.transporter.sendMail({
+        from: `"Smart Technologies Bangladesh" <${emailConfig.from}>`,
+        to: userEmail,
+        subject: emailTemplate.subject,
+        html: emailTemplate.html,
+        text: emailTemplate.text
+      });
+      const duration = Date.now() - startTime;
+
+      this.logger.info('Abandoned cart email sent successfully', {
+        to: userEmail,
+        messageId: result.messageId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        timestamp: new Date().toISOString(),
+        fallback: false
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.logger.error('Failed to send abandoned cart email', error.message, {
+        to: userEmail,
+        errorType: error.name,
+        errorCode: error.code,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        errorBn: 'ইমেইল পাঠাতে ব্যর্থ হয়েছে',
+        code: error.code || 'SEND_FAILED',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  // Create low-stock alert template for managers (English and Bangla)
+  createLowStockAlertEmailTemplate(userName, { items, inventoryUrl }) {
+    const rows = items.map(item => `
+            <tr>
+              <td style="padding: 8px 0;">${escapeHtml(item.name)}</td>
+              <td style="padding: 8px 0;">${escapeHtml(item.sku)}</td>
+              <td style="padding: 8px 0; text-align: center;">${item.stock}</td>
+              <td style="padding: 8px 0; text-align: center;">${item.threshold}</td>
+            </tr>`).join('');
+
+    return {
+      subject: `Low stock: ${items.length} item${items.length === 1 ? '' : 's'} - স্টক কমে গেছে`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Low Stock</title>
+        </head>
+        <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #2c3e50;">Smart Technologies Bangladesh</h2>
+          <p>Hello ${escapeHtml(userName)},</p>
+          <p>These items have reached their low-stock threshold and need restocking.</p>
+          <p style="color: #006a4e; font-weight: bold;">এই পণ্যগুলোর স্টক কমে গেছে। অনুগ্রহ করে পুনরায় স্টক করুন।</p>
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <th style="padding: 8px 0; text-align: left; border-bottom: 1px solid #eee;">Product / পণ্য</th>
+              <th style="padding: 8px 0; text-align: left; border-bottom: 1px solid #eee;">SKU</th>
+              <th style="padding: 8px 0; border-bottom: 1px solid #eee;">Stock / স্টক</th>
+              <th style="padding: 8px 0; border-bottom: 1px solid #eee;">Threshold</th>
+            </tr>${rows}
+          </table>
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="${escapeHtml(inventoryUrl)}" style="background-color: #006a4e; color: #ffffff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">View low-stock alerts</a>
+          </p>
+        </body>
+        </html>
+      `,
+      text: `
+        Hello ${userName},
+
+        These items have reached their low-stock threshold:
+        ${items.map(item => `${item.name} (${item.sku}) - ${item.stock} left, threshold ${item.threshold}`).join('\n        ')}
+
+        এই পণ্যগুলোর স্টক কমে গেছে। অনুগ্রহ করে পুনরায় স্টক করুন:
+        ${inventoryUrl}
+
+        Smart Technologies Bangladesh
+        স্মার্ট টেকনোলজিস বাংলাদেশ
+      `
+    };
+  }
+
+  /**
+   * Send low-stock alert email to a manager with fallback mechanism
+   * @param {string} userEmail - Recipient email address
+   * @param {string} userName - Recipient name
+   * @param {Object} alert - Alert summary ({ items: [{ name, sku, stock, threshold }], inventoryUrl })
+   * @returns {Promise<Object>} Send result with success status
+   */
+  async sendLowStockAlertEmail(userEmail, userName, alert) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.validateEmail(userEmail)) {
+        return {
+          success: false,
+          error: 'Invalid email format',
+          errorBn: 'অবৈধ ইমেইল ফরম্যাট',
+          code: 'INVALID_EMAIL',
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      if (!this.transporter) {
+        return this.handleFallbackEmail(userEmail, userName, 'low-stock', {
+          items: alert.items.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const emailConfig = this.config.getEmailConfig();
+      const emailTemplate = this.createLowStockAlertEmailTemplate(userName, alert);
+
+      const result = await this.transporter.sendMail({
+        from: `"Smart Technologies Bangladesh" <${emailConfig.from}>`,
+        to: userEmail,
+        subject: emailTemplate.subject,
+        html: emailTemplate.html,
+        text: emailTemplate.text
+      });
+      const duration = Date.now() - startTime;
+
+      this.logger.info('Low stock alert email sent successfully', {
+        to: userEmail,
+        messageId: result.messageId,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId,
+        timestamp: new Date().toISOString(),
+        fallback: false
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      this.logger.error('Failed to send low stock alert email', error.message, {
+        to: userEmail,
+        errorType: error.name,
+        errorCode: error.code,
+        duration: `${duration}ms`,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        errorBn: 'ইমেইল পাঠাতে ব্যর্থ হয়েছে',
+        code: error.code || 'SEND_FAILED',
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
   /**
    * Handle fallback email when SMTP service is unavailable
    * @param {string} userEmail - Recipient email
    * @param {string} userName - Recipient name
-   * @param {string} emailType - Type of email (verification, welcome, password-reset)
+   * @param {string} emailType - Type of email (verification, welcome, password-reset, abandoned-cart, low-stock)
    * @param {Object} metadata - Additional metadata
    * @returns {Object} Fallback result
    */
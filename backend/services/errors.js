@@ -0,0 +1,53 @@
+/**
+ * Service Errors
+ * Typed errors thrown by services so routes (and the global error handler in
+ * index.js, which switches on error.name) can map them to HTTP status codes
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 500, details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class ValidationError extends ServiceError {
+  constructor(message, details) {
+    super(message, 400, details);
+  }
+}
+
+class ForbiddenError extends ServiceError {
+  constructor(message, details) {
+    super(message, 403, details);
+  }
+}
+
+class NotFoundError extends ServiceError {
+  constructor(message, details) {
+    super(message, 404, details);
+  }
+}
+
+class ConflictError extends ServiceError {
+  constructor(message, details) {
+    super(message, 409, details);
+  }
+}
+
+// A payment gateway rejected a request or could not be reached
+class PaymentGatewayError extends ServiceError {
+  constructor(message, details) {
+    super(message, 502, details);
+  }
+}
+
+module.exports = {
+  ServiceError,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PaymentGatewayError
+};
@@ -0,0 +1,683 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { couponService } = require('./couponService');
+const { shippingService } = require('./shippingService');
+const { taxService } = require('./taxService');
+const { pricingService } = require('./pricingService');
+const { cartService } = require('./cartService');
+const { cartRecoveryService } = require('./cartRecoveryService');
+const { stockService } = require('./stockService');
+const { warehouseService } = require('./warehouseService');
+const { promotionService } = require('./promotionService');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Allowed order status transitions (from -> to)
+const ORDER_STATUS_TRANSITIONS = {
+  PENDING: ['CONFIRMED', 'CANCELLED'],
+  CONFIRMED: ['PROCESSING', 'CANCELLED'],
+  PROCESSING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: ['REFUNDED'],
+  CANCELLED: ['REFUNDED'],
+  REFUNDED: []
+};
+
+// Statuses from which customers may cancel their own orders
+const CUSTOMER_CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Payment statuses with no money taken or in flight, so customers may cancel;
+// paid orders are cancelled by staff, who refund the payment
+const CUSTOMER_CANCELLABLE_PAYMENT_STATUSES = ['PENDING', 'FAILED', 'CANCELLED'];
+
+// Payment statuses a cancellation closes; paid and in-flight payments keep theirs until refunded or settled
+const UNPAID_PAYMENT_STATUSES = ['PENDING', 'FAILED'];
+
+// Timestamp columns set when an order enters a status
+const STATUS_TIMESTAMPS = {
+  CONFIRMED: 'confirmedAt',
+  SHIPPED: 'shippedAt',
+  DELIVERED: 'deliveredAt'
+};
+
+/**
+ * Order Service
+ * Places orders from a cart or an explicit item list. Pricing, stock
+ * reservation and order creation all happen inside one Prisma transaction so
+ * a failure at any step leaves no order behind and no stock consumed.
+ */
+class OrderService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.couponService = couponService;
+    this.shippingService = shippingService;
+    this.pricingService = pricingService;
+    this.cartService = cartService;
+    this.cartRecoveryService = cartRecoveryService;
+    this.stockService = stockService;
+    this.warehouseService = warehouseService;
+    this.promotionService = promotionService;
+    this.guestOrderTokenSecret = process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Generate a human-readable order number
+   * @returns {string} Order number
+   */
+  generateOrderNumber() {
+    return 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
+  }
+
+  /**
+   * Convert the user's cart into an order and empty the cart
+   * @param {string} userId - User ID
+   * @param {Object} options - Checkout options
+   * @param {string} options.addressId - Shipping address ID
+   * @param {string} options.paymentMethod - Payment method
+   * @param {string} [options.couponCode] - Coupon code to apply
+   * @param {string} [options.notes] - Customer notes
+   * @returns {Promise<Object>} Created order
+   */
+  async checkoutCart(userId, { addressId, paymentMethod, couponCode, notes }) {
+    const order = await this.prisma.$transaction(async (tx) => {
+      const cart = await tx.cart.findUnique({
+        where: { userId },
+        include: { items: true }
+      });
+
+      if (!cart || cart.items.length === 0) {
+        throw new ValidationError('Cart is empty');
+      }
+
+      const created = await this.placeOrder(tx, {
+        userId,
+        addressId,
+        paymentMethod,
+        couponCode,
+        notes,
+        items: cart.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity
+        }))
+      });
+
+      await tx.cartItem.deleteMany({
+        where: { cartId: cart.id }
+      });
+
+      await this.cartRecoveryService.recordConversion(tx, cart.id, created);
+
+      return created;
+    });
+
+    this.logger.logOrder('ORDER_CHECKOUT', order.id, {
+      userId,
+      total: order.total,
+      status: order.status
+    });
+
+    return order;
+  }
+
+  /**
+   * Convert a guest cart into an order for a customer without an account.
+   * The guest's contact details and address are stored on the order itself.
+   * @param {string} cartToken - Guest cart token
+   * @param {Object} options - Checkout options
+   * @param {Object} options.guest - Contact details ({ email, phone })
+   * @param {Object} options.shippingAddress - One-off address ({ firstName, lastName, phone, address, city, district, division, ... })
+   * @param {string} options.paymentMethod - Payment method
+   * @param {string} [options.couponCode] - Coupon code to apply
+   * @param {string} [options.notes] - Customer notes
+   * @returns {Promise<Object>} Created order and the token the guest uses to reach it
+   */
+  async checkoutGuestCart(cartToken, { guest, shippingAddress, paymentMethod, couponCode, notes }) {
+    const order = await this.prisma.$transaction(async (tx) => {
+      const cart = await this.cartService.findGuestCart(cartToken, tx);
+
+      if (!cart) {
+        throw new NotFoundError('Cart not found');
+      }
+
+      if (cart.items.length === 0) {
+        throw new ValidationError('Cart is empty');
+      }
+
+      const created = await this.placeOrder(tx, {
+        userId: null,
+        guest,
+        shippingAddress,
+        paymentMethod,
+        couponCode,
+        notes,
+        items: cart.items.map(item => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          quantity: item.quantity
+        }))
+      });
+
+      await tx.cartItem.deleteMany({
+        where: { cartId: cart.id }
+      });
+
+      return created;
+    });
+
+    this.logger.logOrder('ORDER_GUEST_CHECKOUT', order.id, {
+      guestEmail: order.guestEmail,
+      total: order.total,
+      status: order.status
+    });
+
+    return { order, orderToken: this.signGuestOrderToken(order) };
+  }
+
+  /**
+   * Sign the token a guest uses to view and pay for their order
+   * @param {Object} order - Guest order
+   * @returns {string} Order token
+   */
+  signGuestOrderToken(order) {
+    return jwt.sign(
+      { orderId: order.id, type: 'guest_order' },
+      this.guestOrderTokenSecret,
+      { expiresIn: process.env.GUEST_ORDER_TOKEN_EXPIRES_IN || '30d' }
+    );
+  }
+
+  /**
+   * Check that a guest order token was issued for an order
+   * @param {string} token - Order token
+   * @param {string} orderId - Order ID
+   * @returns {boolean} Whether the token grants access to the order
+   */
+  verifyGuestOrderToken(token, orderId) {
+    try {
+      const payload = jwt.verify(token, this.guestOrderTokenSecret);
+      return payload.type === 'guest_order' && payload.orderId === orderId;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Create an order from an explicit list of items
+   * @param {string} userId - User ID
+   * @param {Object} options - Order options
+   * @param {string} options.addressId - Shipping address ID
+   * @param {Array<Object>} options.items - Items ({ productId, variantId, quantity })
+   * @param {string} options.paymentMethod - Payment method
+   * @param {string} [options.couponCode] - Coupon code to apply
+   * @param {string} [options.notes] - Customer notes
+   * @returns {Promise<Object>} Created order
+   */
+  async createOrder(userId, options) {
+    const order = await this.prisma.$transaction(tx => this.placeOrder(tx, { userId, ...options }));
+
+    this.logger.logOrder('ORDER_CREATED', order.id, {
+      userId,
+      total: order.total,
+      status: order.status
+    });
+
+    return order;
+  }
+
+  /**
+   * Price the items, allocate them to the nearest locations, reserve stock
+   * and create the order within a transaction
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} options - Order options (see createOrder; guest orders
+   *   pass userId null with guest and shippingAddress instead of addressId)
+   * @returns {Promise<Object>} Created order
+   */
+  async placeOrder(tx, { userId, addressId, guest, shippingAddress, items, paymentMethod, couponCode, notes }) {
+    // Guests ship to the one-off address given at checkout
+    const address = userId
+      ? await tx.address.findFirst({ where: { id: addressId, userId } })
+      : shippingAddress;
+
+    if (!address) {
+      throw new NotFoundError('Address not found');
+    }
+
+    const lines = await this.buildOrderLines(tx, items);
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+
+    await this.promotionService.claimQuantity(tx, lines);
+
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      ({ coupon, discount } = await this.couponService.applyCoupon(couponCode, subtotal, tx));
+      await this.couponService.redeemCoupon(tx, coupon);
+    }
+
+    // Free-shipping thresholds apply to what the customer actually pays for goods
+    const shipping = await this.shippingService.getQuote(address, lines, subtotal - discount, tx);
+
+    const totals = this.calculateTotals(lines, {
+      discount,
+      shippingCost: shipping.cost
+    });
+
+    const { allocations, branchHeld } = await this.warehouseService.allocate(tx, lines, address);
+    for (const [index, line] of lines.entries()) {
+      await this.reserveStock(tx, line, branchHeld[index]);
+    }
+
+    const order = await tx.order.create({
+      data: {
+        orderNumber: this.generateOrderNumber(),
+        userId,
+        addressId: userId ? addressId : null,
+        guestEmail: userId ? null : guest.email,
+        guestPhone: userId ? null : guest.phone,
+        shippingAddress: userId ? undefined : shippingAddress,
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        shippingCost: totals.shippingCost,
+        discount: totals.discount,
+        total: totals.total,
+        pricesIncludeTax: totals.pricesIncludeTax,
+        taxBreakdown: totals.taxBreakdown,
+        couponId: coupon ? coupon.id : null,
+        couponCode: coupon ? coupon.code : null,
+        paymentMethod,
+        notes,
+        status: 'PENDING',
+        items: {
+          create: lines.map((line, index) => ({
+            productId: line.productId,
+            variantId: line.variantId,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            totalPrice: line.totalPrice,
+            taxRate: totals.lineTaxes[index].taxRate,
+            taxAmount: totals.lineTaxes[index].taxAmount,
+            promotionId: line.promotionId
+          }))
+        },
+        statusHistory: {
+          create: {
+            fromStatus: null,
+            toStatus: 'PENDING',
+            changedById: userId,
+            reason: 'Order placed'
+          }
+        },
+        allocations: {
+          create: allocations
+        }
+      },
+      include: {
+        items: {
+          include: {
+            product: true,
+            variant: true
+          }
+        }
+      }
+    });
+
+    // All stock is reserved by now, so each allocation of a product is recorded
+    // with what its later allocations took still counted in its balance
+    const outstanding = new Map();
+    const stockKey = allocation => `${allocation.productId}:${allocation.variantId}`;
+    for (const allocation of allocations) {
+      outstanding.set(stockKey(allocation), (outstanding.get(stockKey(allocation)) || 0) + allocation.quantity);
+    }
+
+    for (const allocation of allocations) {
+      outstanding.set(stockKey(allocation), outstanding.get(stockKey(allocation)) - allocation.quantity);
+
+      await this.stockService.recordMovement(tx, {
+        productId: allocation.productId,
+        variantId: allocation.variantId,
+        warehouseId: allocation.warehouseId,
+        type: 'SALE',
+        quantity: -allocation.quantity,
+        reason: `Order ${order.orderNumber}`,
+        actorId: userId,
+        orderId: order.id,
+        outstanding: outstanding.get(stockKey(allocation))
+      });
+    }
+
+    return order;
+  }
+
+  /**
+   * Load and validate the products behind each item and price them from the
+   * current catalog via the pricing service (never from client input or
+   * stored cart prices)
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} items - Items ({ productId, variantId, quantity })
+   * @returns {Promise<Array<Object>>} Priced order lines
+   */
+  async buildOrderLines(tx, items) {
+    const lines = [];
+
+    for (const item of items) {
+      const quantity = parseInt(item.quantity);
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ValidationError(`Invalid quantity for product ${item.productId}`);
+      }
+
+      const { product, variant, unitPrice, promotion } = await this.pricingService.priceItem(item, tx);
+
+      if (product.status !== 'ACTIVE') {
+        throw new ValidationError(`Product ${product.name} is not available`);
+      }
+
+      lines.push({
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        name: variant ? `${product.name} (${variant.name})` : product.name,
+        weight: product.weight,
+        taxRate: parseFloat(product.taxRate) || 0,
+        quantity,
+        unitPrice,
+        totalPrice: unitPrice * quantity,
+        promotionId: promotion ? promotion.id : null
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Calculate order totals for priced lines. VAT is taken from each line's
+   * product taxRate; with VAT-inclusive pricing it is already part of the
+   * subtotal and is not added again.
+   * @param {Array<Object>} lines - Priced order lines
+   * @param {Object} [adjustments] - Order-level adjustments
+   * @param {number} [adjustments.discount] - Coupon discount
+   * @param {number} [adjustments.shippingCost] - Quoted shipping cost
+   * @returns {Object} Totals, per-line tax and the tax breakdown per rate
+   */
+  calculateTotals(lines, { discount = 0, shippingCost = 0 } = {}) {
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+    const vat = taxService.calculate(lines, { discount });
+    const total = vat.pricesIncludeTax
+      ? subtotal + shippingCost - discount
+      : subtotal + vat.tax + shippingCost - discount;
+
+    return {
+      subtotal,
+      tax: vat.tax,
+      shippingCost,
+      discount,
+      total: taxService.roundMoney(total),
+      pricesIncludeTax: vat.pricesIncludeTax,
+      taxBreakdown: vat.breakdown,
+      lineTaxes: vat.lines
+    };
+  }
+
+  /**
+   * Atomically decrement stock for a line. The conditional update only
+   * matches while enough stock remains, so concurrent checkouts cannot
+   * oversell; a miss aborts the surrounding transaction.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} line - Priced order line
+   * @param {number} [keep] - Stock that must remain (held at branches the line is not shipped from)
+   */
+  async reserveStock(tx, line, keep = 0) {
+    const result = line.variantId
+      ? await tx.productVariant.updateMany({
+        where: { id: line.variantId, stock: { gte: line.quantity + keep } },
+        data: { stock: { decrement: line.quantity } }
+      })
+      : await tx.product.updateMany({
+        where: { id: line.productId, stockQuantity: { gte: line.quantity + keep } },
+        data: { stockQuantity: { decrement: line.quantity } }
+      });
+
+    if (result.count === 0) {
+      throw new ConflictError(`Insufficient stock for product ${line.name}`);
+    }
+  }
+
+  /**
+   * Check whether an order may move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean} Whether the transition is allowed
+   */
+  canTransition(fromStatus, toStatus) {
+    return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move an order to a new status, restoring stock on cancellation and, when
+   * asked to, on refund of a delivered order whose goods came back, giving
+   * back coupon and promotion quantity on cancellation, and recording the
+   * change in the order's status history
+   * @param {string} orderId - Order ID
+   * @param {string} toStatus - Requested status
+   * @param {Object} [options] - Change details
+   * @param {string} [options.changedById] - ID of the user making the change
+   * @param {string} [options.reason] - Reason for the change
+   * @param {string} [options.notes] - Notes to store on the order
+   * @param {Array<string>} [options.fromStatuses] - Statuses the caller may change the order from (e.g. what customers may cancel)
+   * @param {Array<string>} [options.fromPaymentStatuses] - Payment statuses the caller may change the order from
+   * @param {boolean} [options.restock] - Whether a refunded delivered order's goods were returned to stock
+   * @returns {Promise<Object>} Updated order
+   */
+  async updateStatus(orderId, toStatus, {
+    changedById = null,
+    reason = null,
+    notes,
+    fromStatuses,
+    fromPaymentStatuses,
+    restock = false
+  } = {}) {
+    const order = await this.prisma.$transaction(async (tx) => {
+      const current = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { items: true }
+      });
+
+      if (!current) {
+        throw new NotFoundError('Order not found');
+      }
+
+      // Checked against the status read here, which the guarded update below holds to
+      if (fromStatuses && !fromStatuses.includes(current.status)) {
+        throw new ValidationError(`Orders cannot be changed to ${toStatus} once they are ${current.status}`, {
+          currentStatus: current.status
+        });
+      }
+
+      if (fromPaymentStatuses && !fromPaymentStatuses.includes(current.paymentStatus)) {
+        throw new ValidationError(`Orders cannot be changed to ${toStatus} while their payment is ${current.paymentStatus}`, {
+          paymentStatus: current.paymentStatus
+        });
+      }
+
+      if (!this.canTransition(current.status, toStatus)) {
+        throw new ValidationError(`Cannot change order status from ${current.status} to ${toStatus}`, {
+          currentStatus: current.status,
+          allowedStatuses: ORDER_STATUS_TRANSITIONS[current.status] || []
+        });
+      }
+
+      // Refunds can be goodwill or partial, so only returned goods go back to stock
+      if (restock && !(toStatus === 'REFUNDED' && current.status === 'DELIVERED')) {
+        throw new ValidationError('Only refunds of delivered orders can restock returned goods');
+      }
+
+      const updateData = { status: toStatus };
+      if (STATUS_TIMESTAMPS[toStatus]) updateData[STATUS_TIMESTAMPS[toStatus]] = new Date();
+      if (toStatus === 'REFUNDED') updateData.paymentStatus = 'REFUNDED';
+      if (toStatus === 'CANCELLED' && UNPAID_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+        updateData.paymentStatus = 'CANCELLED';
+      }
+      if (notes) updateData.notes = notes;
+
+      // Guard on the status we validated against so concurrent changes cannot both apply
+      const result = await tx.order.updateMany({
+        where: {
+          id: orderId,
+          status: current.status,
+          ...(fromPaymentStatuses && { paymentStatus: current.paymentStatus })
+        },
+        data: updateData
+      });
+
+      if (result.count === 0) {
+        throw new ConflictError('Order status was changed by another request, please retry');
+      }
+
+      if (toStatus === 'CANCELLED') {
+        await this.restoreStock(tx, current, 'CANCELLATION', { actorId: changedById, reason });
+        await this.promotionService.releaseQuantity(tx, current.items);
+
+        if (current.couponId) {
+          await this.couponService.releaseCoupon(tx, current.couponId);
+        }
+      }
+
+      if (restock) {
+        await this.restoreStock(tx, current, 'RETURN', { actorId: changedById, reason });
+      }
+
+      await tx.orderStatusHistory.create({
+        data: {
+          orderId,
+          fromStatus: current.status,
+          toStatus,
+          changedById,
+          reason
+        }
+      });
+
+      return tx.order.findUnique({
+        where: { id: orderId }
+      });
+    });
+
+    this.logger.logOrder('ORDER_STATUS_CHANGED', orderId, {
+      userId: changedById,
+      status: toStatus,
+      reason
+    });
+
+    return order;
+  }
+
+  /**
+   * Cancel an order on behalf of a user. Customers may only cancel their own
+   * orders while they are PENDING or CONFIRMED and nothing has been paid or
+   * is being paid; staff follow the transition table.
+   * @param {string} orderId - Order ID
+   * @param {Object} user - Authenticated user ({ id, role })
+   * @param {string} [reason] - Cancellation reason
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId, user, reason = null) {
+    const order = await this.prisma.order.findUnique({
+      where: { id: orderId },
+      select: { userId: true, status: true }
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const isStaff = user.role === 'ADMIN' || user.role === 'MANAGER';
+
+    if (!isStaff && order.userId !== user.id) {
+      throw new ForbiddenError('You can only cancel your own orders');
+    }
+
+    // Customers may only cancel early on; the statuses are checked inside the update's transaction
+    return this.updateStatus(orderId, 'CANCELLED', {
+      changedById: user.id,
+      reason: reason || 'Cancelled by customer',
+      ...(!isStaff && {
+        fromStatuses: CUSTOMER_CANCELLABLE_STATUSES,
+        fromPaymentStatuses: CUSTOMER_CANCELLABLE_PAYMENT_STATUSES
+      })
+    });
+  }
+
+  /**
+   * Return the stock held by an order's items to the locations it was
+   * allocated from (centrally for orders placed before allocation) and
+   * record it in the stock ledger
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} order - Order with items
+   * @param {string} type - Movement type (CANCELLATION or RETURN)
+   * @param {Object} [details] - Movement details
+   * @param {string} [details.actorId] - ID of the user making the change
+   * @param {string} [details.reason] - Reason for the change
+   */
+  async restoreStock(tx, order, type, { actorId = null, reason = null } = {}) {
+    const allocated = await tx.orderAllocation.findMany({ where: { orderId: order.id } });
+    const allocations = allocated.length
+      ? allocated
+      : order.items.map(item => ({ warehouseId: null, productId: item.productId, variantId: item.variantId, quantity: item.quantity }));
+
+    await this.warehouseService.release(tx, allocations);
+
+    for (const allocation of allocations) {
+      if (allocation.variantId) {
+        await tx.productVariant.update({
+          where: { id: allocation.variantId },
+          data: { stock: { increment: allocation.quantity } }
+        });
+      } else {
+        await tx.product.update({
+          where: { id: allocation.productId },
+          data: { stockQuantity: { increment: allocation.quantity } }
+        });
+      }
+
+      await this.stockService.recordMovement(tx, {
+        productId: allocation.productId,
+        variantId: allocation.variantId,
+        type,
+        quantity: allocation.quantity,
+        reason: reason || `Order ${order.orderNumber}`,
+        actorId,
+        orderId: order.id,
+        warehouseId: allocation.warehouseId
+      });
+    }
+  }
+
+  /**
+   * Get the status history of an order, oldest first
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array<Object>>} Status history entries
+   */
+  async getTimeline(orderId) {
+    return this.prisma.orderStatusHistory.findMany({
+      where: { orderId },
+      include: {
+        changedBy: {
+          select: { id: true, firstName: true, lastName: true, role: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+}
+
+// Singleton instance
+const orderService = new OrderService();
+
+module.exports = {
+  OrderService,
+  orderService,
+  ORDER_STATUS_TRANSITIONS,
+  CUSTOMER_CANCELLABLE_STATUSES
+};
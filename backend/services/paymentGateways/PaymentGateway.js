@@ -0,0 +1,108 @@
+const { loggerService } = require('../logger');
+const { PaymentGatewayError } = require('../errors');
+
+/**
+ * Payment Gateway
+ * Base class for payment gateway adapters. Each adapter implements:
+ *
+ *   initiate({ order, callbackUrl })      -> { reference, redirectUrl, response }
+ *   verifyCallback(params)                -> { reference, status: 'success'|'failure'|'cancel', response }
+ *   capture(reference, callback, expected) -> { status: 'COMPLETED'|'FAILED', gatewayTransactionId, response }
+ *   refund({ reference, gatewayTransactionId, amount, originalAmount, reason }) -> { refundId, response }
+ *   queryStatus(reference)                -> { status: 'COMPLETED'|'PROCESSING'|'FAILED', response }
+ *
+ * `reference` is the gateway's own payment ID; it is stored in
+ * Transaction.transactionId and is what callbacks are matched on.
+ * `expected` is the { amount, currency } the transaction was started for,
+ * for gateways whose confirmed payment has to be checked against it.
+ * Adapters wrap every call to the gateway in record() so each interaction
+ * is written to the payment log.
+ */
+class PaymentGateway {
+  /**
+   * @param {Object} definition - Gateway identity
+   * @param {string} definition.method - PaymentMethod enum value handled by the gateway
+   * @param {string} definition.slug - URL segment used for callbacks
+   * @param {string} definition.name - Display name
+   */
+  constructor({ method, slug, name }) {
+    this.method = method;
+    this.slug = slug;
+    this.name = name;
+    this.logger = loggerService;
+  }
+
+  /**
+   * Run a gateway call and log it, successful or not
+   * @param {string} operation - Operation name (e.g. INITIATE, REFUND)
+   * @param {Object} details - Non-sensitive details to log (reference, amount, ...)
+   * @param {Function} call - Async function performing the call
+   * @returns {Promise<*>} Result of the call
+   */
+  async record(operation, details, call) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await call();
+
+      this.logger.logPayment(`${this.method}_${operation}`, {
+        paymentMethod: this.method,
+        gateway: this.name,
+        operation,
+        outcome: 'success',
+        durationMs: Date.now() - startedAt,
+        status: result && result.status,
+        ...details
+      });
+
+      return result;
+    } catch (error) {
+      this.logger.logPayment(`${this.method}_${operation}_FAILED`, {
+        paymentMethod: this.method,
+        gateway: this.name,
+        operation,
+        outcome: 'error',
+        durationMs: Date.now() - startedAt,
+        error: error.message,
+        ...details
+      });
+
+      throw error instanceof PaymentGatewayError
+        ? error
+        : new PaymentGatewayError(`${this.name} is unreachable, please try again`, { reason: error.message });
+    }
+  }
+
+  /**
+   * Format an amount the way gateways expect it
+   * @param {*} amount - Decimal, string or number
+   * @returns {string} Amount with two decimals
+   */
+  formatAmount(amount) {
+    return Number(amount).toFixed(2);
+  }
+
+  async initiate() {
+    throw new Error(`${this.name} does not implement initiate()`);
+  }
+
+  verifyCallback() {
+    throw new Error(`${this.name} does not implement verifyCallback()`);
+  }
+
+  async capture() {
+    throw new Error(`${this.name} does not implement capture()`);
+  }
+
+  async refund() {
+    throw new Error(`${this.name} does not implement refund()`);
+  }
+
+  async queryStatus() {
+    throw new Error(`${this.name} does not implement queryStatus()`);
+  }
+}
+
+module.exports = {
+  PaymentGateway
+};
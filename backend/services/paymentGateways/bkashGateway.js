@@ -0,0 +1,205 @@
+const axios = require('axios');
+const { PaymentGateway } = require('./PaymentGateway');
+const { PaymentGatewayError, ValidationError } = require('../errors');
+
+// bKash reports success in the response body, not the HTTP status
+const BKASH_SUCCESS_CODE = '0000';
+
+const CALLBACK_STATUSES = ['success', 'failure', 'cancel'];
+
+/**
+ * bKash Gateway
+ * Adapter for the bKash tokenized checkout API: grant token, create, execute,
+ * query and refund. Point BKASH_BASE_URL at mocks/bkashMockServer.js to run
+ * the whole flow offline.
+ */
+class BkashGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ method: 'BKASH', slug: 'bkash', name: 'bKash' });
+    this.config = {
+      baseUrl: options.baseUrl || process.env.BKASH_BASE_URL || 'https://tokenized.sandbox.bka.sh/v1.2.0-beta',
+      appKey: options.appKey || process.env.BKASH_APP_KEY,
+      appSecret: options.appSecret || process.env.BKASH_APP_SECRET,
+      username: options.username || process.env.BKASH_USERNAME,
+      password: options.password || process.env.BKASH_PASSWORD,
+      timeout: options.timeout || parseInt(process.env.BKASH_TIMEOUT_MS) || 30000
+    };
+    this.http = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' }
+    });
+    this.token = null;
+  }
+
+  /**
+   * Send a request to bKash and unwrap the response
+   * @param {string} path - API path
+   * @param {Object} body - Request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} Response body
+   */
+  async request(path, body, headers) {
+    const { data } = await this.http.post(path, body, { headers });
+
+    // Token endpoints omit statusCode on success
+    if (data.statusCode && data.statusCode !== BKASH_SUCCESS_CODE) {
+      throw new PaymentGatewayError(data.statusMessage || 'bKash rejected the request', {
+        path,
+        statusCode: data.statusCode
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Get an id_token, reusing the cached one until shortly before it expires
+   * and refreshing it with the refresh token where possible
+   * @returns {Promise<string>} id_token
+   */
+  async grantToken() {
+    const now = Date.now();
+
+    if (this.token && this.token.expiresAt > now) {
+      return this.token.idToken;
+    }
+
+    const headers = { username: this.config.username, password: this.config.password };
+    const credentials = { app_key: this.config.appKey, app_secret: this.config.appSecret };
+
+    const data = this.token && this.token.refreshToken
+      ? await this.request('/tokenized/checkout/token/refresh', {
+        ...credentials,
+        refresh_token: this.token.refreshToken
+      }, headers)
+      : await this.request('/tokenized/checkout/token/grant', credentials, headers);
+
+    if (!data.id_token) {
+      throw new PaymentGatewayError('bKash did not issue a token', { statusMessage: data.statusMessage });
+    }
+
+    // Renew a minute early so a token never expires mid-request
+    this.token = {
+      idToken: data.id_token,
+      refreshToken: data.refresh_token,
+      expiresAt: now + (parseInt(data.expires_in) - 60) * 1000
+    };
+
+    return this.token.idToken;
+  }
+
+  /**
+   * Headers for authorized checkout calls
+   * @returns {Promise<Object>} Headers
+   */
+  async authHeaders() {
+    return {
+      Authorization: await this.grantToken(),
+      'X-APP-Key': this.config.appKey
+    };
+  }
+
+  /**
+   * Create a payment; the customer authorizes it at the returned bkashURL
+   * @param {Object} params - Order and callback URL
+   * @param {Object} params.order - Order ({ orderNumber, total })
+   * @param {string} params.callbackUrl - URL bKash redirects the customer to
+   * @returns {Promise<Object>} Payment reference and redirect URL
+   */
+  async initiate({ order, callbackUrl }) {
+    return this.record('INITIATE', { orderNumber: order.orderNumber, amount: order.total }, async () => {
+      const response = await this.request('/tokenized/checkout/create', {
+        mode: '0011',
+        payerReference: order.orderNumber,
+        callbackURL: callbackUrl,
+        amount: this.formatAmount(order.total),
+        currency: 'BDT',
+        intent: 'sale',
+        merchantInvoiceNumber: order.orderNumber
+      }, await this.authHeaders());
+
+      return {
+        reference: response.paymentID,
+        redirectUrl: response.bkashURL,
+        response
+      };
+    });
+  }
+
+  /**
+   * Read the callback query. bKash callbacks are not signed; the reported
+   * status is only trusted once execute (or, for failed and cancelled
+   * payments, a status query) confirms it.
+   * @param {Object} params - Callback query ({ paymentID, status })
+   * @returns {Object} Payment reference and the customer's outcome
+   */
+  verifyCallback({ paymentID, status }) {
+    if (!paymentID || !CALLBACK_STATUSES.includes(status)) {
+      throw new ValidationError('Invalid bKash callback');
+    }
+
+    return { reference: paymentID, status, response: { paymentID, status } };
+  }
+
+  /**
+   * Execute a payment the customer has authorized
+   * @param {string} reference - bKash paymentID
+   * @returns {Promise<Object>} Capture outcome and bKash trxID
+   */
+  async capture(reference) {
+    return this.record('CAPTURE', { reference }, async () => {
+      const response = await this.request('/tokenized/checkout/execute', { paymentID: reference }, await this.authHeaders());
+
+      return {
+        status: response.transactionStatus === 'Completed' ? 'COMPLETED' : 'FAILED',
+        gatewayTransactionId: response.trxID,
+        response
+      };
+    });
+  }
+
+  /**
+   * Query the current state of a payment
+   * @param {string} reference - bKash paymentID
+   * @returns {Promise<Object>} Normalized status and bKash response
+   */
+  async queryStatus(reference) {
+    return this.record('STATUS', { reference }, async () => {
+      const response = await this.request('/tokenized/checkout/payment/status', { paymentID: reference }, await this.authHeaders());
+
+      const status = response.transactionStatus === 'Completed'
+        ? 'COMPLETED'
+        : ['Initiated', 'Authorized'].includes(response.transactionStatus) ? 'PROCESSING' : 'FAILED';
+
+      return { status, gatewayTransactionId: response.trxID, response };
+    });
+  }
+
+  /**
+   * Refund all or part of a completed payment
+   * @param {Object} refund - Refund details
+   * @param {string} refund.reference - bKash paymentID
+   * @param {string} refund.gatewayTransactionId - bKash trxID of the payment
+   * @param {number} refund.amount - Amount to refund in BDT
+   * @param {string} [refund.reason] - Refund reason
+   * @returns {Promise<Object>} Refund transaction ID and bKash response
+   */
+  async refund({ reference, gatewayTransactionId, amount, reason }) {
+    return this.record('REFUND', { reference, amount }, async () => {
+      const response = await this.request('/tokenized/checkout/payment/refund', {
+        paymentID: reference,
+        trxID: gatewayTransactionId,
+        amount: this.formatAmount(amount),
+        reason: reason || 'Customer refund',
+        sku: 'order'
+      }, await this.authHeaders());
+
+      return { refundId: response.refundTrxID, response };
+    });
+  }
+}
+
+module.exports = {
+  BkashGateway
+};
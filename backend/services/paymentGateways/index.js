@@ -0,0 +1,83 @@
+const { ValidationError } = require('../errors');
+const { PaymentGateway } = require('./PaymentGateway');
+const { BkashGateway } = require('./bkashGateway');
+const { NagadGateway } = require('./nagadGateway');
+const { RocketGateway } = require('./rocketGateway');
+const { SslcommerzGateway } = require('./sslcommerzGateway');
+
+/**
+ * Payment Gateway Registry
+ * Maps PaymentMethod values (and callback URL slugs) to gateway adapters.
+ * Methods without a gateway (CASH_ON_DELIVERY, BANK_TRANSFER) are settled
+ * offline by staff.
+ */
+class PaymentGatewayRegistry {
+  constructor() {
+    this.gateways = new Map();
+  }
+
+  /**
+   * Register (or replace) the gateway for its payment method
+   * @param {PaymentGateway} gateway - Gateway adapter
+   */
+  register(gateway) {
+    if (!(gateway instanceof PaymentGateway)) {
+      throw new TypeError('Payment gateways must extend PaymentGateway');
+    }
+    this.gateways.set(gateway.method, gateway);
+  }
+
+  /**
+   * Check whether a payment method is paid online
+   * @param {string} method - PaymentMethod
+   * @returns {boolean} Whether a gateway is registered
+   */
+  has(method) {
+    return this.gateways.has(method);
+  }
+
+  /**
+   * Get the gateway for a payment method
+   * @param {string} method - PaymentMethod
+   * @returns {PaymentGateway} Gateway adapter
+   */
+  get(method) {
+    const gateway = this.gateways.get(method);
+
+    if (!gateway) {
+      throw new ValidationError(`${method} payments are not processed online`);
+    }
+
+    return gateway;
+  }
+
+  /**
+   * Get a gateway by its callback URL slug
+   * @param {string} slug - Slug (e.g. bkash)
+   * @returns {PaymentGateway|null} Gateway adapter
+   */
+  getBySlug(slug) {
+    return Array.from(this.gateways.values()).find(gateway => gateway.slug === slug) || null;
+  }
+
+  /**
+   * List registered gateways
+   * @returns {Array<Object>} Method, slug and name of each gateway
+   */
+  list() {
+    return Array.from(this.gateways.values()).map(({ method, slug, name }) => ({ method, slug, name }));
+  }
+}
+
+// Singleton instance with the built-in gateways
+const paymentGatewayRegistry = new PaymentGatewayRegistry();
+paymentGatewayRegistry.register(new BkashGateway());
+paymentGatewayRegistry.register(new NagadGateway());
+paymentGatewayRegistry.register(new RocketGateway());
+paymentGatewayRegistry.register(new SslcommerzGateway());
+
+module.exports = {
+  PaymentGatewayRegistry,
+  paymentGatewayRegistry,
+  PaymentGateway
+};
@@ -0,0 +1,269 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { PaymentGateway } = require('./PaymentGateway');
+const { PaymentGatewayError, ValidationError } = require('../errors');
+
+// Nagad currency code for BDT
+const BDT_CURRENCY_CODE = '050';
+
+/**
+ * Nagad Gateway
+ * Adapter for the Nagad merchant checkout API. Sensitive data is encrypted
+ * with Nagad's public key and signed with the merchant private key; Nagad's
+ * replies and callbacks are signed with Nagad's private key. Point
+ * NAGAD_BASE_URL at mocks/nagadMockServer.js to run offline.
+ */
+class NagadGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ method: 'NAGAD', slug: 'nagad', name: 'Nagad' });
+    this.config = {
+      baseUrl: options.baseUrl || process.env.NAGAD_BASE_URL || 'http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0',
+      merchantId: options.merchantId || process.env.NAGAD_MERCHANT_ID,
+      merchantNumber: options.merchantNumber || process.env.NAGAD_MERCHANT_NUMBER,
+      merchantPrivateKey: options.merchantPrivateKey || this.readKey(process.env.NAGAD_MERCHANT_PRIVATE_KEY),
+      nagadPublicKey: options.nagadPublicKey || this.readKey(process.env.NAGAD_PUBLIC_KEY),
+      timeout: options.timeout || parseInt(process.env.NAGAD_TIMEOUT_MS) || 30000
+    };
+    this.http = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-KM-Api-Version': 'v-0.2.0',
+        'X-KM-Client-Type': 'PC_WEB'
+      }
+    });
+  }
+
+  /**
+   * Keys are kept in env as single-line PEM with literal \n
+   * @param {string} value - PEM from the environment
+   * @returns {string|undefined} PEM
+   */
+  readKey(value) {
+    return value ? value.replace(/\\n/g, '\n') : undefined;
+  }
+
+  /**
+   * Nagad timestamps are local Dhaka time as YYYYMMDDHHmmss
+   * @param {Date} [date] - Date
+   * @returns {string} Timestamp
+   */
+  timestamp(date = new Date()) {
+    const dhaka = new Date(date.getTime() + 6 * 60 * 60 * 1000);
+    return dhaka.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  }
+
+  /**
+   * Encrypt sensitive data for Nagad (RSA-OAEP with Nagad's public key)
+   * @param {Object} data - Data
+   * @returns {string} Base64 ciphertext
+   */
+  encrypt(data) {
+    return crypto.publicEncrypt(this.config.nagadPublicKey, Buffer.from(JSON.stringify(data))).toString('base64');
+  }
+
+  /**
+   * Decrypt sensitive data Nagad encrypted with the merchant public key
+   * @param {string} data - Base64 ciphertext
+   * @returns {Object} Data
+   */
+  decrypt(data) {
+    return JSON.parse(crypto.privateDecrypt(this.config.merchantPrivateKey, Buffer.from(data, 'base64')).toString());
+  }
+
+  /**
+   * Sign data with the merchant private key
+   * @param {Object} data - Data
+   * @returns {string} Base64 signature
+   */
+  sign(data) {
+    return crypto.sign('sha256', Buffer.from(JSON.stringify(data)), this.config.merchantPrivateKey).toString('base64');
+  }
+
+  /**
+   * Check a payload was signed by Nagad
+   * @param {string} payload - Signed string
+   * @param {string} signature - Base64 signature
+   * @returns {boolean} Whether the signature is valid
+   */
+  verify(payload, signature) {
+    try {
+      return crypto.verify('sha256', Buffer.from(payload), this.config.nagadPublicKey, Buffer.from(signature || '', 'base64'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Send a request to Nagad and unwrap the response
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [body] - Request body
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, path, body) {
+    const { data } = await this.http.request({ method, url: path, data: body, validateStatus: () => true });
+
+    // Nagad errors carry a reason code instead of the expected payload
+    if (data.reason) {
+      throw new PaymentGatewayError(data.message || 'Nagad rejected the request', {
+        path,
+        reason: data.reason
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Decrypt a signed sensitiveData reply, rejecting replies not signed by Nagad
+   * @param {Object} data - Response ({ sensitiveData, signature })
+   * @returns {Object} Decrypted data
+   */
+  openReply(data) {
+    const sensitiveData = this.decrypt(data.sensitiveData);
+
+    if (!this.verify(JSON.stringify(sensitiveData), data.signature)) {
+      throw new PaymentGatewayError('Nagad reply signature is invalid');
+    }
+
+    return sensitiveData;
+  }
+
+  /**
+   * Initialize and complete a checkout; the customer pays at the returned URL
+   * @param {Object} params - Order and callback URL
+   * @param {Object} params.order - Order ({ orderNumber, total })
+   * @param {string} params.callbackUrl - URL Nagad redirects the customer to
+   * @returns {Promise<Object>} Payment reference and redirect URL
+   */
+  async initiate({ order, callbackUrl }) {
+    return this.record('INITIATE', { orderNumber: order.orderNumber, amount: order.total }, async () => {
+      const datetime = this.timestamp();
+      const orderId = order.orderNumber.replace(/[^A-Za-z0-9]/g, '');
+
+      const initData = {
+        merchantId: this.config.merchantId,
+        datetime,
+        orderId,
+        challenge: crypto.randomBytes(20).toString('hex')
+      };
+      const initialized = this.openReply(await this.request(
+        'post',
+        `/api/dfs/check-out/initialize/${this.config.merchantId}/${orderId}`,
+        {
+          accountNumber: this.config.merchantNumber,
+          dateTime: datetime,
+          sensitiveData: this.encrypt(initData),
+          signature: this.sign(initData)
+        }
+      ));
+
+      const orderData = {
+        merchantId: this.config.merchantId,
+        orderId,
+        currencyCode: BDT_CURRENCY_CODE,
+        amount: this.formatAmount(order.total),
+        challenge: initialized.challenge
+      };
+      const response = await this.request('post', `/api/dfs/check-out/complete/${initialized.paymentReferenceId}`, {
+        sensitiveData: this.encrypt(orderData),
+        signature: this.sign(orderData),
+        merchantCallbackURL: callbackUrl,
+        additionalMerchantInfo: { orderNumber: order.orderNumber }
+      });
+
+      return {
+        reference: initialized.paymentReferenceId,
+        redirectUrl: response.callBackUrl,
+        response: { paymentReferenceId: initialized.paymentReferenceId, orderId, status: response.status }
+      };
+    });
+  }
+
+  /**
+   * Verify the callback query was signed by Nagad
+   * @param {Object} params - Callback query (payment_ref_id, status, signature, ...)
+   * @returns {Object} Payment reference and the customer's outcome
+   */
+  verifyCallback(params) {
+    const { signature, ...fields } = params;
+    const payload = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+
+    if (!fields.payment_ref_id || !this.verify(payload, signature)) {
+      throw new ValidationError('Invalid Nagad callback signature');
+    }
+
+    const status = fields.status === 'Success' ? 'success' : fields.status === 'Aborted' ? 'cancel' : 'failure';
+
+    return { reference: fields.payment_ref_id, status, response: fields };
+  }
+
+  /**
+   * Nagad settles payments itself; capture confirms the payment with Nagad
+   * @param {string} reference - Nagad paymentReferenceId
+   * @returns {Promise<Object>} Capture outcome and Nagad issuer reference
+   */
+  async capture(reference) {
+    return this.record('CAPTURE', { reference }, async () => {
+      const response = await this.request('get', `/api/dfs/verify/payment/${reference}`);
+
+      return {
+        status: response.status === 'Success' ? 'COMPLETED' : 'FAILED',
+        gatewayTransactionId: response.issuerPaymentRefNo,
+        response
+      };
+    });
+  }
+
+  /**
+   * Query the current state of a payment
+   * @param {string} reference - Nagad paymentReferenceId
+   * @returns {Promise<Object>} Normalized status and Nagad response
+   */
+  async queryStatus(reference) {
+    return this.record('STATUS', { reference }, async () => {
+      const response = await this.request('get', `/api/dfs/verify/payment/${reference}`);
+
+      const status = response.status === 'Success'
+        ? 'COMPLETED'
+        : ['Initiated', 'Ready', 'InProgress'].includes(response.status) ? 'PROCESSING' : 'FAILED';
+
+      return { status, gatewayTransactionId: response.issuerPaymentRefNo, response };
+    });
+  }
+
+  /**
+   * Refund (cancel) all or part of a completed payment
+   * @param {Object} refund - Refund details
+   * @param {string} refund.reference - Nagad paymentReferenceId
+   * @param {number} refund.amount - Amount to refund in BDT
+   * @param {number} refund.originalAmount - Amount originally paid
+   * @param {string} [refund.reason] - Refund reason
+   * @returns {Promise<Object>} Refund transaction ID and Nagad response
+   */
+  async refund({ reference, amount, originalAmount, reason }) {
+    return this.record('REFUND', { reference, amount }, async () => {
+      const refundData = {
+        originalRequestDate: this.timestamp().slice(0, 8),
+        originalAmount: this.formatAmount(originalAmount),
+        cancelAmount: this.formatAmount(amount),
+        referenceNo: reference,
+        // Kept short: sensitiveData must fit in a single RSA block
+        referenceMessage: (reason || 'Customer refund').slice(0, 60)
+      };
+
+      const result = this.openReply(await this.request('post', `/api/dfs/purchase/cancel?paymentRefId=${reference}`, {
+        sensitiveData: this.encrypt(refundData),
+        signature: this.sign(refundData)
+      }));
+
+      return { refundId: result.cancelTrxId, response: result };
+    });
+  }
+}
+
+module.exports = {
+  NagadGateway
+};
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { PaymentGateway } = require('./PaymentGateway');
+const { PaymentGatewayError, ValidationError } = require('../errors');
+
+/**
+ * Rocket Gateway
+ * Adapter for the Rocket (Dutch-Bangla Bank) merchant payment API. Requests
+ * and callbacks are signed with HMAC-SHA256 using the merchant secret.
+ * Payments are authorized by the customer and captured by the merchant.
+ * Point ROCKET_BASE_URL at mocks/rocketMockServer.js to run offline.
+ */
+class RocketGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ method: 'ROCKET', slug: 'rocket', name: 'Rocket' });
+    this.config = {
+      baseUrl: options.baseUrl || process.env.ROCKET_BASE_URL || 'https://sandbox.rocket.com.bd/merchant',
+      merchantId: options.merchantId || process.env.ROCKET_MERCHANT_ID,
+      secretKey: options.secretKey || process.env.ROCKET_SECRET_KEY,
+      timeout: options.timeout || parseInt(process.env.ROCKET_TIMEOUT_MS) || 30000
+    };
+    this.http = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * HMAC-SHA256 of a string with the merchant secret
+   * @param {string} payload - Payload
+   * @returns {string} Hex signature
+   */
+  hmac(payload) {
+    return crypto.createHmac('sha256', this.config.secretKey || '').update(payload).digest('hex');
+  }
+
+  /**
+   * Send a signed request to Rocket and unwrap the response. The signature
+   * covers the method, path, timestamp and body.
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [body] - Request body
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, path, body) {
+    const timestamp = Date.now().toString();
+    const payload = body ? JSON.stringify(body) : '';
+
+    const { data, status } = await this.http.request({
+      method,
+      url: path,
+      data: payload || undefined,
+      headers: {
+        'X-Merchant-Id': this.config.merchantId,
+        'X-Timestamp': timestamp,
+        'X-Signature': this.hmac(`${method.toUpperCase()}\n${path}\n${timestamp}\n${payload}`)
+      },
+      validateStatus: () => true
+    });
+
+    if (status >= 400) {
+      throw new PaymentGatewayError(data.message || 'Rocket rejected the request', {
+        path,
+        code: data.code
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Create a payment; the customer authorizes it at the returned URL
+   * @param {Object} params - Order and callback URL
+   * @param {Object} params.order - Order ({ orderNumber, total })
+   * @param {string} params.callbackUrl - URL Rocket redirects the customer to
+   * @returns {Promise<Object>} Payment reference and redirect URL
+   */
+  async initiate({ order, callbackUrl }) {
+    return this.record('INITIATE', { orderNumber: order.orderNumber, amount: order.total }, async () => {
+      const response = await this.request('post', '/api/v1/payments', {
+        orderId: order.orderNumber,
+        amount: this.formatAmount(order.total),
+        currency: 'BDT',
+        callbackUrl
+      });
+
+      return {
+        reference: response.paymentId,
+        redirectUrl: response.redirectUrl,
+        response
+      };
+    });
+  }
+
+  /**
+   * Verify the HMAC signature on the callback query
+   * @param {Object} params - Callback query (paymentId, status, signature, ...)
+   * @returns {Object} Payment reference and the customer's outcome
+   */
+  verifyCallback(params) {
+    const { signature, ...fields } = params;
+    const payload = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+    const expected = this.hmac(payload);
+
+    const valid = typeof signature === 'string' &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!fields.paymentId || !valid) {
+      throw new ValidationError('Invalid Rocket callback signature');
+    }
+
+    const status = fields.status === 'AUTHORIZED' ? 'success' : fields.status === 'CANCELLED' ? 'cancel' : 'failure';
+
+    return { reference: fields.paymentId, status, response: fields };
+  }
+
+  /**
+   * Capture an authorized payment
+   * @param {string} reference - Rocket paymentId
+   * @returns {Promise<Object>} Capture outcome and Rocket transaction ID
+   */
+  async capture(reference) {
+    return this.record('CAPTURE', { reference }, async () => {
+      const response = await this.request('post', `/api/v1/payments/${reference}/capture`, {});
+
+      return {
+        status: response.status === 'CAPTURED' ? 'COMPLETED' : 'FAILED',
+        gatewayTransactionId: response.txnId,
+        response
+      };
+    });
+  }
+
+  /**
+   * Query the current state of a payment
+   * @param {string} reference - Rocket paymentId
+   * @returns {Promise<Object>} Normalized status and Rocket response
+   */
+  async queryStatus(reference) {
+    return this.record('STATUS', { reference }, async () => {
+      const response = await this.request('get', `/api/v1/payments/${reference}`);
+
+      const status = response.status === 'CAPTURED'
+        ? 'COMPLETED'
+        : ['INITIATED', 'AUTHORIZED'].includes(response.status) ? 'PROCESSING' : 'FAILED';
+
+      return { status, gatewayTransactionId: response.txnId, response };
+    });
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {Object} refund - Refund details
+   * @param {string} refund.reference - Rocket paymentId
+   * @param {number} refund.amount - Amount to refund in BDT
+   * @param {string} [refund.reason] - Refund reason
+   * @returns {Promise<Object>} Refund ID and Rocket response
+   */
+  async refund({ reference, amount, reason }) {
+    return this.record('REFUND', { reference, amount }, async () => {
+      const response = await this.request('post', `/api/v1/payments/${reference}/refunds`, {
+        amount: this.formatAmount(amount),
+        reason: reason || 'Customer refund'
+      });
+
+      return { refundId: response.refundId, response };
+    });
+  }
+}
+
+module.exports = {
+  RocketGateway
+};
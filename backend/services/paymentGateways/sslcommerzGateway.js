@@ -0,0 +1,235 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { PaymentGateway } = require('./PaymentGateway');
+const { PaymentGatewayError, ValidationError } = require('../errors');
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+/**
+ * SSLCommerz Gateway
+ * Adapter for SSLCommerz hosted checkout, used for card (CREDIT_CARD)
+ * payments. Callbacks are checked with verify_sign and every payment is
+ * confirmed through the validation API before it counts as paid. Point
+ * SSLCOMMERZ_BASE_URL at mocks/sslcommerzMockServer.js to run offline.
+ */
+class SslcommerzGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super({ method: 'CREDIT_CARD', slug: 'sslcommerz', name: 'SSLCommerz' });
+    this.config = {
+      baseUrl: options.baseUrl || process.env.SSLCOMMERZ_BASE_URL || 'https://sandbox.sslcommerz.com',
+      storeId: options.storeId || process.env.SSLCOMMERZ_STORE_ID,
+      storePassword: options.storePassword || process.env.SSLCOMMERZ_STORE_PASSWORD,
+      timeout: options.timeout || parseInt(process.env.SSLCOMMERZ_TIMEOUT_MS) || 30000
+    };
+    this.http = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Call an SSLCommerz validator API with the store credentials
+   * @param {string} path - API path
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async query(path, params) {
+    const { data } = await this.http.get(path, {
+      params: {
+        ...params,
+        store_id: this.config.storeId,
+        store_passwd: this.config.storePassword,
+        format: 'json'
+      }
+    });
+
+    if (data.APIConnect && data.APIConnect !== 'DONE') {
+      throw new PaymentGatewayError(data.errorReason || 'SSLCommerz rejected the request', {
+        path,
+        APIConnect: data.APIConnect
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Open a hosted checkout session; the customer pays at GatewayPageURL
+   * @param {Object} params - Order and callback URL
+   * @param {Object} params.order - Order ({ orderNumber, total, user?, address? })
+   * @param {string} params.callbackUrl - URL SSLCommerz posts the result to
+   * @returns {Promise<Object>} Payment reference (tran_id) and redirect URL
+   */
+  async initiate({ order, callbackUrl }) {
+    return this.record('INITIATE', { orderNumber: order.orderNumber, amount: order.total }, async () => {
+      // tran_id must be unique per attempt, so retries get a suffix
+      const tranId = `${order.orderNumber}-${Date.now().toString(36).toUpperCase()}`;
+      const user = order.user || {};
+      const address = order.address || {};
+
+      const form = new URLSearchParams({
+        store_id: this.config.storeId,
+        store_passwd: this.config.storePassword,
+        total_amount: this.formatAmount(order.total),
+        currency: 'BDT',
+        tran_id: tranId,
+        success_url: callbackUrl,
+        fail_url: callbackUrl,
+        cancel_url: callbackUrl,
+        ipn_url: callbackUrl,
+        product_category: 'electronics',
+        product_name: `Order ${order.orderNumber}`,
+        product_profile: 'physical-goods',
+        shipping_method: 'Courier',
+        num_of_item: '1',
+        cus_name: [user.firstName, user.lastName].filter(Boolean).join(' ') || 'Customer',
+        cus_email: user.email || 'customer@example.com',
+        cus_phone: user.phone || address.phone || '01700000000',
+        cus_add1: address.address || 'N/A',
+        cus_city: address.district || 'Dhaka',
+        cus_country: 'Bangladesh',
+        ship_name: [address.firstName, address.lastName].filter(Boolean).join(' ') || 'Customer',
+        ship_add1: address.address || 'N/A',
+        ship_city: address.district || 'Dhaka',
+        ship_postcode: address.postalCode || '1000',
+        ship_country: 'Bangladesh'
+      });
+
+      const { data } = await this.http.post('/gwprocess/v4/api.php', form.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+
+      if (data.status !== 'SUCCESS') {
+        throw new PaymentGatewayError(data.failedreason || 'SSLCommerz could not open a session');
+      }
+
+      return {
+        reference: tranId,
+        redirectUrl: data.GatewayPageURL,
+        response: { sessionkey: data.sessionkey, status: data.status }
+      };
+    });
+  }
+
+  /**
+   * Check verify_sign: an MD5 over the fields named in verify_key plus the
+   * MD5 of the store password, sorted by field name
+   * @param {Object} params - Posted callback fields
+   * @returns {Object} Payment reference and the customer's outcome
+   */
+  verifyCallback(params) {
+    const { verify_sign: verifySign, verify_key: verifyKey } = params;
+
+    if (!params.tran_id || !verifySign || !verifyKey) {
+      throw new ValidationError('Invalid SSLCommerz callback');
+    }
+
+    const fields = verifyKey.split(',').reduce((signed, key) => {
+      signed[key] = params[key];
+      return signed;
+    }, { store_passwd: md5(this.config.storePassword || '') });
+
+    const payload = Object.keys(fields).sort().map(key => `${key}=${fields[key]}`).join('&');
+
+    if (md5(payload) !== verifySign) {
+      throw new ValidationError('Invalid SSLCommerz callback signature');
+    }
+
+    const status = ['VALID', 'VALIDATED'].includes(params.status)
+      ? 'success'
+      : params.status === 'CANCELLED' ? 'cancel' : 'failure';
+
+    return {
+      reference: params.tran_id,
+      status,
+      response: {
+        tran_id: params.tran_id,
+        val_id: params.val_id,
+        amount: params.amount,
+        card_type: params.card_type,
+        status: params.status
+      }
+    };
+  }
+
+  /**
+   * Validate a completed payment with SSLCommerz (required before fulfilment).
+   * The validated amount and currency must match the transaction, since the
+   * amount can be altered on the way to the payment page.
+   * @param {string} reference - tran_id
+   * @param {Object} callback - Verified callback ({ response: { val_id } })
+   * @param {Object} expected - Amount and currency the transaction was started for
+   * @returns {Promise<Object>} Capture outcome and bank transaction ID
+   */
+  async capture(reference, callback, expected) {
+    return this.record('CAPTURE', { reference }, async () => {
+      const response = await this.query('/validator/api/validationserverAPI.php', {
+        val_id: callback.response.val_id
+      });
+
+      // currency_type/currency_amount hold the original currency when SSLCommerz converted it
+      const paidAmount = parseFloat(response.currency_amount || response.amount);
+      const paidCurrency = response.currency_type || response.currency;
+
+      const valid = ['VALID', 'VALIDATED'].includes(response.status) &&
+        response.tran_id === reference &&
+        paidCurrency === (expected.currency || 'BDT') &&
+        Math.abs(paidAmount - parseFloat(expected.amount)) < 0.01;
+
+      return {
+        status: valid ? 'COMPLETED' : 'FAILED',
+        gatewayTransactionId: response.bank_tran_id,
+        response
+      };
+    });
+  }
+
+  /**
+   * Query the current state of a payment by tran_id
+   * @param {string} reference - tran_id
+   * @returns {Promise<Object>} Normalized status and SSLCommerz response
+   */
+  async queryStatus(reference) {
+    return this.record('STATUS', { reference }, async () => {
+      const response = await this.query('/validator/api/merchantTransIDvalidationAPI.php', {
+        tran_id: reference
+      });
+
+      const latest = (response.element || [])[0];
+      const status = !latest
+        ? 'PROCESSING'
+        : ['VALID', 'VALIDATED'].includes(latest.status) ? 'COMPLETED' : latest.status === 'PENDING' ? 'PROCESSING' : 'FAILED';
+
+      return { status, gatewayTransactionId: latest && latest.bank_tran_id, response };
+    });
+  }
+
+  /**
+   * Refund all or part of a validated payment
+   * @param {Object} refund - Refund details
+   * @param {string} refund.reference - tran_id
+   * @param {string} refund.gatewayTransactionId - bank_tran_id of the payment
+   * @param {number} refund.amount - Amount to refund in BDT
+   * @param {string} [refund.reason] - Refund reason
+   * @returns {Promise<Object>} Refund reference and SSLCommerz response
+   */
+  async refund({ reference, gatewayTransactionId, amount, reason }) {
+    return this.record('REFUND', { reference, amount }, async () => {
+      const response = await this.query('/validator/api/merchantTransIDvalidationAPI.php', {
+        bank_tran_id: gatewayTransactionId,
+        refund_amount: this.formatAmount(amount),
+        refund_remarks: reason || 'Customer refund'
+      });
+
+      if (response.status !== 'success') {
+        throw new PaymentGatewayError(response.errorReason || 'SSLCommerz refused the refund');
+      }
+
+      return { refundId: response.refund_ref_id, response };
+    });
+  }
+}
+
+module.exports = {
+  SslcommerzGateway
+};
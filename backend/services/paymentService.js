@@ -0,0 +1,454 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { paymentGatewayRegistry } = require('./paymentGateways');
+const { ValidationError, ForbiddenError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Order payment statuses from which a new payment attempt may start
+const PAYABLE_STATUSES = ['PENDING', 'PROCESSING', 'FAILED', 'CANCELLED'];
+
+// Order statuses that can no longer be paid for
+const UNPAYABLE_ORDER_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+/**
+ * Payment Service
+ * Runs online payments for orders through the gateway registered for the
+ * order's payment method: records a Transaction per gateway payment or
+ * refund and keeps Order.paymentStatus/paidAt in step with it
+ */
+class PaymentService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.gateways = paymentGatewayRegistry;
+    this.callbackBaseUrl = process.env.PAYMENT_CALLBACK_BASE_URL ||
+      `http://localhost:${process.env.PORT || 3001}/api/v1/payments`;
+  }
+
+  /**
+   * URL a gateway sends the customer (or its server) back to
+   * @param {Object} gateway - Gateway adapter
+   * @returns {string} Callback URL
+   */
+  callbackUrl(gateway) {
+    return `${this.callbackBaseUrl}/${gateway.slug}/callback`;
+  }
+
+  /**
+   * Start an online payment for an order with the gateway of its payment method
+   * @param {string} orderId - Order ID
+   * @param {Object} user - Authenticated user ({ id, role }), or { guestOrderId } for a guest holding an order token
+   * @returns {Promise<Object>} Transaction and the URL to redirect the customer to
+   */
+  async initiatePayment(orderId, user) {
+    const order = await this.prisma.order.findUnique({
+      where: { id: orderId },
+      include: {
+        user: { select: { firstName: true, lastName: true, email: true, phone: true } },
+        address: true
+      }
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    const isOwner = user.id
+      ? order.userId === user.id
+      : !order.userId && user.guestOrderId === order.id;
+
+    if (!isOwner) {
+      throw new ForbiddenError('You can only pay for your own orders');
+    }
+
+    const gateway = this.gateways.get(order.paymentMethod);
+
+    if (!PAYABLE_STATUSES.includes(order.paymentStatus) || UNPAYABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new ValidationError(`Order cannot be paid (payment status ${order.paymentStatus}, order status ${order.status})`);
+    }
+
+    // A customer who abandoned the gateway page may retry; settle the earlier attempt first
+    if (order.paymentStatus === 'PROCESSING') {
+      const previous = await this.resolveAbandonedPayment(order.id);
+      if (previous && previous.status === 'COMPLETED') {
+        throw new ValidationError('Order is already paid');
+      }
+    }
+
+    const transaction = await this.prisma.transaction.create({
+      data: {
+        orderId: order.id,
+        paymentMethod: order.paymentMethod,
+        amount: order.total,
+        status: 'PENDING'
+      }
+    });
+
+    let payment;
+    try {
+      payment = await gateway.initiate({ order: this.withCustomer(order), callbackUrl: this.callbackUrl(gateway) });
+    } catch (error) {
+      await this.prisma.transaction.update({
+        where: { id: transaction.id },
+        data: { status: 'FAILED', gatewayResponse: { error: error.message, ...error.details } }
+      });
+      throw error;
+    }
+
+    const updated = await this.prisma.transaction.update({
+      where: { id: transaction.id },
+      data: {
+        status: 'PROCESSING',
+        transactionId: payment.reference,
+        gatewayResponse: { initiate: payment.response }
+      }
+    });
+
+    await this.prisma.order.update({
+      where: { id: order.id },
+      data: { paymentStatus: 'PROCESSING' }
+    });
+
+    return {
+      transaction: updated,
+      gateway: gateway.name,
+      reference: payment.reference,
+      redirectUrl: payment.redirectUrl
+    };
+  }
+
+  /**
+   * Give guest orders the user and address shape gateways read customer
+   * details from; guests keep them on the order itself
+   * @param {Object} order - Order with user and address included
+   * @returns {Object} Order with user and address set
+   */
+  withCustomer(order) {
+    if (order.user) {
+      return order;
+    }
+
+    const address = order.shippingAddress || {};
+    return {
+      ...order,
+      user: { firstName: address.firstName, lastName: address.lastName, email: order.guestEmail, phone: order.guestPhone },
+      address
+    };
+  }
+
+  /**
+   * Handle a gateway callback. The callback signature is verified first;
+   * successful authorizations are then captured, and if capture fails the
+   * payment is queried, since the gateway may have completed it anyway.
+   * Failed and cancelled callbacks are confirmed with a status query before
+   * the payment is settled, as not every gateway signs its callbacks.
+   * Repeated callbacks for a settled payment are no-ops.
+   * @param {string} slug - Gateway callback slug
+   * @param {Object} params - Callback query or posted fields
+   * @returns {Promise<Object>} Order ID and the resulting payment status
+   */
+  async handleCallback(slug, params) {
+    const gateway = this.gateways.getBySlug(slug);
+
+    if (!gateway) {
+      throw new NotFoundError('Payment gateway not found');
+    }
+
+    const callback = await gateway.verifyCallback(params);
+
+    const transaction = await this.prisma.transaction.findFirst({
+      where: { transactionId: callback.reference, paymentMethod: gateway.method }
+    });
+
+    if (!transaction) {
+      throw new NotFoundError('Payment not found');
+    }
+
+    if (transaction.status !== 'PROCESSING') {
+      return { orderId: transaction.orderId, status: transaction.status };
+    }
+
+    if (callback.status !== 'success') {
+      return this.settleFailedCallback(gateway, transaction, callback);
+    }
+
+    let result;
+    try {
+      result = await gateway.capture(callback.reference, callback, {
+        amount: transaction.amount,
+        currency: transaction.currency
+      });
+    } catch (error) {
+      result = await gateway.queryStatus(callback.reference);
+    }
+
+    const settledStatus = result.status === 'COMPLETED' ? 'COMPLETED' : 'FAILED';
+    return this.settleTransaction(transaction, settledStatus, {
+      callback: callback.response,
+      capture: result.response,
+      gatewayTransactionId: result.gatewayTransactionId || null
+    });
+  }
+
+  /**
+   * Settle a payment the customer reportedly cancelled or failed, going by
+   * the gateway's own status. A payment that is still open is left
+   * processing for the abandoned payment sweep to settle.
+   * @param {Object} gateway - Gateway adapter
+   * @param {Object} transaction - Processing transaction
+   * @param {Object} callback - Verified callback
+   * @returns {Promise<Object>} Order ID and the resulting payment status
+   */
+  async settleFailedCallback(gateway, transaction, callback) {
+    const result = await gateway.queryStatus(callback.reference);
+
+    if (result.status === 'PROCESSING') {
+      return { orderId: transaction.orderId, status: transaction.status };
+    }
+
+    const failedStatus = callback.status === 'cancel' ? 'CANCELLED' : 'FAILED';
+    return this.settleTransaction(transaction, result.status === 'COMPLETED' ? 'COMPLETED' : failedStatus, {
+      callback: callback.response,
+      query: result.response,
+      gatewayTransactionId: result.gatewayTransactionId || null
+    });
+  }
+
+  /**
+   * Settle an order's unfinished payment from its live gateway status. A
+   * payment that was never captured is failed; capturing is what charges the
+   * customer, so a late callback for it can no longer take money.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Settled status, or null if nothing was pending
+   */
+  async resolveAbandonedPayment(orderId) {
+    const transaction = await this.prisma.transaction.findFirst({
+      where: { orderId, status: 'PROCESSING' },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!transaction) {
+      return null;
+    }
+
+    const gateway = this.gateways.get(transaction.paymentMethod);
+    const result = await gateway.queryStatus(transaction.transactionId);
+
+    return this.settleTransaction(transaction, result.status === 'COMPLETED' ? 'COMPLETED' : 'FAILED', {
+      query: result.response,
+      gatewayTransactionId: result.gatewayTransactionId || null
+    });
+  }
+
+  /**
+   * Move a processing transaction to its final status and mirror it on the
+   * order. Only the first of concurrent callbacks settles a payment; later
+   * ones get the status it was settled with. A payment completed for an
+   * order cancelled while it was in flight is refunded, not marked paid.
+   * @param {Object} transaction - Transaction
+   * @param {string} status - Final PaymentStatus
+   * @param {Object} response - Gateway response to store
+   * @returns {Promise<Object>} Order ID and the settled payment status
+   */
+  async settleTransaction(transaction, status, response) {
+    const settled = await this.prisma.$transaction(async (tx) => {
+      const result = await tx.transaction.updateMany({
+        where: { id: transaction.id, status: 'PROCESSING' },
+        data: {
+          status,
+          gatewayResponse: { ...(transaction.gatewayResponse || {}), ...response }
+        }
+      });
+
+      if (result.count === 0) {
+        return false;
+      }
+
+      const order = await tx.order.findUnique({
+        where: { id: transaction.orderId },
+        select: { status: true }
+      });
+
+      if (status === 'COMPLETED' && UNPAYABLE_ORDER_STATUSES.includes(order.status)) {
+        return { refundDue: true };
+      }
+
+      await tx.order.update({
+        where: { id: transaction.orderId },
+        data: status === 'COMPLETED'
+          ? { paymentStatus: 'COMPLETED', paidAt: new Date() }
+          : { paymentStatus: status }
+      });
+
+      return { refundDue: false };
+    });
+
+    if (!settled) {
+      const current = await this.prisma.transaction.findUnique({
+        where: { id: transaction.id }
+      });
+      return { orderId: transaction.orderId, status: current.status };
+    }
+
+    this.logger.logPayment('PAYMENT_SETTLED', {
+      paymentMethod: transaction.paymentMethod,
+      orderId: transaction.orderId,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      status,
+      transactionId: transaction.transactionId
+    });
+
+    if (settled.refundDue) {
+      return this.refundCancelledOrderPayment(transaction);
+    }
+
+    return { orderId: transaction.orderId, status };
+  }
+
+  /**
+   * Refund a payment that completed after its order was cancelled. If the
+   * gateway refund fails the order is left marked paid, so the payment
+   * shows up for a manual refund, and the failure is logged.
+   * @param {Object} transaction - Completed transaction
+   * @returns {Promise<Object>} Order ID and the resulting payment status
+   */
+  async refundCancelledOrderPayment(transaction) {
+    try {
+      await this.refundPayment(transaction.orderId, { reason: 'Order cancelled before the payment completed' });
+      return { orderId: transaction.orderId, status: 'REFUNDED' };
+    } catch (error) {
+      await this.prisma.order.update({
+        where: { id: transaction.orderId },
+        data: { paymentStatus: 'COMPLETED', paidAt: new Date() }
+      });
+
+      this.logger.logPayment('PAYMENT_REFUND_REQUIRED', {
+        paymentMethod: transaction.paymentMethod,
+        orderId: transaction.orderId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: 'COMPLETED',
+        transactionId: transaction.transactionId,
+        error: error.message
+      });
+
+      return { orderId: transaction.orderId, status: 'COMPLETED' };
+    }
+  }
+
+  /**
+   * Query the gateway for the live state of an order's latest payment
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Transaction and the normalized gateway status
+   */
+  async queryPayment(orderId) {
+    const transaction = await this.getLatestTransaction(orderId);
+    const gateway = this.gateways.get(transaction.paymentMethod);
+    const result = await gateway.queryStatus(transaction.transactionId);
+
+    return {
+      transaction,
+      gateway: { name: gateway.name, status: result.status, response: result.response }
+    };
+  }
+
+  /**
+   * Refund all or part of an order's completed payment. Each refund is
+   * recorded as its own REFUNDED transaction; the order is marked REFUNDED
+   * once the refunds cover the amount paid.
+   * @param {string} orderId - Order ID
+   * @param {Object} refund - Refund details
+   * @param {number} [refund.amount] - Amount to refund (defaults to the remaining amount)
+   * @param {string} [refund.reason] - Refund reason
+   * @returns {Promise<Object>} Refund transaction
+   */
+  async refundPayment(orderId, { amount, reason } = {}) {
+    const payment = await this.getLatestTransaction(orderId, 'COMPLETED');
+    const gateway = this.gateways.get(payment.paymentMethod);
+
+    const refunds = await this.prisma.transaction.findMany({
+      where: { orderId, paymentMethod: payment.paymentMethod, status: 'REFUNDED' }
+    });
+    const refunded = refunds.reduce((sum, refund) => sum + parseFloat(refund.amount), 0);
+    const refundable = Math.round((parseFloat(payment.amount) - refunded) * 100) / 100;
+    const refundAmount = amount !== undefined ? parseFloat(amount) : refundable;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new ValidationError(`Refund amount must be between 0 and ${refundable}`);
+    }
+
+    const result = await gateway.refund({
+      reference: payment.transactionId,
+      gatewayTransactionId: payment.gatewayResponse ? payment.gatewayResponse.gatewayTransactionId : undefined,
+      amount: refundAmount,
+      originalAmount: parseFloat(payment.amount),
+      reason
+    });
+
+    const refundTransaction = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.transaction.create({
+        data: {
+          orderId,
+          paymentMethod: payment.paymentMethod,
+          amount: refundAmount,
+          status: 'REFUNDED',
+          transactionId: result.refundId,
+          gatewayResponse: { refund: result.response, reason: reason || null }
+        }
+      });
+
+      if (refundAmount === refundable) {
+        await tx.order.update({
+          where: { id: orderId },
+          data: { paymentStatus: 'REFUNDED' }
+        });
+      }
+
+      return created;
+    });
+
+    this.logger.logPayment('PAYMENT_REFUNDED', {
+      paymentMethod: payment.paymentMethod,
+      orderId,
+      amount: refundAmount,
+      currency: payment.currency,
+      status: 'REFUNDED',
+      transactionId: result.refundId
+    });
+
+    return refundTransaction;
+  }
+
+  /**
+   * Get the latest gateway payment transaction of an order
+   * @param {string} orderId - Order ID
+   * @param {string} [status] - Required transaction status
+   * @returns {Promise<Object>} Transaction
+   */
+  async getLatestTransaction(orderId, status) {
+    const transaction = await this.prisma.transaction.findFirst({
+      where: {
+        orderId,
+        status: status || { not: 'REFUNDED' },
+        transactionId: { not: null }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!transaction) {
+      throw new NotFoundError(status ? `No ${status.toLowerCase()} payment for this order` : 'No payment for this order');
+    }
+
+    return transaction;
+  }
+}
+
+// Singleton instance
+const paymentService = new PaymentService();
+
+module.exports = {
+  PaymentService,
+  paymentService
+};
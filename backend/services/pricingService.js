@@ -0,0 +1,335 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { productPublishingService } = require('./productPublishingService');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Campaigns starting within this window are kept in the snapshot, so they
+// start on time between refreshes
+const PROMOTION_LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots older than this are reloaded before pricing items for checkout
+const PROMOTION_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Pricing Service
+ * Single source of selling prices for cart, checkout and orders. Resolves
+ * variant prices, scheduled sale prices and promotion campaigns, and
+ * validates that a variant belongs to the product being priced.
+ *
+ * Campaigns are read from an in-memory snapshot of live and upcoming
+ * campaigns so prices can be resolved synchronously; windows are checked
+ * at the time being priced, so campaigns start and end on time and prices
+ * revert by themselves.
+ */
+class PricingService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.publishingService = productPublishingService;
+    this.promotions = [];
+    this.promotionsLoadedAt = 0;
+  }
+
+  /**
+   * Parse an optional decimal column
+   * @param {*} value - Decimal, string or null
+   * @returns {number|null} Parsed number
+   */
+  toNumberOrNull(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  /**
+   * Check whether a product's sale price applies at a point in time. A sale
+   * without a window is always on; saleStartsAt/saleEndsAt bound it when set.
+   * @param {Object} product - Product
+   * @param {Date} [at] - Point in time
+   * @returns {boolean} Whether the sale price applies
+   */
+  isSaleActive(product, at = new Date()) {
+    const salePrice = this.toNumberOrNull(product.salePrice);
+
+    if (salePrice === null || salePrice >= parseFloat(product.regularPrice)) {
+      return false;
+    }
+    if (product.saleStartsAt && new Date(product.saleStartsAt) > at) {
+      return false;
+    }
+    if (product.saleEndsAt && new Date(product.saleEndsAt) <= at) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Price of a promotion item applied to a base price, rounded to paisa
+   * @param {Object} item - Promotion item ({ discountType, discountValue, maxDiscount })
+   * @param {number} basePrice - Price before the promotion
+   * @returns {number} Promotion price (never below 0)
+   */
+  discountedPrice(item, basePrice) {
+    const value = parseFloat(item.discountValue);
+    let price;
+
+    if (item.discountType === 'FIXED_PRICE') {
+      price = value;
+    } else if (item.discountType === 'FIXED_AMOUNT') {
+      price = basePrice - value;
+    } else {
+      const maxDiscount = this.toNumberOrNull(item.maxDiscount);
+      const discount = basePrice * value / 100;
+      price = basePrice - (maxDiscount !== null ? Math.min(discount, maxDiscount) : discount);
+    }
+
+    return Math.max(0, Math.round(price * 100) / 100);
+  }
+
+  /**
+   * Check whether a campaign is running at a point in time and has quantity left
+   * @param {Object} campaign - Campaign
+   * @param {Date} [at] - Point in time
+   * @returns {boolean} Whether the campaign prices items
+   */
+  isPromotionLive(campaign, at = new Date()) {
+    return campaign.isActive !== false &&
+      new Date(campaign.startsAt) <= at &&
+      new Date(campaign.endsAt) > at &&
+      (campaign.quantityCap === null || campaign.soldQuantity < campaign.quantityCap);
+  }
+
+  /**
+   * Load live and upcoming campaigns into the snapshot. Category items are
+   * expanded to the category's subcategories.
+   * @param {Date} [at] - Point in time
+   * @returns {Promise<Array<Object>>} Campaigns in the snapshot
+   */
+  async loadPromotions(at = new Date()) {
+    const campaigns = await this.prisma.promotionCampaign.findMany({
+      where: {
+        isActive: true,
+        startsAt: { lte: new Date(at.getTime() + PROMOTION_LOOKAHEAD_MS) },
+        endsAt: { gt: at }
+      },
+      include: { items: true },
+      orderBy: { startsAt: 'asc' }
+    });
+
+    const categories = campaigns.some(campaign => campaign.items.some(item => item.categoryId))
+      ? await this.prisma.category.findMany({ select: { id: true, parentId: true } })
+      : [];
+    const children = new Map();
+    for (const category of categories) {
+      if (!children.has(category.parentId)) children.set(category.parentId, []);
+      children.get(category.parentId).push(category.id);
+    }
+    const subtree = (categoryId) => {
+      const ids = new Set([categoryId]);
+      for (const id of ids) {
+        (children.get(id) || []).forEach(child => ids.add(child));
+      }
+      return ids;
+    };
+
+    this.promotions = campaigns.map(campaign => {
+      const items = campaign.items.map(item => ({
+        ...item,
+        categoryIds: item.categoryId ? subtree(item.categoryId) : null
+      }));
+
+      // Where category items nest, a subcategory's own item wins over its parent's
+      for (const item of items) {
+        for (const other of items) {
+          if (other !== item && item.categoryIds && other.categoryId && item.categoryIds.has(other.categoryId)) {
+            other.categoryIds.forEach(id => item.categoryIds.delete(id));
+          }
+        }
+      }
+
+      return { ...campaign, items };
+    });
+    this.promotionsLoadedAt = Date.now();
+
+    return this.promotions;
+  }
+
+  /**
+   * Reload the campaign snapshot if it is stale. A failed reload keeps the
+   * previous snapshot.
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Reload even if the snapshot is fresh
+   */
+  async refreshPromotions({ force = false } = {}) {
+    if (!force && Date.now() - this.promotionsLoadedAt < PROMOTION_MAX_AGE_MS) {
+      return;
+    }
+
+    try {
+      await this.loadPromotions();
+    } catch (error) {
+      this.logger.warn('Promotion refresh failed; keeping the previous campaigns', { error: error.message });
+    }
+  }
+
+  /**
+   * Mark the campaign snapshot stale so the next checkout reloads it
+   */
+  invalidatePromotions() {
+    this.promotionsLoadedAt = 0;
+  }
+
+  /**
+   * Find the live campaign giving a product the lowest price. Within a
+   * campaign a product item wins over a category item.
+   * @param {Object} product - Product ({ id, categoryId })
+   * @param {number} basePrice - Price before promotions
+   * @param {Date} [at] - Point in time
+   * @returns {Object|null} { campaign, item, price }
+   */
+  findPromotion(product, basePrice, at = new Date()) {
+    let best = null;
+
+    for (const campaign of this.promotions) {
+      if (!this.isPromotionLive(campaign, at)) continue;
+
+      const item = campaign.items.find(entry => entry.productId === product.id) ||
+        campaign.items.find(entry => entry.categoryIds && entry.categoryIds.has(product.categoryId));
+      if (!item) continue;
+
+      const price = this.discountedPrice(item, basePrice);
+      if (price < basePrice && (!best || price < best.price)) {
+        best = { campaign, item, price };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Resolve the unit price of a product or one of its variants. Variants are
+   * sold at their own price; products at their sale price while it is active.
+   * A live campaign applies on top of the variant or regular price when it
+   * gives a lower price.
+   * @param {Object} product - Product
+   * @param {Object|null} [variant] - Variant of the product
+   * @param {Date} [at] - Point in time
+   * @returns {Object} Unit price, list price, sale details and the campaign applied
+   */
+  resolvePrice(product, variant = null, at = new Date()) {
+    const listed = this.resolveListedPrice(product, variant, at);
+    const basePrice = variant ? parseFloat(variant.price) : parseFloat(product.regularPrice);
+    const promotion = this.findPromotion(product, basePrice, at);
+
+    if (!promotion || promotion.price >= listed.unitPrice) {
+      return { ...listed, promotion: null };
+    }
+
+    const { campaign } = promotion;
+
+    return {
+      unitPrice: promotion.price,
+      listPrice: Math.max(listed.listPrice, basePrice),
+      onSale: true,
+      saleEndsAt: campaign.endsAt,
+      promotion: {
+        id: campaign.id,
+        name: campaign.name,
+        nameBn: campaign.nameBn,
+        slug: campaign.slug,
+        endsAt: campaign.endsAt,
+        remainingQuantity: campaign.quantityCap === null ? null : campaign.quantityCap - campaign.soldQuantity
+      }
+    };
+  }
+
+  /**
+   * Resolve the price of a product or variant without campaigns
+   * @param {Object} product - Product
+   * @param {Object|null} variant - Variant of the product
+   * @param {Date} at - Point in time
+   * @returns {Object} Unit price, list price and sale details
+   */
+  resolveListedPrice(product, variant, at) {
+    if (variant) {
+      const price = parseFloat(variant.price);
+      const comparePrice = this.toNumberOrNull(variant.comparePrice);
+
+      return {
+        unitPrice: price,
+        listPrice: comparePrice !== null && comparePrice > price ? comparePrice : price,
+        onSale: comparePrice !== null && comparePrice > price,
+        saleEndsAt: null
+      };
+    }
+
+    const regularPrice = parseFloat(product.regularPrice);
+
+    if (this.isSaleActive(product, at)) {
+      return {
+        unitPrice: parseFloat(product.salePrice),
+        listPrice: regularPrice,
+        onSale: true,
+        saleEndsAt: product.saleEndsAt || null
+      };
+    }
+
+    return {
+      unitPrice: regularPrice,
+      listPrice: regularPrice,
+      onSale: false,
+      saleEndsAt: null
+    };
+  }
+
+  /**
+   * Load the product (and variant) behind an item and price it, with
+   * campaigns no older than PROMOTION_MAX_AGE_MS. Drafts and products
+   * scheduled for later cannot be priced.
+   * @param {Object} item - Item ({ productId, variantId })
+   * @param {Object} [client] - Prisma client or transaction client
+   * @param {Date} [at] - Point in time
+   * @returns {Promise<Object>} Product, variant and resolved price
+   */
+  async priceItem({ productId, variantId }, client = this.prisma, at = new Date()) {
+    await this.refreshPromotions();
+
+    const product = await client.product.findUnique({
+      where: { id: productId }
+    });
+
+    if (!product) {
+      throw new NotFoundError(`Product ${productId} not found`);
+    }
+
+    if (!this.publishingService.isPublished(product, at)) {
+      throw new ValidationError(`Product ${product.name} is not available`);
+    }
+
+    let variant = null;
+    if (variantId) {
+      variant = await client.productVariant.findUnique({
+        where: { id: variantId }
+      });
+
+      if (!variant || variant.productId !== product.id || !variant.isActive) {
+        throw new ValidationError(`Variant ${variantId} is not available for product ${product.name}`);
+      }
+    }
+
+    return {
+      product,
+      variant,
+      ...this.resolvePrice(product, variant, at)
+    };
+  }
+}
+
+// Singleton instance
+const pricingService = new PricingService();
+
+module.exports = {
+  PricingService,
+  pricingService
+};
@@ -0,0 +1,220 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { pricingService } = require('./pricingService');
+const { productPublishingService } = require('./productPublishingService');
+const { queryNormalizationService } = require('./queryNormalizationService');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+const MIN_PRODUCTS = 2;
+const MAX_PRODUCTS = 4;
+
+// Specification names that mean the same thing, after normalization
+const SPEC_NAME_ALIASES = {
+  memory: 'ram',
+  'ram size': 'ram',
+  'ram memory': 'ram',
+  'internal storage': 'storage',
+  'storage capacity': 'storage',
+  rom: 'storage',
+  'battery capacity': 'battery',
+  'display size': 'screen size',
+  'screen size inches': 'screen size',
+  'operating system': 'os',
+  'processor model': 'processor',
+  chipset: 'processor',
+  cpu: 'processor',
+  'graphics card': 'gpu',
+  graphics: 'gpu',
+  'main camera': 'rear camera',
+  'back camera': 'rear camera',
+  'selfie camera': 'front camera',
+  colour: 'color'
+};
+
+/**
+ * Product Comparison Service
+ * Side-by-side comparison of 2-4 products of the same category family:
+ * price, warranty and rating, and their free-form specifications aligned by
+ * normalized name ("RAM", "Ram:" and "Memory" share a row) with the rows
+ * whose values differ flagged.
+ */
+class ProductComparisonService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.pricingService = pricingService;
+    this.normalizer = queryNormalizationService;
+    this.publishingService = productPublishingService;
+  }
+
+  /**
+   * Normalized key of a specification name
+   * @param {string} name - Specification name as entered
+   * @returns {string} Key
+   */
+  specKey(name) {
+    const key = this.normalizer.normalizeText(name).replace(/[.+-]+$/, '').trim();
+    return SPEC_NAME_ALIASES[key] || key;
+  }
+
+  /**
+   * Normalized form of a value, for telling whether values differ
+   * @param {*} value - Value
+   * @returns {string} Comparable value
+   */
+  valueKey(value) {
+    if (value === null || value === undefined) return '';
+    return this.normalizer.normalizeText(typeof value === 'object' ? JSON.stringify(value) : value).replace(/\s+/g, '');
+  }
+
+  /**
+   * Whether categories can be compared: the same category, a parent and its
+   * child, or two children of the same parent
+   * @param {Array<Object>} categories - Categories ({ id, parentId })
+   * @returns {boolean} True if compatible
+   */
+  areCompatible(categories) {
+    const [first, ...rest] = categories;
+    return rest.every(category =>
+      category.id === first.id ||
+      category.parentId === first.id ||
+      first.parentId === category.id ||
+      (category.parentId !== null && category.parentId === first.parentId)
+    );
+  }
+
+  /**
+   * Compare products
+   * @param {Array<string>} ids - Product IDs (2 to 4), in display order
+   * @returns {Promise<Object>} Products, the attribute rows (price, warranty,
+   *   rating) and the aligned specification rows, each with a different flag
+   */
+  async compare(ids) {
+    const uniqueIds = [...new Set(ids)];
+    if (uniqueIds.length < MIN_PRODUCTS || uniqueIds.length > MAX_PRODUCTS) {
+      throw new ValidationError(`Compare ${MIN_PRODUCTS} to ${MAX_PRODUCTS} different products`);
+    }
+
+    const found = await this.prisma.product.findMany({
+      where: { id: { in: uniqueIds }, ...this.publishingService.publicationWhere() },
+      include: {
+        category: { select: { id: true, name: true, slug: true, parentId: true } },
+        brand: { select: { id: true, name: true, slug: true } },
+        images: { orderBy: { sortOrder: 'asc' }, take: 1, select: { url: true, alt: true } },
+        specifications: { orderBy: { sortOrder: 'asc' }, select: { name: true, value: true } }
+      }
+    });
+
+    const missing = uniqueIds.filter(id => !found.some(product => product.id === id));
+    if (missing.length) {
+      throw new NotFoundError(`Product not found: ${missing.join(', ')}`);
+    }
+    const products = uniqueIds.map(id => found.find(product => product.id === id));
+
+    if (!this.areCompatible(products.map(product => product.category))) {
+      throw new ValidationError('Products from different categories cannot be compared', {
+        categories: [...new Set(products.map(product => product.category.name))]
+      });
+    }
+
+    const ratings = await this.prisma.review.groupBy({
+      by: ['productId'],
+      where: { productId: { in: uniqueIds }, isApproved: true },
+      _avg: { rating: true },
+      _count: { rating: true }
+    });
+    const ratingOf = (productId) => {
+      const rating = ratings.find(row => row.productId === productId);
+      return {
+        average: rating && rating._avg.rating !== null ? Math.round(rating._avg.rating * 10) / 10 : null,
+        count: rating ? rating._count.rating : 0
+      };
+    };
+
+    const summaries = products.map(product => ({
+      id: product.id,
+      name: product.name,
+      nameBn: product.nameBn,
+      slug: product.slug,
+      sku: product.sku,
+      image: product.images[0] || null,
+      category: { id: product.category.id, name: product.category.name, slug: product.category.slug },
+      brand: product.brand,
+      pricing: this.pricingService.resolvePrice(product),
+      warranty: {
+        period: product.warrantyPeriod,
+        type: product.warrantyType
+      },
+      rating: ratingOf(product.id),
+      stockQuantity: product.stockQuantity
+    }));
+
+    const attributes = [
+      this.row('price', 'Price', summaries.map(summary => summary.pricing.unitPrice)),
+      this.row('brand', 'Brand', summaries.map(summary => summary.brand.name)),
+      this.row('warranty', 'Warranty', summaries.map(summary => (summary.warranty.period === null && !summary.warranty.type
+        ? null
+        : [summary.warranty.period !== null ? `${summary.warranty.period} months` : null, summary.warranty.type].filter(Boolean).join(' ')))),
+      this.row('rating', 'Rating', summaries.map(summary => summary.rating.average))
+    ];
+
+    return {
+      products: summaries,
+      attributes,
+      specifications: this.alignSpecifications(products)
+    };
+  }
+
+  /**
+   * A comparison row
+   * @param {string} key - Row key
+   * @param {string} name - Display name
+   * @param {Array} values - One value per product (null when missing)
+   * @returns {Object} Row with its different flag
+   */
+  row(key, name, values) {
+    return {
+      key,
+      name,
+      values,
+      different: new Set(values.map(value => this.valueKey(value))).size > 1
+    };
+  }
+
+  /**
+   * Align the specifications of products by normalized name. Rows follow the
+   * order specifications first appear in; a product without a specification
+   * has null in that row.
+   * @param {Array<Object>} products - Products with specifications
+   * @returns {Array<Object>} Rows ({ key, name, values, different })
+   */
+  alignSpecifications(products) {
+    const rows = new Map();
+
+    products.forEach((product, index) => {
+      for (const spec of product.specifications) {
+        const key = this.specKey(spec.name);
+        if (!key) continue;
+
+        if (!rows.has(key)) {
+          rows.set(key, { name: spec.name.trim(), values: products.map(() => null) });
+        }
+        const row = rows.get(key);
+        // A product listing the same specification twice keeps both values
+        row.values[index] = row.values[index] === null ? spec.value : `${row.values[index]}, ${spec.value}`;
+      }
+    });
+
+    return [...rows].map(([key, { name, values }]) => this.row(key, name, values));
+  }
+}
+
+// Singleton instance
+const productComparisonService = new ProductComparisonService();
+
+module.exports = {
+  ProductComparisonService,
+  productComparisonService
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// WebP renditions generated for every upload, by largest width
+const RENDITIONS = {
+  thumbnail: 150,
+  medium: 600,
+  large: 1200
+};
+
+// Source formats accepted for upload (as detected from the file, not its name)
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Product Image Service
+ * Stores uploaded product images as WebP renditions (thumbnail, medium,
+ * large) under uploads/products/<productId>, rotated upright and stripped of
+ * EXIF and other metadata, and manages their order and bilingual alt text.
+ * Images are returned in a srcset-ready shape.
+ */
+class ProductImageService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.uploadRoot = path.join(__dirname, '../uploads');
+    this.quality = parseInt(process.env.PRODUCT_IMAGE_WEBP_QUALITY) || 80;
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} productId - Product ID
+   * @param {string} filename - File name
+   * @returns {string} URL path under /uploads
+   */
+  fileUrl(productId, filename) {
+    return `/uploads/products/${productId}/${filename}`;
+  }
+
+  /**
+   * Write the WebP renditions of an uploaded image. Metadata (EXIF, GPS,
+   * ICC) is not copied to the output, so rotation is applied first.
+   * @param {Buffer} buffer - Uploaded file
+   * @param {string} productId - Product ID
+   * @param {string} imageId - Image ID (file name prefix)
+   * @returns {Promise<Object>} Original width/height and the renditions by name
+   */
+  async createRenditions(buffer, productId, imageId) {
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new ValidationError('File is not a readable image');
+    }
+    if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+      throw new ValidationError(`Unsupported image format: ${metadata.format}. Use ${ACCEPTED_FORMATS.join(', ')}`);
+    }
+
+    const dir = path.join(this.uploadRoot, 'products', productId);
+    await fs.mkdir(dir, { recursive: true });
+
+    // EXIF orientations 5-8 swap width and height
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const renditions = {};
+    for (const [name, maxWidth] of Object.entries(RENDITIONS)) {
+      const filename = `${imageId}-${name}.webp`;
+      const info = await sharp(buffer)
+        .rotate()
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        .webp({ quality: this.quality })
+        .toFile(path.join(dir, filename));
+
+      renditions[name] = { url: this.fileUrl(productId, filename), width: info.width, height: info.height };
+    }
+
+    return { width, height, renditions };
+  }
+
+  /**
+   * Delete the files of an image's renditions; missing files are ignored
+   * @param {Object} image - Product image
+   * @returns {Promise<void>}
+   */
+  async removeFiles(image) {
+    for (const rendition of Object.values(image.renditions || {})) {
+      const file = path.join(this.uploadRoot, rendition.url.replace(/^\/uploads\//, ''));
+      try {
+        await fs.unlink(file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.logger.warn('Failed to delete product image file', { imageId: image.id, file, error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Get a product's image, or throw
+   * @param {string} productId - Product ID
+   * @param {string} imageId - Image ID
+   * @returns {Promise<Object>} Product image
+   */
+  async getImage(productId, imageId) {
+    const image = await this.prisma.productImage.findFirst({ where: { id: imageId, productId } });
+    if (!image) {
+      throw new NotFoundError('Product image not found');
+    }
+    return image;
+  }
+
+  /**
+   * Add uploaded images to a product, after its existing images
+   * @param {string} productId - Product ID
+   * @param {Array<Object>} files - Uploaded files (multer memory storage: { buffer, originalname })
+   * @param {Object} [text] - Alt text applied to every uploaded image
+   * @param {string} [text.alt] - English alt text
+   * @param {string} [text.altBn] - Bangla alt text
+   * @returns {Promise<Array<Object>>} Created images
+   */
+  async addImages(productId, files, { alt, altBn } = {}) {
+    if (!files || files.length === 0) {
+      throw new ValidationError('No images uploaded');
+    }
+
+    const product = await this.prisma.product.findUnique({ where: { id: productId }, select: { id: true } });
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const last = await this.prisma.productImage.aggregate({ where: { productId }, _max: { sortOrder: true } });
+    let sortOrder = last._max.sortOrder === null ? 0 : last._max.sortOrder + 1;
+
+    const images = [];
+    for (const file of files) {
+      const id = crypto.randomUUID();
+
+      let processed;
+      try {
+        processed = await this.createRenditions(file.buffer, productId, id);
+      } catch (error) {
+        // Remove any renditions already written for this file
+        await this.removeFiles({ id, renditions: this.expectedRenditions(productId, id) });
+        if (error.statusCode) {
+          error.message = `${file.originalname}: ${error.message}`;
+        }
+        throw error;
+      }
+
+      const { width, height, renditions } = processed;
+      images.push(await this.prisma.productImage.create({
+        data: { id, productId, url: renditions.large.url, alt, altBn, sortOrder: sortOrder++, width, height, renditions }
+      }));
+    }
+
+    this.logger.logBusiness('PRODUCT_IMAGES_UPLOADED', { productId, imageIds: images.map(image => image.id) });
+
+    return images;
+  }
+
+  /**
+   * Rendition URLs an image would have, for cleaning up a failed upload
+   * @param {string} productId - Product ID
+   * @param {string} imageId - Image ID
+   * @returns {Object} Renditions by name ({ url })
+   */
+  expectedRenditions(productId, imageId) {
+    return Object.fromEntries(Object.keys(RENDITIONS).map(name => [
+      name,
+      { url: this.fileUrl(productId, `${imageId}-${name}.webp`) }
+    ]));
+  }
+
+  /**
+   * Update an image's alt text or position
+   * @param {string} productId - Product ID
+   * @param {string} imageId - Image ID
+   * @param {Object} data - Fields to change (alt, altBn, sortOrder)
+   * @returns {Promise<Object>} Updated image
+   */
+  async updateImage(productId, imageId, { alt, altBn, sortOrder }) {
+    await this.getImage(productId, imageId);
+
+    if (sortOrder !== undefined) {
+      // Move the image within the product's order, then set the text
+      const images = await this.prisma.productImage.findMany({
+        where: { productId },
+        orderBy: { sortOrder: 'asc' },
+        select: { id: true }
+      });
+      const ids = images.map(image => image.id).filter(id => id !== imageId);
+      ids.splice(Math.min(Math.max(sortOrder, 0), ids.length), 0, imageId);
+      await this.reorderImages(productId, ids);
+    }
+
+    return this.prisma.productImage.update({
+      where: { id: imageId },
+      data: {
+        ...(alt !== undefined && { alt }),
+        ...(altBn !== undefined && { altBn })
+      }
+    });
+  }
+
+  /**
+   * Put a product's images in the given order (the first is the main image)
+   * @param {string} productId - Product ID
+   * @param {Array<string>} imageIds - Every image ID of the product, in order
+   * @returns {Promise<Array<Object>>} Images in their new order
+   */
+  async reorderImages(productId, imageIds) {
+    const images = await this.prisma.productImage.findMany({ where: { productId }, select: { id: true } });
+    const current = images.map(image => image.id).sort();
+    const requested = [...new Set(imageIds)].sort();
+
+    if (current.length !== imageIds.length || current.some((id, i) => id !== requested[i])) {
+      throw new ValidationError('imageIds must list every image of the product exactly once');
+    }
+
+    return this.prisma.$transaction(imageIds.map((id, sortOrder) => this.prisma.productImage.update({
+      where: { id },
+      data: { sortOrder }
+    })));
+  }
+
+  /**
+   * Delete an image and its files; later images move up
+   * @param {string} productId - Product ID
+   * @param {string} imageId - Image ID
+   * @returns {Promise<void>}
+   */
+  async deleteImage(productId, imageId) {
+    const image = await this.getImage(productId, imageId);
+
+    await this.prisma.$transaction([
+      this.prisma.productImage.delete({ where: { id: imageId } }),
+      this.prisma.productImage.updateMany({
+        where: { productId, sortOrder: { gt: image.sortOrder } },
+        data: { sortOrder: { decrement: 1 } }
+      })
+    ]);
+    await this.removeFiles(image);
+
+    this.logger.logBusiness('PRODUCT_IMAGE_DELETED', { productId, imageId });
+  }
+
+  /**
+   * Shape an image for API responses: renditions plus a srcset string.
+   * Images without renditions (imported by URL) keep their single url.
+   * @param {Object} image - Product image
+   * @returns {Object} Image with renditions and srcset
+   */
+  toResponsive(image) {
+    const renditions = image.renditions || {};
+    // Small originals give several renditions of the same width; list each width once
+    const sizes = [...new Map(Object.values(renditions).map(size => [size.width, size])).values()]
+      .sort((a, b) => a.width - b.width);
+
+    return {
+      id: image.id,
+      url: image.url,
+      alt: image.alt || null,
+      altBn: image.altBn || null,
+      sortOrder: image.sortOrder,
+      width: image.width || null,
+      height: image.height || null,
+      renditions,
+      srcset: sizes.length ? sizes.map(size => `${size.url} ${size.width}w`).join(', ') : null
+    };
+  }
+}
+
+// Singleton instance
+const productImageService = new ProductImageService();
+
+module.exports = {
+  ProductImageService,
+  productImageService,
+  RENDITIONS
+};
@@ -0,0 +1,374 @@
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Publication states, derived from publishedAt; ALL is only for staff listings
+const PUBLICATION_STATES = ['DRAFT', 'SCHEDULED', 'PUBLISHED'];
+const PUBLICATION_FILTERS = [...PUBLICATION_STATES, 'ALL'];
+
+// Product content kept in revisions; stock, status and publication have their own workflows
+const REVISION_FIELDS = [
+  'name', 'nameEn', 'nameBn', 'slug', 'shortDescription', 'description',
+  'categoryId', 'brandId',
+  'regularPrice', 'salePrice', 'saleStartsAt', 'saleEndsAt', 'costPrice', 'taxRate',
+  'weight', 'lowStockThreshold',
+  'metaTitle', 'metaDescription', 'metaKeywords',
+  'isFeatured', 'isNewArrival', 'isBestSeller',
+  'warrantyPeriod', 'warrantyType'
+];
+
+const PREVIEW_TOKEN_TYPE = 'product_preview';
+
+const ACTOR_SELECT = { id: true, firstName: true, lastName: true };
+
+/**
+ * Product Publishing Service
+ * Draft, scheduled and published products, signed preview links for staff
+ * and the revision history of product content. A product with no
+ * publishedAt is a draft; one whose publishedAt is in the future goes live
+ * by itself at that time, since every public query compares publishedAt
+ * with the current time.
+ */
+class ProductPublishingService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.previewSecret = process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET;
+    this.previewTtlMinutes = parseInt(process.env.PREVIEW_TOKEN_TTL_MINUTES) || 60;
+  }
+
+  /**
+   * Publication state of a product
+   * @param {Object} product - Product ({ publishedAt })
+   * @param {Date} [at] - Point in time
+   * @returns {string} DRAFT, SCHEDULED or PUBLISHED
+   */
+  getState(product, at = new Date()) {
+    if (!product.publishedAt) {
+      return 'DRAFT';
+    }
+    return new Date(product.publishedAt) > at ? 'SCHEDULED' : 'PUBLISHED';
+  }
+
+  /**
+   * Whether customers can see and buy a product
+   * @param {Object} product - Product ({ publishedAt })
+   * @param {Date} [at] - Point in time
+   * @returns {boolean} True if published
+   */
+  isPublished(product, at = new Date()) {
+    return this.getState(product, at) === 'PUBLISHED';
+  }
+
+  /**
+   * Publication details shown to staff next to a product
+   * @param {Object} product - Product ({ publishedAt })
+   * @param {Date} [at] - Point in time
+   * @returns {Object} State and publishedAt
+   */
+  describe(product, at = new Date()) {
+    return { state: this.getState(product, at), publishedAt: product.publishedAt || null };
+  }
+
+  /**
+   * Product where clause for a publication state
+   * @param {string} [publication] - DRAFT, SCHEDULED, PUBLISHED (default) or ALL
+   * @param {Date} [at] - Point in time
+   * @returns {Object} Where clause fragment
+   */
+  publicationWhere(publication = 'PUBLISHED', at = new Date()) {
+    switch (publication) {
+      case 'ALL':
+        return {};
+      case 'DRAFT':
+        return { publishedAt: null };
+      case 'SCHEDULED':
+        return { publishedAt: { gt: at } };
+      default:
+        return { publishedAt: { lte: at } };
+    }
+  }
+
+  /**
+   * Sign a link that shows a product to whoever holds it, whatever its
+   * publication state, until it expires
+   * @param {string} productId - Product ID
+   * @param {string} userId - Staff member creating the link
+   * @returns {Promise<Object>} Token and its expiry
+   */
+  async createPreviewToken(productId, userId) {
+    const product = await this.prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, slug: true, publishedAt: true }
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const expiresAt = new Date(Date.now() + this.previewTtlMinutes * 60 * 1000);
+    const token = jwt.sign(
+      { productId: product.id, createdBy: userId, type: PREVIEW_TOKEN_TYPE },
+      this.previewSecret,
+      { expiresIn: `${this.previewTtlMinutes}m` }
+    );
+
+    this.logger.logBusiness('PRODUCT_PREVIEW_LINK_CREATED', { productId, userId, expiresAt });
+
+    return {
+      token,
+      expiresAt,
+      url: `${process.env.FRONTEND_URL}/preview/products/${token}`,
+      publication: this.describe(product)
+    };
+  }
+
+  /**
+   * Read a preview token
+   * @param {string} token - Preview token
+   * @returns {string} Product ID
+   */
+  verifyPreviewToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.previewSecret);
+    } catch (error) {
+      payload = null;
+    }
+
+    if (!payload || payload.type !== PREVIEW_TOKEN_TYPE) {
+      throw new ForbiddenError('This preview link is invalid or has expired');
+    }
+
+    return payload.productId;
+  }
+
+  /**
+   * Revision snapshot of a product's content, in plain JSON
+   * @param {Object} product - Product with specifications
+   * @returns {Object} Snapshot
+   */
+  toSnapshot(product) {
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+      snapshot[field] = product[field] === undefined ? null : product[field];
+    });
+
+    snapshot.specifications = [...(product.specifications || [])]
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map(spec => ({ name: spec.name, value: spec.value, sortOrder: spec.sortOrder }));
+
+    // Decimals and dates become strings, as they are stored
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Fields whose value differs between two snapshots
+   * @param {Object} previous - Older snapshot
+   * @param {Object} next - Newer snapshot
+   * @returns {Array<string>} Changed fields
+   */
+  diffSnapshots(previous, next) {
+    return [...REVISION_FIELDS, 'specifications']
+      .filter(field => JSON.stringify(previous[field] === undefined ? null : previous[field]) !== JSON.stringify(next[field]));
+  }
+
+  /**
+   * Record the product's current content as a new revision, inside the
+   * transaction that changed it. Nothing is recorded when the content is
+   * unchanged since the last revision.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} productId - Product ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.actorId] - User who made the change
+   * @param {string} [options.reason] - Why the change was made
+   * @returns {Promise<Object|null>} Revision, or null if nothing changed
+   */
+  async recordRevision(tx, productId, { actorId = null, reason = null } = {}) {
+    const product = await tx.product.findUnique({
+      where: { id: productId },
+      include: { specifications: true }
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const latest = await tx.productRevision.findFirst({
+      where: { productId },
+      orderBy: { version: 'desc' }
+    });
+
+    const snapshot = this.toSnapshot(product);
+    const changedFields = latest ? this.diffSnapshots(latest.snapshot, snapshot) : [];
+
+    if (latest && changedFields.length === 0) {
+      return null;
+    }
+
+    return tx.productRevision.create({
+      data: {
+        productId,
+        version: latest ? latest.version + 1 : 1,
+        snapshot,
+        changedFields,
+        reason,
+        actorId
+      }
+    });
+  }
+
+  /**
+   * Record a product's current content as its first revision if it has
+   * none yet, before an edit changes it. Products from before revisions were
+   * introduced (and seeded ones) would otherwise lose their original content.
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object|null>} Baseline revision, or null if the product already had revisions
+   */
+  async ensureBaseline(tx, productId) {
+    const existing = await tx.productRevision.findFirst({ where: { productId }, select: { id: true } });
+    if (existing) {
+      return null;
+    }
+
+    return this.recordRevision(tx, productId, { reason: 'Content before the first recorded edit' });
+  }
+
+  /**
+   * List a product's revisions, newest first, without their snapshots
+   * @param {string} productId - Product ID
+   * @param {Object} [options] - Pagination ({ page, limit })
+   * @returns {Promise<Object>} Revisions and pagination
+   */
+  async listRevisions(productId, { page = 1, limit = 20 } = {}) {
+    const product = await this.prisma.product.findUnique({ where: { id: productId }, select: { id: true } });
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const [revisions, total] = await Promise.all([
+      this.prisma.productRevision.findMany({
+        where: { productId },
+        select: {
+          id: true,
+          version: true,
+          changedFields: true,
+          reason: true,
+          createdAt: true,
+          actor: { select: ACTOR_SELECT }
+        },
+        orderBy: { version: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.productRevision.count({ where: { productId } })
+    ]);
+
+    return {
+      revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one revision of a product with its snapshot
+   * @param {string} productId - Product ID
+   * @param {string} revisionId - Revision ID
+   * @param {Object} [client] - Prisma client or transaction
+   * @returns {Promise<Object>} Revision
+   */
+  async getRevision(productId, revisionId, client = this.prisma) {
+    const revision = await client.productRevision.findFirst({
+      where: { id: revisionId, productId },
+      include: { actor: { select: ACTOR_SELECT } }
+    });
+
+    if (!revision) {
+      throw new NotFoundError('Revision not found');
+    }
+
+    return revision;
+  }
+
+  /**
+   * Put a product's content back to an earlier revision. The restore is
+   * itself recorded as a new revision, so it can be undone the same way.
+   * @param {string} productId - Product ID
+   * @param {string} revisionId - Revision to restore
+   * @param {string} actorId - User restoring it
+   * @returns {Promise<Object>} Restored product and the new revision
+   */
+  async restoreRevision(productId, revisionId, actorId) {
+    const result = await this.prisma.$transaction(async (tx) => {
+      const revision = await this.getRevision(productId, revisionId, tx);
+      const { specifications = [], ...content } = revision.snapshot;
+
+      const slugConflict = await tx.product.findFirst({
+        where: { slug: content.slug, NOT: { id: productId } },
+        select: { id: true }
+      });
+      if (slugConflict) {
+        throw new ConflictError('Another product now uses the slug of this revision', { slug: content.slug });
+      }
+
+      const [category, brand] = await Promise.all([
+        tx.category.findUnique({ where: { id: content.categoryId }, select: { id: true } }),
+        tx.brand.findUnique({ where: { id: content.brandId }, select: { id: true } })
+      ]);
+      if (!category || !brand) {
+        throw new ValidationError(`The ${!category ? 'category' : 'brand'} of this revision no longer exists`);
+      }
+
+      const data = {};
+      REVISION_FIELDS.filter(field => field in content).forEach(field => {
+        data[field] = content[field];
+      });
+
+      await tx.product.update({ where: { id: productId }, data });
+      await tx.productSpecification.deleteMany({ where: { productId } });
+      if (specifications.length) {
+        await tx.productSpecification.createMany({
+          data: specifications.map(spec => ({ productId, name: spec.name, value: spec.value, sortOrder: spec.sortOrder }))
+        });
+      }
+
+      const restored = await this.recordRevision(tx, productId, {
+        actorId,
+        reason: `Restored version ${revision.version}`
+      });
+
+      return { revision, restored };
+    });
+
+    this.logger.logBusiness('PRODUCT_REVISION_RESTORED', {
+      productId,
+      version: result.revision.version,
+      newVersion: result.restored ? result.restored.version : null,
+      actorId
+    });
+
+    const product = await this.prisma.product.findUnique({
+      where: { id: productId },
+      include: { category: true, brand: true, specifications: { orderBy: { sortOrder: 'asc' } } }
+    });
+
+    return { product, revision: result.restored };
+  }
+}
+
+const productPublishingService = new ProductPublishingService();
+
+module.exports = {
+  ProductPublishingService,
+  productPublishingService,
+  PUBLICATION_FILTERS
+};
@@ -0,0 +1,359 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { redisConnectionPool } = require('./redisConnectionPool');
+const { pricingService } = require('./pricingService');
+const { productPublishingService } = require('./productPublishingService');
+const { NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+const CACHE_PREFIX = 'recommendations:product:';
+
+// Orders that did not go through say nothing about what is bought together
+const IGNORED_ORDER_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+// Recommendations kept per product; requests take at most this many
+const MAX_RECOMMENDATIONS = 20;
+
+// Very large orders (resellers, office supplies) would add a pair for every two items in them
+const MAX_ORDER_PRODUCTS = 30;
+
+const ORDER_BATCH_SIZE = 1000;
+
+const PRODUCT_SUMMARY = {
+  id: true,
+  name: true,
+  nameBn: true,
+  slug: true,
+  categoryId: true,
+  brandId: true,
+  regularPrice: true,
+  salePrice: true,
+  saleStartsAt: true,
+  saleEndsAt: true,
+  stockQuantity: true,
+  status: true,
+  publishedAt: true,
+  images: {
+    orderBy: { sortOrder: 'asc' },
+    take: 1
+  }
+};
+
+/**
+ * Product Recommendation Service
+ * "Frequently bought together" from products that appear in the same
+ * orders, and related products from the same category and brand. Both lists
+ * are precomputed for the whole catalog by a scheduled job and kept in Redis
+ * per product; a product missing from the cache is computed on its own when
+ * asked for. Products without enough order history (cold start) get their
+ * "bought together" list from the related products. Only published, active
+ * products are ever recommended.
+ */
+class ProductRecommendationService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.pricingService = pricingService;
+    this.publishingService = productPublishingService;
+    this.lookbackDays = parseInt(process.env.RECOMMENDATION_LOOKBACK_DAYS) || 180;
+    this.minCoPurchases = parseInt(process.env.RECOMMENDATION_MIN_CO_PURCHASES) || 2;
+    this.cacheTtl = parseInt(process.env.RECOMMENDATION_CACHE_TTL) || 24 * 60 * 60;
+    this.cache = null;
+  }
+
+  /**
+   * Redis client for the recommendation cache
+   * @returns {Object|null} Client, or null until the pool is up (recommendations are then computed per request)
+   */
+  getCache() {
+    if (!this.cache && redisConnectionPool.isInitialized) {
+      this.cache = redisConnectionPool.getClient('productRecommendationService');
+    }
+    return this.cache;
+  }
+
+  /**
+   * Where clause for products that may be recommended
+   * @param {Date} [at] - Point in time
+   * @returns {Object} Product where clause
+   */
+  recommendableWhere(at = new Date()) {
+    return { status: 'ACTIVE', ...this.publishingService.publicationWhere('PUBLISHED', at) };
+  }
+
+  /**
+   * Count how often products are ordered, and ordered together, over the
+   * lookback window
+   * @param {Object} [options] - Options
+   * @param {string} [options.productId] - Only count orders containing this product
+   * @returns {Promise<Object>} { orders, productOrders: Map, pairs: Map<productId, Map<productId, count>> }
+   */
+  async countCoPurchases({ productId } = {}) {
+    const where = {
+      status: { notIn: IGNORED_ORDER_STATUSES },
+      createdAt: { gte: new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000) },
+      ...(productId && { items: { some: { productId } } })
+    };
+
+    const productOrders = new Map();
+    const pairs = new Map();
+    let orders = 0;
+    let cursor;
+
+    for (;;) {
+      const batch = await this.prisma.order.findMany({
+        where,
+        select: { id: true, items: { select: { productId: true } } },
+        orderBy: { id: 'asc' },
+        take: ORDER_BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+
+      if (batch.length === 0) {
+        break;
+      }
+
+      for (const order of batch) {
+        const products = [...new Set(order.items.map(item => item.productId))].slice(0, MAX_ORDER_PRODUCTS);
+        orders++;
+
+        for (const a of products) {
+          productOrders.set(a, (productOrders.get(a) || 0) + 1);
+          if (productId && a !== productId) continue;
+
+          for (const b of products) {
+            if (a === b) continue;
+            const counts = pairs.get(a) || new Map();
+            counts.set(b, (counts.get(b) || 0) + 1);
+            pairs.set(a, counts);
+          }
+        }
+      }
+
+      cursor = batch[batch.length - 1].id;
+    }
+
+    return { orders, productOrders, pairs };
+  }
+
+  /**
+   * Products most often bought with a product, by how many of its orders
+   * also had them (confidence); products bought together fewer than
+   * minCoPurchases times are left out as noise
+   * @param {string} productId - Product ID
+   * @param {Object} counts - Result of countCoPurchases
+   * @param {Set<string>} recommendable - IDs of products that may be recommended
+   * @returns {Array<Object>} [{ productId, score, orders }], best first
+   */
+  rankCoPurchases(productId, { productOrders, pairs }, recommendable) {
+    const ordered = productOrders.get(productId) || 0;
+
+    return [...(pairs.get(productId) || new Map())]
+      .filter(([other, count]) => count >= this.minCoPurchases && recommendable.has(other))
+      .map(([other, count]) => ({ productId: other, score: Math.round((count / ordered) * 1000) / 1000, orders: count }))
+      .sort((a, b) => b.score - a.score || b.orders - a.orders || a.productId.localeCompare(b.productId))
+      .slice(0, MAX_RECOMMENDATIONS);
+  }
+
+  /**
+   * Products like a product: same category and brand first, then same
+   * category, then same brand; closer prices and more orders rank higher
+   * @param {Object} product - Product ({ id, categoryId, brandId, regularPrice })
+   * @param {Array<Object>} candidates - Recommendable products sharing its category or brand
+   * @param {Map<string, number>} [productOrders] - Orders per product
+   * @returns {Array<Object>} [{ productId, score }], best first
+   */
+  rankSimilar(product, candidates, productOrders = new Map()) {
+    const price = parseFloat(product.regularPrice);
+    const mostOrders = candidates.reduce((most, candidate) => Math.max(most, productOrders.get(candidate.id) || 0), 1);
+
+    return candidates
+      .filter(candidate => candidate.id !== product.id &&
+        (candidate.categoryId === product.categoryId || candidate.brandId === product.brandId))
+      .map(candidate => {
+        const candidatePrice = parseFloat(candidate.regularPrice);
+        const priceCloseness = price > 0 || candidatePrice > 0
+          ? 1 - Math.abs(price - candidatePrice) / Math.max(price, candidatePrice)
+          : 1;
+        const score = (candidate.categoryId === product.categoryId ? 2 : 0) +
+          (candidate.brandId === product.brandId ? 1 : 0) +
+          priceCloseness * 0.5 +
+          ((productOrders.get(candidate.id) || 0) / mostOrders) * 0.25;
+
+        return { productId: candidate.id, score: Math.round(score * 1000) / 1000 };
+      })
+      .sort((a, b) => b.score - a.score || a.productId.localeCompare(b.productId))
+      .slice(0, MAX_RECOMMENDATIONS);
+  }
+
+  /**
+   * Both recommendation lists of one product. The "bought together" list is
+   * topped up from the related products when order history is thin.
+   * @param {Object} product - Product
+   * @param {Object} counts - Result of countCoPurchases
+   * @param {Array<Object>} candidates - Recommendable products sharing its category or brand
+   * @param {Set<string>} recommendable - IDs of products that may be recommended
+   * @returns {Object} { related, frequentlyBoughtTogether, computedAt }
+   */
+  buildEntry(product, counts, candidates, recommendable) {
+    const related = this.rankSimilar(product, candidates, counts.productOrders);
+    const coPurchased = this.rankCoPurchases(product.id, counts, recommendable)
+      .map(item => ({ ...item, source: 'CO_PURCHASE' }));
+
+    const taken = new Set(coPurchased.map(item => item.productId));
+    const fallback = related
+      .filter(item => !taken.has(item.productId))
+      .map(item => ({ productId: item.productId, score: 0, orders: 0, source: 'SIMILAR' }));
+
+    return {
+      related,
+      frequentlyBoughtTogether: [...coPurchased, ...fallback].slice(0, MAX_RECOMMENDATIONS),
+      computedAt: new Date()
+    };
+  }
+
+  /**
+   * Recompute recommendations for every recommendable product and store
+   * them in Redis (run by the scheduled job); nothing is computed without Redis
+   * @returns {Promise<Object>} { products, orders, cached }
+   */
+  async refreshAll() {
+    const cache = this.getCache();
+    if (!cache) {
+      this.logger.warn('Recommendations not refreshed: Redis is not available');
+      return { products: 0, orders: 0, cached: 0 };
+    }
+
+    const counts = await this.countCoPurchases();
+    const products = await this.prisma.product.findMany({
+      where: this.recommendableWhere(),
+      select: { id: true, categoryId: true, brandId: true, regularPrice: true }
+    });
+    const recommendable = new Set(products.map(product => product.id));
+
+    const byCategory = new Map();
+    const byBrand = new Map();
+    for (const product of products) {
+      if (!byCategory.has(product.categoryId)) byCategory.set(product.categoryId, []);
+      if (!byBrand.has(product.brandId)) byBrand.set(product.brandId, []);
+      byCategory.get(product.categoryId).push(product);
+      byBrand.get(product.brandId).push(product);
+    }
+
+    for (const product of products) {
+      const candidates = [...new Set([...byCategory.get(product.categoryId), ...byBrand.get(product.brandId)])];
+      const entry = this.buildEntry(product, counts, candidates, recommendable);
+      await cache.setEx(`${CACHE_PREFIX}${product.id}`, this.cacheTtl, JSON.stringify(entry));
+    }
+
+    const result = { products: products.length, orders: counts.orders, cached: products.length };
+    this.logger.logBusiness('RECOMMENDATIONS_REFRESHED', result);
+
+    return result;
+  }
+
+  /**
+   * Compute one product's recommendations straight from the database (cache
+   * misses, e.g. products published since the last refresh)
+   * @param {Object} product - Product
+   * @returns {Promise<Object>} Entry (see buildEntry)
+   */
+  async computeForProduct(product) {
+    const counts = await this.countCoPurchases({ productId: product.id });
+    const candidates = await this.prisma.product.findMany({
+      where: {
+        ...this.recommendableWhere(),
+        OR: [{ categoryId: product.categoryId }, { brandId: product.brandId }]
+      },
+      select: { id: true, categoryId: true, brandId: true, regularPrice: true }
+    });
+
+    const coPurchased = [...(counts.pairs.get(product.id) || new Map()).keys()];
+    const published = coPurchased.length
+      ? await this.prisma.product.findMany({
+        where: { id: { in: coPurchased }, ...this.recommendableWhere() },
+        select: { id: true }
+      })
+      : [];
+    const recommendable = new Set([...candidates, ...published].map(item => item.id));
+
+    return this.buildEntry(product, counts, candidates, recommendable);
+  }
+
+  /**
+   * Cached recommendations of a product, computing and caching them on a miss
+   * @param {Object} product - Product
+   * @returns {Promise<Object>} Entry (see buildEntry)
+   */
+  async getEntry(product) {
+    const cache = this.getCache();
+    const cacheKey = `${CACHE_PREFIX}${product.id}`;
+
+    if (cache) {
+      const cached = await cache.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    }
+
+    const entry = await this.computeForProduct(product);
+
+    if (cache) {
+      await cache.setEx(cacheKey, this.cacheTtl, JSON.stringify(entry));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Recommended products for a product page, priced and in ranking order.
+   * Products unpublished, deactivated or deleted since the lists were
+   * computed are skipped.
+   * @param {string} productId - Product ID
+   * @param {string} type - related or frequentlyBoughtTogether
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Products to return (default 8)
+   * @returns {Promise<Object>} { products, computedAt }
+   */
+  async getRecommendations(productId, type, { limit = 8 } = {}) {
+    const at = new Date();
+    const product = await this.prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, categoryId: true, brandId: true, regularPrice: true, publishedAt: true }
+    });
+
+    if (!product || !this.publishingService.isPublished(product, at)) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const entry = await this.getEntry(product);
+    const ranked = entry[type].slice(0, MAX_RECOMMENDATIONS);
+
+    const found = ranked.length
+      ? await this.prisma.product.findMany({
+        where: { id: { in: ranked.map(item => item.productId) }, ...this.recommendableWhere(at) },
+        select: PRODUCT_SUMMARY
+      })
+      : [];
+    const byId = new Map(found.map(item => [item.id, item]));
+
+    return {
+      products: ranked
+        .filter(item => byId.has(item.productId))
+        .slice(0, limit)
+        .map(item => ({
+          ...byId.get(item.productId),
+          pricing: this.pricingService.resolvePrice(byId.get(item.productId), null, at),
+          recommendation: { score: item.score, ...(item.source && { source: item.source, orders: item.orders }) }
+        })),
+      computedAt: entry.computedAt
+    };
+  }
+}
+
+const productRecommendationService = new ProductRecommendationService();
+
+module.exports = {
+  ProductRecommendationService,
+  productRecommendationService,
+  MAX_RECOMMENDATIONS
+};
@@ -0,0 +1,477 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { pricingService } = require('./pricingService');
+const { stockService } = require('./stockService');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Option attributes per variant (color, storage, ram, ...)
+const MAX_OPTIONS = 5;
+const OPTION_NAME_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+const MAX_OPTION_VALUE_LENGTH = 50;
+
+// Variants a single matrix may generate
+const MAX_MATRIX_SIZE = 100;
+
+/**
+ * Product Variant Service
+ * Manages the sellable configurations of a product (e.g. a phone in
+ * Black / 8GB / 256GB): CRUD with structured option attributes, SKUs unique
+ * across all variants and products, one variant per option combination, and
+ * generation of the full variant matrix from option lists.
+ */
+class ProductVariantService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.pricingService = pricingService;
+    this.stockService = stockService;
+  }
+
+  /**
+   * Normalize an option name: lowercase with underscores ("Screen Size" → screen_size)
+   * @param {string} rawName - Option name as given
+   * @returns {string} Option name
+   */
+  normalizeOptionName(rawName) {
+    const name = String(rawName).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!OPTION_NAME_PATTERN.test(name)) {
+      throw new ValidationError(`Invalid option name: ${rawName}`);
+    }
+    return name;
+  }
+
+  /**
+   * Normalize option attributes: names as in normalizeOptionName, values trimmed
+   * @param {Object|null} options - Options by name
+   * @returns {Object|null} Normalized options, or null if none
+   */
+  normalizeOptions(options) {
+    if (options === undefined || options === null) return null;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      throw new ValidationError('options must be an object of option name to value');
+    }
+
+    const normalized = {};
+    for (const [rawName, rawValue] of Object.entries(options)) {
+      const name = this.normalizeOptionName(rawName);
+      if (normalized[name] !== undefined) {
+        throw new ValidationError(`Option ${name} is given twice`);
+      }
+
+      const value = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+      if (!value || value.length > MAX_OPTION_VALUE_LENGTH) {
+        throw new ValidationError(`Option ${name} needs a value of 1 to ${MAX_OPTION_VALUE_LENGTH} characters`);
+      }
+      normalized[name] = value;
+    }
+
+    const count = Object.keys(normalized).length;
+    if (count > MAX_OPTIONS) {
+      throw new ValidationError(`A variant can have at most ${MAX_OPTIONS} options`);
+    }
+
+    return count ? normalized : null;
+  }
+
+  /**
+   * Comparable key of an option combination (independent of key order and value case)
+   * @param {Object|null} options - Normalized options
+   * @returns {string|null} Key, or null for variants without options
+   */
+  optionsKey(options) {
+    if (!options) return null;
+    return JSON.stringify(Object.keys(options).sort().map(name => [name, options[name].toLowerCase()]));
+  }
+
+  /**
+   * Get a product, or throw
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object>} Product
+   */
+  async getProduct(productId) {
+    const product = await this.prisma.product.findUnique({ where: { id: productId } });
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+    return product;
+  }
+
+  /**
+   * Get a product's variant, or throw
+   * @param {string} productId - Product ID
+   * @param {string} variantId - Variant ID
+   * @returns {Promise<Object>} Variant
+   */
+  async getVariant(productId, variantId) {
+    const variant = await this.prisma.productVariant.findFirst({ where: { id: variantId, productId } });
+    if (!variant) {
+      throw new NotFoundError('Product variant not found');
+    }
+    return variant;
+  }
+
+  /**
+   * Throw if a SKU is used by another variant or by a product
+   * @param {Array<string>} skus - SKUs to check
+   * @param {string} [variantId] - Variant being updated (its own SKU is fine)
+   * @returns {Promise<void>}
+   */
+  async assertSkusAvailable(skus, variantId) {
+    const [variants, products] = await Promise.all([
+      this.prisma.productVariant.findMany({
+        where: { sku: { in: skus }, ...(variantId && { id: { not: variantId } }) },
+        select: { sku: true }
+      }),
+      this.prisma.product.findMany({ where: { sku: { in: skus } }, select: { sku: true } })
+    ]);
+
+    const taken = [...new Set([...variants, ...products].map(item => item.sku))];
+    if (taken.length) {
+      throw new ConflictError(`SKU already in use: ${taken.join(', ')}`, { skus: taken });
+    }
+  }
+
+  /**
+   * Throw if the product already has a variant with the same options
+   * @param {string} productId - Product ID
+   * @param {Object|null} options - Normalized options
+   * @param {string} [variantId] - Variant being updated
+   * @returns {Promise<void>}
+   */
+  async assertCombinationAvailable(productId, options, variantId) {
+    const key = this.optionsKey(options);
+    if (!key) return;
+
+    const variants = await this.prisma.productVariant.findMany({
+      where: { productId, ...(variantId && { id: { not: variantId } }) },
+      select: { sku: true, options: true }
+    });
+    const existing = variants.find(variant => this.optionsKey(variant.options) === key);
+    if (existing) {
+      throw new ConflictError(`Variant ${existing.sku} already has these options`);
+    }
+  }
+
+  /**
+   * Display name of an option combination ("Black / 8GB / 256GB")
+   * @param {Object|null} options - Options
+   * @returns {string} Name
+   */
+  nameFromOptions(options) {
+    return Object.values(options || {}).join(' / ');
+  }
+
+  /**
+   * List a product's variants in display order
+   * @param {string} productId - Product ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeInactive] - Include deactivated variants
+   * @returns {Promise<Object>} Product and its variants
+   */
+  async listVariants(productId, { includeInactive = false } = {}) {
+    const product = await this.getProduct(productId);
+    const variants = await this.prisma.productVariant.findMany({
+      where: { productId, ...(!includeInactive && { isActive: true }) },
+      orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }]
+    });
+
+    return { product, variants };
+  }
+
+  /**
+   * Create a variant; it goes after the product's existing variants. Its
+   * opening stock is recorded in the stock ledger.
+   * @param {string} productId - Product ID
+   * @param {Object} data - Variant data (sku, price, name, options, comparePrice, stock, isActive)
+   * @param {string} [actorId] - ID of the user creating it
+   * @returns {Promise<Object>} Created variant
+   */
+  async createVariant(productId, data, actorId = null) {
+    await this.getProduct(productId);
+
+    const options = this.normalizeOptions(data.options);
+    const name = data.name || this.nameFromOptions(options);
+    if (!name) {
+      throw new ValidationError('A variant needs a name or options');
+    }
+
+    await this.assertSkusAvailable([data.sku]);
+    await this.assertCombinationAvailable(productId, options);
+
+    const last = await this.prisma.productVariant.aggregate({ where: { productId }, _max: { sortOrder: true } });
+
+    const variant = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.productVariant.create({
+        data: {
+          productId,
+          name,
+          sku: data.sku,
+          price: data.price,
+          comparePrice: data.comparePrice ?? null,
+          stock: data.stock ?? 0,
+          isActive: data.isActive ?? true,
+          options: options ?? undefined,
+          sortOrder: last._max.sortOrder === null ? 0 : last._max.sortOrder + 1
+        }
+      });
+
+      await this.stockService.recordOpeningStock(tx, { productId, variantId: created.id, quantity: created.stock, actorId });
+      return created;
+    });
+
+    this.logger.logBusiness('PRODUCT_VARIANT_CREATED', { productId, variantId: variant.id, sku: variant.sku });
+
+    return variant;
+  }
+
+  /**
+   * Update a variant. A stock change is recorded in the stock ledger as an
+   * adjustment; activating or deactivating it syncs the product's status.
+   * @param {string} productId - Product ID
+   * @param {string} variantId - Variant ID
+   * @param {Object} data - Fields to change
+   * @param {string} [actorId] - ID of the user making the change
+   * @returns {Promise<Object>} Updated variant
+   */
+  async updateVariant(productId, variantId, data, actorId = null) {
+    const existing = await this.getVariant(productId, variantId);
+
+    if (data.sku !== undefined && data.sku !== existing.sku) {
+      await this.assertSkusAvailable([data.sku], variantId);
+    }
+
+    let options;
+    if (data.options !== undefined) {
+      options = this.normalizeOptions(data.options);
+      await this.assertCombinationAvailable(productId, options, variantId);
+    }
+
+    const variant = await this.prisma.$transaction(async (tx) => {
+      let updated = await tx.productVariant.update({
+        where: { id: variantId },
+        data: {
+          ...(data.name !== undefined && { name: data.name }),
+          ...(data.sku !== undefined && { sku: data.sku }),
+          ...(data.price !== undefined && { price: data.price }),
+          ...(data.comparePrice !== undefined && { comparePrice: data.comparePrice }),
+          ...(data.isActive !== undefined && { isActive: data.isActive }),
+          ...(data.sortOrder !== undefined && { sortOrder: data.sortOrder }),
+          // Prisma needs DbNull to clear a Json column
+          ...(data.options !== undefined && { options: options ?? Prisma.DbNull })
+        }
+      });
+
+      if (data.stock !== undefined) {
+        const movement = await this.stockService.setStock(productId, data.stock, {
+          variantId,
+          reason: 'Variant updated',
+          actorId
+        }, tx);
+        if (movement) updated = { ...updated, stock: movement.balanceAfter };
+      }
+
+      if (data.isActive !== undefined && data.isActive !== existing.isActive) {
+        await this.stockService.refreshStatus(tx, productId);
+      }
+
+      return updated;
+    });
+
+    this.logger.logBusiness('PRODUCT_VARIANT_UPDATED', { productId, variantId, sku: variant.sku });
+
+    return variant;
+  }
+
+  /**
+   * Delete a variant. Variants that appear in orders are deactivated instead,
+   * so order history keeps pointing at them; cart lines holding the variant are
+   * removed. Either way the product's status is synced with the variants left.
+   * @param {string} productId - Product ID
+   * @param {string} variantId - Variant ID
+   * @returns {Promise<Object>} { deleted } - false if the variant was deactivated
+   */
+  async deleteVariant(productId, variantId) {
+    const variant = await this.getVariant(productId, variantId);
+
+    const ordered = await this.prisma.orderItem.count({ where: { variantId } });
+    if (ordered) {
+      await this.prisma.$transaction(async (tx) => {
+        await tx.productVariant.update({ where: { id: variantId }, data: { isActive: false } });
+        await this.stockService.refreshStatus(tx, productId);
+      });
+      this.logger.logBusiness('PRODUCT_VARIANT_DEACTIVATED', { productId, variantId, sku: variant.sku });
+      return { deleted: false };
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      await tx.cartItem.deleteMany({ where: { variantId } });
+      await tx.productVariant.delete({ where: { id: variantId } });
+      await this.stockService.refreshStatus(tx, productId);
+    });
+
+    this.logger.logBusiness('PRODUCT_VARIANT_DELETED', { productId, variantId, sku: variant.sku });
+
+    return { deleted: true };
+  }
+
+  /**
+   * Plan the variants of every combination of the given option values
+   * @param {Object} product - Product
+   * @param {Object} matrix - Matrix definition
+   * @param {Object} matrix.options - Values per option, e.g. { color: ['Black', 'Blue'], storage: ['128GB', '256GB'] }
+   * @param {number} [matrix.basePrice] - Price before adjustments (default: the product's regular price)
+   * @param {Object} [matrix.priceAdjustments] - Amount added per option value, e.g. { storage: { '256GB': 5000 } }
+   * @param {number} [matrix.stock] - Stock of each variant
+   * @param {string} [matrix.skuPrefix] - SKU prefix (default: the product SKU)
+   * @returns {Array<Object>} Planned variants ({ name, sku, options, price, stock })
+   */
+  buildMatrix(product, { options, basePrice, priceAdjustments = {}, stock = 0, skuPrefix }) {
+    const lists = Object.entries(options || {}).map(([rawName, values]) => {
+      const name = this.normalizeOptionName(rawName);
+      // Values differing only in case are the same option value; the first spelling wins
+      const unique = [];
+      for (const value of [].concat(values || []).map(item => String(item).trim()).filter(Boolean)) {
+        if (!unique.some(existing => existing.toLowerCase() === value.toLowerCase())) unique.push(value);
+      }
+
+      if (!unique.length) {
+        throw new ValidationError(`Option ${name} needs at least one value`);
+      }
+      return [name, unique, priceAdjustments[rawName] || priceAdjustments[name] || {}];
+    });
+
+    if (!lists.length) {
+      throw new ValidationError('Give at least one option with values');
+    }
+    if (lists.length > MAX_OPTIONS) {
+      throw new ValidationError(`A variant can have at most ${MAX_OPTIONS} options`);
+    }
+
+    const size = lists.reduce((total, [, values]) => total * values.length, 1);
+    if (size > MAX_MATRIX_SIZE) {
+      throw new ValidationError(`The matrix would create ${size} variants; the limit is ${MAX_MATRIX_SIZE}`);
+    }
+
+    let combinations = [{}];
+    for (const [name, values] of lists) {
+      combinations = combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value })));
+    }
+
+    const base = basePrice !== undefined ? Number(basePrice) : parseFloat(product.regularPrice);
+    const prefix = skuPrefix || product.sku;
+
+    return combinations.map(combination => {
+      const normalized = this.normalizeOptions(combination);
+      const price = lists.reduce((total, [name, , adjustments]) => total + (Number(adjustments[combination[name]]) || 0), base);
+      if (price < 0) {
+        throw new ValidationError(`Price adjustments make ${this.nameFromOptions(normalized)} negative`);
+      }
+
+      return {
+        name: this.nameFromOptions(normalized),
+        sku: [prefix, ...Object.values(normalized).map(value => value.toUpperCase().replace(/[^A-Z0-9]+/g, ''))].join('-'),
+        options: normalized,
+        price: Math.round(price * 100) / 100,
+        stock
+      };
+    });
+  }
+
+  /**
+   * Generate the variant matrix of a product. Combinations the product
+   * already has are skipped; with preview nothing is saved.
+   * @param {string} productId - Product ID
+   * @param {Object} matrix - Matrix definition (see buildMatrix)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.preview] - Only return the planned variants
+   * @param {string} [options.actorId] - ID of the user creating them
+   * @returns {Promise<Object>} Created (or planned) variants and skipped combinations
+   */
+  async generateMatrix(productId, matrix, { preview = false, actorId = null } = {}) {
+    const product = await this.getProduct(productId);
+    const planned = this.buildMatrix(product, matrix);
+
+    const existing = await this.prisma.productVariant.findMany({
+      where: { productId },
+      select: { sku: true, options: true, sortOrder: true }
+    });
+    const existingKeys = new Map(existing.map(variant => [this.optionsKey(variant.options), variant.sku]));
+
+    const skipped = planned
+      .filter(variant => existingKeys.has(this.optionsKey(variant.options)))
+      .map(variant => ({ name: variant.name, options: variant.options, existingSku: existingKeys.get(this.optionsKey(variant.options)) }));
+    const toCreate = planned.filter(variant => !existingKeys.has(this.optionsKey(variant.options)));
+
+    if (toCreate.length) {
+      await this.assertSkusAvailable(toCreate.map(variant => variant.sku));
+    }
+    if (preview || !toCreate.length) {
+      return { variants: toCreate, skipped };
+    }
+
+    const firstSortOrder = existing.length ? Math.max(...existing.map(variant => variant.sortOrder)) + 1 : 0;
+    const variants = await this.prisma.$transaction(async (tx) => {
+      const created = [];
+      for (const [index, variant] of toCreate.entries()) {
+        const saved = await tx.productVariant.create({
+          data: { ...variant, productId, sortOrder: firstSortOrder + index }
+        });
+        await this.stockService.recordOpeningStock(tx, { productId, variantId: saved.id, quantity: saved.stock, actorId });
+        created.push(saved);
+      }
+      return created;
+    });
+
+    this.logger.logBusiness('PRODUCT_VARIANTS_GENERATED', { productId, count: variants.length, skipped: skipped.length });
+
+    return { variants, skipped };
+  }
+
+  /**
+   * Shape a variant for API responses, with its resolved price and availability
+   * @param {Object} product - Product the variant belongs to
+   * @param {Object} variant - Variant
+   * @returns {Object} Variant
+   */
+  toResponse(product, variant) {
+    return {
+      id: variant.id,
+      name: variant.name,
+      sku: variant.sku,
+      options: variant.options || {},
+      price: parseFloat(variant.price),
+      comparePrice: variant.comparePrice === null || variant.comparePrice === undefined ? null : parseFloat(variant.comparePrice),
+      stock: variant.stock,
+      inStock: variant.isActive && variant.stock > 0,
+      isActive: variant.isActive,
+      sortOrder: variant.sortOrder,
+      pricing: this.pricingService.resolvePrice(product, variant)
+    };
+  }
+
+  /**
+   * Option names and their values across variants, for building option selectors
+   * @param {Array<Object>} variants - Variants
+   * @returns {Array<Object>} Options ({ name, values }) in first-seen order
+   */
+  summarizeOptions(variants) {
+    const summary = new Map();
+    for (const variant of variants) {
+      for (const [name, value] of Object.entries(variant.options || {})) {
+        if (!summary.has(name)) summary.set(name, []);
+        if (!summary.get(name).includes(value)) summary.get(name).push(value);
+      }
+    }
+    return [...summary].map(([name, values]) => ({ name, values }));
+  }
+}
+
+// Singleton instance
+const productVariantService = new ProductVariantService();
+
+module.exports = {
+  ProductVariantService,
+  productVariantService
+};
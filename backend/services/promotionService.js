@@ -0,0 +1,533 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { pricingService } = require('./pricingService');
+const { productPublishingService } = require('./productPublishingService');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Campaign times are entered and shown in Bangladesh time, which has no
+// daylight saving
+const PROMOTION_TIMEZONE = 'Asia/Dhaka';
+const DHAKA_OFFSET_MS = 6 * 60 * 60 * 1000;
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED_AMOUNT', 'FIXED_PRICE'];
+
+const PRODUCT_SUMMARY = {
+  id: true,
+  name: true,
+  nameBn: true,
+  slug: true,
+  sku: true,
+  categoryId: true,
+  regularPrice: true,
+  salePrice: true,
+  saleStartsAt: true,
+  saleEndsAt: true,
+  stockQuantity: true,
+  status: true,
+  images: {
+    orderBy: { sortOrder: 'asc' },
+    take: 1
+  }
+};
+
+/**
+ * Promotion Service
+ * Manages promotion campaigns (flash sales): time-boxed discounts on
+ * products or categories with an optional cap on the units sold at
+ * promotion prices. Prices themselves resolve in pricingService; this
+ * service keeps its campaign snapshot current, serves the storefront
+ * countdowns and claims campaign quantity when orders are placed.
+ */
+class PromotionService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.pricingService = pricingService;
+    this.publishingService = productPublishingService;
+    this.lastSyncAt = new Date();
+  }
+
+  /**
+   * Parse a campaign time. Times without an offset are Bangladesh time.
+   * @param {string|Date} value - ISO 8601 date-time
+   * @returns {Date} Time
+   */
+  parseDhakaTime(value) {
+    if (value instanceof Date) return value;
+
+    const text = String(value).trim();
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+    const date = new Date(hasZone ? text : `${text}+06:00`);
+
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError(`Invalid date: ${value}`);
+    }
+    return date;
+  }
+
+  /**
+   * Format a time as Bangladesh local time with its offset
+   * @param {Date} date - Time
+   * @returns {string} e.g. 2026-11-11T00:00:00+06:00
+   */
+  toDhakaTime(date) {
+    return `${new Date(new Date(date).getTime() + DHAKA_OFFSET_MS).toISOString().slice(0, 19)}+06:00`;
+  }
+
+  /**
+   * Where a campaign is in its life
+   * @param {Object} campaign - Campaign
+   * @param {Date} [at] - Point in time
+   * @returns {string} INACTIVE, SCHEDULED, LIVE, SOLD_OUT or ENDED
+   */
+  getStatus(campaign, at = new Date()) {
+    if (!campaign.isActive) return 'INACTIVE';
+    if (new Date(campaign.endsAt) <= at) return 'ENDED';
+    if (new Date(campaign.startsAt) > at) return 'SCHEDULED';
+    if (campaign.quantityCap !== null && campaign.soldQuantity >= campaign.quantityCap) return 'SOLD_OUT';
+    return 'LIVE';
+  }
+
+  /**
+   * Shape a campaign for the storefront, with what a countdown needs
+   * @param {Object} campaign - Campaign
+   * @param {Date} [at] - Point in time
+   * @returns {Object} Campaign with local times, status and seconds to go
+   */
+  toResponse(campaign, at = new Date()) {
+    const { items, _count, ...fields } = campaign;
+    const seconds = (date) => Math.max(0, Math.ceil((new Date(date).getTime() - at.getTime()) / 1000));
+
+    return {
+      ...fields,
+      ...(items && { items }),
+      timezone: PROMOTION_TIMEZONE,
+      startsAtLocal: this.toDhakaTime(campaign.startsAt),
+      endsAtLocal: this.toDhakaTime(campaign.endsAt),
+      status: this.getStatus(campaign, at),
+      secondsUntilStart: seconds(campaign.startsAt),
+      secondsRemaining: seconds(campaign.endsAt),
+      remainingQuantity: campaign.quantityCap === null ? null : Math.max(0, campaign.quantityCap - campaign.soldQuantity)
+    };
+  }
+
+  /**
+   * List campaigns for the storefront: live and upcoming ones, soonest first
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeEnded] - Also list ended and deactivated campaigns (admin)
+   * @param {Date} [options.at] - Point in time
+   * @returns {Promise<Object>} { serverTime, timezone, campaigns }
+   */
+  async listCampaigns({ includeEnded = false, at = new Date() } = {}) {
+    const campaigns = await this.prisma.promotionCampaign.findMany({
+      where: includeEnded ? {} : { isActive: true, endsAt: { gt: at } },
+      orderBy: { startsAt: includeEnded ? 'desc' : 'asc' }
+    });
+
+    return {
+      serverTime: at,
+      timezone: PROMOTION_TIMEZONE,
+      campaigns: campaigns.map(campaign => this.toResponse(campaign, at))
+    };
+  }
+
+  /**
+   * Get a campaign by slug with the products it discounts, each with its
+   * current pricing and its price during the campaign
+   * @param {string} slug - Campaign slug
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeInactive] - Allow deactivated campaigns (admin)
+   * @param {number} [options.page] - Page of products
+   * @param {number} [options.limit] - Products per page
+   * @param {Date} [options.at] - Point in time
+   * @returns {Promise<Object>} { serverTime, campaign, products, pagination }
+   */
+  async getCampaign(slug, { includeInactive = false, page = 1, limit = 20, at = new Date() } = {}) {
+    const campaign = await this.prisma.promotionCampaign.findUnique({
+      where: { slug },
+      include: {
+        items: {
+          include: {
+            product: { select: { id: true, name: true, slug: true } },
+            category: { select: { id: true, name: true, slug: true } }
+          }
+        }
+      }
+    });
+
+    if (!campaign || (!campaign.isActive && !includeInactive)) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    const categoryItems = new Map(campaign.items.filter(item => item.categoryId).map(item => [item.categoryId, item]));
+    const categoryIds = categoryItems.size ? await this.expandCategories([...categoryItems.keys()]) : new Map();
+    const productItems = new Map(campaign.items.filter(item => item.productId).map(item => [item.productId, item]));
+
+    const where = {
+      status: 'ACTIVE',
+      ...this.publishingService.publicationWhere(),
+      OR: [
+        { id: { in: [...productItems.keys()] } },
+        { categoryId: { in: [...categoryIds.keys()] } }
+      ]
+    };
+
+    const [products, total] = await Promise.all([
+      this.prisma.product.findMany({
+        where,
+        select: PRODUCT_SUMMARY,
+        orderBy: { name: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.product.count({ where })
+    ]);
+
+    return {
+      serverTime: at,
+      campaign: this.toResponse(campaign, at),
+      products: products.map(product => {
+        const item = productItems.get(product.id) || categoryItems.get(categoryIds.get(product.categoryId));
+        return {
+          ...product,
+          pricing: this.pricingService.resolvePrice(product, null, at),
+          promotionPrice: this.pricingService.discountedPrice(item, parseFloat(product.regularPrice))
+        };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Map every category under the given ones (inclusive) to the item category
+   * it falls under; where they nest, the nearest one wins
+   * @param {Array<string>} categoryIds - Category IDs of the campaign's category items
+   * @returns {Promise<Map<string, string>>} Category ID -> item category ID
+   */
+  async expandCategories(categoryIds) {
+    const categories = await this.prisma.category.findMany({ select: { id: true, parentId: true } });
+    const parentOf = new Map(categories.map(category => [category.id, category.parentId]));
+    const result = new Map();
+
+    for (const category of categories) {
+      for (let id = category.id; id; id = parentOf.get(id)) {
+        if (categoryIds.includes(id)) {
+          result.set(category.id, id);
+          break;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate campaign items and check their products and categories exist
+   * @param {Array<Object>} items - Items ({ productId | categoryId, discountType, discountValue, maxDiscount })
+   * @returns {Promise<Array<Object>>} Items ready to store
+   */
+  async validateItems(items) {
+    if (!Array.isArray(items) || !items.length) {
+      throw new ValidationError('A promotion needs at least one product or category');
+    }
+
+    const seen = new Set();
+    const normalized = items.map((item, index) => {
+      if (Boolean(item.productId) === Boolean(item.categoryId)) {
+        throw new ValidationError(`Item ${index + 1} must target either a product or a category`);
+      }
+      if (!DISCOUNT_TYPES.includes(item.discountType)) {
+        throw new ValidationError(`Item ${index + 1} has an invalid discount type`);
+      }
+
+      const discountValue = parseFloat(item.discountValue);
+      if (!(discountValue > 0) || (item.discountType === 'PERCENTAGE' && discountValue > 100)) {
+        throw new ValidationError(`Item ${index + 1} has an invalid discount value`);
+      }
+
+      const target = item.productId ? `product:${item.productId}` : `category:${item.categoryId}`;
+      if (seen.has(target)) {
+        throw new ValidationError(`Item ${index + 1} repeats a product or category`);
+      }
+      seen.add(target);
+
+      return {
+        productId: item.productId || null,
+        categoryId: item.categoryId || null,
+        discountType: item.discountType,
+        discountValue,
+        maxDiscount: item.discountType === 'PERCENTAGE' && item.maxDiscount ? parseFloat(item.maxDiscount) : null
+      };
+    });
+
+    const productIds = normalized.filter(item => item.productId).map(item => item.productId);
+    const categoryIds = normalized.filter(item => item.categoryId).map(item => item.categoryId);
+    const [products, categories] = await Promise.all([
+      productIds.length ? this.prisma.product.findMany({ where: { id: { in: productIds } }, select: { id: true } }) : [],
+      categoryIds.length ? this.prisma.category.findMany({ where: { id: { in: categoryIds } }, select: { id: true } }) : []
+    ]);
+
+    const missingProduct = productIds.find(id => !products.some(product => product.id === id));
+    if (missingProduct) {
+      throw new NotFoundError(`Product not found: ${missingProduct}`);
+    }
+    const missingCategory = categoryIds.find(id => !categories.some(category => category.id === id));
+    if (missingCategory) {
+      throw new NotFoundError(`Category not found: ${missingCategory}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check a campaign window and quantity cap
+   * @param {Object} campaign - Campaign fields ({ startsAt, endsAt, quantityCap, soldQuantity })
+   */
+  validateWindow({ startsAt, endsAt, quantityCap, soldQuantity = 0 }) {
+    if (endsAt <= startsAt) {
+      throw new ValidationError('A promotion must end after it starts');
+    }
+    if (quantityCap !== null && quantityCap !== undefined && quantityCap < soldQuantity) {
+      throw new ValidationError(`${soldQuantity} units have already been sold in this promotion`, { soldQuantity });
+    }
+  }
+
+  /**
+   * Create a campaign
+   * @param {Object} data - Campaign fields and items; startsAt/endsAt in Bangladesh time unless they carry an offset
+   * @returns {Promise<Object>} Created campaign
+   */
+  async createCampaign({ items, ...data }) {
+    const fields = {
+      ...data,
+      startsAt: this.parseDhakaTime(data.startsAt),
+      endsAt: this.parseDhakaTime(data.endsAt)
+    };
+    this.validateWindow(fields);
+    await this.assertSlugAvailable(fields.slug);
+
+    const campaign = await this.prisma.promotionCampaign.create({
+      data: {
+        ...fields,
+        items: { create: await this.validateItems(items) }
+      },
+      include: { items: true }
+    });
+
+    await this.pricingService.refreshPromotions({ force: true });
+
+    this.logger.logBusiness('PROMOTION_CREATED', {
+      promotionId: campaign.id,
+      slug: campaign.slug,
+      startsAt: campaign.startsAt,
+      endsAt: campaign.endsAt
+    });
+
+    return this.toResponse(campaign);
+  }
+
+  /**
+   * Update a campaign. Items, when given, replace the campaign's items; a
+   * live campaign can be ended early by moving endsAt.
+   * @param {string} id - Campaign ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async updateCampaign(id, { items, ...data }) {
+    const existing = await this.prisma.promotionCampaign.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    const changes = { ...data };
+    if (changes.startsAt !== undefined) changes.startsAt = this.parseDhakaTime(changes.startsAt);
+    if (changes.endsAt !== undefined) changes.endsAt = this.parseDhakaTime(changes.endsAt);
+    this.validateWindow({ ...existing, ...changes });
+
+    if (changes.slug && changes.slug !== existing.slug) {
+      await this.assertSlugAvailable(changes.slug);
+    }
+
+    const validItems = items !== undefined ? await this.validateItems(items) : null;
+
+    const campaign = await this.prisma.$transaction(async (tx) => {
+      if (validItems) {
+        await tx.promotionItem.deleteMany({ where: { campaignId: id } });
+      }
+
+      return tx.promotionCampaign.update({
+        where: { id },
+        data: {
+          ...changes,
+          ...(validItems && { items: { create: validItems } })
+        },
+        include: { items: true }
+      });
+    });
+
+    await this.pricingService.refreshPromotions({ force: true });
+
+    this.logger.logBusiness('PROMOTION_UPDATED', { promotionId: id, slug: campaign.slug });
+
+    return this.toResponse(campaign);
+  }
+
+  /**
+   * Delete a campaign. Campaigns that have sold are ended and deactivated
+   * instead, so their orders keep the link.
+   * @param {string} id - Campaign ID
+   * @returns {Promise<Object>} { deleted, campaign }
+   */
+  async deleteCampaign(id) {
+    const existing = await this.prisma.promotionCampaign.findUnique({
+      where: { id },
+      include: { _count: { select: { orderItems: true } } }
+    });
+    if (!existing) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    let result;
+    if (existing._count.orderItems > 0) {
+      const now = new Date();
+      const campaign = await this.prisma.promotionCampaign.update({
+        where: { id },
+        data: { isActive: false, ...(existing.endsAt > now && existing.startsAt < now && { endsAt: now }) }
+      });
+      result = { deleted: false, campaign: this.toResponse(campaign) };
+    } else {
+      await this.prisma.promotionCampaign.delete({ where: { id } });
+      result = { deleted: true, campaign: null };
+    }
+
+    await this.pricingService.refreshPromotions({ force: true });
+
+    this.logger.logBusiness(result.deleted ? 'PROMOTION_DELETED' : 'PROMOTION_DEACTIVATED', { promotionId: id, slug: existing.slug });
+
+    return result;
+  }
+
+  /**
+   * Throw if a campaign slug is taken
+   * @param {string} slug - Campaign slug
+   */
+  async assertSlugAvailable(slug) {
+    const taken = await this.prisma.promotionCampaign.findUnique({ where: { slug }, select: { id: true } });
+    if (taken) {
+      throw new ConflictError(`Promotion slug already in use: ${slug}`);
+    }
+  }
+
+  /**
+   * Count order lines priced by campaigns against their quantity caps. The
+   * conditional update only matches while the campaign is live with enough
+   * quantity left, so concurrent checkouts cannot exceed a cap.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} lines - Priced order lines ({ promotionId, quantity })
+   */
+  async claimQuantity(tx, lines) {
+    const now = new Date();
+
+    for (const [promotionId, quantity] of this.sumByPromotion(lines)) {
+      const campaign = await tx.promotionCampaign.findUnique({ where: { id: promotionId } });
+
+      const result = campaign && await tx.promotionCampaign.updateMany({
+        where: {
+          id: promotionId,
+          isActive: true,
+          startsAt: { lte: now },
+          endsAt: { gt: now },
+          ...(campaign.quantityCap !== null && { soldQuantity: { lte: campaign.quantityCap - quantity } })
+        },
+        data: { soldQuantity: { increment: quantity } }
+      });
+
+      if (!result || result.count === 0) {
+        // Prices came from a stale snapshot; reload it for the customer's next try
+        this.pricingService.invalidatePromotions();
+        throw new ConflictError(`${campaign ? campaign.name : 'A promotion'} has ended or sold out; prices in your cart have changed`, {
+          promotionId,
+          remainingQuantity: campaign && campaign.quantityCap !== null ? Math.max(0, campaign.quantityCap - campaign.soldQuantity) : null
+        });
+      }
+    }
+  }
+
+  /**
+   * Give back the campaign quantity of cancelled order items
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} items - Order items ({ promotionId, quantity })
+   */
+  async releaseQuantity(tx, items) {
+    for (const [promotionId, quantity] of this.sumByPromotion(items)) {
+      await tx.promotionCampaign.updateMany({
+        where: { id: promotionId, soldQuantity: { gte: quantity } },
+        data: { soldQuantity: { decrement: quantity } }
+      });
+    }
+  }
+
+  /**
+   * Total quantity per campaign
+   * @param {Array<Object>} lines - Lines ({ promotionId, quantity })
+   * @returns {Map<string, number>} Campaign ID -> quantity
+   */
+  sumByPromotion(lines) {
+    const totals = new Map();
+    for (const line of lines) {
+      if (line.promotionId) {
+        totals.set(line.promotionId, (totals.get(line.promotionId) || 0) + line.quantity);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Reload the pricing snapshot and log campaigns that started or ended
+   * since the last sync (scheduled task)
+   * @param {Date} [at] - Point in time
+   * @returns {Promise<Object>} Slugs of campaigns that started and ended
+   */
+  async syncCampaigns(at = new Date()) {
+    const since = this.lastSyncAt;
+
+    await this.pricingService.refreshPromotions({ force: true });
+
+    const [started, ended] = await Promise.all([
+      this.prisma.promotionCampaign.findMany({
+        where: { isActive: true, startsAt: { gt: since, lte: at } },
+        select: { id: true, slug: true }
+      }),
+      this.prisma.promotionCampaign.findMany({
+        where: { isActive: true, endsAt: { gt: since, lte: at } },
+        select: { id: true, slug: true }
+      })
+    ]);
+
+    started.forEach(campaign => this.logger.logBusiness('PROMOTION_STARTED', { promotionId: campaign.id, slug: campaign.slug }));
+    ended.forEach(campaign => this.logger.logBusiness('PROMOTION_ENDED', { promotionId: campaign.id, slug: campaign.slug }));
+    this.lastSyncAt = at;
+
+    return {
+      started: started.map(campaign => campaign.slug),
+      ended: ended.map(campaign => campaign.slug)
+    };
+  }
+}
+
+// Singleton instance
+const promotionService = new PromotionService();
+
+module.exports = {
+  PromotionService,
+  promotionService,
+  DISCOUNT_TYPES,
+  PROMOTION_TIMEZONE
+};
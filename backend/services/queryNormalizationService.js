@@ -0,0 +1,336 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Banglish vowels: [latin, independent letter, vowel sign after a consonant], longest first
+const VOWELS = [
+  ['oi', 'ঐ', 'ৈ'],
+  ['ou', 'ঔ', 'ৌ'],
+  ['ee', 'ঈ', 'ী'],
+  ['ii', 'ঈ', 'ী'],
+  ['oo', 'ঊ', 'ূ'],
+  ['uu', 'ঊ', 'ূ'],
+  ['a', 'আ', 'া'],
+  ['i', 'ই', 'ি'],
+  ['u', 'উ', 'ু'],
+  ['e', 'এ', 'ে'],
+  ['o', 'ও', 'ো']
+];
+
+// Banglish consonants, longest first
+const CONSONANTS = [
+  ['chh', 'ছ'],
+  ['kh', 'খ'],
+  ['gh', 'ঘ'],
+  ['ch', 'চ'],
+  ['jh', 'ঝ'],
+  ['th', 'থ'],
+  ['dh', 'ধ'],
+  ['ph', 'ফ'],
+  ['bh', 'ভ'],
+  ['sh', 'শ'],
+  ['k', 'ক'],
+  ['c', 'ক'],
+  ['q', 'ক'],
+  ['g', 'গ'],
+  ['j', 'জ'],
+  ['z', 'জ'],
+  ['t', 'ট'],
+  ['d', 'ড'],
+  ['n', 'ন'],
+  ['p', 'প'],
+  ['f', 'ফ'],
+  ['b', 'ব'],
+  ['v', 'ভ'],
+  ['m', 'ম'],
+  ['r', 'র'],
+  ['l', 'ল'],
+  ['s', 'স'],
+  ['h', 'হ'],
+  ['x', 'ক্স']
+];
+
+// Banglish connecting words dropped from multi-word queries ("laptop er charger")
+const BANGLISH_PARTICLES = ['er', 'ar', 'r', 'o', 'and', 'jonno', 'diye', 'wala'];
+
+// Longest synonym phrase looked up, in words
+const MAX_PHRASE_WORDS = 3;
+
+/**
+ * Query Normalization Service
+ * Prepares product search queries: Bangla Unicode normalization, rough
+ * Banglish-to-Bangla transliteration ("mobail" → মোবাইল) and expansion with
+ * the admin-managed synonym dictionary (ফোন = phone = mobile). Used by both
+ * the Elasticsearch and the Postgres search paths.
+ */
+class QueryNormalizationService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.synonymCacheMs = (parseInt(process.env.SEARCH_SYNONYM_CACHE_SECONDS) || 300) * 1000;
+    this.synonyms = null;
+    this.synonymsLoadedAt = 0;
+  }
+
+  /**
+   * Normalize Bangla text: NFC form, khanda ta, zero-width joiners and Bangla digits
+   * @param {string} text - Text
+   * @returns {string} Normalized text (case and punctuation untouched)
+   */
+  normalizeBangla(text) {
+    return String(text)
+      .normalize('NFC')
+      .replace(/ত্\u200D/g, 'ৎ')
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .replace(/[০-৯]/g, digit => String(digit.charCodeAt(0) - 0x09E6));
+  }
+
+  /**
+   * Normalize text for matching: Bangla normalization, lowercase, punctuation
+   * to spaces (keeping - . + inside model names) and single spaces
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    if (text === undefined || text === null) return '';
+
+    return this.normalizeBangla(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}.+-]+/gu, ' ')
+      .trim()
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Transliterate a phonetically typed Banglish word into Bangla script
+   * @param {string} word - Lowercase Latin word
+   * @returns {string|null} Bangla spelling, or null if the word is not plain Latin letters
+   */
+  transliterate(word) {
+    if (!/^[a-z]{2,}$/.test(word)) return null;
+
+    let result = '';
+    let afterConsonant = false;
+    let i = 0;
+
+    while (i < word.length) {
+      const rest = word.slice(i);
+      const vowel = VOWELS.find(([latin]) => rest.startsWith(latin));
+      if (vowel) {
+        result += afterConsonant ? vowel[2] : vowel[1];
+        afterConsonant = false;
+        i += vowel[0].length;
+        continue;
+      }
+
+      // y after a consonant is the ya-phala (ব্য), otherwise য়
+      if (rest[0] === 'y') {
+        result += afterConsonant ? '্য' : 'য়';
+        i += 1;
+        continue;
+      }
+      if (rest[0] === 'w') {
+        result += 'ও';
+        afterConsonant = false;
+        i += 1;
+        continue;
+      }
+      if (rest.startsWith('ng')) {
+        result += 'ং';
+        afterConsonant = false;
+        i += 2;
+        continue;
+      }
+
+      const consonant = CONSONANTS.find(([latin]) => rest.startsWith(latin));
+      result += consonant[1];
+      afterConsonant = true;
+      i += consonant[0].length;
+    }
+
+    return result.normalize('NFC');
+  }
+
+  /**
+   * Active synonym groups as a lookup from each term to the others in its
+   * groups; cached for SEARCH_SYNONYM_CACHE_SECONDS
+   * @returns {Promise<Map<string, Set<string>>>} Synonyms by term
+   */
+  async getSynonyms() {
+    if (this.synonyms && Date.now() - this.synonymsLoadedAt < this.synonymCacheMs) {
+      return this.synonyms;
+    }
+
+    try {
+      const groups = await this.prisma.searchSynonym.findMany({
+        where: { isActive: true },
+        select: { terms: true }
+      });
+
+      const synonyms = new Map();
+      for (const { terms } of groups) {
+        for (const term of terms) {
+          if (!synonyms.has(term)) synonyms.set(term, new Set());
+          terms.filter(other => other !== term).forEach(other => synonyms.get(term).add(other));
+        }
+      }
+
+      this.synonyms = synonyms;
+      this.synonymsLoadedAt = Date.now();
+    } catch (error) {
+      // Search keeps working without synonyms (or with the last loaded set)
+      this.logger.warn('Failed to load search synonyms', { error: error.message });
+      this.synonyms = this.synonyms || new Map();
+      this.synonymsLoadedAt = Date.now();
+    }
+
+    return this.synonyms;
+  }
+
+  /**
+   * Drop the cached synonyms so the next query reloads them
+   */
+  invalidateSynonyms() {
+    this.synonyms = null;
+    this.synonymsLoadedAt = 0;
+  }
+
+  /**
+   * Normalize a search query and collect the alternative terms it should also match
+   * @param {string} q - Query as typed
+   * @returns {Promise<Object>} Normalized text, its terms and the expansion terms
+   *   (transliterations and synonyms, excluding the terms themselves)
+   */
+  async normalize(q) {
+    const text = this.normalizeText(q);
+    if (!text) {
+      return { text: '', terms: [], expansions: [] };
+    }
+
+    let terms = text.split(' ');
+    const meaningful = terms.filter(term => !BANGLISH_PARTICLES.includes(term));
+    if (meaningful.length && meaningful.length < terms.length) terms = meaningful;
+
+    const synonyms = await this.getSynonyms();
+    const expansions = new Set();
+    const addSynonyms = (phrase) => (synonyms.get(phrase) || []).forEach(synonym => expansions.add(synonym));
+
+    for (const term of terms) {
+      const bangla = this.transliterate(term);
+      if (bangla) {
+        expansions.add(bangla);
+        addSynonyms(bangla);
+      }
+    }
+    for (let words = 1; words <= Math.min(MAX_PHRASE_WORDS, terms.length); words++) {
+      for (let i = 0; i + words <= terms.length; i++) {
+        addSynonyms(terms.slice(i, i + words).join(' '));
+      }
+    }
+
+    const normalized = terms.join(' ');
+    terms.forEach(term => expansions.delete(term));
+    expansions.delete(normalized);
+
+    return { text: normalized, terms, expansions: [...expansions] };
+  }
+
+  /**
+   * Normalize and de-duplicate the terms of a synonym group
+   * @param {Array<string>} terms - Terms as entered
+   * @returns {Array<string>} Normalized terms
+   */
+  normalizeTerms(terms) {
+    const normalized = [...new Set((terms || []).map(term => this.normalizeText(term)).filter(Boolean))];
+
+    if (normalized.length < 2) {
+      throw new ValidationError('A synonym group needs at least two different terms');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * List synonym groups
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeInactive] - Include disabled groups
+   * @returns {Promise<Array<Object>>} Synonym groups
+   */
+  async listSynonyms({ includeInactive = false } = {}) {
+    return this.prisma.searchSynonym.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Create a synonym group
+   * @param {Object} data - Group data
+   * @param {Array<string>} data.terms - Equivalent terms (two or more)
+   * @param {boolean} [data.isActive] - Whether the group is used
+   * @returns {Promise<Object>} Created group
+   */
+  async createSynonym({ terms, isActive = true }) {
+    const synonym = await this.prisma.searchSynonym.create({
+      data: { terms: this.normalizeTerms(terms), isActive }
+    });
+
+    this.invalidateSynonyms();
+    this.logger.logBusiness('SEARCH_SYNONYM_CREATED', { synonymId: synonym.id, terms: synonym.terms });
+
+    return synonym;
+  }
+
+  /**
+   * Update a synonym group
+   * @param {string} id - Group ID
+   * @param {Object} data - Fields to change (terms, isActive)
+   * @returns {Promise<Object>} Updated group
+   */
+  async updateSynonym(id, { terms, isActive }) {
+    const existing = await this.prisma.searchSynonym.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError('Synonym group not found');
+    }
+
+    const synonym = await this.prisma.searchSynonym.update({
+      where: { id },
+      data: {
+        ...(terms !== undefined && { terms: this.normalizeTerms(terms) }),
+        ...(isActive !== undefined && { isActive })
+      }
+    });
+
+    this.invalidateSynonyms();
+    this.logger.logBusiness('SEARCH_SYNONYM_UPDATED', { synonymId: id, terms: synonym.terms, isActive: synonym.isActive });
+
+    return synonym;
+  }
+
+  /**
+   * Delete a synonym group
+   * @param {string} id - Group ID
+   * @returns {Promise<void>}
+   */
+  async deleteSynonym(id) {
+    const existing = await this.prisma.searchSynonym.findUnique({ where: { id } });
+    if (!existing) {
+      throw new NotFoundError('Synonym group not found');
+    }
+
+    await this.prisma.searchSynonym.delete({ where: { id } });
+
+    this.invalidateSynonyms();
+    this.logger.logBusiness('SEARCH_SYNONYM_DELETED', { synonymId: id, terms: existing.terms });
+  }
+}
+
+// Singleton instance
+const queryNormalizationService = new QueryNormalizationService();
+
+module.exports = {
+  QueryNormalizationService,
+  queryNormalizationService
+};
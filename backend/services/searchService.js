@@ -0,0 +1,848 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { redisConnectionPool } = require('./redisConnectionPool');
+const { queryNormalizationService } = require('./queryNormalizationService');
+const { productPublishingService } = require('./productPublishingService');
+
+const prisma = new PrismaClient();
+
+// Listing sort keys and the index fields they sort on
+const SORT_FIELDS = {
+  price: 'regular_price',
+  name: 'name.keyword',
+  createdAt: 'created_at',
+  stockQuantity: 'stock_quantity'
+};
+
+// Fields searched for a free-text query, with their relevance boosts
+const SEARCH_FIELDS = [
+  'sku^6',
+  'name^4',
+  'name_en^4',
+  'name_bn^4',
+  'brand^3',
+  'category^2',
+  'specifications_text^1.5',
+  'short_description',
+  'description'
+];
+
+// Relations loaded to build a search document
+const DOCUMENT_INCLUDE = {
+  category: { select: { id: true, name: true, slug: true } },
+  brand: { select: { id: true, name: true, slug: true } },
+  specifications: { orderBy: { sortOrder: 'asc' } },
+  images: { orderBy: { sortOrder: 'asc' } }
+};
+
+// Price facet buckets (Taka); a bucket key can be sent back as a priceRange filter
+const PRICE_BUCKETS = [
+  { key: '0-5000', from: 0, to: 5000 },
+  { key: '5000-10000', from: 5000, to: 10000 },
+  { key: '10000-20000', from: 10000, to: 20000 },
+  { key: '20000-40000', from: 20000, to: 40000 },
+  { key: '40000-80000', from: 40000, to: 80000 },
+  { key: '80000-', from: 80000 }
+];
+
+// Most values returned per facet
+const FACET_SIZE = 50;
+
+// Index fields returned with autocomplete suggestions
+const SUGGEST_SOURCE = ['name', 'name_bn', 'slug', 'status', 'published_at', 'brand', 'brand_id', 'brand_slug', 'category', 'category_id', 'category_slug'];
+
+/**
+ * Search Service
+ * Product search backed by Elasticsearch. Products are indexed from Prisma
+ * (with category, brand, specifications and prices) and re-indexed whenever
+ * they change. Searches go to Elasticsearch when ELASTICSEARCH_NODE is set
+ * and the cluster answers; otherwise, and for a short while after a failed
+ * call, they fall back to a Postgres query. Both paths return product IDs in
+ * result order so callers load the products themselves. Autocomplete uses
+ * the completion sub-fields and caches answers per prefix in Redis.
+ */
+class SearchService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.normalizer = queryNormalizationService;
+    this.publishingService = productPublishingService;
+    this.node = process.env.ELASTICSEARCH_NODE;
+    this.index = process.env.ELASTICSEARCH_PRODUCTS_INDEX || 'products';
+    this.mappingPath = process.env.ELASTICSEARCH_INDEX_MAPPING ||
+      path.join(__dirname, '../../elasticsearch/init/products-index-mapping.json');
+    this.retryAfterMs = parseInt(process.env.ELASTICSEARCH_RETRY_AFTER_MS) || 30000;
+    this.unavailableUntil = 0;
+    this.http = axios.create({
+      baseURL: this.node,
+      timeout: parseInt(process.env.ELASTICSEARCH_TIMEOUT) || 2000
+    });
+    this.suggestTimeout = parseInt(process.env.SEARCH_SUGGEST_TIMEOUT_MS) || 300;
+    this.suggestCacheTtl = parseInt(process.env.SEARCH_SUGGEST_CACHE_TTL) || 600;
+    this.cache = null;
+  }
+
+  /**
+   * Redis client for the suggestion cache
+   * @returns {Object|null} Client, or null until the pool is up (suggestions are then not cached)
+   */
+  getCache() {
+    if (!this.cache && redisConnectionPool.isInitialized) {
+      this.cache = redisConnectionPool.getClient('searchService');
+    }
+    return this.cache;
+  }
+
+  /**
+   * Whether Elasticsearch is configured
+   * @returns {boolean} True if ELASTICSEARCH_NODE is set
+   */
+  isEnabled() {
+    return Boolean(this.node);
+  }
+
+  /**
+   * Whether searches should currently go to Elasticsearch
+   * @returns {boolean} True unless disabled or recently failing
+   */
+  isAvailable() {
+    return this.isEnabled() && Date.now() >= this.unavailableUntil;
+  }
+
+  /**
+   * Remember that Elasticsearch failed so searches use Postgres for a while
+   * @param {string} operation - What was being done
+   * @param {Error} error - Failure
+   */
+  markUnavailable(operation, error) {
+    this.unavailableUntil = Date.now() + this.retryAfterMs;
+    this.logger.warn('Elasticsearch unavailable, using Postgres search', {
+      operation,
+      error: error.message,
+      retryAfterMs: this.retryAfterMs
+    });
+  }
+
+  /**
+   * Create the products index from the mapping file if it does not exist
+   * @returns {Promise<boolean>} True if the index was created
+   */
+  async ensureIndex() {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    const exists = await this.http.head(`/${this.index}`, { validateStatus: status => status === 200 || status === 404 });
+    if (exists.status === 200) {
+      return false;
+    }
+
+    let mapping = {};
+    if (fs.existsSync(this.mappingPath)) {
+      mapping = JSON.parse(fs.readFileSync(this.mappingPath, 'utf8'));
+    } else {
+      this.logger.warn('Elasticsearch index mapping not found; index will use dynamic mapping', {
+        index: this.index,
+        mappingPath: this.mappingPath
+      });
+    }
+
+    await this.http.put(`/${this.index}`, mapping);
+    this.logger.info('Elasticsearch index created', { index: this.index });
+
+    return true;
+  }
+
+  /**
+   * Build the search document for a product
+   * @param {Object} product - Product with category, brand, specifications and images
+   * @returns {Object} Index document
+   */
+  toDocument(product) {
+    const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+    const specifications = (product.specifications || []).map(spec => ({ name: spec.name, value: spec.value }));
+
+    return {
+      id: product.id,
+      name: product.name,
+      name_en: product.nameEn,
+      name_bn: product.nameBn ? this.normalizer.normalizeBangla(product.nameBn) : product.nameBn,
+      slug: product.slug,
+      sku: product.sku,
+      description: product.description,
+      short_description: product.shortDescription,
+      status: product.status,
+      is_active: product.status === 'ACTIVE',
+      is_featured: product.isFeatured,
+      category: product.category ? product.category.name : null,
+      category_id: product.categoryId,
+      category_slug: product.category ? product.category.slug : null,
+      brand: product.brand ? product.brand.name : null,
+      brand_id: product.brandId,
+      brand_slug: product.brand ? product.brand.slug : null,
+      price: toNumber(product.regularPrice),
+      regular_price: toNumber(product.regularPrice),
+      sale_price: toNumber(product.salePrice),
+      stock_quantity: product.stockQuantity,
+      weight: toNumber(product.weight),
+      specifications,
+      specifications_text: specifications.map(spec => `${spec.name} ${spec.value}`).join(' '),
+      images: (product.images || []).map(image => ({
+        url: image.url,
+        alt_text: image.alt,
+        is_primary: image.sortOrder === 0
+      })),
+      created_at: product.createdAt,
+      updated_at: product.updatedAt,
+      published_at: product.publishedAt
+    };
+  }
+
+  /**
+   * Index (or re-index) one product from the database
+   * @param {string} productId - Product ID
+   * @returns {Promise<boolean>} True if indexed, false if the product no longer exists
+   */
+  async indexProduct(productId) {
+    const product = await this.prisma.product.findUnique({
+      where: { id: productId },
+      include: DOCUMENT_INCLUDE
+    });
+
+    if (!product) {
+      await this.removeProduct(productId);
+      return false;
+    }
+
+    await this.http.put(`/${this.index}/_doc/${product.id}`, this.toDocument(product));
+    return true;
+  }
+
+  /**
+   * Remove a product from the index
+   * @param {string} productId - Product ID
+   * @returns {Promise<void>}
+   */
+  async removeProduct(productId) {
+    await this.http.delete(`/${this.index}/_doc/${productId}`, {
+      validateStatus: status => status < 300 || status === 404
+    });
+  }
+
+  /**
+   * Bring the index in line with a product after it was created, updated or
+   * deleted. Never throws: a failed sync is logged and the product is picked
+   * up by the next full reindex.
+   * @param {string} productId - Product ID
+   * @returns {Promise<boolean>} True if the index was updated
+   */
+  async syncProduct(productId) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+
+    try {
+      await this.indexProduct(productId);
+      return true;
+    } catch (error) {
+      this.logger.warn('Search index sync failed', { productId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Re-index every product in batches with the bulk API
+   * @param {Object} [options] - Options
+   * @param {number} [options.batchSize] - Products per bulk request
+   * @returns {Promise<Object>} Number of products indexed and failed
+   */
+  async reindexAll({ batchSize = 500 } = {}) {
+    await this.ensureIndex();
+
+    let indexed = 0;
+    let failed = 0;
+    let cursor;
+
+    for (;;) {
+      const products = await this.prisma.product.findMany({
+        include: DOCUMENT_INCLUDE,
+        orderBy: { id: 'asc' },
+        take: batchSize,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+
+      if (products.length === 0) {
+        break;
+      }
+
+      const body = products
+        .map(product => `${JSON.stringify({ index: { _index: this.index, _id: product.id } })}\n${JSON.stringify(this.toDocument(product))}`)
+        .join('\n') + '\n';
+
+      const { data } = await this.http.post('/_bulk', body, {
+        headers: { 'Content-Type': 'application/x-ndjson' }
+      });
+
+      const errors = data.items.filter(item => Object.values(item)[0].error).length;
+      failed += errors;
+      indexed += products.length - errors;
+      cursor = products[products.length - 1].id;
+    }
+
+    this.logger.logBusiness('SEARCH_REINDEXED', { index: this.index, indexed, failed });
+
+    return { indexed, failed };
+  }
+
+  /**
+   * Elasticsearch filter clauses for the listing filters
+   * @param {Object} filters - Filters (see search)
+   * @param {Object} [options] - Options
+   * @param {string|Array<string>} [options.except] - Facets whose own filters are left out
+   *   (brand, category, price or spec:<name>), so their other values keep their counts
+   * @returns {Array<Object>} Filter clauses
+   */
+  buildFilters({ status = 'ACTIVE', publication = 'PUBLISHED', categories = [], brands = [], minPrice, maxPrice, priceRanges = [], specs = {} }, { except = [] } = {}) {
+    const skip = [].concat(except);
+    const filter = [{ term: { status } }];
+    const now = new Date().toISOString();
+
+    if (publication === 'PUBLISHED') filter.push({ range: { published_at: { lte: now } } });
+    if (publication === 'SCHEDULED') filter.push({ range: { published_at: { gt: now } } });
+    if (publication === 'DRAFT') filter.push({ bool: { must_not: { exists: { field: 'published_at' } } } });
+
+    if (categories.length && !skip.includes('category')) filter.push({ terms: { category_id: categories } });
+    if (brands.length && !skip.includes('brand')) filter.push({ terms: { brand_id: brands } });
+
+    if (!skip.includes('price')) {
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        const range = {};
+        if (minPrice !== undefined) range.gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) range.lte = parseFloat(maxPrice);
+        filter.push({ range: { regular_price: range } });
+      }
+      if (priceRanges.length) {
+        filter.push({
+          bool: {
+            should: priceRanges.map(({ from, to }) => ({
+              range: { regular_price: { ...(from !== undefined && { gte: from }), ...(to !== undefined && { lt: to }) } }
+            })),
+            minimum_should_match: 1
+          }
+        });
+      }
+    }
+
+    for (const [name, values] of Object.entries(specs)) {
+      if (skip.includes(`spec:${name}`)) continue;
+      filter.push({
+        nested: {
+          path: 'specifications',
+          query: {
+            bool: {
+              filter: [
+                { term: { 'specifications.name': name } },
+                { terms: { 'specifications.value': values } }
+              ]
+            }
+          }
+        }
+      });
+    }
+
+    return filter;
+  }
+
+  /**
+   * Elasticsearch clause for the free-text part of a search: the normalized
+   * query (typos tolerated) or any of its transliterations and synonyms
+   * @param {Object} [query] - Normalized query (see queryNormalizationService.normalize)
+   * @returns {Object} Query clause
+   */
+  buildTextQuery(query) {
+    if (!query || !query.text) {
+      return { match_all: {} };
+    }
+
+    const clauses = [{ multi_match: { query: query.text, fields: SEARCH_FIELDS, type: 'best_fields', fuzziness: 'AUTO' } }];
+    if (query.expansions.length) {
+      clauses.push({ multi_match: { query: query.expansions.join(' '), fields: SEARCH_FIELDS, type: 'best_fields' } });
+    }
+
+    return { bool: { should: clauses, minimum_should_match: 1 } };
+  }
+
+  /**
+   * Build the Elasticsearch query for a product search
+   * @param {Object} params - Search parameters (see search)
+   * @returns {Object} Search request body
+   */
+  buildQuery(params) {
+    const { q, sortBy, sortOrder = 'desc', page = 1, limit = 20 } = params;
+
+    // Relevance first when searching without an explicit sort
+    const sort = sortBy
+      ? [{ [SORT_FIELDS[sortBy]]: { order: sortOrder } }, '_score']
+      : q ? ['_score', { created_at: { order: 'desc' } }] : [{ created_at: { order: 'desc' } }];
+
+    return {
+      query: { bool: { must: [this.buildTextQuery(params.query)], filter: this.buildFilters(params) } },
+      sort,
+      from: (page - 1) * limit,
+      size: parseInt(limit),
+      track_total_hits: true,
+      _source: false
+    };
+  }
+
+  /**
+   * Prisma where clause for the listing filters (Postgres search and listing)
+   * @param {Object} params - Search parameters (see search), with the text
+   *   query already normalized into params.query (see withNormalizedQuery)
+   * @param {Object} [options] - Options (see buildFilters)
+   * @returns {Object} Product where clause
+   */
+  buildWhere({ query, status = 'ACTIVE', publication = 'PUBLISHED', categories = [], brands = [], minPrice, maxPrice, priceRanges = [], specs = {} }, { except = [] } = {}) {
+    const skip = [].concat(except);
+    const where = { status, ...this.publishingService.publicationWhere(publication) };
+    const and = [];
+
+    if (categories.length && !skip.includes('category')) where.categoryId = { in: categories };
+    if (brands.length && !skip.includes('brand')) where.brandId = { in: brands };
+    if (query && query.text) {
+      // The whole normalized query, or any of its transliterations and synonyms
+      and.push({
+        OR: [query.text, ...query.expansions].flatMap(text => [
+          { name: { contains: text, mode: 'insensitive' } },
+          { nameEn: { contains: text, mode: 'insensitive' } },
+          { nameBn: { contains: text, mode: 'insensitive' } },
+          { sku: { contains: text, mode: 'insensitive' } },
+          { shortDescription: { contains: text, mode: 'insensitive' } },
+          { description: { contains: text, mode: 'insensitive' } }
+        ])
+      });
+    }
+
+    if (!skip.includes('price')) {
+      if (minPrice !== undefined || maxPrice !== undefined) {
+        where.regularPrice = {};
+        if (minPrice !== undefined) where.regularPrice.gte = parseFloat(minPrice);
+        if (maxPrice !== undefined) where.regularPrice.lte = parseFloat(maxPrice);
+      }
+      if (priceRanges.length) {
+        and.push({
+          OR: priceRanges.map(({ from, to }) => ({
+            regularPrice: { ...(from !== undefined && { gte: from }), ...(to !== undefined && { lt: to }) }
+          }))
+        });
+      }
+    }
+
+    for (const [name, values] of Object.entries(specs)) {
+      if (skip.includes(`spec:${name}`)) continue;
+      and.push({ specifications: { some: { name, value: { in: values } } } });
+    }
+
+    if (and.length) where.AND = and;
+
+    return where;
+  }
+
+  /**
+   * Search products in Elasticsearch
+   * @param {Object} params - Search parameters (see search)
+   * @returns {Promise<Object>} Product IDs in result order and total hits
+   */
+  async searchElasticsearch(params) {
+    const { data } = await this.http.post(`/${this.index}/_search`, this.buildQuery(params));
+
+    return {
+      ids: data.hits.hits.map(hit => hit._id),
+      total: data.hits.total.value,
+      engine: 'elasticsearch'
+    };
+  }
+
+  /**
+   * Search products in Postgres (fallback)
+   * @param {Object} params - Search parameters (see search)
+   * @returns {Promise<Object>} Product IDs in result order and total matches
+   */
+  async searchPostgres(params) {
+    const { sortBy, sortOrder = 'desc', page = 1, limit = 20 } = params;
+    const where = this.buildWhere(params);
+    const orderField = sortBy === 'price' ? 'regularPrice' : sortBy || 'createdAt';
+
+    const [products, total] = await Promise.all([
+      this.prisma.product.findMany({
+        where,
+        select: { id: true },
+        skip: (page - 1) * limit,
+        take: parseInt(limit),
+        orderBy: { [orderField]: sortBy ? sortOrder : 'desc' }
+      }),
+      this.prisma.product.count({ where })
+    ]);
+
+    return {
+      ids: products.map(product => product.id),
+      total,
+      engine: 'postgres'
+    };
+  }
+
+  /**
+   * Run an operation on Elasticsearch, falling back to Postgres when it is
+   * unavailable or fails
+   * @param {string} operation - Operation name for logs
+   * @param {Function} elasticsearch - Elasticsearch implementation
+   * @param {Function} postgres - Postgres implementation
+   * @returns {Promise<*>} Result of whichever implementation answered
+   */
+  async withFallback(operation, elasticsearch, postgres) {
+    if (this.isAvailable()) {
+      try {
+        return await elasticsearch();
+      } catch (error) {
+        // Rejected requests are our bug, not an outage; fall back without waiting
+        if (error.response && error.response.status < 500) {
+          this.logger.error('Elasticsearch rejected request', { operation, status: error.response.status, error: error.message });
+        } else {
+          this.markUnavailable(operation, error);
+        }
+      }
+    }
+
+    return postgres();
+  }
+
+  /**
+   * Search products, ranked by relevance unless a sort is given
+   * @param {Object} params - Search parameters
+   * @param {string} [params.q] - Free-text query
+   * @param {Array<string>} [params.categories] - Category IDs (any of)
+   * @param {Array<string>} [params.brands] - Brand IDs (any of)
+   * @param {number} [params.minPrice] - Minimum regular price
+   * @param {number} [params.maxPrice] - Maximum regular price
+   * @param {Array<Object>} [params.priceRanges] - Price buckets ({ from, to }, any of)
+   * @param {Object} [params.specs] - Specification values by name ({ RAM: ['8GB', '16GB'] })
+   * @param {string} [params.status] - Product status (default ACTIVE)
+   * @param {string} [params.publication] - DRAFT, SCHEDULED, PUBLISHED (default) or ALL
+   * @param {string} [params.sortBy] - price, name, createdAt or stockQuantity
+   * @param {string} [params.sortOrder] - asc or desc
+   * @param {number} [params.page] - Page (1-based)
+   * @param {number} [params.limit] - Page size
+   * @returns {Promise<Object>} Product IDs in result order, total and the engine used
+   */
+  async search(params) {
+    const normalized = await this.withNormalizedQuery(params);
+    return this.withFallback('search', () => this.searchElasticsearch(normalized), () => this.searchPostgres(normalized));
+  }
+
+  /**
+   * Add the normalized form of params.q (as params.query) for the query builders
+   * @param {Object} params - Search parameters
+   * @returns {Promise<Object>} Parameters with query
+   */
+  async withNormalizedQuery(params) {
+    return { ...params, query: await this.normalizer.normalize(params.q) };
+  }
+
+  /**
+   * Suggest products, brands and categories from the completion fields
+   * @param {string} prefix - Normalized prefix
+   * @param {number} limit - Suggestions per group
+   * @returns {Promise<Object>} Suggestions
+   */
+  async suggestElasticsearch(prefix, limit) {
+    // Over-fetch: inactive products are dropped after the fact
+    const completion = (field) => ({
+      prefix,
+      completion: {
+        field,
+        size: limit * 3,
+        skip_duplicates: true,
+        fuzzy: { fuzziness: 'AUTO', unicode_aware: true }
+      }
+    });
+
+    const { data } = await this.http.post(`/${this.index}/_search`, {
+      size: 0,
+      _source: SUGGEST_SOURCE,
+      suggest: {
+        products: completion('name.suggest'),
+        productsBn: completion('name_bn.suggest'),
+        brands: completion('brand.suggest'),
+        categories: completion('category.suggest')
+      }
+    }, { timeout: this.suggestTimeout });
+
+    const options = (name) => data.suggest[name][0].options.filter(option =>
+      option._source.status === 'ACTIVE' && this.publishingService.isPublished({ publishedAt: option._source.published_at }));
+    const unique = (items) => [...new Map(items.map(item => [item.id, item])).values()].slice(0, limit);
+
+    return {
+      products: unique([...options('products'), ...options('productsBn')].map(option => ({
+        id: option._id,
+        name: option._source.name,
+        nameBn: option._source.name_bn || null,
+        slug: option._source.slug
+      }))),
+      brands: unique(options('brands').map(({ _source }) => ({
+        id: _source.brand_id,
+        name: _source.brand,
+        slug: _source.brand_slug
+      }))),
+      categories: unique(options('categories').map(({ _source }) => ({
+        id: _source.category_id,
+        name: _source.category,
+        slug: _source.category_slug
+      }))),
+      engine: 'elasticsearch'
+    };
+  }
+
+  /**
+   * Suggest products, brands and categories by name prefix in Postgres
+   * (fallback; no typo tolerance)
+   * @param {string} prefix - Normalized prefix
+   * @param {number} limit - Suggestions per group
+   * @returns {Promise<Object>} Suggestions
+   */
+  async suggestPostgres(prefix, limit) {
+    const startsWith = { startsWith: prefix, mode: 'insensitive' };
+    const select = { id: true, name: true, slug: true };
+
+    const [products, brands, categories] = await Promise.all([
+      this.prisma.product.findMany({
+        where: { status: 'ACTIVE', ...this.publishingService.publicationWhere(), OR: [{ name: startsWith }, { nameEn: startsWith }, { nameBn: startsWith }] },
+        select: { ...select, nameBn: true },
+        orderBy: { name: 'asc' },
+        take: limit
+      }),
+      this.prisma.brand.findMany({ where: { isActive: true, name: startsWith }, select, orderBy: { name: 'asc' }, take: limit }),
+      this.prisma.category.findMany({ where: { isActive: true, name: startsWith }, select, orderBy: { name: 'asc' }, take: limit })
+    ]);
+
+    return { products, brands, categories, engine: 'postgres' };
+  }
+
+  /**
+   * Autocomplete suggestions for what the user has typed so far. Typos are
+   * tolerated on Elasticsearch; answers are cached per prefix in Redis.
+   * @param {string} q - Typed text (English or Bangla)
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - Suggestions per group (default 5)
+   * @returns {Promise<Object>} Product, brand and category suggestions and the engine used
+   */
+  async suggest(q, { limit = 5 } = {}) {
+    const prefix = this.normalizer.normalizeText(q);
+    if (!prefix) {
+      return { products: [], brands: [], categories: [], engine: null };
+    }
+
+    const cache = this.getCache();
+    const cacheKey = `search:suggest:${limit}:${prefix}`;
+    if (cache) {
+      const cached = await cache.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    }
+
+    const result = await this.withFallback(
+      'suggest',
+      () => this.suggestElasticsearch(prefix, limit),
+      () => this.suggestPostgres(prefix, limit)
+    );
+
+    // Fallback answers are not cached so typo tolerance returns with Elasticsearch
+    if (cache && result.engine === 'elasticsearch') {
+      await cache.setEx(cacheKey, this.suggestCacheTtl, JSON.stringify(result));
+    }
+
+    return result;
+  }
+
+  /**
+   * Count facet values in Elasticsearch. Each facet is counted with every
+   * filter except its own, so selecting a brand still shows the other brands.
+   * @param {Object} params - Search parameters (see search)
+   * @returns {Promise<Object>} Raw facet counts
+   */
+  async facetsElasticsearch(params) {
+    const specNames = Object.keys(params.specs || {});
+    const facet = (except, aggs) => ({
+      filter: { bool: { filter: this.buildFilters(params, { except }) } },
+      aggs
+    });
+    const valueTerms = { values: { terms: { field: 'specifications.value', size: FACET_SIZE } } };
+
+    const aggs = {
+      brands: facet('brand', { values: { terms: { field: 'brand_id', size: FACET_SIZE } } }),
+      categories: facet('category', { values: { terms: { field: 'category_id', size: FACET_SIZE } } }),
+      price: facet('price', { values: { range: { field: 'regular_price', ranges: PRICE_BUCKETS } } }),
+      specifications: facet(specNames.map(name => `spec:${name}`), {
+        nested: {
+          nested: { path: 'specifications' },
+          aggs: { names: { terms: { field: 'specifications.name', size: FACET_SIZE }, aggs: valueTerms } }
+        }
+      })
+    };
+
+    // Selected specification names are recounted without their own filter
+    specNames.forEach((name, i) => {
+      aggs[`spec_${i}`] = facet(`spec:${name}`, {
+        nested: {
+          nested: { path: 'specifications' },
+          aggs: { name: { filter: { term: { 'specifications.name': name } }, aggs: valueTerms } }
+        }
+      });
+    });
+
+    const { data } = await this.http.post(`/${this.index}/_search`, {
+      query: { bool: { must: [this.buildTextQuery(params.query)] } },
+      post_filter: { bool: { filter: this.buildFilters(params) } },
+      aggs,
+      size: 0,
+      track_total_hits: true
+    });
+
+    const counts = (buckets) => buckets.map(bucket => ({ key: bucket.key, count: bucket.doc_count }));
+    const specs = {};
+    for (const bucket of data.aggregations.specifications.nested.names.buckets) {
+      specs[bucket.key] = counts(bucket.values.buckets);
+    }
+    specNames.forEach((name, i) => {
+      specs[name] = counts(data.aggregations[`spec_${i}`].nested.name.values.buckets);
+    });
+
+    return {
+      total: data.hits.total.value,
+      brands: counts(data.aggregations.brands.values.buckets),
+      categories: counts(data.aggregations.categories.values.buckets),
+      price: counts(data.aggregations.price.values.buckets),
+      specs,
+      engine: 'elasticsearch'
+    };
+  }
+
+  /**
+   * Count facet values in Postgres (fallback), with the same per-facet
+   * filtering as facetsElasticsearch
+   * @param {Object} params - Search parameters (see search)
+   * @returns {Promise<Object>} Raw facet counts
+   */
+  async facetsPostgres(params) {
+    const specNames = Object.keys(params.specs || {});
+    const groupCounts = (field) => this.prisma.product.groupBy({
+      by: [field],
+      where: this.buildWhere(params, { except: field === 'brandId' ? 'brand' : 'category' }),
+      _count: { _all: true }
+    });
+    const specCounts = (except, name) => this.prisma.productSpecification.groupBy({
+      by: ['name', 'value'],
+      where: { ...(name && { name }), product: this.buildWhere(params, { except }) },
+      _count: { _all: true }
+    });
+    const priceWhere = this.buildWhere(params, { except: 'price' });
+
+    const [total, brands, categories, price, specRows, ...selectedSpecRows] = await Promise.all([
+      this.prisma.product.count({ where: this.buildWhere(params) }),
+      groupCounts('brandId'),
+      groupCounts('categoryId'),
+      Promise.all(PRICE_BUCKETS.map(({ from, to }) => this.prisma.product.count({
+        where: { AND: [priceWhere, { regularPrice: { gte: from, ...(to !== undefined && { lt: to }) } }] }
+      }))),
+      specCounts(specNames.map(name => `spec:${name}`)),
+      ...specNames.map(name => specCounts(`spec:${name}`, name))
+    ]);
+
+    const byCount = (a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key));
+    const specs = Object.fromEntries(specNames.map(name => [name, []]));
+    for (const row of [...specRows.filter(row => !specNames.includes(row.name)), ...selectedSpecRows.flat()]) {
+      (specs[row.name] = specs[row.name] || []).push({ key: row.value, count: row._count._all });
+    }
+    Object.values(specs).forEach(values => values.sort(byCount));
+
+    return {
+      total,
+      brands: brands.map(row => ({ key: row.brandId, count: row._count._all })).sort(byCount),
+      categories: categories.map(row => ({ key: row.categoryId, count: row._count._all })).sort(byCount),
+      price: PRICE_BUCKETS.map((bucket, i) => ({ key: bucket.key, count: price[i] })),
+      specs,
+      engine: 'postgres'
+    };
+  }
+
+  /**
+   * Facet values with counts for the current query and filters
+   * @param {Object} params - Search parameters (see search; paging and sort are ignored)
+   * @returns {Promise<Object>} Brand, category, price and specification facets,
+   *   the number of matching products and the engine used
+   */
+  async getFacets(params) {
+    const normalized = await this.withNormalizedQuery(params);
+    const raw = await this.withFallback('facets', () => this.facetsElasticsearch(normalized), () => this.facetsPostgres(normalized));
+    const { brands: selectedBrands = [], categories: selectedCategories = [], priceRanges = [], specs = {} } = params;
+
+    // Selected values stay listed (with a zero count) so they can be cleared
+    const withSelected = (counts, selected) => [
+      ...counts,
+      ...selected.filter(key => !counts.some(count => count.key === key)).map(key => ({ key, count: 0 }))
+    ];
+    const brandCounts = withSelected(raw.brands, selectedBrands);
+    const categoryCounts = withSelected(raw.categories, selectedCategories);
+
+    const [brands, categories] = await Promise.all([
+      this.prisma.brand.findMany({
+        where: { id: { in: brandCounts.map(count => count.key) } },
+        select: { id: true, name: true, slug: true }
+      }),
+      this.prisma.category.findMany({
+        where: { id: { in: categoryCounts.map(count => count.key) } },
+        select: { id: true, name: true, slug: true }
+      })
+    ]);
+
+    const describe = (counts, records, selected) => {
+      const byId = new Map(records.map(record => [record.id, record]));
+      return counts
+        .filter(count => byId.has(count.key))
+        .map(({ key, count }) => ({ ...byId.get(key), count, selected: selected.includes(key) }));
+    };
+
+    return {
+      facets: {
+        brands: describe(brandCounts, brands, selectedBrands),
+        categories: describe(categoryCounts, categories, selectedCategories),
+        price: PRICE_BUCKETS.map(bucket => ({
+          ...bucket,
+          count: (raw.price.find(count => count.key === bucket.key) || { count: 0 }).count,
+          selected: priceRanges.some(range => range.from === bucket.from && range.to === bucket.to)
+        })),
+        specifications: Object.entries(raw.specs).map(([name, counts]) => ({
+          name,
+          values: withSelected(counts, specs[name] || []).map(({ key, count }) => ({
+            value: key,
+            count,
+            selected: (specs[name] || []).includes(key)
+          }))
+        }))
+      },
+      total: raw.total,
+      engine: raw.engine
+    };
+  }
+}
+
+// Singleton instance
+const searchService = new SearchService();
+
+module.exports = {
+  SearchService,
+  searchService,
+  SEARCH_FIELDS,
+  PRICE_BUCKETS
+};
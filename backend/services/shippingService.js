@@ -0,0 +1,185 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+
+const prisma = new PrismaClient();
+
+/**
+ * Shipping Service
+ * Quotes courier charges from the destination (division/district/upazila),
+ * the shipment weight and the order subtotal using the ShippingZone table
+ */
+class ShippingService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    // Weight assumed for products without a weight, in kg
+    this.defaultItemWeightKg = parseFloat(process.env.SHIPPING_DEFAULT_ITEM_WEIGHT_KG) || 0.5;
+    // Flat rate used only if no shipping zones are configured
+    this.fallbackRate = parseFloat(process.env.SHIPPING_FALLBACK_RATE) || 100;
+  }
+
+  /**
+   * Normalize an area name for comparison
+   * @param {string} value - Division, district or upazila
+   * @returns {string|null} Normalized value
+   */
+  normalizeArea(value) {
+    return value ? String(value).trim().toLowerCase() : null;
+  }
+
+  /**
+   * Parse an optional decimal column
+   * @param {*} value - Decimal, string or null
+   * @returns {number|null} Parsed number
+   */
+  toNumberOrNull(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  /**
+   * Score how specifically a zone area matches a destination. Every field the
+   * area specifies must match; the score is the number of fields specified.
+   * @param {Object} area - Zone area ({ division, district, upazila })
+   * @param {Object} destination - Destination ({ division, district, upazila })
+   * @returns {number} Match score, or -1 if the area does not match
+   */
+  matchScore(area, destination) {
+    let score = 0;
+
+    for (const field of ['division', 'district', 'upazila']) {
+      if (!area[field]) continue;
+
+      if (this.normalizeArea(area[field]) !== this.normalizeArea(destination[field])) {
+        return -1;
+      }
+      score++;
+    }
+
+    return score;
+  }
+
+  /**
+   * Find the zone whose areas most specifically match a destination,
+   * falling back to the default zone
+   * @param {Array<Object>} zones - Active shipping zones
+   * @param {Object} destination - Destination ({ division, district, upazila })
+   * @returns {Object|null} Matching zone
+   */
+  findZone(zones, destination) {
+    let bestZone = null;
+    let bestScore = 0;
+
+    for (const zone of zones) {
+      for (const area of Array.isArray(zone.areas) ? zone.areas : []) {
+        const score = this.matchScore(area, destination);
+        if (score > bestScore) {
+          bestZone = zone;
+          bestScore = score;
+        }
+      }
+    }
+
+    return bestZone || zones.find(zone => zone.isDefault) || null;
+  }
+
+  /**
+   * Calculate the total shipment weight of order lines
+   * @param {Array<Object>} lines - Lines ({ quantity, weight })
+   * @returns {number} Weight in kg
+   */
+  calculateWeight(lines) {
+    const weight = lines.reduce((sum, line) => {
+      const itemWeight = line.weight !== null && line.weight !== undefined
+        ? parseFloat(line.weight)
+        : this.defaultItemWeightKg;
+      return sum + itemWeight * line.quantity;
+    }, 0);
+
+    return Math.round(weight * 1000) / 1000;
+  }
+
+  /**
+   * Calculate the charge for a shipment within a zone
+   * @param {Object} zone - Shipping zone
+   * @param {number} weight - Shipment weight in kg
+   * @param {number} subtotal - Order subtotal
+   * @returns {Object} Cost and whether free shipping applied
+   */
+  calculateRate(zone, weight, subtotal) {
+    const threshold = this.toNumberOrNull(zone.freeShippingThreshold);
+
+    if (threshold !== null && subtotal >= threshold) {
+      return { cost: 0, freeShipping: true };
+    }
+
+    const extraKg = Math.max(0, Math.ceil(weight - parseFloat(zone.baseWeightKg)));
+    const cost = parseFloat(zone.baseRate) + extraKg * parseFloat(zone.perKgRate);
+
+    return { cost: Math.round(cost * 100) / 100, freeShipping: false };
+  }
+
+  /**
+   * Quote shipping for a destination and set of lines
+   * @param {Object} destination - Address or { division, district, upazila }
+   * @param {Array<Object>} lines - Lines ({ quantity, weight })
+   * @param {number} subtotal - Order subtotal used for free-shipping thresholds
+   * @param {Object} [client] - Prisma client or transaction client
+   * @returns {Promise<Object>} Shipping quote
+   */
+  async getQuote(destination, lines, subtotal, client = this.prisma) {
+    const weight = this.calculateWeight(lines);
+
+    const zones = await client.shippingZone.findMany({
+      where: { isActive: true },
+      orderBy: { sortOrder: 'asc' }
+    });
+
+    const zone = this.findZone(zones, destination || {});
+
+    if (!zone) {
+      this.logger.warn('No shipping zone matched, using fallback rate', {
+        division: destination && destination.division,
+        district: destination && destination.district
+      });
+
+      return {
+        zone: null,
+        weight,
+        cost: this.fallbackRate,
+        freeShipping: false,
+        freeShippingThreshold: null,
+        amountToFreeShipping: null,
+        estimatedDeliveryDays: null
+      };
+    }
+
+    const { cost, freeShipping } = this.calculateRate(zone, weight, subtotal);
+    const threshold = this.toNumberOrNull(zone.freeShippingThreshold);
+
+    return {
+      zone: {
+        id: zone.id,
+        name: zone.name,
+        nameBn: zone.nameBn
+      },
+      weight,
+      cost,
+      freeShipping,
+      freeShippingThreshold: threshold,
+      amountToFreeShipping: threshold !== null && !freeShipping
+        ? Math.round((threshold - subtotal) * 100) / 100
+        : null,
+      estimatedDeliveryDays: zone.minDeliveryDays !== null && zone.minDeliveryDays !== undefined
+        ? { min: zone.minDeliveryDays, max: zone.maxDeliveryDays }
+        : null
+    };
+  }
+}
+
+// Singleton instance
+const shippingService = new ShippingService();
+
+module.exports = {
+  ShippingService,
+  shippingService
+};
@@ -109,6 +109,15 @@ class SMSService {
     };
   }
 
+  // Create abandoned cart reminder SMS template with Bangladesh localization
+  createAbandonedCartTemplate(itemCount, cartUrl) {
+    return {
+      text: `Smart Technologies Bangladesh: আপনার কার্টে ${itemCount}টি পণ্য রয়ে গেছে। You left ${itemCount} item(s) in your cart: ${cartUrl}`,
+      textEn: `Smart Technologies Bangladesh: You left ${itemCount} item(s) in your cart: ${cartUrl}`,
+      textBn: `স্মার্ট টেকনোলজিস বাংলাদেশ: আপনার কার্টে ${itemCount}টি পণ্য রয়ে গেছে: ${cartUrl}`
+    };
+  }
+
   /**
    * Send OTP via SMS with fallback mechanism
    * @param {string} phone - Recipient phone number
@@ -0,0 +1,528 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { emailService } = require('./emailService');
+const { warehouseService } = require('./warehouseService');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+const MOVEMENT_TYPES = ['SALE', 'CANCELLATION', 'RETURN', 'ADJUSTMENT', 'RECEIVING', 'TRANSFER'];
+
+// Movement types staff may record by hand; the rest come from orders
+const MANUAL_MOVEMENT_TYPES = ['ADJUSTMENT', 'RECEIVING'];
+
+// Roles emailed about low stock
+const ALERT_RECIPIENT_ROLES = ['ADMIN', 'MANAGER'];
+
+/**
+ * Stock Service
+ * Keeps the stock ledger: every change to product or variant stock is
+ * recorded as a StockMovement with its type, reason, actor and the balance it
+ * left. Recording a movement also moves the product between ACTIVE and
+ * OUT_OF_STOCK, and raises a low-stock alert when stock falls to the
+ * product's lowStockThreshold (resolved again once it is restocked above it).
+ * Open alerts are emailed to managers in batches by a scheduled task.
+ */
+class StockService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+    this.emailService = emailService;
+    this.warehouseService = warehouseService;
+    this.alertBatchSize = parseInt(process.env.LOW_STOCK_ALERT_BATCH_SIZE) || 100;
+    this.frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  }
+
+  /**
+   * Load a product (and variant) with its current stock
+   * @param {Object} tx - Prisma client or transaction client
+   * @param {string} productId - Product ID
+   * @param {string} [variantId] - Variant ID, for variant stock
+   * @returns {Promise<Object>} { product, variant, stock }
+   */
+  async getStock(tx, productId, variantId = null) {
+    const product = await tx.product.findUnique({
+      where: { id: productId },
+      select: { id: true, name: true, sku: true, status: true, stockQuantity: true, lowStockThreshold: true }
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (!variantId) {
+      return { product, variant: null, stock: product.stockQuantity };
+    }
+
+    const variant = await tx.productVariant.findFirst({
+      where: { id: variantId, productId },
+      select: { id: true, name: true, sku: true, stock: true }
+    });
+
+    if (!variant) {
+      throw new NotFoundError('Product variant not found');
+    }
+
+    return { product, variant, stock: variant.stock };
+  }
+
+  /**
+   * Record a stock change that has just been applied within the transaction,
+   * then update the product status and low-stock alerts to match
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} movement - Movement details
+   * @param {string} movement.productId - Product ID
+   * @param {string} [movement.variantId] - Variant ID, for variant stock
+   * @param {string} movement.type - SALE, CANCELLATION, RETURN, ADJUSTMENT or RECEIVING
+   * @param {number} movement.quantity - Signed change (negative for stock going out)
+   * @param {string} [movement.reason] - Reason for the change
+   * @param {string} [movement.actorId] - ID of the user making the change (null for system changes)
+   * @param {string} [movement.orderId] - Order behind the change
+   * @param {string} [movement.warehouseId] - Location the stock moved at
+   * @param {number} [movement.outstanding] - Stock already taken out in the transaction that movements
+   *   recorded after this one account for (e.g. the other locations an order line was split across)
+   * @returns {Promise<Object>} Created movement
+   */
+  async recordMovement(tx, { productId, variantId = null, type, quantity, reason = null, actorId = null, orderId = null, warehouseId = null, outstanding = 0 }) {
+    const { product, stock } = await this.getStock(tx, productId, variantId);
+    const balanceAfter = stock + outstanding;
+
+    const movement = await tx.stockMovement.create({
+      data: { productId, variantId, type, quantity, balanceAfter, reason, actorId, orderId, warehouseId }
+    });
+
+    await this.syncStatus(tx, product);
+    await this.checkThreshold(tx, product, variantId, balanceAfter - quantity, balanceAfter);
+
+    return movement;
+  }
+
+  /**
+   * Move a product between ACTIVE and OUT_OF_STOCK to match its stock. A
+   * product with active variants is out of stock when all of them are;
+   * INACTIVE and DISCONTINUED products are left alone.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} product - Product ({ id, status, stockQuantity }) with current stock
+   * @returns {Promise<string>} Product status
+   */
+  async syncStatus(tx, product) {
+    if (!['ACTIVE', 'OUT_OF_STOCK'].includes(product.status)) {
+      return product.status;
+    }
+
+    const variants = await tx.productVariant.aggregate({
+      where: { productId: product.id, isActive: true },
+      _sum: { stock: true },
+      _count: { _all: true }
+    });
+    const available = variants._count._all > 0 ? variants._sum.stock || 0 : product.stockQuantity;
+    const status = available > 0 ? 'ACTIVE' : 'OUT_OF_STOCK';
+
+    if (status !== product.status) {
+      await tx.product.update({ where: { id: product.id }, data: { status } });
+      this.logger.logBusiness('PRODUCT_STOCK_STATUS_CHANGED', {
+        productId: product.id,
+        sku: product.sku,
+        fromStatus: product.status,
+        toStatus: status
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Raise a low-stock alert when stock falls to the product's threshold, and
+   * resolve open alerts when it is restocked above it. Only crossings count,
+   * so stock already below the threshold does not raise a new alert per sale.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} product - Product ({ id, lowStockThreshold })
+   * @param {string|null} variantId - Variant ID, for variant stock
+   * @param {number} before - Stock before the movement
+   * @param {number} after - Stock after the movement
+   */
+  async checkThreshold(tx, product, variantId, before, after) {
+    const threshold = product.lowStockThreshold;
+
+    if (before > threshold && after <= threshold) {
+      const open = await tx.lowStockAlert.findFirst({
+        where: { productId: product.id, variantId, resolvedAt: null }
+      });
+
+      if (!open) {
+        await tx.lowStockAlert.create({
+          data: { productId: product.id, variantId, stock: after, threshold }
+        });
+      }
+    } else if (before <= threshold && after > threshold) {
+      await tx.lowStockAlert.updateMany({
+        where: { productId: product.id, variantId, resolvedAt: null },
+        data: { resolvedAt: new Date() }
+      });
+    }
+  }
+
+  /**
+   * Change stock by hand: a stock count correction (ADJUSTMENT, either
+   * direction) or goods received from a supplier (RECEIVING, positive), at
+   * a branch or (by default) the central warehouse
+   * @param {string} productId - Product ID
+   * @param {Object} adjustment - Adjustment details
+   * @param {string} [adjustment.variantId] - Variant ID, for variant stock
+   * @param {string} [adjustment.warehouseId] - Location (default: the central warehouse)
+   * @param {string} [adjustment.type] - ADJUSTMENT (default) or RECEIVING
+   * @param {number} adjustment.quantity - Signed change
+   * @param {string} adjustment.reason - Reason for the change
+   * @param {string} actorId - ID of the user making the change
+   * @returns {Promise<Object>} Created movement
+   */
+  async adjustStock(productId, { variantId = null, warehouseId = null, type = 'ADJUSTMENT', quantity, reason }, actorId) {
+    if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+      throw new ValidationError(`Stock can only be changed by hand with ${MANUAL_MOVEMENT_TYPES.join(' or ')}`);
+    }
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      throw new ValidationError('Quantity must be a whole number other than 0');
+    }
+
+    if (type === 'RECEIVING' && quantity < 0) {
+      throw new ValidationError('Received quantity must be positive');
+    }
+
+    if (!reason || !String(reason).trim()) {
+      throw new ValidationError('A reason is required');
+    }
+
+    const movement = await this.prisma.$transaction(async (tx) => {
+      const { stock } = await this.getStock(tx, productId, variantId);
+      const warehouse = warehouseId
+        ? await this.warehouseService.getWarehouse(warehouseId, tx)
+        : await this.warehouseService.getCentral(tx);
+
+      // Central stock is what branches do not hold, so taking stock out
+      // centrally must leave the branches' share in the total
+      let floor = 0;
+      if (warehouse && !warehouse.isCentral) {
+        await this.warehouseService.changeLocationStock(tx, { warehouseId: warehouse.id, productId, variantId, quantity });
+      } else if (quantity < 0) {
+        floor = await this.warehouseService.branchStock(tx, productId, variantId);
+      }
+
+      // Stock going out must not drive the balance below zero, even if a sale lands meanwhile
+      const result = variantId
+        ? await tx.productVariant.updateMany({
+          where: { id: variantId, ...(quantity < 0 && { stock: { gte: floor - quantity } }) },
+          data: { stock: { increment: quantity } }
+        })
+        : await tx.product.updateMany({
+          where: { id: productId, ...(quantity < 0 && { stockQuantity: { gte: floor - quantity } }) },
+          data: { stockQuantity: { increment: quantity } }
+        });
+
+      if (result.count === 0) {
+        throw new ConflictError('Not enough stock for this adjustment', { stock: stock - floor, quantity });
+      }
+
+      return this.recordMovement(tx, {
+        productId,
+        variantId,
+        type,
+        quantity,
+        reason: String(reason).trim(),
+        actorId,
+        warehouseId: warehouse ? warehouse.id : null
+      });
+    });
+
+    this.logger.logBusiness('STOCK_ADJUSTED', {
+      productId,
+      variantId,
+      type,
+      quantity,
+      balanceAfter: movement.balanceAfter,
+      actorId
+    });
+
+    return movement;
+  }
+
+  /**
+   * Set stock to an absolute level (product and variant edit forms),
+   * recording the difference as an ADJUSTMENT at the central warehouse. The
+   * level cannot be below what branches hold.
+   * @param {string} productId - Product ID
+   * @param {number} level - New stock level
+   * @param {Object} [options] - Change details
+   * @param {string} [options.variantId] - Variant ID, for variant stock
+   * @param {string} [options.reason] - Reason for the change
+   * @param {string} [options.actorId] - ID of the user making the change
+   * @param {Object} [tx] - Transaction to run in, alongside the rest of an edit (default: its own)
+   * @returns {Promise<Object|null>} Created movement, or null if stock was unchanged
+   */
+  async setStock(productId, level, { variantId = null, reason = null, actorId = null } = {}, tx = null) {
+    if (!tx) {
+      return this.prisma.$transaction(client => this.setStock(productId, level, { variantId, reason, actorId }, client));
+    }
+
+    const { stock } = await this.getStock(tx, productId, variantId);
+    if (stock === level) return null;
+
+    const branchHeld = await this.warehouseService.branchStock(tx, productId, variantId);
+    if (level < branchHeld) {
+      throw new ConflictError(`Branches hold ${branchHeld} of this stock; adjust or transfer it there first`, { branchHeld });
+    }
+    const central = await this.warehouseService.getCentral(tx);
+
+    // Guard on the level we read so a sale in between is not overwritten
+    const result = variantId
+      ? await tx.productVariant.updateMany({
+        where: { id: variantId, stock },
+        data: { stock: level }
+      })
+      : await tx.product.updateMany({
+        where: { id: productId, stockQuantity: stock },
+        data: { stockQuantity: level }
+      });
+
+    if (result.count === 0) {
+      throw new ConflictError('Stock was changed by another request, please retry');
+    }
+
+    return this.recordMovement(tx, {
+      productId,
+      variantId,
+      type: 'ADJUSTMENT',
+      quantity: level - stock,
+      reason,
+      actorId,
+      warehouseId: central ? central.id : null
+    });
+  }
+
+  /**
+   * Record the stock a new product or variant starts with as goods received
+   * at the central warehouse, inside the transaction that created it. The
+   * product's status is synced either way, as a new variant changes what the
+   * product has available.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} opening - Opening stock
+   * @param {string} opening.productId - Product ID
+   * @param {string} [opening.variantId] - Variant ID, for variant stock
+   * @param {number} opening.quantity - Stock it was created with
+   * @param {string} [opening.reason] - Reason for the movement
+   * @param {string} [opening.actorId] - ID of the user creating it
+   * @returns {Promise<Object|null>} Created movement, or null without opening stock
+   */
+  async recordOpeningStock(tx, { productId, variantId = null, quantity, reason = 'Opening stock', actorId = null }) {
+    if (!quantity) {
+      await this.refreshStatus(tx, productId);
+      return null;
+    }
+
+    const central = await this.warehouseService.getCentral(tx);
+    return this.recordMovement(tx, {
+      productId,
+      variantId,
+      type: 'RECEIVING',
+      quantity,
+      reason,
+      actorId,
+      warehouseId: central ? central.id : null
+    });
+  }
+
+  /**
+   * Sync a product's status with its stock after its variants were added,
+   * deactivated or deleted
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} productId - Product ID
+   * @returns {Promise<string>} Product status
+   */
+  async refreshStatus(tx, productId) {
+    const { product } = await this.getStock(tx, productId);
+    return this.syncStatus(tx, product);
+  }
+
+  /**
+   * List the stock movements of a product, newest first
+   * @param {string} productId - Product ID
+   * @param {Object} [filters] - Filters and paging
+   * @param {string} [filters.variantId] - Only this variant's movements
+   * @param {string} [filters.type] - Only this movement type
+   * @param {string} [filters.warehouseId] - Only movements at this location
+   * @param {number} [filters.page] - Page number
+   * @param {number} [filters.limit] - Page size
+   * @returns {Promise<Object>} { movements, pagination }
+   */
+  async listMovements(productId, { variantId, type, warehouseId, page = 1, limit = 20 } = {}) {
+    await this.getStock(this.prisma, productId, variantId);
+
+    const where = {
+      productId,
+      ...(variantId && { variantId }),
+      ...(type && { type }),
+      ...(warehouseId && { warehouseId })
+    };
+
+    const [movements, total] = await Promise.all([
+      this.prisma.stockMovement.findMany({
+        where,
+        include: {
+          variant: { select: { id: true, name: true, sku: true } },
+          actor: { select: { id: true, firstName: true, lastName: true, role: true } },
+          order: { select: { id: true, orderNumber: true } },
+          warehouse: { select: { id: true, code: true, name: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.stockMovement.count({ where })
+    ]);
+
+    return {
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * List low-stock alerts, newest first, with the current stock of each item
+   * @param {Object} [filters] - Filters and paging
+   * @param {string} [filters.status] - open (default), resolved or all
+   * @param {number} [filters.page] - Page number
+   * @param {number} [filters.limit] - Page size
+   * @returns {Promise<Object>} { alerts, pagination }
+   */
+  async listAlerts({ status = 'open', page = 1, limit = 20 } = {}) {
+    const where = status === 'all'
+      ? {}
+      : { resolvedAt: status === 'resolved' ? { not: null } : null };
+
+    const [alerts, total] = await Promise.all([
+      this.prisma.lowStockAlert.findMany({
+        where,
+        include: {
+          product: { select: { id: true, name: true, sku: true, status: true, stockQuantity: true, lowStockThreshold: true } },
+          variant: { select: { id: true, name: true, sku: true, stock: true } }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.lowStockAlert.count({ where })
+    ]);
+
+    return {
+      alerts: alerts.map(alert => ({
+        ...alert,
+        currentStock: alert.variant ? alert.variant.stock : alert.product.stockQuantity
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Email open alerts that have not been sent yet to every active admin and
+   * manager, one digest per recipient. Each alert is claimed before sending
+   * and only the alerts this run claimed are emailed, so overlapping runs do
+   * not email them twice; if no email goes out the claims are released for
+   * the next run.
+   * @returns {Promise<Object>} { alerts, recipients, sent }
+   */
+  async sendAlerts() {
+    const pending = await this.prisma.lowStockAlert.findMany({
+      where: { notifiedAt: null, resolvedAt: null },
+      include: {
+        product: { select: { name: true, sku: true } },
+        variant: { select: { name: true, sku: true } }
+      },
+      orderBy: { createdAt: 'asc' },
+      take: this.alertBatchSize
+    });
+
+    if (!pending.length) {
+      return { alerts: 0, recipients: 0, sent: 0 };
+    }
+
+    const recipients = await this.prisma.user.findMany({
+      where: { role: { in: ALERT_RECIPIENT_ROLES }, status: 'ACTIVE', deletedAt: null },
+      select: { email: true, firstName: true }
+    });
+
+    if (!recipients.length) {
+      this.logger.warn('Low stock alerts pending but no active admins or managers to notify', { alerts: pending.length });
+      return { alerts: pending.length, recipients: 0, sent: 0 };
+    }
+
+    const claimed = [];
+    for (const item of pending) {
+      const result = await this.prisma.lowStockAlert.updateMany({
+        where: { id: item.id, notifiedAt: null },
+        data: { notifiedAt: new Date() }
+      });
+      if (result.count === 1) claimed.push(item);
+    }
+
+    if (!claimed.length) {
+      return { alerts: 0, recipients: recipients.length, sent: 0 };
+    }
+
+    const alert = {
+      items: claimed.map(item => ({
+        name: item.variant ? `${item.product.name} (${item.variant.name})` : item.product.name,
+        sku: item.variant ? item.variant.sku : item.product.sku,
+        stock: item.stock,
+        threshold: item.threshold
+      })),
+      inventoryUrl: `${this.frontendUrl}/admin/inventory/alerts`
+    };
+
+    let sent = 0;
+    for (const recipient of recipients) {
+      try {
+        const result = await this.emailService.sendLowStockAlertEmail(recipient.email, recipient.firstName, alert);
+        if (result.success) sent++;
+      } catch (error) {
+        this.logger.error('Low stock alert email failed', { email: recipient.email, error: error.message });
+      }
+    }
+
+    if (sent === 0) {
+      await this.prisma.lowStockAlert.updateMany({
+        where: { id: { in: claimed.map(item => item.id) } },
+        data: { notifiedAt: null }
+      });
+      this.logger.warn('No low stock alert email could be sent; alerts left for the next run', { alerts: claimed.length });
+      return { alerts: claimed.length, recipients: recipients.length, sent };
+    }
+
+    this.logger.logBusiness('LOW_STOCK_ALERTS_SENT', {
+      alerts: claimed.length,
+      recipients: recipients.length,
+      sent
+    });
+
+    return { alerts: claimed.length, recipients: recipients.length, sent };
+  }
+}
+
+// Singleton instance
+const stockService = new StockService();
+
+module.exports = {
+  StockService,
+  stockService,
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES
+};
@@ -0,0 +1,91 @@
+/**
+ * Tax Service
+ * Calculates VAT per line from each product's taxRate, for VAT-exclusive or
+ * VAT-inclusive catalog prices, and groups it by rate for NBR VAT returns
+ */
+class TaxService {
+  constructor() {
+    // Whether catalog prices already include VAT (true) or VAT is added on top (false)
+    this.pricesIncludeTax = process.env.VAT_PRICES_INCLUSIVE === 'true';
+  }
+
+  /**
+   * Round a money amount to 2 decimal places
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Spread an order-level discount over lines in proportion to their totals,
+   * since VAT is charged on the discounted value. Rounding leftovers go to
+   * the last line so the shares add up to the discount exactly.
+   * @param {Array<Object>} lines - Lines ({ totalPrice })
+   * @param {number} discount - Order discount
+   * @returns {Array<number>} Discount share per line
+   */
+  allocateDiscount(lines, discount) {
+    const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+
+    if (!discount || subtotal <= 0) {
+      return lines.map(() => 0);
+    }
+
+    let allocated = 0;
+    return lines.map((line, index) => {
+      if (index === lines.length - 1) {
+        return this.roundMoney(discount - allocated);
+      }
+      const share = this.roundMoney(discount * line.totalPrice / subtotal);
+      allocated += share;
+      return share;
+    });
+  }
+
+  /**
+   * Calculate VAT for priced lines
+   * @param {Array<Object>} lines - Lines ({ totalPrice, taxRate })
+   * @param {Object} [options] - Calculation options
+   * @param {number} [options.discount] - Order discount
+   * @param {boolean} [options.pricesIncludeTax] - Override the configured pricing mode
+   * @returns {Object} Total tax, per-line tax and the breakdown per rate
+   */
+  calculate(lines, { discount = 0, pricesIncludeTax = this.pricesIncludeTax } = {}) {
+    const discountShares = this.allocateDiscount(lines, discount);
+    const breakdown = new Map();
+
+    const lineTaxes = lines.map((line, index) => {
+      const rate = parseFloat(line.taxRate) || 0;
+      const amount = line.totalPrice - discountShares[index];
+
+      const tax = this.roundMoney(pricesIncludeTax
+        ? amount * rate / (100 + rate)
+        : amount * rate / 100);
+      const taxableAmount = this.roundMoney(pricesIncludeTax ? amount - tax : amount);
+
+      const group = breakdown.get(rate) || { rate, taxableAmount: 0, tax: 0 };
+      group.taxableAmount = this.roundMoney(group.taxableAmount + taxableAmount);
+      group.tax = this.roundMoney(group.tax + tax);
+      breakdown.set(rate, group);
+
+      return { taxRate: rate, taxAmount: tax };
+    });
+
+    return {
+      pricesIncludeTax,
+      tax: this.roundMoney(lineTaxes.reduce((sum, line) => sum + line.taxAmount, 0)),
+      lines: lineTaxes,
+      breakdown: Array.from(breakdown.values()).sort((a, b) => a.rate - b.rate)
+    };
+  }
+}
+
+// Singleton instance
+const taxService = new TaxService();
+
+module.exports = {
+  TaxService,
+  taxService
+};
@@ -0,0 +1,562 @@
+const { PrismaClient } = require('@prisma/client');
+const { loggerService } = require('./logger');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+
+const prisma = new PrismaClient();
+
+// Divisional headquarters (latitude, longitude), for ranking locations in
+// other divisions by distance
+const DIVISION_COORDINATES = {
+  DHAKA: [23.8103, 90.4125],
+  CHITTAGONG: [22.3569, 91.7832],
+  RAJSHAHI: [24.3745, 88.6042],
+  SYLHET: [24.8949, 91.8687],
+  KHULNA: [22.8456, 89.5403],
+  BARISHAL: [22.701, 90.3535],
+  RANGPUR: [25.7439, 89.2752],
+  MYMENSINGH: [24.7471, 90.4203]
+};
+
+const WAREHOUSE_SUMMARY = {
+  id: true,
+  code: true,
+  name: true,
+  nameBn: true,
+  type: true,
+  isCentral: true,
+  division: true,
+  district: true
+};
+
+/**
+ * Warehouse Service
+ * Manages the central warehouse and the branches stock is held at. Product
+ * and variant stock stays the total across locations; branches hold explicit
+ * quantities (WarehouseStock) and the central warehouse holds the rest, so
+ * stock added anywhere without a location lands centrally. Orders are
+ * allocated to the nearest location that can ship them, and stock moves
+ * between locations by transfer.
+ */
+class WarehouseService {
+  constructor() {
+    this.prisma = prisma;
+    this.logger = loggerService;
+  }
+
+  /**
+   * Normalize a district name for comparison
+   * @param {string} value - District
+   * @returns {string|null} Normalized value
+   */
+  normalizeArea(value) {
+    return value ? String(value).trim().toLowerCase() : null;
+  }
+
+  /**
+   * Distance between the headquarters of two divisions
+   * @param {string} from - Division
+   * @param {string} to - Division
+   * @returns {number} Distance in km (Infinity for an unknown division)
+   */
+  divisionDistance(from, to) {
+    const a = DIVISION_COORDINATES[from];
+    const b = DIVISION_COORDINATES[to];
+    if (!a || !b) return Infinity;
+
+    const rad = (degrees) => degrees * Math.PI / 180;
+    const dLat = rad(b[0] - a[0]);
+    const dLon = rad(b[1] - a[1]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[0])) * Math.cos(rad(b[0])) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Order locations by nearness to a destination: the same district first,
+   * then the rest of the division, then other divisions by distance
+   * @param {Array<Object>} warehouses - Warehouses ({ division, district, name })
+   * @param {Object} destination - Address or { division, district }
+   * @returns {Array<Object>} Warehouses, nearest first
+   */
+  rankWarehouses(warehouses, destination) {
+    const district = this.normalizeArea(destination && destination.district);
+    const division = destination && destination.division;
+
+    const rank = (warehouse) => {
+      if (warehouse.division === division) {
+        return [this.normalizeArea(warehouse.district) === district ? 0 : 1, 0];
+      }
+      return [2, this.divisionDistance(warehouse.division, division)];
+    };
+
+    return warehouses
+      .map(warehouse => ({ warehouse, rank: rank(warehouse) }))
+      .sort((a, b) => a.rank[0] - b.rank[0] ||
+        a.rank[1] - b.rank[1] ||
+        Number(b.warehouse.isCentral) - Number(a.warehouse.isCentral) ||
+        a.warehouse.name.localeCompare(b.warehouse.name))
+      .map(({ warehouse }) => warehouse);
+  }
+
+  /**
+   * List warehouses, the central one first
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeInactive] - Include deactivated locations
+   * @returns {Promise<Array<Object>>} Warehouses
+   */
+  async listWarehouses({ includeInactive = false } = {}) {
+    return this.prisma.warehouse.findMany({
+      where: includeInactive ? {} : { isActive: true },
+      orderBy: [{ isCentral: 'desc' }, { name: 'asc' }]
+    });
+  }
+
+  /**
+   * Get a warehouse or throw
+   * @param {string} id - Warehouse ID
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object>} Warehouse
+   */
+  async getWarehouse(id, tx = this.prisma) {
+    const warehouse = await tx.warehouse.findUnique({ where: { id } });
+    if (!warehouse) {
+      throw new NotFoundError('Warehouse not found');
+    }
+    return warehouse;
+  }
+
+  /**
+   * The central warehouse, which holds all stock not assigned to another location
+   * @param {Object} [tx] - Prisma transaction client
+   * @returns {Promise<Object|null>} Central warehouse
+   */
+  async getCentral(tx = this.prisma) {
+    return tx.warehouse.findFirst({ where: { isCentral: true } });
+  }
+
+  /**
+   * Create a branch or warehouse. There is only ever one central warehouse,
+   * created by the migration.
+   * @param {Object} data - Warehouse fields
+   * @returns {Promise<Object>} Created warehouse
+   */
+  async createWarehouse(data) {
+    const code = data.code.trim().toUpperCase();
+    await this.assertCodeAvailable(code);
+
+    const warehouse = await this.prisma.warehouse.create({
+      data: { ...data, code, isCentral: false }
+    });
+
+    this.logger.logBusiness('WAREHOUSE_CREATED', { warehouseId: warehouse.id, code });
+
+    return warehouse;
+  }
+
+  /**
+   * Update a warehouse. The central warehouse cannot be deactivated, nor can
+   * a location that still holds stock.
+   * @param {string} id - Warehouse ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated warehouse
+   */
+  async updateWarehouse(id, data) {
+    const existing = await this.getWarehouse(id);
+    const changes = { ...data };
+    delete changes.isCentral;
+
+    if (changes.code !== undefined) {
+      changes.code = changes.code.trim().toUpperCase();
+      if (changes.code !== existing.code) {
+        await this.assertCodeAvailable(changes.code);
+      }
+    }
+
+    if (changes.isActive === false && existing.isActive) {
+      if (existing.isCentral) {
+        throw new ValidationError('The central warehouse cannot be deactivated');
+      }
+
+      const held = await this.prisma.warehouseStock.aggregate({
+        where: { warehouseId: id },
+        _sum: { quantity: true }
+      });
+      if (held._sum.quantity > 0) {
+        throw new ConflictError(`${existing.name} still holds stock; transfer it before deactivating`, {
+          quantity: held._sum.quantity
+        });
+      }
+    }
+
+    const warehouse = await this.prisma.warehouse.update({ where: { id }, data: changes });
+
+    this.logger.logBusiness('WAREHOUSE_UPDATED', { warehouseId: id, code: warehouse.code });
+
+    return warehouse;
+  }
+
+  /**
+   * Throw if a warehouse code is taken
+   * @param {string} code - Warehouse code
+   */
+  async assertCodeAvailable(code) {
+    const taken = await this.prisma.warehouse.findUnique({ where: { code }, select: { id: true } });
+    if (taken) {
+      throw new ConflictError(`Warehouse code already in use: ${code}`);
+    }
+  }
+
+  /**
+   * Quantity of a product or variant held outside the central warehouse
+   * @param {Object} tx - Prisma client or transaction client
+   * @param {string} productId - Product ID
+   * @param {string|null} variantId - Variant ID (null for product-level stock)
+   * @returns {Promise<number>} Quantity held at branches
+   */
+  async branchStock(tx, productId, variantId) {
+    const held = await tx.warehouseStock.aggregate({
+      where: { productId, variantId },
+      _sum: { quantity: true }
+    });
+    return held._sum.quantity || 0;
+  }
+
+  /**
+   * Change the quantity held at a non-central location. Decreases only
+   * apply while enough stock is there.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} change - Change details
+   * @param {string} change.warehouseId - Warehouse ID
+   * @param {string} change.productId - Product ID
+   * @param {string|null} change.variantId - Variant ID (null for product-level stock)
+   * @param {number} change.quantity - Signed change
+   */
+  async changeLocationStock(tx, { warehouseId, productId, variantId, quantity }) {
+    const where = { warehouseId, productId, variantId };
+
+    if (quantity < 0) {
+      const result = await tx.warehouseStock.updateMany({
+        where: { ...where, quantity: { gte: -quantity } },
+        data: { quantity: { increment: quantity } }
+      });
+      if (result.count === 0) {
+        throw new ConflictError('Not enough stock at this location', { warehouseId, productId, variantId });
+      }
+      return;
+    }
+
+    const result = await tx.warehouseStock.updateMany({
+      where,
+      data: { quantity: { increment: quantity } }
+    });
+    if (result.count === 0) {
+      await tx.warehouseStock.create({ data: { ...where, quantity } });
+    }
+  }
+
+  /**
+   * Stock of each order line at each active location
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} lines - Order lines ({ productId, variantId, quantity })
+   * @param {Array<Object>} warehouses - Active warehouses
+   * @returns {Promise<Array<Object>>} Per line: { levels: Map(warehouseId -> quantity), branchHeld }
+   */
+  async lineLevels(tx, lines, warehouses) {
+    const result = [];
+
+    for (const line of lines) {
+      const rows = await tx.warehouseStock.findMany({
+        where: { productId: line.productId, variantId: line.variantId || null },
+        select: { warehouseId: true, quantity: true }
+      });
+      const total = line.variantId
+        ? (await tx.productVariant.findUnique({ where: { id: line.variantId }, select: { stock: true } })).stock
+        : (await tx.product.findUnique({ where: { id: line.productId }, select: { stockQuantity: true } })).stockQuantity;
+
+      // Rows at deactivated locations still count as held outside the central warehouse
+      const branchHeld = rows.reduce((sum, row) => sum + row.quantity, 0);
+      const levels = new Map();
+      for (const warehouse of warehouses) {
+        const row = rows.find(item => item.warehouseId === warehouse.id);
+        levels.set(warehouse.id, warehouse.isCentral ? Math.max(0, total - branchHeld) : (row ? row.quantity : 0));
+      }
+
+      result.push({ levels, branchHeld });
+    }
+
+    return result;
+  }
+
+  /**
+   * Allocate order lines to locations and take the stock from branch
+   * locations. The nearest location that can ship the whole order gets it;
+   * otherwise each line goes to the nearest location that has all of it, and
+   * a line no single location has is split across the nearest ones.
+   * The caller still reserves the total stock, keeping branchHeld[i] back
+   * for line i so central stock cannot be oversold.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} lines - Order lines ({ productId, variantId, name, quantity })
+   * @param {Object} destination - Shipping address ({ division, district })
+   * @returns {Promise<Object>} { allocations: [{ warehouseId, productId, variantId, quantity }], branchHeld }
+   */
+  async allocate(tx, lines, destination) {
+    const active = await tx.warehouse.findMany({ where: { isActive: true } });
+    const ranked = this.rankWarehouses(active, destination);
+
+    // Without a central warehouse, unassigned stock ships from an unknown location last
+    if (!ranked.some(warehouse => warehouse.isCentral)) {
+      ranked.push({ id: null, isCentral: true });
+    }
+
+    const levels = await this.lineLevels(tx, lines, ranked);
+
+    const whole = ranked.find(warehouse =>
+      lines.every((line, index) => levels[index].levels.get(warehouse.id) >= line.quantity));
+
+    const allocations = [];
+    const branchHeld = [];
+
+    for (const [index, line] of lines.entries()) {
+      const available = levels[index].levels;
+      let parts;
+
+      const single = whole || ranked.find(warehouse => available.get(warehouse.id) >= line.quantity);
+      if (single) {
+        parts = [{ warehouse: single, quantity: line.quantity }];
+      } else {
+        parts = [];
+        let remaining = line.quantity;
+        for (const warehouse of ranked) {
+          const quantity = Math.min(remaining, available.get(warehouse.id));
+          if (quantity > 0) {
+            parts.push({ warehouse, quantity });
+            remaining -= quantity;
+          }
+          if (remaining === 0) break;
+        }
+        if (remaining > 0) {
+          throw new ConflictError(`Insufficient stock for product ${line.name}`);
+        }
+      }
+
+      let held = levels[index].branchHeld;
+      for (const { warehouse, quantity } of parts) {
+        const variantId = line.variantId || null;
+        if (!warehouse.isCentral) {
+          await this.changeLocationStock(tx, { warehouseId: warehouse.id, productId: line.productId, variantId, quantity: -quantity });
+          held -= quantity;
+        }
+        allocations.push({ warehouseId: warehouse.id, productId: line.productId, variantId, quantity });
+      }
+      branchHeld.push(held);
+    }
+
+    return { allocations, branchHeld };
+  }
+
+  /**
+   * Put allocated stock back at the locations it was taken from
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<Object>} allocations - Allocations ({ warehouseId, productId, variantId, quantity })
+   */
+  async release(tx, allocations) {
+    const central = await this.getCentral(tx);
+
+    for (const allocation of allocations) {
+      if (allocation.warehouseId && (!central || allocation.warehouseId !== central.id)) {
+        await this.changeLocationStock(tx, { ...allocation, variantId: allocation.variantId || null });
+      }
+    }
+  }
+
+  /**
+   * Move stock between two locations. Totals do not change; each item is
+   * recorded in the stock ledger as a TRANSFER out of one location and into
+   * the other.
+   * @param {Object} transfer - Transfer details
+   * @param {string} transfer.fromWarehouseId - Source warehouse ID
+   * @param {string} transfer.toWarehouseId - Destination warehouse ID
+   * @param {Array<Object>} transfer.items - Items ({ productId, variantId, quantity })
+   * @param {string} [transfer.reason] - Reason for the transfer
+   * @param {string} actorId - ID of the user making the transfer
+   * @returns {Promise<Object>} Created transfer
+   */
+  async transfer({ fromWarehouseId, toWarehouseId, items, reason = null }, actorId) {
+    if (fromWarehouseId === toWarehouseId) {
+      throw new ValidationError('Source and destination must be different locations');
+    }
+    if (!Array.isArray(items) || !items.length) {
+      throw new ValidationError('A transfer needs at least one item');
+    }
+
+    const transfer = await this.prisma.$transaction(async (tx) => {
+      const from = await this.getWarehouse(fromWarehouseId, tx);
+      const to = await this.getWarehouse(toWarehouseId, tx);
+      if (!to.isActive) {
+        throw new ValidationError(`${to.name} is not active`);
+      }
+
+      const created = await tx.stockTransfer.create({
+        data: {
+          fromWarehouseId,
+          toWarehouseId,
+          items: items.map(item => ({ productId: item.productId, variantId: item.variantId || null, quantity: item.quantity })),
+          reason,
+          actorId
+        }
+      });
+
+      for (const item of items) {
+        const variantId = item.variantId || null;
+        const balance = await this.transferItem(tx, from, to, { ...item, variantId });
+
+        for (const [warehouseId, quantity] of [[from.id, -item.quantity], [to.id, item.quantity]]) {
+          await tx.stockMovement.create({
+            data: {
+              productId: item.productId,
+              variantId,
+              warehouseId,
+              type: 'TRANSFER',
+              quantity,
+              balanceAfter: balance,
+              reason: reason || `Transfer ${from.code} → ${to.code}`,
+              actorId
+            }
+          });
+        }
+      }
+
+      return created;
+    });
+
+    this.logger.logBusiness('STOCK_TRANSFERRED', {
+      transferId: transfer.id,
+      fromWarehouseId,
+      toWarehouseId,
+      items: items.length,
+      actorId
+    });
+
+    return transfer;
+  }
+
+  /**
+   * Move one item between two locations within a transfer
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} from - Source warehouse
+   * @param {Object} to - Destination warehouse
+   * @param {Object} item - Item ({ productId, variantId, quantity })
+   * @returns {Promise<number>} Total stock of the product or variant (unchanged)
+   */
+  async transferItem(tx, from, to, { productId, variantId, quantity }) {
+    // Central stock is what branches do not hold; lock the row so a checkout
+    // cannot sell it between this check and the move to the branch
+    if (from.isCentral) {
+      if (variantId) {
+        await tx.$queryRaw`SELECT id FROM "product_variants" WHERE id = ${variantId} FOR UPDATE`;
+      } else {
+        await tx.$queryRaw`SELECT id FROM "products" WHERE id = ${productId} FOR UPDATE`;
+      }
+    }
+
+    const total = variantId
+      ? await tx.productVariant.findFirst({ where: { id: variantId, productId }, select: { stock: true } })
+      : await tx.product.findUnique({ where: { id: productId }, select: { stockQuantity: true } });
+    if (!total) {
+      throw new NotFoundError(variantId ? `Product variant not found: ${variantId}` : `Product not found: ${productId}`);
+    }
+    const stock = variantId ? total.stock : total.stockQuantity;
+
+    if (from.isCentral) {
+      const central = stock - await this.branchStock(tx, productId, variantId);
+      if (central < quantity) {
+        throw new ConflictError(`Not enough stock at ${from.name}`, { productId, variantId, available: Math.max(0, central) });
+      }
+    } else {
+      await this.changeLocationStock(tx, { warehouseId: from.id, productId, variantId, quantity: -quantity });
+    }
+
+    if (!to.isCentral) {
+      await this.changeLocationStock(tx, { warehouseId: to.id, productId, variantId, quantity });
+    }
+
+    return stock;
+  }
+
+  /**
+   * List recent transfers, newest first
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.warehouseId] - Only transfers from or to this location
+   * @param {number} [filters.limit] - Maximum number of transfers
+   * @returns {Promise<Array<Object>>} Transfers
+   */
+  async listTransfers({ warehouseId, limit = 50 } = {}) {
+    return this.prisma.stockTransfer.findMany({
+      where: warehouseId ? { OR: [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }] } : {},
+      include: {
+        fromWarehouse: { select: WAREHOUSE_SUMMARY },
+        toWarehouse: { select: WAREHOUSE_SUMMARY },
+        actor: { select: { id: true, firstName: true, lastName: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Stock of a product at each location, for the product and each of its
+   * variants. Products with variants are counted by their variants.
+   * @param {Object} product - Product ({ id, stockQuantity, variants })
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeInactive] - Include deactivated locations
+   * @returns {Promise<Object>} { availability, variants: { [variantId]: availability } },
+   *   each availability a list of { warehouse, quantity, inStock }
+   */
+  async getAvailability(product, { includeInactive = false } = {}) {
+    const [warehouses, rows] = await Promise.all([
+      this.prisma.warehouse.findMany({
+        where: includeInactive ? {} : { isActive: true },
+        orderBy: [{ isCentral: 'desc' }, { name: 'asc' }],
+        select: { ...WAREHOUSE_SUMMARY, isActive: true }
+      }),
+      this.prisma.warehouseStock.findMany({
+        where: { productId: product.id },
+        select: { warehouseId: true, variantId: true, quantity: true }
+      })
+    ]);
+
+    const levelsOf = (variantId, total) => {
+      const held = rows.filter(row => row.variantId === variantId);
+      const branchHeld = held.reduce((sum, row) => sum + row.quantity, 0);
+      return warehouses.map(warehouse => {
+        const row = held.find(item => item.warehouseId === warehouse.id);
+        return warehouse.isCentral ? Math.max(0, total - branchHeld) : (row ? row.quantity : 0);
+      });
+    };
+
+    const variants = (product.variants || []).filter(variant => variant.isActive !== false);
+    const quantities = variants.length
+      ? variants
+        .map(variant => levelsOf(variant.id, variant.stock))
+        .reduce((sums, levels) => sums.map((sum, index) => sum + levels[index]))
+      : levelsOf(null, product.stockQuantity);
+
+    const toAvailability = (levels) => warehouses.map((warehouse, index) => ({
+      warehouse,
+      quantity: levels[index],
+      inStock: levels[index] > 0
+    }));
+
+    return {
+      availability: toAvailability(quantities),
+      variants: Object.fromEntries(variants.map(variant => [variant.id, toAvailability(levelsOf(variant.id, variant.stock))]))
+    };
+  }
+}
+
+// Singleton instance
+const warehouseService = new WarehouseService();
+
+module.exports = {
+  WarehouseService,
+  warehouseService
+};